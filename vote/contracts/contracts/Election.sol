@@ -42,6 +42,11 @@ contract Election is IElection, AccessControl, Pausable {
     // Custom errors
     error InvalidCandidateId(uint256 candidateId);
     error VoterNotFound(uint256 voterId);
+    error InvalidVotingWindow(uint256 opensAt, uint256 closesAt);
+    error VotingNotOpenYet(uint256 opensAt);
+    error VotingClosed(uint256 closesAt);
+    error VotingNotClosed();
+    error InvalidCommitment();
 
 
     // Role definitions
@@ -64,6 +69,23 @@ contract Election is IElection, AccessControl, Pausable {
         bool active;
     }
 
+    // Election lifecycle, derived from the voting window and the reported selection
+    enum Phase {
+        Upcoming,  // before opensAt
+        Open,      // ballots accepted
+        Closed,    // window over (or paused, for elections without a scheduled close)
+        Tallied    // selection reported
+    }
+
+    // What a reported selection was computed from, so anyone can recompute it
+    // (hashes as in scripts/audit-bundle.js tallyCommitment)
+    struct TallyCommitment {
+        bytes32 methodId;       // tally method key as a bytes32 string, e.g. "tideman"
+        bytes32 tieBreakSeed;   // seed of random tie-breaks (0 = candidate order): blockhash of the block voting closed in
+        bytes32 ballotSetHash;  // keccak256 of the counted ballots at selectionBlock
+        bytes32 rankingHash;    // keccak256 of the full ordered ranking
+    }
+
     // Ranking entry structure for extensible ranking data
     struct RankingEntry {
         uint256 candidateId;
@@ -81,9 +103,15 @@ contract Election is IElection, AccessControl, Pausable {
     uint256 public candidateCount;
     uint256 public createdAt;
 
+    // Voting window (unix seconds): 0 opensAt = open from creation, 0 closesAt = closed manually with pauseVoting
+    uint256 public opensAt;
+    uint256 public closesAt;
+    uint256 public closedBlock;  // Block pauseVoting closed an election without closesAt (0 = not closed); seeds random tie-breaks
+
     // Selection state
     uint256 public selectionBlock;  // Block number used for selection calculation (0 = not completed)
     uint256[] public selectedCandidates;  // Array of selected candidate IDs (empty = not completed)
+    TallyCommitment public selectionCommitment;  // Tally inputs and outcome behind selectedCandidates
     
     // Mappings
     mapping(uint256 => Candidate) public candidates;
@@ -96,8 +124,10 @@ contract Election is IElection, AccessControl, Pausable {
     
     // Events
     event CandidateAdded(uint256 indexed candidateId, string name);
-    event RankingUpdated(address indexed user, RankingEntry[] newRanking);
+    event RankingUpdated(address indexed user, uint256 indexed voterId, RankingEntry[] newRanking);  // voterId lets indexers replace a voter's previous ranking
     event SelectionCompleted(uint256[] selectedCandidates, uint256 selectionBlock);
+    event SelectionCommitted(bytes32 methodId, bytes32 tieBreakSeed, bytes32 ballotSetHash, bytes32 rankingHash);
+    event VotingWindowSet(uint256 opensAt, uint256 closesAt);
 
 
 
@@ -131,7 +161,29 @@ contract Election is IElection, AccessControl, Pausable {
         _grantRole(REPORTER_ROLE, _creator); // Creator can report selection results
         _grantRole(OPERATOR_ROLE, _creator); // Creator can manage lifecycle and pausing
     }
-    
+
+    modifier whenVotingOpen() {
+        Phase phase = getPhase();
+        if (phase == Phase.Upcoming) revert VotingNotOpenYet(opensAt);
+        if (phase != Phase.Open) revert VotingClosed(closesAt);
+        _;
+    }
+
+    /**
+     * @dev Schedule when ballots are accepted (factory role during creation)
+     * @param _opensAt First second ballots are accepted (0 = immediately)
+     * @param _closesAt First second ballots are rejected (0 = no scheduled close)
+     */
+    function setVotingWindow(uint256 _opensAt, uint256 _closesAt) external onlyRole(FACTORY_ROLE) {
+        if (_closesAt != 0 && (_closesAt <= _opensAt || _closesAt <= block.timestamp)) {
+            revert InvalidVotingWindow(_opensAt, _closesAt);
+        }
+
+        opensAt = _opensAt;
+        closesAt = _closesAt;
+        emit VotingWindowSet(_opensAt, _closesAt);
+    }
+
     // Add a candidate (factory role during creation)
     function addCandidate(string memory _name, string memory _description) external onlyRole(FACTORY_ROLE) {
         candidateCount++;
@@ -193,7 +245,7 @@ contract Election is IElection, AccessControl, Pausable {
      */
     function testVote(
         RankingEntry[] memory ranking
-    ) external whenNotPaused {
+    ) external whenNotPaused whenVotingOpen {
         // Minimal validation - allow empty rankings and any candidate IDs
         for (uint256 i = 0; i < ranking.length; i++) {
             if (ranking[i].candidateId > candidateCount) {
@@ -217,7 +269,7 @@ contract Election is IElection, AccessControl, Pausable {
             voters.push(testVoterId);
         }
 
-        emit RankingUpdated(msg.sender, ranking);
+        emit RankingUpdated(msg.sender, testVoterId, ranking);
     }
 
     function vote(
@@ -226,7 +278,7 @@ contract Election is IElection, AccessControl, Pausable {
         uint256 nullifierHash,
         uint256[8] calldata proof,
         RankingEntry[] memory ranking
-    ) external whenNotPaused {
+    ) external whenNotPaused whenVotingOpen {
         // We verify the provided proof is valid and the user is verified by World ID
         // Note: We allow vote updates, so we don't check if voter ID was used before
         // Get our election ID from ElectionManager and verify through it
@@ -261,7 +313,7 @@ contract Election is IElection, AccessControl, Pausable {
             voters.push(nullifierHash);
         }
 
-        emit RankingUpdated(msg.sender, ranking);
+        emit RankingUpdated(msg.sender, nullifierHash, ranking);
     }
 
     // Get vote for a specific voter ID
@@ -272,11 +324,38 @@ contract Election is IElection, AccessControl, Pausable {
     // Pause voting (emergency stop - operator role)
     function pauseVoting() external onlyRole(OPERATOR_ROLE) {
         _pause();
+        if (closesAt == 0) closedBlock = block.number;
     }
 
     // Resume voting (operator role)
     function resumeVoting() external onlyRole(OPERATOR_ROLE) {
         _unpause();
+        closedBlock = 0;
+    }
+
+    /**
+     * @dev Current phase of the election. Pausing closes elections without a
+     *      scheduled close; for scheduled ones it only suspends voting.
+     */
+    function getPhase() public view returns (Phase) {
+        if (selectionBlock != 0) return Phase.Tallied;
+        if (block.timestamp < opensAt) return Phase.Upcoming;
+        if (closesAt != 0 ? block.timestamp >= closesAt : paused()) return Phase.Closed;
+        return Phase.Open;
+    }
+
+    // Whether vote() accepts ballots right now
+    function isVotingOpen() public view returns (bool) {
+        return getPhase() == Phase.Open && !paused();
+    }
+
+    // Get the voting window with the current phase
+    function getVotingWindow() external view returns (
+        uint256 _opensAt,
+        uint256 _closesAt,
+        Phase _phase
+    ) {
+        return (opensAt, closesAt, getPhase());
     }
 
     // Get total number of votes cast
@@ -289,6 +368,32 @@ contract Election is IElection, AccessControl, Pausable {
         return voters;
     }
 
+    /**
+     * @dev Get a page of ballots: voter IDs in voting order with their rankings.
+     *      Reading page by page keeps large elections under RPC response-size
+     *      and eth_call gas limits. Pages past the end are empty.
+     * @param offset Index of the first voter to return
+     * @param limit Maximum number of voters to return
+     * @return voterIds Voter IDs (nullifier hashes) in the page
+     * @return rankings Ranking of each voter in voterIds
+     * @return total Number of voters, to know when paging is done
+     */
+    function getBallots(uint256 offset, uint256 limit) external view returns (
+        uint256[] memory voterIds,
+        RankingEntry[][] memory rankings,
+        uint256 total
+    ) {
+        total = voters.length;
+        uint256 end = offset >= total ? offset : (limit > total - offset ? total : offset + limit);
+
+        voterIds = new uint256[](end - offset);
+        rankings = new RankingEntry[][](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            voterIds[i - offset] = voters[i];
+            rankings[i - offset] = votes[voters[i]];
+        }
+    }
+
     // Get voting statistics
     function getVotingStats() external view returns (
         uint256 totalVoters,
@@ -315,7 +420,7 @@ contract Election is IElection, AccessControl, Pausable {
             worldIdAction,
             creator,
             createdAt,
-            !paused(),
+            isVotingOpen(),
             candidateCount,
             voters.length
         );
@@ -323,30 +428,44 @@ contract Election is IElection, AccessControl, Pausable {
 
 
 
-    // Report selection results (reporter role)
-    function reportSelection(uint256[] memory _selectedCandidates) external onlyRole(REPORTER_ROLE) {
+    // Report selection results with the tally commitment (reporter role)
+    function reportSelection(
+        uint256[] memory _selectedCandidates,
+        TallyCommitment memory _commitment
+    ) external onlyRole(REPORTER_ROLE) {
+        Phase phase = getPhase();
+        if (phase != Phase.Closed && phase != Phase.Tallied) revert VotingNotClosed();
+        if (_commitment.methodId == 0 || _commitment.ballotSetHash == 0 || _commitment.rankingHash == 0) {
+            revert InvalidCommitment();
+        }
+
         // Use the last complete block for deterministic results
         // This ensures all nodes will use the same block for calculations
         selectionBlock = block.number - 1;  // Previous block is guaranteed to be complete
 
-        // Store selected candidates (currently expecting single winner, but array for future)
+        // Store selected candidates (one per seat for multi-seat tallies such as STV)
         // Allow updates - clear previous selection and set new one
         delete selectedCandidates;
         for (uint256 i = 0; i < _selectedCandidates.length; i++) {
             selectedCandidates.push(_selectedCandidates[i]);
         }
 
+        selectionCommitment = _commitment;
+
         emit SelectionCompleted(_selectedCandidates, selectionBlock);
+        emit SelectionCommitted(_commitment.methodId, _commitment.tieBreakSeed, _commitment.ballotSetHash, _commitment.rankingHash);
     }
 
     // Get selection results
     function getSelectionResults() external view returns (
         uint256[] memory _selectedCandidates,
-        uint256 _selectionBlock
+        uint256 _selectionBlock,
+        TallyCommitment memory _commitment
     ) {
         return (
             selectedCandidates,
-            selectionBlock
+            selectionBlock,
+            selectionCommitment
         );
     }
 
@@ -371,7 +490,7 @@ contract Election is IElection, AccessControl, Pausable {
         uint256[] memory _selectedCandidates
     ) {
         return (
-            !paused(),
+            isVotingOpen(),
             voters.length,
             candidateCount,
             selectionBlock,
@@ -76,7 +76,8 @@ contract ElectionManager is AccessControl {
     string public constant UNIVERSAL_WORLD_ID_ACTION = "vote";
 
     /**
-     * @dev Create a new election with separate contract instance
+     * @dev Create a new election with separate contract instance, open from
+     *      creation until its creator pauses voting
      * @param _title Election title
      * @param _description Election description
      * @param _candidates Array of initial candidates
@@ -86,6 +87,34 @@ contract ElectionManager is AccessControl {
         string memory _description,
         Candidate[] memory _candidates
     ) external onlyRole(ELECTION_CREATOR_ROLE) returns (uint256) {
+        return _createElection(_title, _description, _candidates, 0, 0);
+    }
+
+    /**
+     * @dev Create a new election that accepts ballots only within a voting window
+     * @param _title Election title
+     * @param _description Election description
+     * @param _candidates Array of initial candidates
+     * @param _opensAt Unix time voting opens (0 = immediately)
+     * @param _closesAt Unix time voting closes (0 = when the creator pauses voting)
+     */
+    function createElection(
+        string memory _title,
+        string memory _description,
+        Candidate[] memory _candidates,
+        uint256 _opensAt,
+        uint256 _closesAt
+    ) external onlyRole(ELECTION_CREATOR_ROLE) returns (uint256) {
+        return _createElection(_title, _description, _candidates, _opensAt, _closesAt);
+    }
+
+    function _createElection(
+        string memory _title,
+        string memory _description,
+        Candidate[] memory _candidates,
+        uint256 _opensAt,
+        uint256 _closesAt
+    ) internal returns (uint256) {
         if (_candidates.length == 0) revert NoCandidatesProvided();
 
         electionCount++;
@@ -98,6 +127,9 @@ contract ElectionManager is AccessControl {
         for (uint256 i = 0; i < _candidates.length; i++) {
             election.addCandidate(_candidates[i].name, _candidates[i].description);
         }
+        if (_opensAt != 0 || _closesAt != 0) {
+            election.setVotingWindow(_opensAt, _closesAt);
+        }
 
         // Store election data
         elections[newElectionId] = ElectionInfo({
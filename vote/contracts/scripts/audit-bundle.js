@@ -0,0 +1,279 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { tally, marginOfVictory, MARGIN_METHODS } = require("tally");
+const { version: TALLY_VERSION } = require("tally/package.json");
+const { readAllBallots } = require("./ballot-pages");
+const { assertBlockState } = require("./block-state");
+
+/**
+ * Election Audit Bundle
+ *
+ * A self-contained record of how a selection was computed:
+ * - election metadata and candidate list
+ * - every ballot as read at selectionBlock
+ * - the tally method, engine version, seats and tie-break seed; a blockhash
+ *   seed is the hash of the block in which voting closed (first block at or
+ *   after closesAt, or the closedBlock set by pauseVoting - not the selection
+ *   block), with the rule and block in tally.tieBreak.source and .blockNumber
+ * - the full tally result, including intermediate details, and the margin
+ *   of victory (ballots to add or change to flip the winner) where supported
+ * - the tally commitment reported on chain next to the one recomputed here
+ * - a content hash (keccak256 of the canonical JSON of everything above)
+ *
+ * Rebuilding the bundle from chain state at the same block with the same
+ * options gives the same content hash, so anyone can check a reported
+ * selection without trusting the reporter.
+ *
+ * The tally commitment is what reportSelection stores with the selected
+ * candidates: the method key and tie-break seed as bytes32, and keccak256
+ * hashes of the canonical JSON of the counted ballots ([{ voterId, ranking }]
+ * in voting order) and of the full ranking ([{ rank, candidateId }]).
+ *
+ * Uses plain ethers (no Hardhat runtime) so verify-election.js runs standalone.
+ */
+
+const AUDIT_BUNDLE_VERSION = 3;
+
+const ELECTION_ABI = [
+  "function getElectionInfo() view returns (string _title, string _description, string _worldIdAction, address _creator, uint256 _createdAt, bool _votingActive, uint256 _candidateCount, uint256 _voteCount)",
+  "function getCandidates() view returns (tuple(uint256 id, string name, string description, bool active)[])",
+  "function getBallots(uint256 offset, uint256 limit) view returns (uint256[] voterIds, tuple(uint256 candidateId, bool tiedWithPrevious)[][] rankings, uint256 total)",
+  "function getAllVoters() view returns (uint256[])",
+  "function getVote(uint256 voterId) view returns (tuple(uint256 candidateId, bool tiedWithPrevious)[])",
+  "function getSelectionResults() view returns (uint256[] _selectedCandidates, uint256 _selectionBlock, tuple(bytes32 methodId, bytes32 tieBreakSeed, bytes32 ballotSetHash, bytes32 rankingHash) _commitment)"
+];
+
+// Elections deployed before tally commitments return only the selection
+const legacySelectionInterface = new ethers.Interface([
+  "function getSelectionResults() view returns (uint256[] _selectedCandidates, uint256 _selectionBlock)"
+]);
+
+/**
+ * JSON with object keys sorted, so equal content always hashes the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * keccak256 of the bundle's canonical JSON, excluding contentHash itself
+ */
+function hashBundle(bundle) {
+  const { contentHash, ...content } = bundle;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(content)));
+}
+
+function keccakJson(value) {
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(value)));
+}
+
+/**
+ * Commitment to a tally: what reportSelection records so the result can be
+ * recomputed and a misreport proven
+ * @param votes - counted ballots [{ voterId, ranking }] in voting order
+ * @param result - tally result (method and finalRanking are used)
+ * @param tieBreak - tie-break options; random rules commit their seed
+ */
+function tallyCommitment({ votes, result, tieBreak }) {
+  const seed = tieBreak && tieBreak.rule === "random" ? tieBreak.seed : null;
+  return {
+    methodId: ethers.encodeBytes32String(result.method),
+    tieBreakSeed: seed === null || seed === undefined
+      ? ethers.ZeroHash
+      : ethers.isHexString(seed, 32) ? seed : ethers.id(String(seed)),
+    ballotSetHash: keccakJson(votes.map(({ voterId, ranking }) => ({ voterId, ranking }))),
+    rankingHash: keccakJson(result.finalRanking.map(({ rank, candidateId }) => ({ rank, candidateId })))
+  };
+}
+
+/**
+ * A commitment as read from the contract, with the method key decoded
+ * (null when the selection was reported without one)
+ */
+function decodeCommitment(commitment) {
+  if (!commitment || commitment.methodId === ethers.ZeroHash) {
+    return null;
+  }
+  return {
+    method: ethers.decodeBytes32String(commitment.methodId),
+    methodId: commitment.methodId,
+    tieBreakSeed: commitment.tieBreakSeed,
+    ballotSetHash: commitment.ballotSetHash,
+    rankingHash: commitment.rankingHash
+  };
+}
+
+/**
+ * Read election metadata, candidates and every ballot at a block
+ *
+ * Ballots are read page by page with getBallots (options as in
+ * scripts/ballot-pages.js); a bundle needs every ballot, so any unreadable
+ * one is an error.
+ */
+async function readElectionAtBlock(contract, blockTag, options = {}) {
+  const [info, candidates, ballots] = await Promise.all([
+    contract.getElectionInfo({ blockTag }),
+    contract.getCandidates({ blockTag }),
+    readAllBallots(contract, { ...options, blockTag })
+  ]);
+
+  return {
+    election: {
+      title: info._title,
+      description: info._description,
+      worldIdAction: info._worldIdAction,
+      creator: info._creator,
+      createdAt: Number(info._createdAt)
+    },
+    candidates: candidates.map(candidate => ({
+      id: Number(candidate.id),
+      name: candidate.name,
+      description: candidate.description,
+      active: candidate.active
+    })),
+    ballots
+  };
+}
+
+/**
+ * Read the selection reported on chain with its tally commitment (null for
+ * elections deployed before commitments)
+ */
+async function readSelection(contract) {
+  const data = await contract.runner.call({
+    to: contract.target,
+    data: contract.interface.encodeFunctionData("getSelectionResults")
+  });
+  // The selected candidates array starts right after the head: 2 words in the
+  // legacy layout, 6 with the commitment
+  const legacy = BigInt(ethers.dataSlice(data, 0, 32)) === 64n;
+  const results = legacy
+    ? legacySelectionInterface.decodeFunctionResult("getSelectionResults", data)
+    : contract.interface.decodeFunctionResult("getSelectionResults", data);
+  return {
+    selectedCandidates: results._selectedCandidates.map(id => Number(id)),
+    selectionBlock: Number(results._selectionBlock),
+    commitment: results._commitment ? decodeCommitment(results._commitment) : null
+  };
+}
+
+/**
+ * Build an audit bundle from chain state at selectionBlock
+ *
+ * options: { selectionBlock, method, seats, tieBreak, selectedCandidates, commitment, pageSize, batch }
+ * selectedCandidates and commitment are the selection reported on chain
+ * (read if omitted); pageSize and batch configure the ballot reads.
+ */
+async function buildAuditBundle(contractAddress, provider, options = {}) {
+  const contract = new ethers.Contract(contractAddress, ELECTION_ABI, provider);
+  const given = options.selectedCandidates && options.selectionBlock
+    ? { selectedCandidates: options.selectedCandidates, selectionBlock: options.selectionBlock }
+    : null;
+  const reported = given && options.commitment !== undefined
+    ? { ...given, commitment: options.commitment }
+    : { ...await readSelection(contract), ...given };
+
+  const selectionBlock = options.selectionBlock || reported.selectionBlock;
+  if (!selectionBlock) {
+    throw new Error("Selection has not been reported for this election");
+  }
+  await assertBlockState(provider, contractAddress, selectionBlock);
+
+  const [network, block, state] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock(selectionBlock),
+    readElectionAtBlock(contract, selectionBlock, { pageSize: options.pageSize, batch: options.batch })
+  ]);
+  if (!block) {
+    throw new Error(`Block ${selectionBlock} not found - an archive node may be required`);
+  }
+
+  const method = options.method || "tideman";
+  const seats = options.seats || 1;
+  const tieBreak = options.tieBreak || { rule: "candidate-order" };
+  const ballotSet = { candidates: state.candidates, votes: state.ballots.filter(ballot => ballot.ranking.length > 0) };
+  const result = tally(ballotSet, method, { seats, tieBreak });
+  const margin = MARGIN_METHODS.includes(result.method) && seats === 1
+    ? marginOfVictory(ballotSet, result.method, { tieBreak })
+    : null;
+
+  const bundle = {
+    version: AUDIT_BUNDLE_VERSION,
+    election: {
+      address: ethers.getAddress(contractAddress),
+      chainId: network.chainId.toString(),
+      ...state.election
+    },
+    selection: {
+      selectionBlock,
+      selectionBlockHash: block.hash,
+      reportedCandidates: reported.selectedCandidates,
+      reportedCommitment: reported.commitment
+    },
+    candidates: state.candidates,
+    ballots: state.ballots,
+    tally: {
+      engine: "tally",
+      version: TALLY_VERSION,
+      method: result.method,
+      algorithm: result.algorithm,
+      seats,
+      tieBreak
+    },
+    results: {
+      winner: result.winner,
+      marginOfVictory: margin,
+      finalRanking: result.finalRanking,
+      selectedCandidates: result.selectedCandidates,
+      totalVotes: result.totalVotes,
+      details: result.details,
+      commitment: tallyCommitment({ votes: ballotSet.votes, result, tieBreak })
+    }
+  };
+
+  // Round-trip through JSON so the hash matches the bundle as saved and reloaded
+  const plain = JSON.parse(JSON.stringify(bundle));
+  return { ...plain, contentHash: hashBundle(plain) };
+}
+
+/**
+ * Save a bundle as audits/<address>-<selectionBlock>.json (or under dir)
+ */
+function saveAuditBundle(bundle, dir = path.join(__dirname, "../audits")) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${bundle.election.address.toLowerCase()}-${bundle.selection.selectionBlock}.json`);
+  fs.writeFileSync(file, JSON.stringify(bundle, null, 2));
+  return file;
+}
+
+function loadAuditBundle(file) {
+  const bundle = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (bundle.version !== AUDIT_BUNDLE_VERSION) {
+    throw new Error(`Unsupported audit bundle version ${bundle.version}`);
+  }
+  return bundle;
+}
+
+module.exports = {
+  AUDIT_BUNDLE_VERSION,
+  canonicalJson,
+  hashBundle,
+  tallyCommitment,
+  decodeCommitment,
+  readElectionAtBlock,
+  readSelection,
+  buildAuditBundle,
+  saveAuditBundle,
+  loadAuditBundle
+};
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const { parseBallots, resolveFormat } = require("tally");
+
+/**
+ * Ballot File Reader
+ *
+ * Reads ballots exported with VoteReader.exportBallotsToFile (or produced by
+ * other tools) from a BLT, ABIF, PrefLib or CSV file. It has the same
+ * getAllVotes/getCandidates/getElectionInfo interface as VoteReader, so the
+ * tally engines (TidemanCalculator, TidemanElimination, SchulzeCalculator)
+ * can run offline without a node or RPC endpoint.
+ */
+class BallotFileReader {
+  constructor(filePath, format = null) {
+    this.filePath = filePath;
+    this.format = format || resolveFormat(filePath)?.key;
+    if (!this.format) {
+      throw new Error(`Cannot tell the ballot format of ${filePath}. Pass a format explicitly.`);
+    }
+    this.data = null;
+  }
+
+  /**
+   * Parse the file once and keep the result
+   */
+  load() {
+    if (!this.data) {
+      this.data = parseBallots(fs.readFileSync(this.filePath, "utf8"), this.format);
+    }
+    return this.data;
+  }
+
+  async getCandidates() {
+    return this.load().candidates;
+  }
+
+  async getElectionInfo() {
+    const { title, seats, candidates, votes } = this.load();
+    return {
+      title,
+      description: `Imported from ${this.filePath}`,
+      seats,
+      votingActive: false,
+      candidateCount: candidates.length,
+      totalVoters: votes.length
+    };
+  }
+
+  async getAllVotes() {
+    console.log(`📂 Reading ${this.format} ballots from ${this.filePath}...`);
+    const { candidates, votes } = this.load();
+    const electionInfo = await this.getElectionInfo();
+
+    console.log(`Found ${votes.length} ballots and ${candidates.length} candidates`);
+
+    return {
+      electionInfo,
+      candidates,
+      votes,
+      totalVoters: votes.length,
+      validVotes: votes.length
+    };
+  }
+}
+
+module.exports = { BallotFileReader };
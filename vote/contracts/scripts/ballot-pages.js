@@ -0,0 +1,94 @@
+const { readBatched } = require("./multicall");
+
+/**
+ * Page-by-page ballot reading
+ *
+ * Election.getBallots(offset, limit) returns voter IDs with their rankings,
+ * so a large election is read in bounded pages instead of one unbounded
+ * getAllVoters() array plus a getVote call per voter. Elections deployed
+ * before getBallots existed fall back to getAllVoters() and Multicall3
+ * batched getVote calls (see scripts/multicall.js).
+ */
+
+const DEFAULT_PAGE_SIZE = 500;
+
+function toRanking(entries) {
+  return entries.map(entry => ({
+    candidateId: Number(entry.candidateId),
+    tiedWithPrevious: entry.tiedWithPrevious
+  }));
+}
+
+/**
+ * Yield pages of { voterIds, rankings, offset, total } from an Election contract
+ *
+ * @param contract - ethers Contract with getBallots, getAllVoters and getVote
+ * @param options - pageSize, blockTag (defaults to the latest block when
+ *   reading starts, so every page reads the same state), onProgress(read,
+ *   total) and batch options for the fallback
+ */
+async function* readBallotPages(contract, options = {}) {
+  const { pageSize = DEFAULT_PAGE_SIZE, onProgress, batch = {} } = options;
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`Page size must be a positive integer, got ${pageSize}`);
+  }
+  const provider = contract.runner.provider ?? contract.runner;
+  const blockTag = options.blockTag ?? await provider.getBlockNumber();
+
+  let first;
+  try {
+    first = await contract.getBallots(0, pageSize, { blockTag });
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+      throw error;
+    }
+    console.warn("⚠️  getBallots unavailable - reading voters and votes individually");
+    yield* readWithoutPages(contract, provider, { blockTag, onProgress, batch });
+    return;
+  }
+
+  const total = Number(first.total);
+  let page = first;
+  for (let offset = 0; offset < total; offset += pageSize) {
+    if (offset > 0) {
+      page = await contract.getBallots(offset, pageSize, { blockTag });
+    }
+    const voterIds = page.voterIds.map(voterId => voterId.toString());
+    if (onProgress) onProgress(offset + voterIds.length, total);
+    yield { voterIds, rankings: page.rankings.map(toRanking), offset, total };
+  }
+}
+
+async function* readWithoutPages(contract, provider, { blockTag, onProgress, batch }) {
+  const voters = await contract.getAllVoters({ blockTag });
+  const calls = voters.map(voterId => ({ contract, method: "getVote", args: [voterId] }));
+  const results = await readBatched(provider, calls, { ...batch, blockTag, onProgress });
+
+  const voterIds = [];
+  const rankings = [];
+  results.forEach((result, index) => {
+    if (!result.success) {
+      throw new Error(`Failed to read vote for voter ${voters[index]} at block ${blockTag}: ${result.error.message}`);
+    }
+    voterIds.push(voters[index].toString());
+    rankings.push(toRanking(result.value));
+  });
+  yield { voterIds, rankings, offset: 0, total: voters.length };
+}
+
+/**
+ * Read every ballot into [{ voterId, ranking }], in voting order
+ */
+async function readAllBallots(contract, options = {}) {
+  const ballots = [];
+  for await (const { voterIds, rankings } of readBallotPages(contract, options)) {
+    voterIds.forEach((voterId, index) => ballots.push({ voterId, ranking: rankings[index] }));
+  }
+  return ballots;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  readBallotPages,
+  readAllBallots
+};
@@ -0,0 +1,58 @@
+/**
+ * Block-pinned reads
+ *
+ * Readers pin every call of one read (election info, candidates, voters,
+ * ballots) to a single block so the data is consistent, and so a selection
+ * can be recomputed at the block recorded on chain. Past blocks need an RPC
+ * with archive state; without it, reads must fail rather than quietly return
+ * latest state or partial data.
+ */
+
+// Messages RPC nodes use when historical state has been pruned
+const MISSING_STATE_PATTERN = /missing trie node|header not found|state (is )?not available|historical state|pruned|archive/i;
+
+/**
+ * Resolve a blockTag (number, "latest" or undefined) to a block number
+ */
+async function pinBlockTag(provider, blockTag) {
+  const latest = await provider.getBlockNumber();
+  if (blockTag === undefined || blockTag === null || blockTag === "latest") {
+    return latest;
+  }
+
+  const blockNumber = Number(blockTag);
+  if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+    throw new Error(`Invalid block tag ${blockTag}`);
+  }
+  if (blockNumber > latest) {
+    throw new Error(`Block ${blockNumber} is ahead of the latest block ${latest}`);
+  }
+  return blockNumber;
+}
+
+/**
+ * Check that the provider has the contract's state at blockTag
+ *
+ * Throws when the RPC has pruned that block's state (an archive node is
+ * required) or the contract was not deployed yet.
+ */
+async function assertBlockState(provider, address, blockTag) {
+  let code;
+  try {
+    code = await provider.getCode(address, blockTag);
+  } catch (error) {
+    if (MISSING_STATE_PATTERN.test(error.message)) {
+      throw new Error(`The RPC has no state for block ${blockTag} - an archive node is required (${error.message})`);
+    }
+    throw error;
+  }
+  if (code === "0x") {
+    throw new Error(`No contract at ${address} at block ${blockTag}`);
+  }
+}
+
+module.exports = {
+  MISSING_STATE_PATTERN,
+  pinBlockTag,
+  assertBlockState
+};
@@ -2,6 +2,11 @@ const { ethers } = require("hardhat");
 const { VoteReader } = require("./vote-reader");
 const { TidemanCalculator } = require("./tideman-calculator");
 const { TidemanElimination } = require("./tideman-elimination");
+const { tally, PairwiseAggregator } = require("tally");
+const { PREFERENCE_MODELS, createRandom, randomInt, generateElection } = require("./preference-models");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
 
 /**
  * Comparison Script: Graph-based vs Elimination-based Tideman
@@ -32,8 +37,289 @@ const { TidemanElimination } = require("./tideman-elimination");
  * 5. IMPLEMENTATION ROBUSTNESS:
  *    - Graph method: Complex cycle detection can have edge cases
  *    - Elimination: Simple loop with clear termination condition
+ *
+ * RANDOMIZED MODE:
+ * ================
+ *
+ * The default run checks one hand-made dataset. The randomized mode checks
+ * the equivalence claim on thousands of generated elections instead:
+ * - elections come from several preference models (preference-models.js)
+ * - each one is tallied by graph-based Tideman (TidemanCalculator), the
+ *   elimination variant (TidemanElimination) and the tideman-results route
+ *   path (PairwiseAggregator fed RankingUpdated-style ballot revisions)
+ * - whenever winners or orderings differ, the election is shrunk until no
+ *   single ballot or candidate can be removed, and saved as replayable JSON
+ *
+ * Usage:
+ * npx hardhat run scripts/compare-tideman-methods.js
+ * node scripts/compare-tideman-methods.js --random [--elections=5000] [--seed=eg25]
+ *      [--models=mallows,urn] [--out=counterexamples] [--max-saved=5]
+ * node scripts/compare-tideman-methods.js --replay=counterexamples/<file>.json
+ *
+ * Under `hardhat run` use COMPARE_MODE=random|replay plus COMPARE_ELECTIONS,
+ * COMPARE_SEED, COMPARE_MODELS, COMPARE_OUT, COMPARE_MAX_SAVED, COMPARE_REPLAY.
  */
 
+const COUNTEREXAMPLE_VERSION = 1;
+
+// Each implementation takes a plain ballot set and returns a tally result
+const IMPLEMENTATIONS = {
+  // TidemanCalculator.tallyVotes
+  graph: (election, tieBreak) => tally(election, "tideman", { tieBreak }),
+  // TidemanElimination.eliminateCandidates
+  elimination: (election, tieBreak) => tally(election, "tideman-elimination", { tieBreak }),
+  // tideman-results route: each voter first casts the reversed ballot, then revises it
+  route: (election, tieBreak) => {
+    const aggregator = new PairwiseAggregator(election.candidates);
+    for (const vote of election.votes) {
+      aggregator.applyRanking(vote.voterId, [...vote.ranking].reverse().map(entry => ({ ...entry, tiedWithPrevious: false })));
+    }
+    for (const vote of election.votes) {
+      aggregator.applyRanking(vote.voterId, vote.ranking);
+    }
+    return aggregator.tally("tideman", { tieBreak });
+  }
+};
+
+// Implementations compared against graph-based Tideman
+const COMPARISONS = [["graph", "elimination"], ["graph", "route"]];
+
+/**
+ * Run every implementation and list where they disagree with graph-based Tideman
+ */
+function compareImplementations(election, tieBreak = "candidate-order") {
+  const outputs = {};
+  for (const [name, run] of Object.entries(IMPLEMENTATIONS)) {
+    const result = run(election, tieBreak);
+    outputs[name] = {
+      winner: result.winner ? result.winner.id : null,
+      ordering: result.finalRanking.map(entry => entry.candidateId)
+    };
+  }
+
+  const discrepancies = [];
+  for (const [a, b] of COMPARISONS) {
+    if (outputs[a].winner !== outputs[b].winner) {
+      discrepancies.push({ implementations: [a, b], kind: "winner" });
+    } else if (outputs[a].ordering.join(",") !== outputs[b].ordering.join(",")) {
+      discrepancies.push({ implementations: [a, b], kind: "ordering" });
+    }
+  }
+
+  return { outputs, discrepancies };
+}
+
+/**
+ * Remove a candidate from an election, keeping the remaining tie groups intact
+ */
+function withoutCandidate(election, candidateId) {
+  return {
+    candidates: election.candidates.filter(c => c.id !== candidateId),
+    votes: election.votes
+      .map(vote => ({
+        voterId: vote.voterId,
+        ranking: vote.ranking.reduce((ranking, entry, index) => {
+          if (entry.candidateId === candidateId) return ranking;
+          // An entry tied with the removed one starts the group if the removed one did
+          const removedBefore = index > 0 && vote.ranking[index - 1].candidateId === candidateId;
+          const tiedWithPrevious = ranking.length > 0 && entry.tiedWithPrevious &&
+            !(removedBefore && !vote.ranking[index - 1].tiedWithPrevious);
+          ranking.push({ candidateId: entry.candidateId, tiedWithPrevious });
+          return ranking;
+        }, [])
+      }))
+      .filter(vote => vote.ranking.length > 0)
+  };
+}
+
+/**
+ * Greedily drop ballots and candidates while the discrepancy persists
+ */
+function shrinkCounterexample(election, discrepancy, tieBreak = "candidate-order") {
+  const pair = discrepancy.implementations.join(",");
+  const stillFails = candidate => candidate.votes.length > 0 && compareImplementations(candidate, tieBreak).discrepancies
+    .some(d => d.implementations.join(",") === pair && d.kind === discrepancy.kind);
+
+  let current = election;
+  let shrunk = true;
+  while (shrunk) {
+    shrunk = false;
+
+    for (let i = 0; i < current.votes.length; i++) {
+      const smaller = { ...current, votes: current.votes.filter((_, index) => index !== i) };
+      if (stillFails(smaller)) {
+        current = smaller;
+        shrunk = true;
+        i--;
+      }
+    }
+
+    for (const candidate of [...current.candidates]) {
+      if (current.candidates.length <= 2) break;
+      const smaller = withoutCandidate(current, candidate.id);
+      if (stillFails(smaller)) {
+        current = smaller;
+        shrunk = true;
+      }
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Tally thousands of generated elections with every implementation
+ *
+ * Returns counts of discrepancies per comparison and per model, and the
+ * counterexample files written (at most maxSaved per comparison and kind,
+ * duplicates skipped).
+ */
+function runRandomizedComparison(options = {}) {
+  const {
+    elections = 1000,
+    seed = "eg25",
+    models = Object.keys(PREFERENCE_MODELS),
+    maxCandidates = 6,
+    maxVoters = 30,
+    tieBreak = "candidate-order",
+    outDir = path.join(__dirname, "../counterexamples"),
+    maxSaved = 5
+  } = options;
+
+  const discrepancies = {};
+  const byModel = Object.fromEntries(models.map(model => [model, 0]));
+  const seen = new Set();
+  const files = [];
+  const saved = {};
+
+  for (let index = 0; index < elections; index++) {
+    const random = createRandom(`${seed}:${index}`);
+    const model = models[index % models.length];
+    const election = generateElection(random, {
+      model,
+      candidates: randomInt(random, 3, maxCandidates),
+      voters: randomInt(random, 2, maxVoters)
+    });
+
+    const comparison = compareImplementations(election, tieBreak);
+    if (comparison.discrepancies.length > 0) {
+      byModel[model]++;
+    }
+
+    for (const discrepancy of comparison.discrepancies) {
+      const key = `${discrepancy.implementations.join(" vs ")}: ${discrepancy.kind}`;
+      discrepancies[key] = (discrepancies[key] || 0) + 1;
+      if ((saved[key] || 0) >= maxSaved) continue;
+
+      const minimal = shrinkCounterexample(election, discrepancy, tieBreak);
+      const hash = crypto.createHash("sha256")
+        .update(JSON.stringify([discrepancy, minimal.candidates.map(c => c.id), minimal.votes.map(v => v.ranking)]))
+        .digest("hex")
+        .slice(0, 12);
+      if (seen.has(hash)) continue;
+      seen.add(hash);
+
+      const counterexample = {
+        version: COUNTEREXAMPLE_VERSION,
+        implementations: discrepancy.implementations,
+        kind: discrepancy.kind,
+        model,
+        seed,
+        index,
+        tieBreak,
+        candidates: minimal.candidates,
+        votes: minimal.votes,
+        outputs: compareImplementations(minimal, tieBreak).outputs
+      };
+
+      fs.mkdirSync(outDir, { recursive: true });
+      const file = path.join(outDir, `${discrepancy.implementations.join("-vs-")}-${discrepancy.kind}-${hash}.json`);
+      fs.writeFileSync(file, JSON.stringify(counterexample, null, 2));
+      files.push(file);
+      saved[key] = (saved[key] || 0) + 1;
+    }
+  }
+
+  return { elections, seed, models, discrepancies, byModel, files };
+}
+
+/**
+ * Re-run a saved counterexample with the current implementations
+ */
+function replayCounterexample(file) {
+  const counterexample = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (counterexample.version !== COUNTEREXAMPLE_VERSION) {
+    throw new Error(`Unsupported counterexample version ${counterexample.version}`);
+  }
+  const { outputs, discrepancies } = compareImplementations(counterexample, counterexample.tieBreak);
+  return { counterexample, outputs, discrepancies };
+}
+
+/**
+ * Command line option from --name=value or an environment variable
+ */
+function option(name, envName) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : process.env[envName];
+}
+
+async function mainRandomized() {
+  const options = {
+    elections: Number(option("elections", "COMPARE_ELECTIONS") || 1000),
+    seed: option("seed", "COMPARE_SEED") || "eg25",
+    models: option("models", "COMPARE_MODELS")?.split(",") || Object.keys(PREFERENCE_MODELS),
+    maxSaved: Number(option("max-saved", "COMPARE_MAX_SAVED") || 5)
+  };
+  const outDir = option("out", "COMPARE_OUT");
+  if (outDir) {
+    options.outDir = path.resolve(outDir);
+  }
+
+  console.log("🎲 Randomized Tideman Comparison");
+  console.log("================================");
+  console.log(`Elections: ${options.elections}, seed: ${options.seed}`);
+  console.log(`Models: ${options.models.join(", ")}`);
+
+  const startTime = Date.now();
+  const report = runRandomizedComparison(options);
+  console.log(`⏱️ Completed in ${Date.now() - startTime}ms`);
+
+  console.log("\n📊 Discrepancies:");
+  if (Object.keys(report.discrepancies).length === 0) {
+    console.log("   ✅ None - all implementations agree on every election");
+  }
+  for (const [key, count] of Object.entries(report.discrepancies)) {
+    console.log(`   ❌ ${key}: ${count} election(s)`);
+  }
+
+  console.log("\n🧪 Elections with any discrepancy, by model:");
+  for (const [model, count] of Object.entries(report.byModel)) {
+    console.log(`   ${model}: ${count}`);
+  }
+
+  if (report.files.length > 0) {
+    console.log("\n💾 Minimal counterexamples:");
+    report.files.forEach(file => console.log(`   ${file}`));
+  }
+
+  return report;
+}
+
+async function mainReplay(file) {
+  console.log(`🔁 Replaying ${file}`);
+  const { counterexample, outputs, discrepancies } = replayCounterexample(file);
+
+  console.log(`Expected: ${counterexample.implementations.join(" vs ")} differ in ${counterexample.kind}`);
+  for (const [name, output] of Object.entries(outputs)) {
+    console.log(`   ${name}: winner ${output.winner}, ordering ${output.ordering.join(" > ")}`);
+  }
+  console.log(discrepancies.length > 0
+    ? `❌ Still reproduces: ${discrepancies.map(d => `${d.implementations.join(" vs ")} (${d.kind})`).join(", ")}`
+    : "✅ No longer reproduces");
+
+  return { counterexample, outputs, discrepancies };
+}
+
 async function main() {
   console.log("🔬 Comparing Tideman Methods: Graph vs Elimination");
   console.log("==================================================");
@@ -217,12 +503,28 @@ async function main() {
 }
 
 if (require.main === module) {
-  main()
-    .then(() => process.exit(0))
+  const replayFile = option("replay", "COMPARE_REPLAY");
+  const randomized = process.argv.includes("--random") || process.env.COMPARE_MODE === "random";
+
+  const run = replayFile
+    ? mainReplay(replayFile).then(({ discrepancies }) => discrepancies.length === 0)
+    : randomized
+      ? mainRandomized().then(report => Object.keys(report.discrepancies).length === 0)
+      : main().then(() => true);
+
+  run
+    .then(passed => process.exit(passed ? 0 : 1))
     .catch((error) => {
       console.error(error);
       process.exit(1);
     });
 }
 
-module.exports = { main };
+module.exports = {
+  main,
+  IMPLEMENTATIONS,
+  compareImplementations,
+  shrinkCounterexample,
+  runRandomizedComparison,
+  replayCounterexample
+};
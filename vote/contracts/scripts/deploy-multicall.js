@@ -0,0 +1,29 @@
+const { ethers, network } = require("hardhat");
+const { MULTICALL3_ADDRESS, hasMulticall, installLocalMulticall } = require("./multicall");
+
+/**
+ * Make Multicall3 available on a local node so ballot reads batch like on World Chain
+ *
+ * Usage: npx hardhat run scripts/deploy-multicall.js --network localhost
+ */
+async function main() {
+  if (await hasMulticall(ethers.provider)) {
+    console.log(`✅ Multicall3 already deployed at ${MULTICALL3_ADDRESS} on ${network.name}`);
+    return;
+  }
+
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    throw new Error(`No Multicall3 at ${MULTICALL3_ADDRESS} on ${network.name} - readers will fall back to individual calls`);
+  }
+
+  console.log(`📝 Installing Multicall3 on ${network.name}...`);
+  await installLocalMulticall(ethers.provider);
+  console.log(`✅ Multicall3 installed at ${MULTICALL3_ADDRESS}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
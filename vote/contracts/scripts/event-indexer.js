@@ -0,0 +1,492 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Event Indexer - local store of election, ballot and selection history
+ *
+ * Backfills and follows ElectionManager and Election logs so election lists,
+ * ballots and past selections can be served without contract view calls:
+ * 1. ElectionCreated / ElectionDeactivated from the ElectionManager
+ * 2. CandidateAdded / RankingUpdated / SelectionCompleted (with the tally
+ *    commitment from SelectionCommitted) from every election the manager
+ *    created (plus any extra election addresses)
+ *
+ * Only blocks at least `confirmations` behind the head are indexed. The hash
+ * of each indexed range's last block is kept, so a reorg deeper than that is
+ * detected on the next sync: events after the last block whose hash still
+ * matches are dropped and re-read.
+ *
+ * The store is one JSON file holding the raw events; queries replay them, so
+ * ballots can be answered as of any indexed block.
+ *
+ * Usage:
+ * const indexer = new EventIndexer(provider, { managerAddress, storePath });
+ * await indexer.sync();
+ * indexer.getElections({ active: true });
+ */
+
+const STORE_VERSION = 1;
+
+const MANAGER_ABI = [
+  "event ElectionCreated(uint256 indexed electionId, string title, address indexed creator, address electionAddress, string worldIdAction)",
+  "event ElectionDeactivated(uint256 indexed electionId)",
+  "function getElection(uint256 electionId) view returns (tuple(uint256 id, string title, string description, string worldIdAction, address creator, address electionAddress, uint256 createdAt, bool active))"
+];
+
+const ELECTION_ABI = [
+  "event CandidateAdded(uint256 indexed candidateId, string name)",
+  "event RankingUpdated(address indexed user, uint256 indexed voterId, tuple(uint256 candidateId, bool tiedWithPrevious)[] newRanking)",
+  "event SelectionCompleted(uint256[] selectedCandidates, uint256 selectionBlock)",
+  "event SelectionCommitted(bytes32 methodId, bytes32 tieBreakSeed, bytes32 ballotSetHash, bytes32 rankingHash)",
+  "event VotingWindowSet(uint256 opensAt, uint256 closesAt)"
+];
+
+const managerInterface = new ethers.Interface(MANAGER_ABI);
+const electionInterface = new ethers.Interface(ELECTION_ABI);
+const MANAGER_TOPICS = ["ElectionCreated", "ElectionDeactivated"].map(name => managerInterface.getEvent(name).topicHash);
+const ELECTION_TOPICS = ["CandidateAdded", "RankingUpdated", "SelectionCompleted", "SelectionCommitted", "VotingWindowSet"].map(name => electionInterface.getEvent(name).topicHash);
+
+function emptyStore(options) {
+  return {
+    version: STORE_VERSION,
+    chainId: null,
+    managerAddress: options.managerAddress ?? null,
+    fromBlock: options.fromBlock,
+    indexedBlock: options.fromBlock - 1,
+    blockHashes: [], // [{ number, hash }] of recently indexed range ends, oldest first
+    events: []
+  };
+}
+
+// JSON-safe event arguments
+function decodeArgs(name, args) {
+  switch (name) {
+    case "ElectionCreated":
+      return {
+        electionId: Number(args.electionId),
+        title: args.title,
+        creator: args.creator,
+        electionAddress: args.electionAddress,
+        worldIdAction: args.worldIdAction
+      };
+    case "ElectionDeactivated":
+      return { electionId: Number(args.electionId) };
+    case "CandidateAdded":
+      return { candidateId: Number(args.candidateId), name: args.name };
+    case "RankingUpdated":
+      return {
+        user: args.user,
+        voterId: args.voterId.toString(),
+        ranking: args.newRanking.map(entry => ({
+          candidateId: Number(entry.candidateId),
+          tiedWithPrevious: entry.tiedWithPrevious
+        }))
+      };
+    case "SelectionCompleted":
+      return {
+        selectedCandidates: args.selectedCandidates.map(Number),
+        selectionBlock: Number(args.selectionBlock)
+      };
+    case "SelectionCommitted":
+      return {
+        method: ethers.decodeBytes32String(args.methodId),
+        methodId: args.methodId,
+        tieBreakSeed: args.tieBreakSeed,
+        ballotSetHash: args.ballotSetHash,
+        rankingHash: args.rankingHash
+      };
+    case "VotingWindowSet":
+      return { opensAt: Number(args.opensAt), closesAt: Number(args.closesAt) };
+  }
+}
+
+class EventIndexer {
+  /**
+   * @param provider - ethers provider for the network to index
+   * @param options - managerAddress, elections (extra Election addresses),
+   *   storePath (omit to keep the index in memory), confirmations (default 6),
+   *   fromBlock (manager deployment block, default 0), blockRange (max blocks
+   *   per log query, default 2000), keepBlockHashes (reorg window, default 128)
+   */
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.managerAddress = options.managerAddress ? ethers.getAddress(options.managerAddress) : null;
+    this.extraElections = (options.elections || []).map(address => ethers.getAddress(address));
+    this.storePath = options.storePath;
+    this.confirmations = options.confirmations ?? 6;
+    this.blockRange = options.blockRange || 2000;
+    this.keepBlockHashes = options.keepBlockHashes || 128;
+    this.fromBlock = options.fromBlock || 0;
+    this.manager = this.managerAddress && new ethers.Contract(this.managerAddress, MANAGER_ABI, provider);
+
+    this.store = this.loadStore();
+    this.view = null; // Replayed state, rebuilt after the events change
+  }
+
+  loadStore() {
+    const fresh = emptyStore({ managerAddress: this.managerAddress, fromBlock: this.fromBlock });
+    if (!this.storePath || !fs.existsSync(this.storePath)) {
+      return fresh;
+    }
+
+    const store = JSON.parse(fs.readFileSync(this.storePath, "utf8"));
+    if (store.version !== STORE_VERSION || store.managerAddress !== fresh.managerAddress) {
+      console.warn(`⚠️  Index at ${this.storePath} is for another manager or store version - reindexing`);
+      return fresh;
+    }
+    return store;
+  }
+
+  saveStore() {
+    if (!this.storePath) return;
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    const temporary = `${this.storePath}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.store));
+    fs.renameSync(temporary, this.storePath);
+  }
+
+  get indexedBlock() {
+    return this.store.indexedBlock;
+  }
+
+  /**
+   * Index every confirmed block since the last sync
+   * @returns the new indexed block and how many events were added
+   */
+  async sync() {
+    const { chainId } = await this.provider.getNetwork();
+    if (this.store.chainId !== null && this.store.chainId !== Number(chainId)) {
+      throw new Error(`Index is for chain ${this.store.chainId}, provider is on chain ${chainId}`);
+    }
+    this.store.chainId = Number(chainId);
+
+    await this.rewindReorgedBlocks();
+
+    const head = await this.provider.getBlockNumber();
+    const target = head - this.confirmations;
+    let added = 0;
+
+    for (let start = this.store.indexedBlock + 1; start <= target; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, target);
+      added += await this.indexRange(start, end);
+    }
+
+    return { indexedBlock: this.store.indexedBlock, head, added };
+  }
+
+  /**
+   * Drop events from blocks that are no longer on the chain
+   */
+  async rewindReorgedBlocks() {
+    const hashes = this.store.blockHashes;
+    let kept = hashes.length;
+    while (kept > 0) {
+      const { number, hash } = hashes[kept - 1];
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) break;
+      kept--;
+    }
+    if (kept === hashes.length) return;
+
+    // Beyond the kept hashes nothing can be trusted, so start over
+    const ancestor = kept > 0 ? hashes[kept - 1].number : this.store.fromBlock - 1;
+    console.warn(`⚠️  Reorg detected after block ${ancestor} - re-indexing from block ${ancestor + 1}`);
+    this.store.events = this.store.events.filter(event => event.blockNumber <= ancestor);
+    this.store.blockHashes = hashes.slice(0, kept);
+    this.store.indexedBlock = ancestor;
+    this.view = null;
+    this.saveStore();
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const managerLogs = this.managerAddress
+      ? await this.provider.getLogs({ address: this.managerAddress, topics: [MANAGER_TOPICS], fromBlock, toBlock })
+      : [];
+    const events = [];
+    for (const log of managerLogs) {
+      events.push(await this.toManagerEvent(log));
+    }
+
+    // Elections created in this range emit their first logs in this range
+    const addresses = [...new Set([...this.electionAddresses(), ...events
+      .filter(event => event.type === "ElectionCreated")
+      .map(event => event.args.electionAddress)])];
+    const electionLogs = addresses.length > 0
+      ? await this.provider.getLogs({ address: addresses, topics: [ELECTION_TOPICS], fromBlock, toBlock })
+      : [];
+    for (const log of electionLogs) {
+      const parsed = electionInterface.parseLog(log);
+      events.push({ ...this.logPosition(log), type: parsed.name, args: decodeArgs(parsed.name, parsed.args) });
+    }
+
+    const block = await this.provider.getBlock(toBlock);
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    this.store.events.push(...events);
+    this.store.blockHashes.push({ number: toBlock, hash: block.hash });
+    this.store.blockHashes = this.store.blockHashes.slice(-this.keepBlockHashes);
+    this.store.indexedBlock = toBlock;
+    this.view = null;
+    this.saveStore();
+    return events.length;
+  }
+
+  async toManagerEvent(log) {
+    const parsed = managerInterface.parseLog(log);
+    const event = { ...this.logPosition(log), type: parsed.name, args: decodeArgs(parsed.name, parsed.args) };
+    if (parsed.name === "ElectionCreated") {
+      // The description and timestamp are only in the manager's storage
+      const info = await this.manager.getElection(parsed.args.electionId, { blockTag: log.blockNumber });
+      event.args.description = info.description;
+      event.args.createdAt = Number(info.createdAt);
+    }
+    return event;
+  }
+
+  logPosition(log) {
+    return {
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      address: ethers.getAddress(log.address)
+    };
+  }
+
+  electionAddresses() {
+    const created = this.store.events
+      .filter(event => event.type === "ElectionCreated")
+      .map(event => event.args.electionAddress);
+    return [...new Set([...this.extraElections, ...created])];
+  }
+
+  /**
+   * Keep syncing every pollIntervalMs until stop() is called
+   */
+  follow({ pollIntervalMs = 5000, onSync } = {}) {
+    this.following = true;
+    const loop = async () => {
+      if (!this.following) return;
+      try {
+        const result = await this.sync();
+        if (onSync) onSync(result);
+      } catch (error) {
+        console.error("❌ Indexer sync failed:", error.message);
+      }
+      if (this.following) {
+        this.timer = setTimeout(loop, pollIntervalMs);
+      }
+    };
+    return loop();
+  }
+
+  stop() {
+    this.following = false;
+    clearTimeout(this.timer);
+  }
+
+  // Queries
+
+  /**
+   * Replay the stored events into elections keyed by lowercase address
+   */
+  state() {
+    if (this.view) return this.view;
+
+    const elections = new Map();
+    const byId = new Map();
+    const electionAt = address => {
+      const key = address.toLowerCase();
+      if (!elections.has(key)) {
+        elections.set(key, {
+          id: null,
+          address,
+          title: null,
+          description: null,
+          creator: null,
+          worldIdAction: null,
+          createdAt: null,
+          createdBlock: null,
+          active: true,
+          deactivatedBlock: null,
+          opensAt: 0, // 0 = open from creation
+          closesAt: 0, // 0 = no scheduled close
+          candidates: [],
+          ballots: new Map(),
+          rankingUpdates: [],
+          selections: []
+        });
+      }
+      return elections.get(key);
+    };
+
+    for (const event of this.store.events) {
+      switch (event.type) {
+        case "ElectionCreated": {
+          const election = electionAt(event.args.electionAddress);
+          Object.assign(election, {
+            id: event.args.electionId,
+            title: event.args.title,
+            description: event.args.description,
+            creator: event.args.creator,
+            worldIdAction: event.args.worldIdAction,
+            createdAt: event.args.createdAt,
+            createdBlock: event.blockNumber
+          });
+          byId.set(event.args.electionId, election);
+          break;
+        }
+        case "ElectionDeactivated": {
+          const election = byId.get(event.args.electionId);
+          if (election) {
+            election.active = false;
+            election.deactivatedBlock = event.blockNumber;
+          }
+          break;
+        }
+        case "CandidateAdded":
+          electionAt(event.address).candidates.push({
+            id: event.args.candidateId,
+            name: event.args.name,
+            addedBlock: event.blockNumber
+          });
+          break;
+        case "RankingUpdated": {
+          const election = electionAt(event.address);
+          const update = {
+            voterId: event.args.voterId,
+            ranking: event.args.ranking,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+          };
+          const previous = election.ballots.get(update.voterId);
+          election.ballots.set(update.voterId, { ...update, revisions: previous ? previous.revisions + 1 : 0 });
+          election.rankingUpdates.push(update);
+          break;
+        }
+        case "SelectionCompleted":
+          electionAt(event.address).selections.push({
+            selectedCandidates: event.args.selectedCandidates,
+            selectionBlock: event.args.selectionBlock,
+            commitment: null,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+          });
+          break;
+        case "SelectionCommitted": {
+          // Emitted right after SelectionCompleted in the same transaction
+          const { selections } = electionAt(event.address);
+          const selection = selections[selections.length - 1];
+          if (selection && selection.transactionHash === event.transactionHash) {
+            selection.commitment = event.args;
+          }
+          break;
+        }
+        case "VotingWindowSet":
+          Object.assign(electionAt(event.address), event.args);
+          break;
+      }
+    }
+
+    this.view = { elections, byId };
+    return this.view;
+  }
+
+  /**
+   * Find an election by contract address or ElectionManager ID
+   */
+  findElection(election) {
+    const { elections, byId } = this.state();
+    if (ethers.isAddress(election)) {
+      return elections.get(election.toLowerCase()) ?? null;
+    }
+    return /^\d+$/.test(String(election)) ? byId.get(Number(election)) ?? null : null;
+  }
+
+  summarize(election) {
+    const { candidates, ballots, rankingUpdates, selections, ...info } = election;
+    return {
+      ...info,
+      candidateCount: candidates.length,
+      voterCount: [...ballots.values()].filter(ballot => ballot.ranking.length > 0).length,
+      rankingUpdateCount: rankingUpdates.length,
+      selection: selections.length > 0 ? selections[selections.length - 1] : null
+    };
+  }
+
+  status() {
+    return {
+      chainId: this.store.chainId,
+      managerAddress: this.managerAddress,
+      indexedBlock: this.store.indexedBlock,
+      confirmations: this.confirmations,
+      elections: this.state().elections.size,
+      events: this.store.events.length
+    };
+  }
+
+  /**
+   * Elections in creation order, optionally only active ones
+   */
+  getElections({ active } = {}) {
+    return [...this.state().elections.values()]
+      .filter(election => active === undefined || election.active === active)
+      .sort((a, b) => (a.id ?? Infinity) - (b.id ?? Infinity))
+      .map(election => this.summarize(election));
+  }
+
+  getElection(election) {
+    const found = this.findElection(election);
+    return found && this.summarize(found);
+  }
+
+  getCandidates(election) {
+    const found = this.findElection(election);
+    return found && found.candidates;
+  }
+
+  /**
+   * Each voter's latest ranking, as of blockNumber (default: the indexed block)
+   */
+  getBallots(election, { blockNumber } = {}) {
+    const found = this.findElection(election);
+    if (!found) return null;
+    if (blockNumber === undefined) {
+      return [...found.ballots.values()];
+    }
+
+    const ballots = new Map();
+    for (const update of found.rankingUpdates) {
+      if (update.blockNumber > blockNumber) break;
+      const previous = ballots.get(update.voterId);
+      ballots.set(update.voterId, { ...update, revisions: previous ? previous.revisions + 1 : 0 });
+    }
+    return [...ballots.values()];
+  }
+
+  /**
+   * Every ranking a voter submitted, oldest first
+   */
+  getBallotHistory(election, voterId) {
+    const found = this.findElection(election);
+    return found && found.rankingUpdates.filter(update => update.voterId === String(voterId));
+  }
+
+  /**
+   * RankingUpdated events in a block range, oldest first
+   */
+  getRankingUpdates(election, { fromBlock = 0, toBlock = Infinity } = {}) {
+    const found = this.findElection(election);
+    return found && found.rankingUpdates.filter(update => update.blockNumber >= fromBlock && update.blockNumber <= toBlock);
+  }
+
+  getSelections(election) {
+    const found = this.findElection(election);
+    return found && found.selections;
+  }
+}
+
+module.exports = {
+  STORE_VERSION,
+  EventIndexer
+};
@@ -0,0 +1,133 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { PairwiseAggregator } = require("tally");
+
+/**
+ * Incremental Tally - pairwise matrix maintained from RankingUpdated events
+ *
+ * Instead of reading getAllVoters plus one getVote per voter, this keeps a
+ * checkpoint (ballots + pairwise matrix, tagged with a block number) and only
+ * applies the RankingUpdated events emitted since that block:
+ * 1. Load the checkpoint for the election (if any)
+ * 2. Read candidates at the target block
+ * 3. Apply RankingUpdated events after the checkpoint block, replacing each
+ *    voter's previous ranking
+ * 4. Save the new checkpoint and tally with the maintained matrix
+ *
+ * Usage:
+ * const incremental = new IncrementalTally(address, ethers.provider);
+ * const result = await incremental.calculate("tideman");
+ */
+
+const ELECTION_ABI = [
+  "function getCandidates() view returns (tuple(uint256 id, string name, string description, bool active)[])",
+  "function getBallots(uint256 offset, uint256 limit) view returns (uint256[] voterIds, tuple(uint256 candidateId, bool tiedWithPrevious)[][] rankings, uint256 total)",
+  "event RankingUpdated(address indexed user, uint256 indexed voterId, tuple(uint256 candidateId, bool tiedWithPrevious)[] newRanking)"
+];
+
+class IncrementalTally {
+  constructor(contractAddress, provider, options = {}) {
+    this.contractAddress = contractAddress;
+    this.provider = provider;
+    this.contract = new ethers.Contract(contractAddress, ELECTION_ABI, provider);
+    this.checkpointPath = options.checkpointPath ||
+      path.join(__dirname, "../checkpoints", `${contractAddress.toLowerCase()}.json`);
+    this.fromBlock = options.fromBlock || 0; // Election deployment block, if known
+    this.blockRange = options.blockRange || 10000; // Max blocks per log query
+  }
+
+  /**
+   * Load the saved checkpoint, or null if there is none
+   */
+  loadCheckpoint() {
+    if (!fs.existsSync(this.checkpointPath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.checkpointPath, "utf8"));
+  }
+
+  /**
+   * Save the aggregator state as a block-tagged checkpoint
+   */
+  saveCheckpoint(aggregator) {
+    fs.mkdirSync(path.dirname(this.checkpointPath), { recursive: true });
+    fs.writeFileSync(this.checkpointPath, JSON.stringify(aggregator.toCheckpoint(), null, 2));
+  }
+
+  /**
+   * Bring the pairwise matrix up to date with the target block (default: latest)
+   */
+  async sync(toBlock) {
+    const target = toBlock ?? await this.provider.getBlockNumber();
+    await this.assertVoterIdEvents(target);
+    const checkpoint = this.loadCheckpoint();
+
+    const candidates = (await this.contract.getCandidates({ blockTag: target })).map(candidate => ({
+      id: Number(candidate.id),
+      name: candidate.name,
+      description: candidate.description,
+      active: candidate.active
+    }));
+
+    const aggregator = checkpoint
+      ? PairwiseAggregator.fromCheckpoint(checkpoint)
+      : new PairwiseAggregator(candidates, { blockNumber: this.fromBlock - 1 });
+
+    if (aggregator.blockNumber > target) {
+      throw new Error(`Checkpoint is at block ${aggregator.blockNumber}, after requested block ${target}`);
+    }
+    if (aggregator.setCandidates(candidates)) {
+      console.log("🔄 Candidate list changed - rebuilt pairwise matrix from stored ballots");
+    }
+
+    console.log(`📦 Applying RankingUpdated events from block ${aggregator.blockNumber + 1} to ${target}...`);
+    let applied = 0;
+    for (let start = aggregator.blockNumber + 1; start <= target; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, target);
+      const events = await this.contract.queryFilter(this.contract.filters.RankingUpdated(), start, end);
+      for (const event of events) {
+        aggregator.applyRanking(event.args.voterId, event.args.newRanking, event.blockNumber);
+        applied++;
+      }
+    }
+    aggregator.advanceTo(target);
+
+    this.saveCheckpoint(aggregator);
+    console.log(`✅ Applied ${applied} ballot updates; ${aggregator.totalVoters} voters at block ${target}`);
+    return aggregator;
+  }
+
+  /**
+   * Contracts deployed before RankingUpdated carried voterId emit no matching
+   * events, so revised ballots would be missed. They also lack getBallots
+   * (added after the voterId), which is probed once.
+   */
+  async assertVoterIdEvents(blockTag) {
+    if (this.voterIdEvents === undefined) {
+      try {
+        await this.contract.getBallots(0, 0, { blockTag });
+        this.voterIdEvents = true;
+      } catch (error) {
+        if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+          throw error;
+        }
+        this.voterIdEvents = false;
+      }
+    }
+    if (!this.voterIdEvents) {
+      throw new Error("RankingUpdated of this election has no voter IDs - use VoteReader for this election");
+    }
+  }
+
+  /**
+   * Sync, then tally with the maintained pairwise matrix
+   */
+  async calculate(method = "tideman", options = {}) {
+    const aggregator = await this.sync(options.toBlock);
+    const result = aggregator.tally(method, options);
+    return { blockNumber: aggregator.blockNumber, totalVoters: aggregator.totalVoters, ...result };
+  }
+}
+
+module.exports = { IncrementalTally };
@@ -0,0 +1,118 @@
+const http = require("http");
+
+/**
+ * HTTP API over an EventIndexer (scripts/event-indexer.js)
+ *
+ * GET /status
+ * GET /elections?active=true|false
+ * GET /elections/:election                     (contract address or manager ID)
+ * GET /elections/:election/candidates
+ * GET /elections/:election/ballots?block=N     (latest rankings as of block N)
+ * GET /elections/:election/ballots/:voterId    (every ranking the voter submitted)
+ * GET /elections/:election/ranking-updates?fromBlock=N&toBlock=M
+ * GET /elections/:election/selections
+ *
+ * Every response carries the indexed block, so callers can tell how far
+ * behind the chain head the answer is.
+ */
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function blockParam(searchParams, name, indexedBlock) {
+  const value = searchParams.get(name);
+  if (value === null) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  if (Number(value) > indexedBlock) {
+    throw new HttpError(409, `Block ${value} is not indexed yet (indexed up to ${indexedBlock})`);
+  }
+  return Number(value);
+}
+
+function route(indexer, url) {
+  const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  const { searchParams } = url;
+  const indexedBlock = indexer.indexedBlock;
+
+  if (parts.length === 1 && parts[0] === "status") {
+    return indexer.status();
+  }
+  if (parts[0] !== "elections" || parts.length > 4) {
+    throw new HttpError(404, `Unknown path ${url.pathname}`);
+  }
+
+  if (parts.length === 1) {
+    const active = searchParams.get("active");
+    if (active !== null && active !== "true" && active !== "false") {
+      throw new HttpError(400, "active must be true or false");
+    }
+    return { elections: indexer.getElections(active === null ? {} : { active: active === "true" }) };
+  }
+
+  const [, election, resource, voterId] = parts;
+  if (!indexer.findElection(election)) {
+    throw new HttpError(404, `Election ${election} is not indexed`);
+  }
+
+  if (voterId !== undefined) {
+    if (resource !== "ballots") {
+      throw new HttpError(404, `Unknown path ${url.pathname}`);
+    }
+    return { voterId, rankings: indexer.getBallotHistory(election, voterId) };
+  }
+
+  switch (resource ?? "election") {
+    case "election":
+      return { election: indexer.getElection(election) };
+    case "candidates":
+      return { candidates: indexer.getCandidates(election) };
+    case "ballots": {
+      const blockNumber = blockParam(searchParams, "block", indexedBlock);
+      return { blockNumber: blockNumber ?? indexedBlock, ballots: indexer.getBallots(election, { blockNumber }) };
+    }
+    case "ranking-updates":
+      return {
+        rankingUpdates: indexer.getRankingUpdates(election, {
+          fromBlock: blockParam(searchParams, "fromBlock", indexedBlock),
+          toBlock: blockParam(searchParams, "toBlock", indexedBlock)
+        })
+      };
+    case "selections":
+      return { selections: indexer.getSelections(election) };
+  }
+  throw new HttpError(404, `Unknown path ${url.pathname}`);
+}
+
+/**
+ * Create (but do not start) an HTTP server answering from the indexer
+ */
+function createIndexerServer(indexer) {
+  return http.createServer((request, response) => {
+    let status = 200;
+    let body;
+    try {
+      if (request.method !== "GET") {
+        throw new HttpError(405, "Only GET is supported");
+      }
+      body = { indexedBlock: indexer.indexedBlock, ...route(indexer, new URL(request.url, "http://localhost")) };
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error.message };
+    }
+
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*", // The app reads it from the browser
+      "Cache-Control": "no-store"
+    });
+    response.end(JSON.stringify(body));
+  });
+}
+
+module.exports = { createIndexerServer };
@@ -0,0 +1,163 @@
+const { ethers } = require("ethers");
+
+/**
+ * Multicall3 batching for contract reads
+ *
+ * Reading every ballot with one getVote call per voter takes minutes for
+ * large elections and trips RPC rate limits. readBatched packs calls into
+ * Multicall3 aggregate3 calls of chunkSize, runs up to `concurrency` chunks
+ * at once and retries failed chunks. Networks without a Multicall3 contract
+ * (at the block read) fall back to individual calls under the same
+ * concurrency limit, as does a chunk whose aggregate3 keeps failing.
+ */
+
+// Same address on every chain Multicall3 is deployed to, World Chain included
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+
+const DEFAULT_BATCH_OPTIONS = {
+  chunkSize: 250,
+  concurrency: 4,
+  retries: 2,
+  retryDelayMs: 500
+};
+
+/**
+ * Whether a Multicall3 contract is deployed at the address (at blockTag, default latest)
+ */
+async function hasMulticall(provider, multicallAddress = MULTICALL3_ADDRESS, blockTag) {
+  return (await provider.getCode(multicallAddress, blockTag)) !== "0x";
+}
+
+/**
+ * Map items with at most `limit` promises in flight, keeping input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function withRetry(fn, retries, retryDelayMs) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+// A call's return value as contract.method() would give it
+function decodeResult(contract, method, data) {
+  const decoded = contract.interface.decodeFunctionResult(method, data);
+  return decoded.length === 1 ? decoded[0] : decoded;
+}
+
+/**
+ * Read many view calls, batched through Multicall3 when it is available
+ *
+ * @param provider - ethers provider
+ * @param calls - Array of { contract, method, args } (contract is an ethers Contract)
+ * @param options - chunkSize, concurrency, retries, retryDelayMs, blockTag,
+ *   multicallAddress and onProgress(done, total)
+ * @returns Array of { success, value } or { success: false, error } in call order
+ */
+async function readBatched(provider, calls, options = {}) {
+  const {
+    chunkSize, concurrency, retries, retryDelayMs, blockTag, onProgress,
+    multicallAddress = MULTICALL3_ADDRESS
+  } = { ...DEFAULT_BATCH_OPTIONS, ...options };
+  const overrides = blockTag === undefined ? {} : { blockTag };
+  let done = 0;
+  const report = count => {
+    done += count;
+    if (onProgress) onProgress(done, calls.length);
+  };
+
+  if (calls.length === 0) {
+    return [];
+  }
+
+  const readIndividually = list => mapWithConcurrency(list, concurrency, async ({ contract, method, args = [] }) => {
+    try {
+      const value = await withRetry(() => contract[method](...args, overrides), retries, retryDelayMs);
+      return { success: true, value };
+    } catch (error) {
+      return { success: false, error };
+    } finally {
+      report(1);
+    }
+  });
+
+  if (!(await hasMulticall(provider, multicallAddress, blockTag))) {
+    return readIndividually(calls);
+  }
+
+  const multicall = new ethers.Contract(multicallAddress, MULTICALL3_ABI, provider);
+  const chunks = [];
+  for (let start = 0; start < calls.length; start += chunkSize) {
+    chunks.push(calls.slice(start, start + chunkSize));
+  }
+
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, async chunk => {
+    const encoded = chunk.map(({ contract, method, args = [] }) => ({
+      target: contract.target,
+      allowFailure: true,
+      callData: contract.interface.encodeFunctionData(method, args)
+    }));
+    let results;
+    try {
+      results = await withRetry(() => multicall.aggregate3.staticCall(encoded, overrides), retries, retryDelayMs);
+    } catch (error) {
+      console.warn(`⚠️  aggregate3 failed for ${chunk.length} calls - reading them individually:`, error.message);
+      return readIndividually(chunk);
+    }
+    report(chunk.length);
+
+    return results.map(({ success, returnData }, index) => {
+      if (!success) {
+        return { success: false, error: new Error(`${chunk[index].method} reverted`) };
+      }
+      try {
+        return { success: true, value: decodeResult(chunk[index].contract, chunk[index].method, returnData) };
+      } catch (error) {
+        return { success: false, error };
+      }
+    });
+  });
+
+  return chunkResults.flat();
+}
+
+/**
+ * Put Multicall3 at its canonical address on a Hardhat network, so local
+ * reads batch the same way they do on World Chain
+ */
+async function installLocalMulticall(provider) {
+  const { artifacts } = require("hardhat");
+  const { deployedBytecode } = await artifacts.readArtifact("Multicall3");
+  await provider.send("hardhat_setCode", [MULTICALL3_ADDRESS, deployedBytecode]);
+  return MULTICALL3_ADDRESS;
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  DEFAULT_BATCH_OPTIONS,
+  hasMulticall,
+  readBatched,
+  installLocalMulticall
+};
@@ -0,0 +1,147 @@
+/**
+ * Preference Models for Randomized Elections
+ *
+ * Seeded generators of ranked ballots, used by the randomized mode of
+ * compare-tideman-methods.js. Each model produces full rankings (candidate
+ * IDs, most preferred first); generateElection then truncates some ballots
+ * and marks some neighbours as tied so tie handling is exercised too.
+ *
+ * Models:
+ * - impartial-culture: every ranking equally likely (many cycles)
+ * - mallows: rankings near a reference order, dispersion phi in (0, 1]
+ * - urn: Pólya urn - drawn rankings are returned with extra weight, so
+ *   popular rankings snowball (correlated electorates)
+ * - single-peaked: voters on a left-right axis, ranking outwards from their peak
+ * - spatial: voters and candidates as points in 2D, ranked by distance
+ */
+
+/**
+ * Deterministic PRNG (mulberry32) seeded from any string
+ */
+function createRandom(seed) {
+  let h = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    h = Math.imul(h ^ char.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let state = h >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function shuffle(random, items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Mallows sample via repeated insertion around a reference ranking
+ */
+function mallowsRanking(random, reference, phi) {
+  const ranking = [];
+  reference.forEach((candidateId, index) => {
+    // Insert at position j (0..index) with weight phi^(index - j)
+    const weights = Array.from({ length: index + 1 }, (_, j) => Math.pow(phi, index - j));
+    let pick = random() * weights.reduce((a, b) => a + b, 0);
+    let position = 0;
+    while (pick > weights[position] && position < index) {
+      pick -= weights[position];
+      position++;
+    }
+    ranking.splice(position, 0, candidateId);
+  });
+  return ranking;
+}
+
+const PREFERENCE_MODELS = {
+  "impartial-culture": (random, ids, voters) =>
+    Array.from({ length: voters }, () => shuffle(random, ids)),
+
+  "mallows": (random, ids, voters) => {
+    const reference = shuffle(random, ids);
+    const phi = 0.3 + random() * 0.7;
+    return Array.from({ length: voters }, () => mallowsRanking(random, reference, phi));
+  },
+
+  "urn": (random, ids, voters) => {
+    // Each drawn ranking goes back into the urn with `alpha` extra weight
+    const alpha = 0.05 + random() * 0.45;
+    const drawn = [];
+    return Array.from({ length: voters }, () => {
+      const fresh = random() < 1 / (1 + alpha * drawn.length);
+      const ranking = fresh ? shuffle(random, ids) : drawn[Math.floor(random() * drawn.length)];
+      drawn.push(ranking);
+      return [...ranking];
+    });
+  },
+
+  "single-peaked": (random, ids, voters) => {
+    const axis = shuffle(random, ids);
+    return Array.from({ length: voters }, () => {
+      let left = randomInt(random, 0, axis.length - 1);
+      let right = left + 1;
+      const ranking = [axis[left--]];
+      while (left >= 0 || right < axis.length) {
+        const goLeft = right >= axis.length || (left >= 0 && random() < 0.5);
+        ranking.push(goLeft ? axis[left--] : axis[right++]);
+      }
+      return ranking;
+    });
+  },
+
+  "spatial": (random, ids, voters) => {
+    const positions = new Map(ids.map(id => [id, [random(), random()]]));
+    return Array.from({ length: voters }, () => {
+      const [x, y] = [random(), random()];
+      const distance = id => Math.hypot(positions.get(id)[0] - x, positions.get(id)[1] - y);
+      return [...ids].sort((a, b) => distance(a) - distance(b));
+    });
+  }
+};
+
+/**
+ * Generate one election as a plain ballot set
+ *
+ * options: { model, candidates, voters, truncation, ties } - truncation and
+ * ties are the probabilities of cutting a ballot short and of tying an entry
+ * with the previous one.
+ */
+function generateElection(random, { model = "impartial-culture", candidates = 4, voters = 10, truncation = 0.1, ties = 0.1 } = {}) {
+  const generate = PREFERENCE_MODELS[model];
+  if (!generate) {
+    throw new Error(`Unknown preference model "${model}". Use: ${Object.keys(PREFERENCE_MODELS).join(", ")}`);
+  }
+
+  const ids = Array.from({ length: candidates }, (_, index) => index + 1);
+  const rankings = generate(random, ids, voters);
+
+  return {
+    candidates: ids.map(id => ({ id, name: `Candidate ${id}`, description: "" })),
+    votes: rankings.map((ranking, index) => {
+      const length = random() < truncation ? randomInt(random, 1, ranking.length) : ranking.length;
+      return {
+        voterId: String(index + 1),
+        ranking: ranking.slice(0, length).map((candidateId, position) => ({
+          candidateId,
+          tiedWithPrevious: position > 0 && random() < ties
+        }))
+      };
+    })
+  };
+}
+
+module.exports = { PREFERENCE_MODELS, createRandom, randomInt, shuffle, generateElection };
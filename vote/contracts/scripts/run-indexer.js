@@ -0,0 +1,67 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { EventIndexer } = require("./event-indexer");
+const { createIndexerServer } = require("./indexer-api");
+
+/**
+ * Run the event indexer and its HTTP API until interrupted
+ *
+ * Usage: npx hardhat run scripts/run-indexer.js --network localhost
+ *
+ * Environment:
+ * ELECTION_MANAGER_ADDRESS  - defaults to the Ignition deployment for the chain
+ * INDEXER_ELECTIONS         - extra Election addresses, comma separated
+ * INDEXER_FROM_BLOCK        - first block to index (manager deployment block)
+ * INDEXER_CONFIRMATIONS     - blocks behind the head to stay (default 6, 0 on local nodes)
+ * INDEXER_STORE             - JSON store path (default indexes/chain-<id>.json)
+ * INDEXER_PORT              - HTTP port (default 4350)
+ * INDEXER_POLL_MS           - delay between syncs (default 5000)
+ */
+function managerAddress(chainId) {
+  if (process.env.ELECTION_MANAGER_ADDRESS) {
+    return process.env.ELECTION_MANAGER_ADDRESS;
+  }
+  const deploymentPath = path.join(__dirname, "..", "ignition", "deployments", `chain-${chainId}`, "deployed_addresses.json");
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No ElectionManager deployment for chain ${chainId} - set ELECTION_MANAGER_ADDRESS`);
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8"))["ElectionDeployment#ElectionManager"];
+}
+
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  const local = network.name === "hardhat" || network.name === "localhost";
+
+  const indexer = new EventIndexer(ethers.provider, {
+    managerAddress: managerAddress(chainId),
+    elections: process.env.INDEXER_ELECTIONS ? process.env.INDEXER_ELECTIONS.split(",") : [],
+    fromBlock: Number(process.env.INDEXER_FROM_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS ?? (local ? 0 : 6)),
+    storePath: process.env.INDEXER_STORE || path.join(__dirname, "..", "indexes", `chain-${chainId}.json`)
+  });
+  const port = Number(process.env.INDEXER_PORT || 4350);
+
+  console.log(`🗂️  Indexing ElectionManager ${indexer.managerAddress} on ${network.name} from block ${indexer.indexedBlock + 1}`);
+  const server = createIndexerServer(indexer);
+  await new Promise(resolve => server.listen(port, resolve));
+  console.log(`🌐 Indexer API listening on http://localhost:${port}`);
+
+  await indexer.follow({
+    pollIntervalMs: Number(process.env.INDEXER_POLL_MS || 5000),
+    onSync: ({ indexedBlock, head, added }) => {
+      if (added > 0) console.log(`📦 Indexed ${added} events up to block ${indexedBlock} (head ${head})`);
+    }
+  });
+
+  process.on("SIGINT", () => {
+    console.log("👋 Stopping indexer");
+    indexer.stop();
+    server.close(() => process.exit(0));
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
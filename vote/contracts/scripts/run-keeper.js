@@ -0,0 +1,82 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { SelectionKeeper } = require("./selection-keeper");
+
+/**
+ * Run the selection keeper until interrupted: tally and report every active
+ * election once its voting closes
+ *
+ * Usage: npx hardhat run scripts/run-keeper.js --network worldchain-sepolia
+ *
+ * The network's first account is the reporter key and needs REPORTER_ROLE on
+ * each election (granted to the election creator by default).
+ *
+ * Environment:
+ * ELECTION_MANAGER_ADDRESS  - defaults to the Ignition deployment for the chain
+ * KEEPER_DRY_RUN            - "true" to tally and simulate reportSelection without sending it
+ * KEEPER_ONCE               - "true" to check once and exit instead of polling
+ * KEEPER_METHOD             - tally method (default tideman)
+ * KEEPER_SEATS              - seats to fill (default 1)
+ * KEEPER_TIE_BREAK          - candidate-order (default) or blockhash
+ * KEEPER_PROGRESS           - progress file (default keeper/chain-<id>.json)
+ * KEEPER_AUDIT_DIR          - audit bundle directory (default audits/)
+ * KEEPER_MAX_ATTEMPTS       - tries per election before giving up (default 3)
+ * KEEPER_POLL_MS            - delay between checks (default 60000)
+ */
+function managerAddress(chainId) {
+  if (process.env.ELECTION_MANAGER_ADDRESS) {
+    return process.env.ELECTION_MANAGER_ADDRESS;
+  }
+  const deploymentPath = path.join(__dirname, "..", "ignition", "deployments", `chain-${chainId}`, "deployed_addresses.json");
+  if (!fs.existsSync(deploymentPath)) {
+    throw new Error(`No ElectionManager deployment for chain ${chainId} - set ELECTION_MANAGER_ADDRESS`);
+  }
+  return JSON.parse(fs.readFileSync(deploymentPath, "utf8"))["ElectionDeployment#ElectionManager"];
+}
+
+function summarize(outcomes) {
+  return Object.entries(outcomes).map(([outcome, count]) => `${count} ${outcome}`).join(", ") || "no active elections";
+}
+
+async function main() {
+  const { chainId } = await ethers.provider.getNetwork();
+  const [reporter] = await ethers.getSigners();
+  const dryRun = process.env.KEEPER_DRY_RUN === "true";
+
+  const keeper = new SelectionKeeper(ethers.provider, reporter, {
+    managerAddress: managerAddress(chainId),
+    progressPath: process.env.KEEPER_PROGRESS || path.join(__dirname, "..", "keeper", `chain-${chainId}.json`),
+    dryRun,
+    method: process.env.KEEPER_METHOD,
+    seats: process.env.KEEPER_SEATS ? Number(process.env.KEEPER_SEATS) : undefined,
+    tieBreak: process.env.KEEPER_TIE_BREAK,
+    auditDir: process.env.KEEPER_AUDIT_DIR,
+    maxAttempts: process.env.KEEPER_MAX_ATTEMPTS ? Number(process.env.KEEPER_MAX_ATTEMPTS) : undefined
+  });
+
+  console.log(`🤖 Keeper watching ElectionManager ${keeper.managerAddress} on ${network.name} as ${reporter.address}${dryRun ? " (dry run)" : ""}`);
+
+  if (process.env.KEEPER_ONCE === "true") {
+    console.log(`✅ Checked: ${summarize(await keeper.check())}`);
+    return;
+  }
+
+  await keeper.follow({
+    pollIntervalMs: Number(process.env.KEEPER_POLL_MS || 60000),
+    onCheck: outcomes => {
+      if (outcomes.reported || outcomes["dry-run"] || outcomes.failed) console.log(`📋 Checked: ${summarize(outcomes)}`);
+    }
+  });
+
+  process.on("SIGINT", () => {
+    console.log("👋 Stopping keeper");
+    keeper.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
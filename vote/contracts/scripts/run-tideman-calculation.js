@@ -12,8 +12,14 @@ const path = require("path");
  *
  * Usage:
  * npx hardhat run scripts/run-tideman-calculation.js --network worldchain-sepolia
+ *
+ * Condorcet diagnostics (Condorcet winner/loser, Smith and Schwartz sets,
+ * majority cycles) are added with CONDORCET_ANALYSIS=true, or --condorcet
+ * when run with node.
  */
 
+const condorcetMode = process.argv.includes("--condorcet") || process.env.CONDORCET_ANALYSIS === "true";
+
 async function getContractAddress() {
   try {
     // Try to read from deployment info
@@ -41,6 +47,34 @@ async function getContractAddress() {
   }
 }
 
+/**
+ * Print the Condorcet winner/loser, Smith and Schwartz sets and majority cycles
+ */
+function printCondorcetDiagnostics(diagnostics, candidates) {
+  const name = id => candidates.find(c => c.id === id)?.name || `#${id}`;
+  const names = ids => ids.map(name).join(", ");
+
+  console.log("\n🧭 Condorcet Diagnostics:");
+  console.log(`   Condorcet winner: ${diagnostics.condorcetWinner !== null ? name(diagnostics.condorcetWinner) : "none"}`);
+  console.log(`   Condorcet loser: ${diagnostics.condorcetLoser !== null ? name(diagnostics.condorcetLoser) : "none"}`);
+  console.log(`   Smith set: ${names(diagnostics.smithSet)}`);
+  console.log(`   Schwartz set: ${names(diagnostics.schwartzSet)}`);
+
+  if (diagnostics.cycles.length === 0) {
+    console.log("   Majority cycles: none");
+  } else {
+    console.log(`   Majority cycles (${diagnostics.cycles.length}${diagnostics.cyclesTruncated ? "+, truncated" : ""}):`);
+    diagnostics.cycles.forEach((cycle, index) => {
+      const chain = cycle.defeats.map(d => `${name(d.winner)} >(${d.margin}) `).join("") + name(cycle.members[0]);
+      console.log(`     ${index + 1}. ${chain}`);
+    });
+  }
+
+  if (diagnostics.condorcetWinner === null) {
+    console.log("   ⚠️ No Condorcet winner - Ranked Pairs broke the weakest defeats in the cycles above");
+  }
+}
+
 async function main() {
   console.log("🗳️ Running Established Tideman Calculation (Graph-based)");
   console.log("========================================================");
@@ -127,6 +161,12 @@ async function main() {
       console.log(`   ${index + 1}. ${winnerName} beats ${loserName} (margin: ${pair.margin}) ${locked}`);
     });
 
+    let condorcet;
+    if (condorcetMode) {
+      condorcet = tidemanCalculator.analyzeCondorcet();
+      printCondorcetDiagnostics(condorcet, candidates);
+    }
+
     // Save results to file
     const resultsPath = path.join(__dirname, "../tideman-results.json");
     const resultsData = {
@@ -139,7 +179,8 @@ async function main() {
         pairwiseTallies: result.pairwiseTallies,
         rankedPairs: result.rankedPairs,
         lockedPairs: result.lockedPairs
-      }
+      },
+      condorcet
     };
     
     fs.writeFileSync(resultsPath, JSON.stringify(resultsData, null, 2));
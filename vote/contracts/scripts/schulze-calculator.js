@@ -0,0 +1,82 @@
+const { tally } = require("tally");
+
+/**
+ * Schulze Method (Beatpath) Calculator
+ *
+ * Counterpart to TidemanCalculator for comparing the two Condorcet methods on
+ * the same election:
+ * 1. Read votes from contract
+ * 2. Create pairwise tallies (tied candidates are not compared)
+ * 3. Compute strongest paths between every pair of candidates
+ * 4. Determine the Schulze ordering
+ *
+ * Stages 2-4 run in the shared tally engine (vote/tally).
+ */
+
+class SchulzeCalculator {
+  constructor(contractReader) {
+    this.contractReader = contractReader;
+    this.candidates = [];
+    this.votes = [];
+    this.result = null;
+  }
+
+  /**
+   * Stage 1: Read all votes from the contract
+   */
+  async readVotes() {
+    console.log("📊 Stage 1: Reading votes from contract...");
+
+    const data = await this.contractReader.getAllVotes();
+    this.candidates = data.candidates;
+    this.votes = data.votes;
+
+    console.log(`Found ${this.votes.length} votes for ${this.candidates.length} candidates`);
+    return {
+      candidates: this.candidates,
+      votes: this.votes,
+      totalVoters: data.totalVoters
+    };
+  }
+
+  /**
+   * Stages 2-4: Tally the votes read in stage 1
+   */
+  tallyVotes() {
+    console.log("🧮 Stages 2-4: Tallying pairwise comparisons and strongest paths...");
+
+    this.result = tally({ candidates: this.candidates, votes: this.votes }, "schulze");
+    const { strongestPaths, ordering } = this.result.details;
+    const nameOf = id => this.result.finalRanking.find(r => r.candidateId === id).candidate.name;
+
+    for (const a of Object.keys(strongestPaths)) {
+      const row = Object.keys(strongestPaths[a])
+        .filter(b => b !== a)
+        .map(b => `${b}:${strongestPaths[a][b]}`);
+      console.log(`  Paths from ${a}: ${row.join(" ")}`);
+    }
+
+    console.log("Schulze ordering:", ordering.map(level => level.map(nameOf).join(" = ")).join(" > "));
+    return this.result;
+  }
+
+  /**
+   * Run complete Schulze algorithm
+   */
+  async calculate() {
+    const stage1 = await this.readVotes();
+    const result = this.tallyVotes();
+
+    return {
+      votes: stage1,
+      pairwiseTallies: result.details.pairwiseTallies,
+      strongestPaths: result.details.strongestPaths,
+      ordering: result.details.ordering,
+      finalRanking: result.finalRanking,
+      winner: result.winner,
+      tally: result
+    };
+  }
+}
+
+module.exports = { SchulzeCalculator };
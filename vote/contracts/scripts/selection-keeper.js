@@ -0,0 +1,260 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+const path = require("path");
+const { SelectionProcessor } = require("./selection-processor");
+
+/**
+ * Selection Keeper - reports selections for elections as their voting closes
+ *
+ * Each check walks ElectionManager.getActiveElections and, for every election
+ * whose phase is closed with at least one ballot:
+ * 1. Tallies at a pinned block with SelectionProcessor.processSelection
+ * 2. Submits reportSelection with the reporter key
+ * 3. Writes the audit bundle at the reported selectionBlock
+ *
+ * Progress is kept in a JSON file so restarts never report twice: the
+ * transaction hash is saved as soon as reportSelection is sent, and an
+ * election already tallied on chain is recorded instead of re-reported.
+ * Failed elections are retried on later checks up to maxAttempts.
+ *
+ * In dry-run mode the tally runs and reportSelection is only simulated;
+ * nothing is sent and the progress file is left untouched.
+ *
+ * Usage:
+ * const keeper = new SelectionKeeper(provider, reporter, { managerAddress, progressPath });
+ * await keeper.check();
+ */
+
+const PROGRESS_VERSION = 1;
+
+const MANAGER_ABI = [
+  "function getActiveElections() view returns (tuple(uint256 id, string title, string description, string worldIdAction, address creator, address electionAddress, uint256 createdAt, bool active)[])"
+];
+
+function emptyProgress(managerAddress) {
+  return {
+    version: PROGRESS_VERSION,
+    chainId: null,
+    managerAddress,
+    elections: {}
+  };
+}
+
+class SelectionKeeper {
+  /**
+   * @param provider - ethers provider for the network to watch
+   * @param signer - reporter key (REPORTER_ROLE on the elections); optional in dry-run mode
+   * @param options - managerAddress, progressPath (omit to keep progress in
+   *   memory), dryRun, method, seats and tieBreak (see SelectionProcessor),
+   *   auditDir, maxAttempts (default 3)
+   */
+  constructor(provider, signer, options = {}) {
+    if (!signer && !options.dryRun) {
+      throw new Error("A reporter signer is required unless running in dry-run mode");
+    }
+    this.provider = provider;
+    this.signer = signer;
+    this.managerAddress = ethers.getAddress(options.managerAddress);
+    this.progressPath = options.progressPath;
+    this.dryRun = Boolean(options.dryRun);
+    this.processorOptions = {
+      method: options.method,
+      seats: options.seats,
+      tieBreak: options.tieBreak,
+      auditDir: options.auditDir
+    };
+    this.maxAttempts = options.maxAttempts || 3;
+    this.manager = new ethers.Contract(this.managerAddress, MANAGER_ABI, provider);
+
+    this.progress = this.loadProgress();
+  }
+
+  loadProgress() {
+    const fresh = emptyProgress(this.managerAddress);
+    if (!this.progressPath || !fs.existsSync(this.progressPath)) {
+      return fresh;
+    }
+
+    const progress = JSON.parse(fs.readFileSync(this.progressPath, "utf8"));
+    if (progress.version !== PROGRESS_VERSION || progress.managerAddress !== this.managerAddress) {
+      throw new Error(`Progress at ${this.progressPath} is for another manager or version - move it aside to start over`);
+    }
+    return progress;
+  }
+
+  saveProgress() {
+    if (!this.progressPath || this.dryRun) return;
+    fs.mkdirSync(path.dirname(this.progressPath), { recursive: true });
+    const temporary = `${this.progressPath}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.progress, null, 2));
+    fs.renameSync(temporary, this.progressPath);
+  }
+
+  /**
+   * Merge an update into an election's progress entry and save it
+   */
+  record(address, update) {
+    this.progress.elections[address] = {
+      ...this.progress.elections[address],
+      ...update,
+      updatedAt: new Date().toISOString()
+    };
+    this.saveProgress();
+  }
+
+  processorFor(address) {
+    return new SelectionProcessor(address, this.provider, this.signer, this.processorOptions);
+  }
+
+  /**
+   * Check every active election once
+   * @returns how many elections ended in each outcome (reported, waiting, failed, ...)
+   */
+  async check() {
+    const { chainId } = await this.provider.getNetwork();
+    if (this.progress.chainId !== null && this.progress.chainId !== Number(chainId)) {
+      throw new Error(`Progress is for chain ${this.progress.chainId}, provider is on chain ${chainId}`);
+    }
+    this.progress.chainId = Number(chainId);
+
+    const outcomes = {};
+    for (const election of await this.manager.getActiveElections()) {
+      const outcome = await this.checkElection(election);
+      outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    }
+    return outcomes;
+  }
+
+  /**
+   * Report one election if its voting has closed
+   * @returns the outcome: done, reported, dry-run, waiting, empty, pending, failed or gave-up
+   */
+  async checkElection(election) {
+    const address = ethers.getAddress(election.electionAddress);
+    const id = Number(election.id);
+    const entry = this.progress.elections[address];
+
+    if (entry?.status === "reported" || entry?.status === "dry-run") {
+      return "done";
+    }
+    if (entry?.status === "failed" && entry.attempts >= this.maxAttempts) {
+      return "gave-up";
+    }
+
+    const processor = this.processorFor(address);
+    try {
+      if (entry?.status === "submitted") {
+        const receipt = await this.provider.getTransactionReceipt(entry.transactionHash);
+        if (!receipt) {
+          return "pending";
+        }
+        if (receipt.status === 1) {
+          return this.finish(address, processor, entry.transactionHash);
+        }
+        console.warn(`⚠️  reportSelection ${entry.transactionHash} for election ${id} reverted - retrying`);
+      }
+
+      const status = await processor.getElectionStatus();
+      if (status.phase === "tallied") {
+        // Reported by someone else with the reporter role
+        console.log(`ℹ️  Election ${id} (${address}) already has a selection at block ${status.selectionBlock}`);
+        this.record(address, { id, status: "reported", selectionBlock: status.selectionBlock, selectedCandidates: status.selectedCandidates, external: true });
+        return "done";
+      }
+      if (status.phase !== "closed") {
+        return "waiting";
+      }
+      if (status.totalVoters === 0) {
+        return "empty";
+      }
+
+      return await this.report(address, id, processor, status);
+    } catch (error) {
+      // A sent transaction stays pending until its receipt says otherwise
+      if (this.progress.elections[address]?.status === "submitted") {
+        this.record(address, { lastError: error.message });
+        return "pending";
+      }
+      const attempts = (entry?.attempts || 0) + 1;
+      console.error(`❌ Election ${id} (${address}) failed (attempt ${attempts} of ${this.maxAttempts}):`, error.message);
+      this.record(address, { id, status: "failed", attempts, lastError: error.message });
+      return "failed";
+    }
+  }
+
+  async report(address, id, processor, status) {
+    console.log(`🗳️  Voting closed for election ${id} (${address}) with ${status.totalVoters} ballots - tallying`);
+    const selection = await processor.processSelection();
+
+    if (this.dryRun) {
+      if (processor.contractWithSigner) {
+        await processor.contractWithSigner.reportSelection.staticCall(selection.selectedCandidates, selection.commitment);
+      }
+      console.log(`🧪 Dry run: would report ${selection.selectedCandidates.join(", ")} for election ${id} (tallied at block ${selection.selectionBlock})`);
+      this.record(address, { id, status: "dry-run", tallyBlock: selection.selectionBlock, selectedCandidates: selection.selectedCandidates });
+      return "dry-run";
+    }
+
+    const receipt = await processor.completeSelection(selection, {
+      onSubmitted: tx => this.record(address, {
+        id,
+        status: "submitted",
+        transactionHash: tx.hash,
+        tallyBlock: selection.selectionBlock,
+        selectedCandidates: selection.selectedCandidates
+      })
+    });
+    return this.finish(address, processor, receipt.hash, selection);
+  }
+
+  /**
+   * Record a mined report with its audit bundle. After a restart the tally
+   * options are rebuilt from the keeper configuration.
+   */
+  async finish(address, processor, transactionHash, selection) {
+    const finalStatus = await processor.getElectionStatus();
+    const tallyOptions = selection
+      ? selection.tallyOptions
+      : { seats: processor.seats, tieBreak: await processor.getTieBreak() };
+    const { auditPath } = await processor.writeAuditBundle({ tallyOptions }, finalStatus);
+
+    this.record(address, {
+      status: "reported",
+      transactionHash,
+      selectionBlock: finalStatus.selectionBlock,
+      selectedCandidates: finalStatus.selectedCandidates,
+      auditPath
+    });
+    return "reported";
+  }
+
+  /**
+   * Keep checking every pollIntervalMs until stop() is called
+   */
+  follow({ pollIntervalMs = 60000, onCheck } = {}) {
+    this.following = true;
+    const loop = async () => {
+      if (!this.following) return;
+      try {
+        const outcomes = await this.check();
+        if (onCheck) onCheck(outcomes);
+      } catch (error) {
+        console.error("❌ Keeper check failed:", error.message);
+      }
+      if (this.following) {
+        this.timer = setTimeout(loop, pollIntervalMs);
+      }
+    };
+    return loop();
+  }
+
+  stop() {
+    this.following = false;
+    clearTimeout(this.timer);
+  }
+}
+
+module.exports = {
+  PROGRESS_VERSION,
+  SelectionKeeper
+};
@@ -1,6 +1,8 @@
 const { ethers } = require("hardhat");
 const { VoteReader } = require("./vote-reader");
-const { TidemanCalculator } = require("./tideman-calculator");
+const { tally } = require("tally");
+const { buildAuditBundle, saveAuditBundle, tallyCommitment, readSelection } = require("./audit-bundle");
+const { blockhashTieBreak } = require("./tie-break-seed");
 
 /**
  * Selection Processor - Integrates with Election Contract Selection State
@@ -8,10 +10,18 @@ const { TidemanCalculator } = require("./tideman-calculator");
  * This processor handles the complete selection cycle:
  * 1. Determine the block to use for data retrieval (last complete block)
  * 2. Read votes from that specific block state
- * 3. Run Tideman calculation
- * 4. Record results on the contract
+ * 3. Run the tally (Tideman by default) in the shared tally engine, breaking
+ *    equal Ranked Pairs margins by candidate order or by a permutation seeded
+ *    with the blockhash of the block in which voting closed
+ *    (options.tieBreak = "blockhash", see tie-break-seed.js)
+ * 4. Record results on the contract with reportSelection, committing the
+ *    tally method, tie-break seed and hashes of the ballot set and full ranking
+ * 5. Write an audit bundle (ballots, tally options and full results at the
+ *    reported selectionBlock) that verify-election.js can check independently
  * 
  * The block selection ensures deterministic results across all nodes.
+ * Readiness follows the election phase: voting must be closed, either by the
+ * scheduled closesAt or, for elections without one, by pauseVoting.
  */
 
 // Enhanced Election contract ABI with selection functions
@@ -38,17 +48,20 @@ const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
-  // New selection functions
+  // Selection functions
   {
     "inputs": [],
-    "name": "closeVoting",
+    "name": "pauseVoting",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
   },
   {
-    "inputs": [{"internalType": "uint256[]", "name": "_selectedCandidates", "type": "uint256[]"}],
-    "name": "completeSelection",
+    "inputs": [
+      {"internalType": "uint256[]", "name": "_selectedCandidates", "type": "uint256[]"},
+      {"components": [{"internalType": "bytes32", "name": "methodId", "type": "bytes32"}, {"internalType": "bytes32", "name": "tieBreakSeed", "type": "bytes32"}, {"internalType": "bytes32", "name": "ballotSetHash", "type": "bytes32"}, {"internalType": "bytes32", "name": "rankingHash", "type": "bytes32"}], "internalType": "struct Election.TallyCommitment", "name": "_commitment", "type": "tuple"}
+    ],
+    "name": "reportSelection",
     "outputs": [],
     "stateMutability": "nonpayable",
     "type": "function"
@@ -57,10 +70,9 @@ const ELECTION_ABI = [
     "inputs": [],
     "name": "getSelectionResults",
     "outputs": [
-      {"internalType": "bool", "name": "_selectionCompleted", "type": "bool"},
       {"internalType": "uint256[]", "name": "_selectedCandidates", "type": "uint256[]"},
       {"internalType": "uint256", "name": "_selectionBlock", "type": "uint256"},
-      {"internalType": "uint256", "name": "_selectionTimestamp", "type": "uint256"}
+      {"components": [{"internalType": "bytes32", "name": "methodId", "type": "bytes32"}, {"internalType": "bytes32", "name": "tieBreakSeed", "type": "bytes32"}, {"internalType": "bytes32", "name": "ballotSetHash", "type": "bytes32"}, {"internalType": "bytes32", "name": "rankingHash", "type": "bytes32"}], "internalType": "struct Election.TallyCommitment", "name": "_commitment", "type": "tuple"}
     ],
     "stateMutability": "view",
     "type": "function"
@@ -72,52 +84,84 @@ const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
-  {
-    "inputs": [],
-    "name": "isReadyForSelection",
-    "outputs": [{"internalType": "bool", "name": "", "type": "bool"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
   {
     "inputs": [],
     "name": "getElectionStatus",
     "outputs": [
       {"internalType": "bool", "name": "_votingActive", "type": "bool"},
-      {"internalType": "bool", "name": "_selectionCompleted", "type": "bool"},
-      {"internalType": "uint256", "name": "_totalVoters", "type": "uint256"},
+      {"internalType": "uint256", "name": "_voteCount", "type": "uint256"},
       {"internalType": "uint256", "name": "_candidateCount", "type": "uint256"},
       {"internalType": "uint256", "name": "_selectionBlock", "type": "uint256"},
       {"internalType": "uint256[]", "name": "_selectedCandidates", "type": "uint256[]"}
     ],
     "stateMutability": "view",
     "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getVotingWindow",
+    "outputs": [
+      {"internalType": "uint256", "name": "_opensAt", "type": "uint256"},
+      {"internalType": "uint256", "name": "_closesAt", "type": "uint256"},
+      {"internalType": "enum Election.Phase", "name": "_phase", "type": "uint8"}
+    ],
+    "stateMutability": "view",
+    "type": "function"
   }
 ];
 
+// Election.Phase, in enum order
+const PHASES = ["upcoming", "open", "closed", "tallied"];
+
+function formatTime(seconds) {
+  return new Date(seconds * 1000).toISOString();
+}
+
 class SelectionProcessor {
-  constructor(contractAddress, provider, signer = null) {
+  constructor(contractAddress, provider, signer = null, options = {}) {
     this.contractAddress = contractAddress;
     this.provider = provider;
     this.signer = signer;
+    this.method = options.method || "tideman";
+    this.seats = options.seats || 1;
+    this.tieBreak = options.tieBreak || "candidate-order";
+    this.auditDir = options.auditDir; // Defaults to audits/ (see audit-bundle.js)
     this.contract = new ethers.Contract(contractAddress, ELECTION_ABI, provider);
     this.contractWithSigner = signer ? new ethers.Contract(contractAddress, ELECTION_ABI, signer) : null;
   }
 
+  /**
+   * Get the voting window and phase. Elections deployed before voting windows
+   * only have the paused flag, which then decides between open and closed.
+   */
+  async getVotingWindow(status) {
+    try {
+      const window = await this.contract.getVotingWindow();
+      return { opensAt: Number(window._opensAt), closesAt: Number(window._closesAt), phase: PHASES[Number(window._phase)] };
+    } catch (error) {
+      if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+        throw error;
+      }
+      const phase = status.selectionCompleted ? "tallied" : status.votingActive ? "open" : "closed";
+      return { opensAt: 0, closesAt: 0, phase };
+    }
+  }
+
   /**
    * Get the current election status
    */
   async getElectionStatus() {
     try {
-      const status = await this.contract.getElectionStatus();
-      return {
-        votingActive: status._votingActive,
-        selectionCompleted: status._selectionCompleted,
-        totalVoters: Number(status._totalVoters),
-        candidateCount: Number(status._candidateCount),
-        selectionBlock: Number(status._selectionBlock),
-        selectedCandidates: status._selectedCandidates.map(id => Number(id))
+      const raw = await this.contract.getElectionStatus();
+      const status = {
+        votingActive: raw._votingActive,
+        selectionCompleted: raw._selectionBlock !== 0n,
+        totalVoters: Number(raw._voteCount),
+        candidateCount: Number(raw._candidateCount),
+        selectionBlock: Number(raw._selectionBlock),
+        selectedCandidates: raw._selectedCandidates.map(id => Number(id))
       };
+      return { ...status, ...(await this.getVotingWindow(status)) };
     } catch (error) {
       console.error("Error getting election status:", error);
       throw error;
@@ -129,7 +173,8 @@ class SelectionProcessor {
    */
   async isReadyForSelection() {
     try {
-      return await this.contract.isReadyForSelection();
+      const status = await this.getElectionStatus();
+      return status.phase === "closed" && status.totalVoters > 0;
     } catch (error) {
       console.error("Error checking selection readiness:", error);
       throw error;
@@ -150,16 +195,31 @@ class SelectionProcessor {
   }
 
   /**
-   * Close voting (must be called before selection)
+   * Resolve the tie-break rule for the tally, seeding "blockhash" from the
+   * block in which voting closed, so every reporter gets the same seed
+   */
+  async getTieBreak() {
+    if (this.tieBreak !== "blockhash") {
+      return { rule: this.tieBreak };
+    }
+    return blockhashTieBreak(this.provider, this.contractAddress);
+  }
+
+  /**
+   * Close voting of an election without a scheduled close (must be called before selection)
    */
   async closeVoting() {
     if (!this.contractWithSigner) {
       throw new Error("Signer required for closing voting");
     }
+    const status = await this.getElectionStatus();
+    if (status.closesAt !== 0 && status.phase === "open") {
+      throw new Error(`Voting closes automatically at ${formatTime(status.closesAt)}`);
+    }
 
     try {
       console.log("🔒 Closing voting...");
-      const tx = await this.contractWithSigner.closeVoting();
+      const tx = await this.contractWithSigner.pauseVoting();
       const receipt = await tx.wait();
       console.log(`✅ Voting closed. Transaction: ${receipt.hash}`);
       return receipt;
@@ -170,7 +230,7 @@ class SelectionProcessor {
   }
 
   /**
-   * Process selection using Tideman method with block-specific data
+   * Process selection using the configured tally method with block-specific data
    */
   async processSelection() {
     try {
@@ -181,10 +241,15 @@ class SelectionProcessor {
       const ready = await this.isReadyForSelection();
       if (!ready) {
         const status = await this.getElectionStatus();
-        if (status.votingActive) {
-          throw new Error("Voting is still active. Close voting first.");
+        if (status.phase === "upcoming") {
+          throw new Error(`Voting has not opened yet (opens at ${formatTime(status.opensAt)}).`);
+        }
+        if (status.phase === "open") {
+          throw new Error(status.closesAt !== 0
+            ? `Voting is open until ${formatTime(status.closesAt)}.`
+            : "Voting is still active. Close voting first.");
         }
-        if (status.selectionCompleted) {
+        if (status.phase === "tallied") {
           throw new Error("Selection already completed.");
         }
         if (status.totalVoters === 0) {
@@ -196,9 +261,8 @@ class SelectionProcessor {
       const selectionBlock = await this.getSelectionBlock();
       console.log(`📦 Using block ${selectionBlock} for data retrieval`);
 
-      // Create vote reader with block-specific provider
-      const blockProvider = this.provider;
-      const voteReader = new VoteReader(this.contractAddress, blockProvider);
+      // Pin every read to the selection block (fails if the RPC has no state for it)
+      const voteReader = new VoteReader(this.contractAddress, this.provider, { blockTag: selectionBlock });
 
       // Read votes from the specific block
       console.log("📊 Reading votes from selection block...");
@@ -210,12 +274,17 @@ class SelectionProcessor {
 
       console.log(`Found ${voteData.votes.length} votes from ${voteData.candidates.length} candidates`);
 
-      // Run Tideman calculation
-      console.log("🧮 Running Tideman calculation...");
-      const tidemanCalculator = new TidemanCalculator(voteReader);
-      const result = await tidemanCalculator.calculate();
+      // Run the tally on the votes read above
+      const tieBreak = await this.getTieBreak();
+      console.log(`🧮 Running ${this.method} tally for ${this.seats} seat(s) (tie-break: ${tieBreak.source || tieBreak.rule})...`);
+      const result = tally(voteData, this.method, { seats: this.seats, tieBreak });
 
-      console.log(`🏆 Winner: ${result.winner.name}`);
+      if (result.selectedCandidates.length > 1) {
+        const names = result.selectedCandidates.map(id => result.finalRanking.find(r => r.candidateId === id).candidate.name);
+        console.log(`🏆 Elected: ${names.join(', ')}`);
+      } else {
+        console.log(`🏆 Winner: ${result.winner.name}`);
+      }
       console.log("📊 Final Ranking:");
       result.finalRanking.forEach(entry => {
         console.log(`   ${entry.rank}. ${entry.candidate.name}`);
@@ -223,12 +292,15 @@ class SelectionProcessor {
 
       return {
         selectionBlock,
+        method: result.method,
         winner: result.winner,
         finalRanking: result.finalRanking,
-        selectedCandidates: [result.winner.id], // Currently single winner, array for future
-        pairwiseTallies: result.pairwiseTallies,
-        rankedPairs: result.rankedPairs,
-        lockedPairs: result.lockedPairs,
+        selectedCandidates: result.selectedCandidates,
+        details: result.details,
+        tieBreak: result.details.tieBreak || null,
+        tallyOptions: { seats: this.seats, tieBreak },
+        commitment: tallyCommitment({ votes: voteData.votes, result, tieBreak }),
+        tally: result,
         voteData
       };
     } catch (error) {
@@ -238,9 +310,10 @@ class SelectionProcessor {
   }
 
   /**
-   * Complete selection by recording results on contract
+   * Complete selection by recording results and the tally commitment on contract
+   * @param options - onSubmitted(tx), called once the transaction is sent and before it is mined
    */
-  async completeSelection(selectionResults) {
+  async completeSelection(selectionResults, { onSubmitted } = {}) {
     if (!this.contractWithSigner) {
       throw new Error("Signer required for completing selection");
     }
@@ -248,12 +321,14 @@ class SelectionProcessor {
     try {
       console.log("📝 Recording selection results on contract...");
       
-      const selectedCandidates = selectionResults.selectedCandidates;
-      const tx = await this.contractWithSigner.completeSelection(selectedCandidates);
+      const { selectedCandidates, commitment } = selectionResults;
+      const tx = await this.contractWithSigner.reportSelection(selectedCandidates, commitment);
+      if (onSubmitted) await onSubmitted(tx);
       const receipt = await tx.wait();
       
       console.log(`✅ Selection completed. Transaction: ${receipt.hash}`);
       console.log(`🏆 Selected candidates: ${selectedCandidates.join(', ')}`);
+      console.log(`🔏 Committed ${selectionResults.method} tally: ballot set ${commitment.ballotSetHash}, ranking ${commitment.rankingHash}, tie-break seed ${commitment.tieBreakSeed}`);
       
       return receipt;
     } catch (error) {
@@ -272,10 +347,10 @@ class SelectionProcessor {
 
       // 1. Check status
       const status = await this.getElectionStatus();
-      console.log(`Current status: voting=${status.votingActive}, completed=${status.selectionCompleted}`);
+      console.log(`Current status: phase=${status.phase}, voting=${status.votingActive}, completed=${status.selectionCompleted}`);
 
-      // 2. Close voting if needed
-      if (status.votingActive) {
+      // 2. Close voting if it has no scheduled close
+      if (status.phase === "open" && status.closesAt === 0) {
         await this.closeVoting();
       }
 
@@ -288,10 +363,15 @@ class SelectionProcessor {
       // 5. Get final status
       const finalStatus = await this.getElectionStatus();
 
+      // 6. Write the audit bundle at the block recorded on chain
+      const { auditBundle, auditPath } = await this.writeAuditBundle(selectionResults, finalStatus);
+
       return {
         selectionResults,
         transactionReceipt: receipt,
-        finalStatus
+        finalStatus,
+        auditBundle,
+        auditPath
       };
     } catch (error) {
       console.error("Error in complete selection cycle:", error);
@@ -300,16 +380,48 @@ class SelectionProcessor {
   }
 
   /**
-   * Get existing selection results if completed
+   * Build and save the audit bundle for a reported selection
+   */
+  async writeAuditBundle(selectionResults, finalStatus) {
+    console.log(`🧾 Building audit bundle at selection block ${finalStatus.selectionBlock}...`);
+    const auditBundle = await buildAuditBundle(this.contractAddress, this.provider, {
+      selectionBlock: finalStatus.selectionBlock,
+      selectedCandidates: finalStatus.selectedCandidates,
+      method: this.method,
+      ...selectionResults.tallyOptions
+    });
+
+    const reported = auditBundle.selection.reportedCandidates.join(",");
+    if (auditBundle.results.selectedCandidates.join(",") !== reported) {
+      console.warn(`⚠️ Tally at block ${finalStatus.selectionBlock} selects ${auditBundle.results.selectedCandidates.join(", ")}, but ${reported} was reported`);
+    }
+    const committed = auditBundle.selection.reportedCommitment;
+    const recomputed = auditBundle.results.commitment;
+    if (committed && ["methodId", "tieBreakSeed", "ballotSetHash", "rankingHash"].some(field => committed[field] !== recomputed[field])) {
+      console.warn(`⚠️ Tally commitment at block ${finalStatus.selectionBlock} does not match the reported one`);
+    }
+
+    const margin = auditBundle.results.marginOfVictory;
+    if (margin && margin.changed) {
+      console.log(`📏 Margin of victory: ${margin.changed.ballots} ballot(s) changed${margin.changed.exact ? "" : " (upper bound)"}`);
+    }
+
+    const auditPath = saveAuditBundle(auditBundle, this.auditDir);
+    console.log(`✅ Audit bundle saved to ${auditPath} (content hash ${auditBundle.contentHash})`);
+    return { auditBundle, auditPath };
+  }
+
+  /**
+   * Get existing selection results if completed, with the tally commitment
+   * (method, tie-break seed, ballot set and ranking hashes; null for
+   * elections deployed before commitments)
    */
   async getSelectionResults() {
     try {
-      const results = await this.contract.getSelectionResults();
+      const results = await readSelection(this.contract);
       return {
-        selectionCompleted: results._selectionCompleted,
-        selectedCandidates: results._selectedCandidates.map(id => Number(id)),
-        selectionBlock: Number(results._selectionBlock),
-        selectionTimestamp: Number(results._selectionTimestamp)
+        selectionCompleted: results.selectionBlock !== 0,
+        ...results
       };
     } catch (error) {
       console.error("Error getting selection results:", error);
@@ -318,4 +430,4 @@ class SelectionProcessor {
   }
 }
 
-module.exports = { SelectionProcessor };
+module.exports = { PHASES, SelectionProcessor };
@@ -0,0 +1,97 @@
+const { ethers } = require("ethers");
+
+/**
+ * Tie-break seed
+ *
+ * The "blockhash" tie-break seeds its random permutation with the hash of the
+ * block in which voting closed. Every reporter and verifier finds the same
+ * block from chain state alone, however late they run:
+ * - elections with a scheduled close: the first block with timestamp >= closesAt
+ * - elections closed by pauseVoting: the closedBlock recorded on chain
+ *
+ * This is not the selection block: the reporter picks when to report, so a
+ * seed from the report's block could be chosen to favour a candidate. The
+ * rule and block used are recorded in the tie-break's `source` and
+ * `blockNumber`, which the audit bundle keeps under tally.tieBreak.
+ *
+ * Uses plain ethers (no Hardhat runtime) so verify-election.js runs standalone.
+ */
+
+const ELECTION_ABI = [
+  "function getVotingWindow() view returns (uint256 _opensAt, uint256 _closesAt, uint8 _phase)",
+  "function closedBlock() view returns (uint256)"
+];
+
+/**
+ * First block with a timestamp at or after `timestamp` (binary search)
+ */
+async function firstBlockAtOrAfter(provider, timestamp) {
+  let high = await provider.getBlockNumber();
+  const latest = await provider.getBlock(high);
+  if (latest.timestamp < timestamp) {
+    throw new Error(`No block at or after ${new Date(timestamp * 1000).toISOString()} yet`);
+  }
+
+  let low = 0;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    const block = await provider.getBlock(middle);
+    if (block.timestamp >= timestamp) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Block in which voting closed: { blockNumber, rule } with the rule that found it
+ */
+async function locateClosingBlock(provider, electionAddress) {
+  const contract = new ethers.Contract(electionAddress, ELECTION_ABI, provider);
+  let closesAt, closedBlock;
+  try {
+    [[, closesAt], closedBlock] = await Promise.all([contract.getVotingWindow(), contract.closedBlock()]);
+  } catch (error) {
+    if (error.code !== "CALL_EXCEPTION" && error.code !== "BAD_DATA") {
+      throw error;
+    }
+    throw new Error(`Election ${electionAddress} does not record when voting closed - use the candidate-order tie-break`);
+  }
+
+  if (closesAt !== 0n) {
+    return {
+      blockNumber: await firstBlockAtOrAfter(provider, Number(closesAt)),
+      rule: `first block at or after closesAt ${closesAt}`
+    };
+  }
+  if (closedBlock === 0n) {
+    throw new Error(`Voting of election ${electionAddress} has not been closed`);
+  }
+  return { blockNumber: Number(closedBlock), rule: "closedBlock recorded by pauseVoting" };
+}
+
+/**
+ * Block in which voting closed
+ */
+async function findClosingBlock(provider, electionAddress) {
+  return (await locateClosingBlock(provider, electionAddress)).blockNumber;
+}
+
+/**
+ * Tie-break options for the "blockhash" rule of an election
+ */
+async function blockhashTieBreak(provider, electionAddress) {
+  const { blockNumber, rule } = await locateClosingBlock(provider, electionAddress);
+  const block = await provider.getBlock(blockNumber);
+  if (!block) {
+    throw new Error(`Block ${blockNumber} not found for tie-break seed`);
+  }
+  return { rule: "random", seed: block.hash, source: `blockhash of block ${blockNumber} (voting closed: ${rule})`, blockNumber };
+}
+
+module.exports = {
+  findClosingBlock,
+  blockhashTieBreak
+};
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+
+/**
+ * Independent Election Verifier
+ *
+ * Checks a reported selection without trusting the reporter key:
+ * 1. Read the selection (candidates, selectionBlock and tally commitment)
+ *    from getSelectionResults()
+ * 2. Rebuild the audit bundle from chain state at selectionBlock
+ * 3. Re-run the tally and compare it with the reported selection
+ * 4. Compare the committed method, tie-break seed, ballot set hash and
+ *    ranking hash with the ones recomputed from chain state
+ * 5. If a published bundle is given, check its content hash and that it
+ *    matches the rebuilt bundle exactly (same ballots, options and results)
+ *
+ * Needs only an RPC endpoint (archive data for old blocks), not Hardhat.
+ *
+ * Usage: node scripts/verify-election.js --election=<address> [--bundle=<file>]
+ *        [--network=worldchain-sepolia | --rpc=<url>] [--method=tideman]
+ *        [--seats=N] [--tie-break=candidate-order|blockhash] [--out=<file>]
+ *
+ * Tally options come from the bundle when one is given, otherwise from the flags,
+ * falling back to the method and tie-break seed committed on chain. Seats are
+ * not committed, so they default to the number of candidates selected.
+ */
+
+const { ethers } = require("ethers");
+const fs = require("fs");
+const { version: TALLY_VERSION } = require("tally/package.json");
+const {
+  canonicalJson,
+  hashBundle,
+  buildAuditBundle,
+  readSelection,
+  loadAuditBundle
+} = require("./audit-bundle");
+const { findClosingBlock, blockhashTieBreak } = require("./tie-break-seed");
+
+const NETWORK_RPC_URLS = {
+  "localhost": "http://127.0.0.1:8545",
+  "worldchain-sepolia": process.env.WORLD_CHAIN_SEPOLIA_RPC || "https://worldchain-sepolia.gateway.tenderly.co"
+};
+
+/**
+ * Tie-break options for a rule name, seeding "blockhash" from the block in which voting closed
+ */
+async function resolveTieBreak(provider, rule, electionAddress) {
+  if (rule !== "blockhash") {
+    return { rule };
+  }
+  return blockhashTieBreak(provider, electionAddress);
+}
+
+/**
+ * Tie-break options for a committed seed (zero when ties were broken by
+ * candidate order). Any other seed is checked against the closing blockhash.
+ */
+async function committedTieBreak(provider, seed, electionAddress) {
+  if (seed === ethers.ZeroHash) {
+    return { rule: "candidate-order" };
+  }
+  const blockhash = await resolveTieBreak(provider, "blockhash", electionAddress);
+  return blockhash.seed === seed ? blockhash : { rule: "random", seed, source: "committed seed" };
+}
+
+/**
+ * Verify an election's reported selection against chain state
+ *
+ * options: { bundle, method, seats, tieBreak } - a bundle's tally options take precedence
+ * Returns { verified, checks: [{ name, passed, detail }], selection, rebuilt }
+ */
+async function verifyElection(electionAddress, provider, options = {}) {
+  const checks = [];
+  const check = (name, passed, detail = "") => checks.push({ name, passed, detail });
+
+  const contract = new ethers.Contract(electionAddress, [
+    "function getSelectionResults() view returns (uint256[] _selectedCandidates, uint256 _selectionBlock, tuple(bytes32 methodId, bytes32 tieBreakSeed, bytes32 ballotSetHash, bytes32 rankingHash) _commitment)"
+  ], provider);
+  const selection = await readSelection(contract);
+
+  check("Selection reported on chain", selection.selectionBlock !== 0,
+    `selection block ${selection.selectionBlock}, candidates ${selection.selectedCandidates.join(", ") || "none"}`);
+  if (selection.selectionBlock === 0) {
+    return { verified: false, checks, selection, rebuilt: null };
+  }
+
+  const { bundle } = options;
+  const committed = selection.commitment;
+  let tallyOptions;
+  if (bundle) {
+    check("Bundle content hash", hashBundle(bundle) === bundle.contentHash, bundle.contentHash);
+    check("Bundle election address", bundle.election.address.toLowerCase() === electionAddress.toLowerCase(), bundle.election.address);
+    check("Bundle selection block", bundle.selection.selectionBlock === selection.selectionBlock,
+      `bundle ${bundle.selection.selectionBlock}, chain ${selection.selectionBlock}`);
+    tallyOptions = { method: bundle.tally.method, seats: bundle.tally.seats, tieBreak: bundle.tally.tieBreak };
+  } else {
+    tallyOptions = {
+      method: options.method || committed?.method || "tideman",
+      seats: options.seats || selection.selectedCandidates.length || 1,
+      tieBreak: committed && !options.tieBreak
+        ? await committedTieBreak(provider, committed.tieBreakSeed, electionAddress)
+        : await resolveTieBreak(provider, options.tieBreak || "candidate-order", electionAddress)
+    };
+  }
+
+  // A random seed must be the hash of the block in which voting closed, so a
+  // reporter cannot try seeds until one favours a candidate
+  const { tieBreak } = tallyOptions;
+  if (tieBreak && tieBreak.rule === "random") {
+    try {
+      const closingBlock = await findClosingBlock(provider, electionAddress);
+      const block = await provider.getBlock(closingBlock);
+      check("Tie-break seed", (tieBreak.blockNumber === undefined || tieBreak.blockNumber === closingBlock) && block.hash === tieBreak.seed,
+        `${tieBreak.source || tieBreak.seed}, voting closed in block ${closingBlock}`);
+    } catch (error) {
+      check("Tie-break seed", false, error.message);
+    }
+  }
+
+  const rebuilt = await buildAuditBundle(electionAddress, provider, {
+    selectionBlock: selection.selectionBlock,
+    selectedCandidates: selection.selectedCandidates,
+    ...tallyOptions
+  });
+
+  check("Tally matches reported selection",
+    rebuilt.results.selectedCandidates.join(",") === selection.selectedCandidates.join(","),
+    `${tallyOptions.method} selects ${rebuilt.results.selectedCandidates.join(", ")}`);
+
+  // Elections deployed before commitments report the selection alone
+  if (committed) {
+    const recomputed = rebuilt.results.commitment;
+    check("Committed tally method", committed.methodId === recomputed.methodId,
+      `committed ${committed.method}, recomputed with ${tallyOptions.method}`);
+    check("Committed tie-break seed", committed.tieBreakSeed === recomputed.tieBreakSeed, committed.tieBreakSeed);
+    check("Committed ballot set hash", committed.ballotSetHash === recomputed.ballotSetHash, committed.ballotSetHash);
+    check("Committed ranking hash", committed.rankingHash === recomputed.rankingHash, committed.rankingHash);
+  }
+
+  if (bundle) {
+    check("Bundle ballots match chain state", canonicalJson(bundle.ballots) === canonicalJson(rebuilt.ballots),
+      `${rebuilt.ballots.length} ballots at block ${selection.selectionBlock}`);
+    check("Bundle matches rebuilt bundle", hashBundle(bundle) === rebuilt.contentHash,
+      bundle.tally.version === TALLY_VERSION
+        ? rebuilt.contentHash
+        : `bundle used tally ${bundle.tally.version}, verifier has ${TALLY_VERSION}`);
+  }
+
+  return { verified: checks.every(c => c.passed), checks, selection, rebuilt };
+}
+
+function parseArgs(argv) {
+  const value = name => argv.find(arg => arg.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+  return {
+    election: value("election"),
+    bundle: value("bundle"),
+    network: value("network") || "localhost",
+    rpc: value("rpc"),
+    method: value("method"),
+    seats: value("seats") ? Number(value("seats")) : undefined,
+    tieBreak: value("tie-break"),
+    out: value("out")
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.election) {
+    console.error("❌ Election address is required. Use --election=<address>");
+    console.log("\nUsage: node scripts/verify-election.js --election=0x... [--bundle=audits/<file>.json] [--network=worldchain-sepolia | --rpc=<url>]");
+    process.exit(1);
+  }
+
+  const rpcUrl = args.rpc || NETWORK_RPC_URLS[args.network];
+  if (!rpcUrl) {
+    console.error(`❌ Unsupported network: ${args.network}. Use --rpc=<url>`);
+    process.exit(1);
+  }
+
+  console.log(`🔍 Verifying election ${args.election} via ${rpcUrl}...`);
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const bundle = args.bundle ? loadAuditBundle(args.bundle) : null;
+
+  const { verified, checks, rebuilt } = await verifyElection(args.election, provider, { ...args, bundle });
+
+  for (const { name, passed, detail } of checks) {
+    console.log(`${passed ? "✅" : "❌"} ${name}${detail ? ` - ${detail}` : ""}`);
+  }
+
+  const margin = rebuilt?.results.marginOfVictory;
+  if (margin && margin.changed && margin.added) {
+    // Unproven figures are shown as the proven range
+    const describe = ({ ballots, exact, lowerBound }) => exact ? `${ballots}` : `${lowerBound}-${ballots}`;
+    console.log(`📏 Margin of victory: ${describe(margin.changed)} ballot(s) changed or ${describe(margin.added)} added would flip the winner`);
+  }
+
+  if (args.out && rebuilt) {
+    fs.writeFileSync(args.out, JSON.stringify(rebuilt, null, 2));
+    console.log(`🧾 Rebuilt bundle saved to ${args.out}`);
+  }
+
+  console.log(verified ? "\n✅ Reported selection verified" : "\n❌ Verification failed");
+  process.exit(verified ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("❌ Verification failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { verifyElection };
@@ -1,12 +1,21 @@
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { formatBallots, resolveFormat } = require("tally");
+const { readBatched } = require("./multicall");
+const { readBallotPages } = require("./ballot-pages");
+const { assertBlockState, pinBlockTag } = require("./block-state");
 
 /**
  * Vote Reader Utility
  * 
  * This utility reads votes from Election contracts and provides
  * comprehensive vote analysis and ranking capabilities.
+ *
+ * Every read takes a blockTag (per call, or for the whole reader via
+ * options.blockTag). getAllVotes pins all of its calls to one block - the
+ * latest when no blockTag is given - and fails if the RPC cannot serve that
+ * block's state (see scripts/block-state.js).
  */
 
 // Election contract ABI (minimal required functions)
@@ -25,6 +34,13 @@ const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [{"internalType": "uint256", "name": "offset", "type": "uint256"}, {"internalType": "uint256", "name": "limit", "type": "uint256"}],
+    "name": "getBallots",
+    "outputs": [{"internalType": "uint256[]", "name": "voterIds", "type": "uint256[]"}, {"components": [{"internalType": "uint256", "name": "candidateId", "type": "uint256"}, {"internalType": "bool", "name": "tiedWithPrevious", "type": "bool"}], "internalType": "struct Election.RankingEntry[][]", "name": "rankings", "type": "tuple[][]"}, {"internalType": "uint256", "name": "total", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "getCandidates",
@@ -58,18 +74,35 @@ const ELECTION_ABI = [
 ];
 
 class VoteReader {
-  constructor(contractAddress, provider) {
+  /**
+   * @param options.blockTag - Block to read at instead of the latest
+   * @param options.pageSize - Ballots per getBallots page (see scripts/ballot-pages.js)
+   * @param options.batch - Multicall batching for ballot reads: chunkSize,
+   *   concurrency, retries, multicallAddress (see scripts/multicall.js)
+   */
+  constructor(contractAddress, provider, options = {}) {
     this.contractAddress = contractAddress;
     this.provider = provider;
     this.contract = new ethers.Contract(contractAddress, ELECTION_ABI, provider);
+    this.blockTag = options.blockTag;
+    this.pageSize = options.pageSize;
+    this.batch = options.batch || {};
+  }
+
+  /**
+   * Call overrides for options.blockTag, falling back to the reader's blockTag
+   */
+  callOptions(options = {}) {
+    const blockTag = options.blockTag ?? this.blockTag;
+    return blockTag === undefined ? {} : { blockTag };
   }
 
   /**
    * Get all candidates from the election
    */
-  async getCandidates() {
+  async getCandidates(options = {}) {
     try {
-      const candidates = await this.contract.getCandidates();
+      const candidates = await this.contract.getCandidates(this.callOptions(options));
       return candidates.map(candidate => ({
         id: Number(candidate.id),
         name: candidate.name,
@@ -85,9 +118,9 @@ class VoteReader {
   /**
    * Get election metadata
    */
-  async getElectionInfo() {
+  async getElectionInfo(options = {}) {
     try {
-      const info = await this.contract.getElectionInfo();
+      const info = await this.contract.getElectionInfo(this.callOptions(options));
       return {
         title: info._title,
         description: info._description,
@@ -106,11 +139,14 @@ class VoteReader {
 
   /**
    * Get all voter IDs who have voted
+   *
+   * Voter IDs are World ID nullifiers (256-bit), so they are returned as
+   * decimal strings rather than Numbers, which would lose precision.
    */
-  async getAllVoters() {
+  async getAllVoters(options = {}) {
     try {
-      const voters = await this.contract.getAllVoters();
-      return voters.map(voterId => Number(voterId));
+      const voters = await this.contract.getAllVoters(this.callOptions(options));
+      return voters.map(voterId => voterId.toString());
     } catch (error) {
       console.error("Error fetching voters:", error);
       throw error;
@@ -120,9 +156,9 @@ class VoteReader {
   /**
    * Get vote for a specific voter ID
    */
-  async getVote(voterId) {
+  async getVote(voterId, options = {}) {
     try {
-      const vote = await this.contract.getVote(voterId);
+      const vote = await this.contract.getVote(voterId, this.callOptions(options));
       return vote.map(entry => ({
         candidateId: Number(entry.candidateId),
         tiedWithPrevious: entry.tiedWithPrevious
@@ -134,41 +170,81 @@ class VoteReader {
   }
 
   /**
-   * Get all votes from all voters
+   * Get the votes of many voters in Multicall3 batches
+   *
+   * Throws if any ballot cannot be read (after retries): a tally missing it
+   * would be wrong, and the selection commits its ballot set hash on chain.
    */
-  async getAllVotes() {
+  async getVotes(voterIds, options = {}) {
+    const callOptions = this.callOptions(options);
+    const calls = voterIds.map(voterId => ({ contract: this.contract, method: "getVote", args: [voterId] }));
+    const results = await readBatched(this.provider, calls, { ...this.batch, ...callOptions });
+
+    const votes = new Map();
+    results.forEach((result, index) => {
+      if (!result.success) {
+        throw new Error(`Failed to read vote for voter ${voterIds[index]} at block ${callOptions.blockTag ?? "latest"}: ${result.error.message}`);
+      }
+      votes.set(voterIds[index], result.value.map(entry => ({
+        candidateId: Number(entry.candidateId),
+        tiedWithPrevious: entry.tiedWithPrevious
+      })));
+    });
+    return votes;
+  }
+
+  /**
+   * Stream ballots page by page: yields { voterIds, rankings, offset, total }
+   *
+   * All pages are read at one block. onProgress(read, total) is called after
+   * each page.
+   */
+  streamBallots(options = {}) {
+    return readBallotPages(this.contract, {
+      pageSize: this.pageSize,
+      batch: this.batch,
+      ...options,
+      ...this.callOptions(options)
+    });
+  }
+
+  /**
+   * Get all votes from all voters, every call pinned to one block
+   *
+   * @param options.blockTag - Block to read at (default: the reader's blockTag, else latest)
+   * @param options.onProgress - Called with (read, total) as pages arrive
+   */
+  async getAllVotes(options = {}) {
     try {
-      console.log("📊 Reading all votes from contract...");
-      
-      const [voters, candidates, electionInfo] = await Promise.all([
-        this.getAllVoters(),
-        this.getCandidates(),
-        this.getElectionInfo()
-      ]);
+      const blockTag = await pinBlockTag(this.provider, options.blockTag ?? this.blockTag);
+      await assertBlockState(this.provider, this.contractAddress, blockTag);
+      console.log(`📊 Reading all votes from contract at block ${blockTag}...`);
 
-      console.log(`Found ${voters.length} voters and ${candidates.length} candidates`);
+      const [candidates, electionInfo] = await Promise.all([
+        this.getCandidates({ blockTag }),
+        this.getElectionInfo({ blockTag })
+      ]);
 
       const votes = [];
-      for (const voterId of voters) {
-        try {
-          const vote = await this.getVote(voterId);
-          if (vote.length > 0) {
-            votes.push({
-              voterId,
-              ranking: vote
-            });
+      let totalVoters = 0;
+      for await (const page of this.streamBallots({ ...options, blockTag })) {
+        totalVoters = page.total;
+        page.voterIds.forEach((voterId, index) => {
+          if (page.rankings[index].length > 0) {
+            votes.push({ voterId, ranking: page.rankings[index] });
           }
-        } catch (error) {
-          console.warn(`Failed to read vote for voter ${voterId}:`, error.message);
-        }
+        });
       }
 
+      console.log(`Found ${totalVoters} voters and ${candidates.length} candidates`);
+
       return {
         electionInfo,
         candidates,
         votes,
-        totalVoters: voters.length,
-        validVotes: votes.length
+        totalVoters,
+        validVotes: votes.length,
+        blockNumber: blockTag
       };
     } catch (error) {
       console.error("Error reading all votes:", error);
@@ -176,12 +252,32 @@ class VoteReader {
     }
   }
 
+  /**
+   * Export all ballots in an interchange format (blt, abif, soc, soi, toc, toi, csv)
+   */
+  async exportBallots(format, options = {}) {
+    const data = await this.getAllVotes({ blockTag: options.blockTag });
+    return formatBallots(data, format, { title: data.electionInfo.title, ...options });
+  }
+
+  /**
+   * Export all ballots to a file, choosing the format from its extension
+   */
+  async exportBallotsToFile(filePath, options = {}) {
+    const format = options.format || resolveFormat(filePath)?.key;
+    const text = await this.exportBallots(format, options);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, text);
+    console.log(`💾 Exported ${format} ballots to ${filePath}`);
+    return filePath;
+  }
+
   /**
    * Get vote statistics
    */
-  async getVoteStatistics() {
+  async getVoteStatistics(options = {}) {
     try {
-      const data = await this.getAllVotes();
+      const data = await this.getAllVotes(options);
 
       const stats = {
         totalVoters: data.totalVoters,
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { tally, BALLOT_FORMATS, compressBallots, formatBallots, parseBallots } = require("tally");
+const { VoteReader } = require("../scripts/vote-reader");
+const { BallotFileReader } = require("../scripts/ballot-file-reader");
+const { TidemanCalculator } = require("../scripts/tideman-calculator");
+
+/**
+ * Ballot import/export (BLT, ABIF, PrefLib, CSV)
+ *
+ * Round-trips ballot sets through every format, checks each format's native
+ * tie syntax, and runs the tally engines on exported files offline.
+ */
+
+describe("Ballot Formats", function () {
+  const candidates = [
+    { id: 1, name: "Alice", description: "" },
+    { id: 2, name: "Bob", description: "" },
+    { id: 3, name: "Carol", description: "" }
+  ];
+
+  function entries(...groups) {
+    return groups.flatMap(group => [].concat(group).map((candidateId, index) => ({
+      candidateId,
+      tiedWithPrevious: index > 0
+    })));
+  }
+
+  // Two identical strict ballots, one with Bob = Carol, one truncated
+  const ballotSet = {
+    electionInfo: { title: "Board 2025" },
+    candidates,
+    votes: [
+      { voterId: "11", ranking: entries(1, 2, 3) },
+      { voterId: "12", ranking: entries(1, 2, 3) },
+      { voterId: "13", ranking: entries(1, [2, 3]) },
+      { voterId: "14", ranking: entries(3) }
+    ]
+  };
+
+  function rankings(votes) {
+    return votes.map(v => v.ranking.map(e => `${e.tiedWithPrevious ? "=" : ">"}${e.candidateId}`).join("")).sort();
+  }
+
+  it("should compress identical ballots into counts", function () {
+    const { ballots } = compressBallots(ballotSet);
+    expect(ballots).to.deep.equal([
+      { count: 2, groups: [[1], [2], [3]] },
+      { count: 1, groups: [[1], [2, 3]] },
+      { count: 1, groups: [[3]] }
+    ]);
+  });
+
+  for (const key of ["blt", "abif", "toi", "csv"]) {
+    it(`should round-trip ballots through ${BALLOT_FORMATS[key].name}`, function () {
+      const restored = parseBallots(formatBallots(ballotSet, key, { seats: 2 }), key);
+
+      expect(restored.candidates.map(c => c.name)).to.deep.equal(["Alice", "Bob", "Carol"]);
+      expect(rankings(restored.votes)).to.deep.equal(rankings(ballotSet.votes));
+      expect(tally(restored, "tideman").finalRanking.map(r => r.candidateId))
+        .to.deep.equal(tally(ballotSet, "tideman").finalRanking.map(r => r.candidateId));
+    });
+  }
+
+  it("should write ties in each format's native syntax", function () {
+    expect(formatBallots(ballotSet, "blt")).to.include("1 1 2=3 0");
+    expect(formatBallots(ballotSet, "abif")).to.match(/^1:C1>C2=C3$/m);
+    expect(formatBallots(ballotSet, "toi")).to.include("1: 1,{2,3}");
+    expect(formatBallots(ballotSet, "csv")).to.match(/^1,1,2,2$/m);
+  });
+
+  it("should keep seats and title in formats that carry them", function () {
+    const restored = parseBallots(formatBallots(ballotSet, "blt", { seats: 2 }), "blt");
+    expect(restored.title).to.equal("Board 2025");
+    expect(restored.seats).to.equal(2);
+  });
+
+  it("should reject ballots a strict PrefLib data type cannot express", function () {
+    expect(() => formatBallots(ballotSet, "soc")).to.throw(/data type "toi"/);
+    expect(() => formatBallots(ballotSet, "soi")).to.throw(/data type "toi"/);
+    expect(() => formatBallots(ballotSet, "xml")).to.throw(/Unsupported ballot format/);
+  });
+
+  it("should read BLT files with withdrawn candidates from other tools", function () {
+    const blt = [
+      "3 1",
+      "-2",
+      "4 1 3 0",
+      "2 3=1 0",
+      "0",
+      "\"Alice\"",
+      "\"Bob\"",
+      "\"Carol\"",
+      "\"Imported\""
+    ].join("\n");
+
+    const { candidates: imported, votes } = parseBallots(blt, "blt");
+    expect(imported.map(c => c.active)).to.deep.equal([true, false, true]);
+    expect(votes).to.have.length(6);
+    expect(rankings(votes).filter(r => r === ">3=1")).to.have.length(2);
+  });
+
+  it("should never elect a withdrawn candidate", function () {
+    // Carol would win every head-to-head, but she withdrew
+    const blt = [
+      "3 1",
+      "-3",
+      "4 3 1 2 0",
+      "3 3 2 1 0",
+      "2 1 2 0",
+      "0",
+      "\"Alice\"",
+      "\"Bob\"",
+      "\"Carol\"",
+      "\"Withdrawn\""
+    ].join("\n");
+
+    const restored = parseBallots(blt, "blt");
+    for (const method of ["tideman", "instant-runoff", "plurality", "stv"]) {
+      const result = tally(restored, method);
+      expect(result.selectedCandidates, method).to.deep.equal([1]);
+      expect(result.finalRanking.map(entry => entry.candidateId), method).to.not.include(3);
+    }
+
+    // Exports still list her as withdrawn
+    expect(formatBallots(restored, "blt").split("\n")[1]).to.equal("-3");
+  });
+
+  describe("Offline tallies from exported files", function () {
+    let election, dir;
+
+    beforeEach(async function () {
+      const [, creator, user1, user2, user3] = await ethers.getSigners();
+      const MockWorldID = await ethers.getContractFactory("MockWorldID");
+      const mockWorldID = await MockWorldID.deploy();
+      const Election = await ethers.getContractFactory("Election");
+      election = await Election.deploy(mockWorldID.target, "Exported Election", "Ballot export", "vote_export_test", creator.address);
+
+      for (const { name } of candidates) {
+        await election.addCandidate(name, "");
+      }
+      await election.connect(user1).testVote(entries(2, 1, 3));
+      await election.connect(user2).testVote(entries(2, [3, 1]));
+      await election.connect(user3).testVote(entries(1, 2, 3));
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "ballot-formats-"));
+    });
+
+    it("should tally an exported file the same as the contract", async function () {
+      const reader = new VoteReader(election.target, ethers.provider);
+      const filePath = await reader.exportBallotsToFile(path.join(dir, "ballots.blt"));
+
+      const fileReader = new BallotFileReader(filePath);
+      const online = await new TidemanCalculator(reader).calculate();
+      const offline = await new TidemanCalculator(fileReader).calculate();
+
+      expect((await fileReader.getElectionInfo()).title).to.equal("Exported Election");
+      expect(offline.votes.votes).to.have.length(3);
+      expect(offline.winner.name).to.equal(online.winner.name);
+      expect(offline.finalRanking.map(r => r.candidate.name)).to.deep.equal(online.finalRanking.map(r => r.candidate.name));
+    });
+  });
+});
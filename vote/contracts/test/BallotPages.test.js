@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VoteReader } = require("../scripts/vote-reader");
+const { readAllBallots, readBallotPages } = require("../scripts/ballot-pages");
+
+/**
+ * Paged ballot reads (Election.getBallots)
+ *
+ * Pages must cover every voter exactly once, in voting order, and match
+ * getAllVoters() plus getVote() for each voter.
+ */
+
+describe("Ballot pages", function () {
+  let election, voters;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  beforeEach(async function () {
+    const [, creator, ...signers] = await ethers.getSigners();
+    voters = signers.slice(0, 5);
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(mockWorldID.target, "Paged Election", "Ballot pages", "vote_pages_test", creator.address);
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, "");
+    }
+    for (const [index, voter] of voters.entries()) {
+      await election.connect(voter).testVote(index === 2 ? entries(3) : entries(1, 2, 3));
+    }
+  });
+
+  it("should return a range of voters with their rankings", async function () {
+    const allVoters = await election.getAllVoters();
+
+    const [voterIds, rankings, total] = await election.getBallots(1, 2);
+
+    expect(total).to.equal(5n);
+    expect(voterIds).to.deep.equal([allVoters[1], allVoters[2]]);
+    expect(rankings[1].map(entry => entry.candidateId)).to.deep.equal([3n]);
+  });
+
+  it("should clip the last page and return nothing past the end", async function () {
+    const [lastIds] = await election.getBallots(4, 10);
+    const [pastIds, pastRankings, total] = await election.getBallots(9, 10);
+
+    expect(lastIds).to.have.length(1);
+    expect(pastIds).to.have.length(0);
+    expect(pastRankings).to.have.length(0);
+    expect(total).to.equal(5n);
+  });
+
+  it("should read every ballot in pages with progress", async function () {
+    const progress = [];
+    const reader = new VoteReader(election.target, ethers.provider, { pageSize: 2 });
+
+    const pages = [];
+    for await (const page of reader.streamBallots({ onProgress: (read, total) => progress.push(`${read}/${total}`) })) {
+      pages.push(page.voterIds.length);
+    }
+
+    expect(pages).to.deep.equal([2, 2, 1]);
+    expect(progress).to.deep.equal(["2/5", "4/5", "5/5"]);
+
+    const data = await reader.getAllVotes();
+    expect(data.totalVoters).to.equal(5);
+    expect(data.votes.map(vote => vote.voterId)).to.deep.equal((await election.getAllVoters()).map(String));
+  });
+
+  it("should read all pages at the block of the first page", async function () {
+    const reading = readBallotPages(election, { pageSize: 3 });
+    const first = await reading.next();
+
+    // A vote cast mid-read is not part of this snapshot
+    const [, , , , , , , late] = await ethers.getSigners();
+    await election.connect(late).testVote(entries(2));
+
+    const rest = [];
+    for await (const page of reading) {
+      rest.push(...page.voterIds);
+    }
+    expect(first.value.total).to.equal(5);
+    expect(first.value.voterIds.length + rest.length).to.equal(5);
+  });
+
+  it("should fall back to getAllVoters and getVote without getBallots", async function () {
+    // An election deployed before getBallots: the call reverts without data
+    const legacy = {
+      target: election.target,
+      interface: election.interface,
+      runner: ethers.provider,
+      getBallots: async () => {
+        throw Object.assign(new Error("missing revert data"), { code: "CALL_EXCEPTION" });
+      },
+      getAllVoters: (...args) => election.getAllVoters(...args),
+      getVote: (...args) => election.getVote(...args)
+    };
+
+    expect(await readAllBallots(legacy)).to.deep.equal(await readAllBallots(election, { pageSize: 2 }));
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VoteReader } = require("../scripts/vote-reader");
+const { TidemanCalculator } = require("../scripts/tideman-calculator");
+const { SelectionProcessor } = require("../scripts/selection-processor");
+
+/**
+ * Block-pinned reads
+ *
+ * Reads at a blockTag must return that block's state, even after ballots
+ * change, and fail loudly when that state cannot be read.
+ */
+
+describe("Block-pinned reads", function () {
+  let election, creator, voters, before;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  beforeEach(async function () {
+    const [, electionCreator, ...signers] = await ethers.getSigners();
+    creator = electionCreator;
+    voters = signers.slice(0, 3);
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(mockWorldID.target, "Pinned Election", "Block-pinned reads", "vote_pinned_test", creator.address);
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, "");
+    }
+    for (const voter of voters) {
+      await election.connect(voter).testVote(entries(1, 2, 3));
+    }
+    before = await ethers.provider.getBlockNumber();
+
+    // Two voters switch to Bob after `before`
+    await election.connect(voters[0]).testVote(entries(2, 1, 3));
+    await election.connect(voters[1]).testVote(entries(2, 1, 3));
+    await election.connect(creator).deactivateCandidate(3);
+  });
+
+  it("should read ballots, candidates and election info at a past block", async function () {
+    const reader = new VoteReader(election.target, ethers.provider);
+
+    const past = await reader.getAllVotes({ blockTag: before });
+    const latest = await reader.getAllVotes();
+
+    expect(past.blockNumber).to.equal(before);
+    expect(past.votes.map(vote => vote.ranking[0].candidateId)).to.deep.equal([1, 1, 1]);
+    expect(past.candidates).to.have.length(3);
+    expect(latest.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(latest.votes.map(vote => vote.ranking[0].candidateId)).to.deep.equal([2, 2, 1]);
+    expect(latest.candidates).to.have.length(2);
+  });
+
+  it("should pin single reads to the reader's blockTag", async function () {
+    const reader = new VoteReader(election.target, ethers.provider, { blockTag: before });
+    const [voterId] = await reader.getAllVoters();
+
+    expect((await reader.getVote(voterId))[0].candidateId).to.equal(1);
+    expect((await reader.getVote(voterId, { blockTag: "latest" }))[0].candidateId).to.equal(2);
+    expect([...(await reader.getVotes([voterId])).values()][0][0].candidateId).to.equal(1);
+  });
+
+  it("should tally at a past block through TidemanCalculator.readVotes", async function () {
+    const reader = new VoteReader(election.target, ethers.provider);
+
+    const past = await new TidemanCalculator(reader).calculate({ blockTag: before });
+    const latest = await new TidemanCalculator(reader).calculate();
+
+    expect(past.winner.name).to.equal("Alice");
+    expect(latest.winner.name).to.equal("Bob");
+  });
+
+  it("should read the selection at the selection block, not the latest state", async function () {
+    await election.connect(creator).pauseVoting();
+    const processor = new SelectionProcessor(election.target, ethers.provider, creator);
+    processor.getSelectionBlock = async () => before;
+
+    const selection = await processor.processSelection();
+
+    expect(selection.selectionBlock).to.equal(before);
+    expect(selection.winner.name).to.equal("Alice");
+  });
+
+  it("should fail for blocks ahead of the chain or before the election existed", async function () {
+    const reader = new VoteReader(election.target, ethers.provider);
+    const latest = await ethers.provider.getBlockNumber();
+
+    await expect(reader.getAllVotes({ blockTag: latest + 10 })).to.be.rejectedWith("ahead of the latest block");
+    await expect(reader.getAllVotes({ blockTag: 0 })).to.be.rejectedWith(`No contract at ${election.target}`);
+  });
+
+  it("should fail loudly when the RPC has pruned the block's state", async function () {
+    const prunedProvider = {
+      getBlockNumber: () => ethers.provider.getBlockNumber(),
+      getCode: async () => {
+        throw new Error(`missing trie node ${ethers.ZeroHash} (path ) state is not available`);
+      }
+    };
+    const reader = new VoteReader(election.target, prunedProvider);
+
+    await expect(reader.getAllVotes({ blockTag: before })).to.be.rejectedWith("an archive node is required");
+  });
+});
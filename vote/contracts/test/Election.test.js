@@ -154,7 +154,7 @@ describe("Election", function () {
         ranking
       ))
         .to.emit(election, "RankingUpdated")
-        .withArgs(user1.address, [
+        .withArgs(user1.address, voterId, [
           [1n, false], // Events emit structs as arrays with BigInt values
           [2n, false]
         ]);
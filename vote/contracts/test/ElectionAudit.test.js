@@ -0,0 +1,122 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SelectionProcessor } = require("../scripts/selection-processor");
+const { hashBundle, loadAuditBundle } = require("../scripts/audit-bundle");
+const { verifyElection } = require("../scripts/verify-election");
+
+/**
+ * Election Audit - bundle written after the selection cycle and checked by
+ * the independent verifier
+ *
+ * Votes are cast with testVote (voter ID = sender address) so no World ID
+ * verification through ElectionManager is needed.
+ */
+
+describe("Election Audit", function () {
+  let election;
+  let creator, user1, user2, user3;
+  let auditDir;
+
+  function ranking(...ids) {
+    return ids.map(id => ({ candidateId: id, tiedWithPrevious: false }));
+  }
+
+  // Placeholder tally commitment for selections reported by hand
+  function commitment(method = "tideman") {
+    return {
+      methodId: ethers.encodeBytes32String(method),
+      tieBreakSeed: ethers.ZeroHash,
+      ballotSetHash: ethers.id("ballots"),
+      rankingHash: ethers.id("ranking")
+    };
+  }
+
+  async function runSelection(options = {}) {
+    const processor = new SelectionProcessor(election.target, ethers.provider, creator, { auditDir, ...options });
+    return processor.runCompleteSelectionCycle();
+  }
+
+  beforeEach(async function () {
+    [, creator, user1, user2, user3] = await ethers.getSigners();
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(
+      mockWorldID.target,
+      "Audited Election",
+      "Testing audit bundles",
+      "vote_audit_test",
+      creator.address
+    );
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, `${name} description`);
+    }
+
+    await election.connect(user1).testVote(ranking(2, 1, 3));
+    await election.connect(user2).testVote(ranking(2, 3, 1));
+    await election.connect(user3).testVote(ranking(1, 2, 3));
+
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "election-audit-"));
+  });
+
+  it("should write an audit bundle at the reported selection block", async function () {
+    const { auditBundle, auditPath, finalStatus } = await runSelection();
+
+    expect(finalStatus.votingActive).to.equal(false);
+    expect(finalStatus.selectedCandidates).to.deep.equal([2]);
+
+    const saved = loadAuditBundle(auditPath);
+    expect(saved).to.deep.equal(auditBundle);
+    expect(hashBundle(saved)).to.equal(saved.contentHash);
+    expect(saved.selection.selectionBlock).to.equal(finalStatus.selectionBlock);
+    expect(saved.ballots).to.have.length(3);
+    expect(saved.tally).to.include({ engine: "tally", method: "tideman", seats: 1 });
+    expect(saved.results.selectedCandidates).to.deep.equal([2]);
+    expect(saved.results.details.lockedPairs).to.not.be.empty;
+    expect(saved.results.marginOfVictory).to.deep.include({ method: "tideman", winner: 2 });
+    expect(saved.results.marginOfVictory.changed).to.include({ ballots: 1, exact: true });
+  });
+
+  it("should verify a reported selection against its published bundle", async function () {
+    const { auditPath } = await runSelection({ tieBreak: "blockhash" });
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider, {
+      bundle: loadAuditBundle(auditPath)
+    });
+
+    expect(checks.map(c => c.name)).to.include.members(["Tie-break seed", "Bundle matches rebuilt bundle"]);
+    expect(checks.filter(c => !c.passed)).to.deep.equal([]);
+    expect(verified).to.equal(true);
+  });
+
+  it("should reject a tampered bundle", async function () {
+    const { auditPath } = await runSelection();
+    const bundle = loadAuditBundle(auditPath);
+    bundle.ballots[0].ranking = ranking(3, 1, 2);
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider, { bundle });
+
+    expect(verified).to.equal(false);
+    expect(checks.filter(c => !c.passed).map(c => c.name)).to.deep.equal([
+      "Bundle content hash",
+      "Bundle ballots match chain state",
+      "Bundle matches rebuilt bundle"
+    ]);
+  });
+
+  it("should reject a selection that the ballots do not support", async function () {
+    await election.connect(creator).pauseVoting();
+    await election.connect(creator).reportSelection([3], commitment());
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider, { method: "tideman" });
+
+    expect(verified).to.equal(false);
+    expect(checks.find(c => c.name === "Tally matches reported selection")).to.include({ passed: false });
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventIndexer } = require("../scripts/event-indexer");
+const { createIndexerServer } = require("../scripts/indexer-api");
+
+/**
+ * Event indexer
+ *
+ * The index must agree with the contract views, keep ballot history, stay
+ * behind the head by the confirmation depth and drop events from blocks
+ * that were reorganized away.
+ */
+
+describe("Event indexer", function () {
+  let electionManager, first, second, creator, voters;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  // Placeholder tally commitment for selections reported by hand
+  function commitment(method = "tideman") {
+    return {
+      methodId: ethers.encodeBytes32String(method),
+      tieBreakSeed: ethers.ZeroHash,
+      ballotSetHash: ethers.id("ballots"),
+      rankingHash: ethers.id("ranking")
+    };
+  }
+
+  function indexer(options = {}) {
+    return new EventIndexer(ethers.provider, { managerAddress: electionManager.target, confirmations: 0, ...options });
+  }
+
+  beforeEach(async function () {
+    const [admin, electionCreator, ...signers] = await ethers.getSigners();
+    creator = electionCreator;
+    voters = signers.slice(0, 3);
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+    const ElectionManager = await ethers.getContractFactory("ElectionManager");
+    electionManager = await ElectionManager.deploy(mockWorldID.target);
+    await electionManager.connect(admin).grantCreatorRole(creator.address);
+
+    const candidates = ["Alice", "Bob", "Carol"].map(name => ({ name, description: `${name} for council` }));
+    await electionManager.connect(creator).createElection("Council", "Pick a council", candidates);
+    await electionManager.connect(creator).createElection("Budget", "Rank budget items", candidates.slice(0, 2));
+
+    const Election = await ethers.getContractFactory("Election");
+    first = Election.attach((await electionManager.getElection(1)).electionAddress);
+    second = Election.attach((await electionManager.getElection(2)).electionAddress);
+
+    await first.connect(voters[0]).testVote(entries(1, 2, 3));
+    await first.connect(voters[1]).testVote(entries(2, 1));
+    await first.connect(voters[0]).testVote(entries(3, 1));
+    await second.connect(voters[2]).testVote(entries(2));
+  });
+
+  it("should index elections, candidates and latest ballots matching the contract views", async function () {
+    const index = indexer();
+    await index.sync();
+
+    const elections = index.getElections();
+    expect(elections.map(election => election.title)).to.deep.equal(["Council", "Budget"]);
+    expect(elections[0]).to.include({
+      id: 1,
+      address: first.target,
+      description: "Pick a council",
+      creator: creator.address,
+      candidateCount: 3,
+      voterCount: 2,
+      rankingUpdateCount: 3,
+      active: true
+    });
+    expect(index.getCandidates(2).map(candidate => candidate.name)).to.deep.equal(["Alice", "Bob"]);
+
+    const ballots = index.getBallots(first.target);
+    for (const ballot of ballots) {
+      const onChain = await first.getVote(ballot.voterId);
+      expect(ballot.ranking.map(entry => entry.candidateId)).to.deep.equal(onChain.map(entry => Number(entry.candidateId)));
+    }
+    const revised = ballots.find(ballot => ballot.voterId === BigInt(voters[0].address).toString());
+    expect(revised.revisions).to.equal(1);
+    expect(index.getBallotHistory(1, revised.voterId).map(update => update.ranking.length)).to.deep.equal([3, 2]);
+  });
+
+  it("should answer ballots as of a past block", async function () {
+    const index = indexer();
+    await index.sync();
+    const [firstVote] = index.getRankingUpdates(first.target);
+
+    const early = index.getBallots(first.target, { blockNumber: firstVote.blockNumber });
+
+    expect(early).to.have.length(1);
+    expect(early[0].ranking.map(entry => entry.candidateId)).to.deep.equal([1, 2, 3]);
+  });
+
+  it("should follow deactivations and selections", async function () {
+    const index = indexer();
+    await index.sync();
+
+    await electionManager.connect(creator).deactivateElection(2);
+    await first.connect(creator).pauseVoting();
+    await first.connect(creator).reportSelection([3], commitment());
+    const { added } = await index.sync();
+
+    expect(added).to.equal(3);
+    expect(index.getElections({ active: true }).map(election => election.id)).to.deep.equal([1]);
+    const { selection } = index.getElection(first.target);
+    expect(selection.selectedCandidates).to.deep.equal([3]);
+    expect(selection.commitment).to.deep.include({ method: "tideman", rankingHash: ethers.id("ranking") });
+  });
+
+  it("should stay the confirmation depth behind the head", async function () {
+    const index = indexer({ confirmations: 2 });
+    const { head, indexedBlock } = await index.sync();
+
+    expect(indexedBlock).to.equal(head - 2);
+    expect(index.getElection(second.target).voterCount).to.equal(0);
+
+    await ethers.provider.send("hardhat_mine", ["0x2"]);
+    await index.sync();
+    expect(index.getElection(second.target).voterCount).to.equal(1);
+  });
+
+  it("should drop events from reorganized blocks", async function () {
+    const index = indexer();
+    await index.sync();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+    await second.connect(voters[0]).testVote(entries(1));
+    await index.sync();
+    expect(index.getElection(second.target).voterCount).to.equal(2);
+
+    // Replace the block holding that vote with an empty one
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await ethers.provider.send("evm_mine", []);
+    await index.sync();
+
+    expect(index.getElection(second.target).voterCount).to.equal(1);
+    expect(index.getBallotHistory(second.target, BigInt(voters[0].address))).to.have.length(0);
+  });
+
+  it("should resume from its JSON store", async function () {
+    const storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "eg25-index-")), "index.json");
+    const index = indexer({ storePath });
+    await index.sync();
+
+    await first.connect(voters[2]).testVote(entries(1));
+    const resumed = indexer({ storePath });
+    expect(resumed.indexedBlock).to.equal(index.indexedBlock);
+    const { added } = await resumed.sync();
+
+    expect(added).to.equal(1);
+    expect(resumed.getElection(1).voterCount).to.equal(3);
+  });
+
+  it("should serve queries over HTTP", async function () {
+    const index = indexer();
+    await index.sync();
+    const server = createIndexerServer(index);
+    await new Promise(resolve => server.listen(0, resolve));
+    const get = async (url) => {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${url}`);
+      return { status: response.status, body: await response.json() };
+    };
+
+    try {
+      const list = await get("/elections?active=true");
+      expect(list.status).to.equal(200);
+      expect(list.body.indexedBlock).to.equal(index.indexedBlock);
+      expect(list.body.elections).to.have.length(2);
+
+      const ballots = await get(`/elections/${first.target}/ballots`);
+      expect(ballots.body.ballots).to.have.length(2);
+
+      expect((await get("/elections/2/selections")).body.selections).to.deep.equal([]);
+      expect((await get("/elections/9")).status).to.equal(404);
+      expect((await get(`/elections/1/ballots?block=${index.indexedBlock + 1}`)).status).to.equal(409);
+      expect((await get("/elections/1/ballots?block=latest")).status).to.equal(400);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { tally } = require("tally");
+const { IncrementalTally } = require("../scripts/incremental-tally");
+const { VoteReader } = require("../scripts/vote-reader");
+
+/**
+ * Incremental Tally - RankingUpdated events applied as deltas
+ *
+ * Votes are cast with testVote (voter ID = sender address) so no World ID
+ * verification through ElectionManager is needed.
+ */
+
+describe("Incremental Tally", function () {
+  let election;
+  let user1, user2, user3;
+  let checkpointPath;
+
+  function ranking(...ids) {
+    return ids.map(id => ({ candidateId: id, tiedWithPrevious: false }));
+  }
+
+  async function fullTally() {
+    const data = await new VoteReader(election.target, ethers.provider).getAllVotes();
+    return tally(data, "tideman");
+  }
+
+  beforeEach(async function () {
+    let creator;
+    [, creator, user1, user2, user3] = await ethers.getSigners();
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(
+      mockWorldID.target,
+      "Incremental Tally Election",
+      "Testing event-driven pairwise tallies",
+      "vote_incremental_test",
+      creator.address
+    );
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, `${name} description`);
+    }
+
+    checkpointPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "incremental-tally-")), "checkpoint.json");
+  });
+
+  it("should emit the voter ID with RankingUpdated", async function () {
+    await expect(election.connect(user1).testVote(ranking(1, 2)))
+      .to.emit(election, "RankingUpdated")
+      .withArgs(user1.address, BigInt(user1.address), [[1n, false], [2n, false]]);
+  });
+
+  it("should match a full read and save a block-tagged checkpoint", async function () {
+    await election.connect(user1).testVote(ranking(1, 2, 3));
+    await election.connect(user2).testVote(ranking(2, 3, 1));
+    await election.connect(user3).testVote(ranking(2, 1, 3));
+
+    const incremental = new IncrementalTally(election.target, ethers.provider, { checkpointPath });
+    const result = await incremental.calculate("tideman");
+    const expected = await fullTally();
+
+    expect(result.details.pairwiseTallies).to.deep.equal(expected.details.pairwiseTallies);
+    expect(result.selectedCandidates).to.deep.equal(expected.selectedCandidates);
+
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+    expect(checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(Object.keys(checkpoint.rankings)).to.have.length(3);
+  });
+
+  it("should replace a voter's previous ranking when applying updates from the checkpoint", async function () {
+    await election.connect(user1).testVote(ranking(1, 2, 3));
+    await election.connect(user2).testVote(ranking(1, 3, 2));
+
+    const incremental = new IncrementalTally(election.target, ethers.provider, { checkpointPath });
+    const first = await incremental.calculate("tideman");
+    expect(first.winner.name).to.equal("Alice");
+
+    // Both voters change their minds, one new voter joins
+    await election.connect(user1).testVote(ranking(3, 2, 1));
+    await election.connect(user2).testVote(ranking(3, 1, 2));
+    await election.connect(user3).testVote(ranking(2, 3, 1));
+
+    const second = await incremental.calculate("tideman");
+    const expected = await fullTally();
+
+    expect(second.details.pairwiseTallies).to.deep.equal(expected.details.pairwiseTallies);
+    expect(second.totalVoters).to.equal(3);
+    expect(second.winner.name).to.equal("Carol");
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { VoteReader } = require("../scripts/vote-reader");
+const { MULTICALL3_ADDRESS, hasMulticall, installLocalMulticall, readBatched } = require("../scripts/multicall");
+
+/**
+ * Multicall3-batched ballot reads
+ *
+ * Batched reads must return exactly what one getVote call per voter returns,
+ * with or without a Multicall3 contract on the network.
+ */
+
+describe("Multicall ballot reading", function () {
+  let election, mockWorldID, multicall, voters;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  beforeEach(async function () {
+    const [, creator, ...signers] = await ethers.getSigners();
+    voters = signers.slice(0, 7);
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    mockWorldID = await MockWorldID.deploy();
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(mockWorldID.target, "Batched Election", "Multicall reads", "vote_multicall_test", creator.address);
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    multicall = await Multicall3.deploy();
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, "");
+    }
+    for (const [index, voter] of voters.entries()) {
+      await election.connect(voter).testVote(index % 2 === 0 ? entries(1, 2, 3) : entries(3, 1));
+    }
+  });
+
+  async function readOneByOne() {
+    const votes = [];
+    for (const voterId of await election.getAllVoters()) {
+      const ranking = await election.getVote(voterId);
+      votes.push({
+        voterId: voterId.toString(),
+        ranking: ranking.map(entry => ({ candidateId: Number(entry.candidateId), tiedWithPrevious: entry.tiedWithPrevious }))
+      });
+    }
+    return votes;
+  }
+
+  function byVoter(votes) {
+    return [...votes].map(([voterId, ranking]) => ({ voterId, ranking }));
+  }
+
+  it("should read the same ballots through multicall in small chunks", async function () {
+    const progress = [];
+    const reader = new VoteReader(election.target, ethers.provider, {
+      batch: { multicallAddress: multicall.target, chunkSize: 3, concurrency: 2 }
+    });
+    reader.batch.onProgress = (done, total) => progress.push(`${done}/${total}`);
+    const voterIds = (await election.getAllVoters()).map(voterId => voterId.toString());
+
+    const votes = await reader.getVotes(voterIds);
+
+    expect(byVoter(votes)).to.deep.equal(await readOneByOne());
+    expect(progress).to.have.length(3);
+    expect(progress[progress.length - 1]).to.equal("7/7");
+  });
+
+  it("should fall back to individual calls without a multicall contract", async function () {
+    const reader = new VoteReader(election.target, ethers.provider, {
+      batch: { multicallAddress: ethers.Wallet.createRandom().address }
+    });
+    const voterIds = (await election.getAllVoters()).map(voterId => voterId.toString());
+
+    expect(byVoter(await reader.getVotes(voterIds))).to.deep.equal(await readOneByOne());
+  });
+
+  it("should read individually at blocks before Multicall3 was deployed", async function () {
+    const before = await ethers.provider.getBlockNumber();
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const later = await Multicall3.deploy();
+    const reader = new VoteReader(election.target, ethers.provider, {
+      batch: { multicallAddress: later.target }
+    });
+    const voterIds = (await election.getAllVoters()).map(voterId => voterId.toString());
+
+    expect(await hasMulticall(ethers.provider, later.target, before)).to.equal(false);
+    expect(byVoter(await reader.getVotes(voterIds, { blockTag: before }))).to.deep.equal(await readOneByOne());
+  });
+
+  it("should read a chunk individually when aggregate3 keeps failing", async function () {
+    // MockWorldID has code but no aggregate3, so every aggregate3 call reverts
+    const reader = new VoteReader(election.target, ethers.provider, {
+      batch: { multicallAddress: mockWorldID.target, chunkSize: 3, retries: 0 }
+    });
+    const voterIds = (await election.getAllVoters()).map(voterId => voterId.toString());
+
+    expect(byVoter(await reader.getVotes(voterIds))).to.deep.equal(await readOneByOne());
+  });
+
+  it("should report calls that revert without failing the batch", async function () {
+    // MockWorldID has no getVote, so that call reverts
+    const notAnElection = new ethers.Contract(mockWorldID.target, election.interface, ethers.provider);
+    const [voterId] = await election.getAllVoters();
+    const calls = [
+      { contract: election, method: "getVote", args: [voterId] },
+      { contract: notAnElection, method: "getVote", args: [voterId] },
+      { contract: election, method: "candidateCount" }
+    ];
+
+    const results = await readBatched(ethers.provider, calls, { multicallAddress: multicall.target });
+
+    expect(results.map(result => result.success)).to.deep.equal([true, false, true]);
+    expect(results[0].value.map(entry => Number(entry.candidateId))).to.deep.equal([1, 2, 3]);
+    expect(results[2].value).to.equal(3n);
+  });
+
+  it("should fail instead of leaving out a voter whose vote cannot be read", async function () {
+    // MockWorldID has no getVote, so every read reverts
+    const reader = new VoteReader(mockWorldID.target, ethers.provider, {
+      batch: { multicallAddress: multicall.target, retries: 0 }
+    });
+    const [voterId] = (await election.getAllVoters()).map(id => id.toString());
+
+    await expect(reader.getVotes([voterId])).to.be.rejectedWith(`Failed to read vote for voter ${voterId}`);
+  });
+
+  it("should use Multicall3 at its canonical address once installed locally", async function () {
+    const calls = (await election.getAllVoters()).map(voterId => ({ contract: election, method: "getVote", args: [voterId] }));
+
+    // Installed only for this test
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    try {
+      await installLocalMulticall(ethers.provider);
+      expect(await hasMulticall(ethers.provider)).to.equal(true);
+
+      const chunks = [];
+      const results = await readBatched(ethers.provider, calls, { chunkSize: 2, onProgress: done => chunks.push(done) });
+      expect(results.every(result => result.success)).to.equal(true);
+      expect(chunks).to.have.length(4);
+    } finally {
+      await ethers.provider.send("evm_revert", [snapshot]);
+    }
+    expect(await hasMulticall(ethers.provider, MULTICALL3_ADDRESS)).to.equal(false);
+  });
+});
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { tally } = require("tally");
+const { SelectionProcessor } = require("../scripts/selection-processor");
+const { tallyCommitment } = require("../scripts/audit-bundle");
+const { verifyElection } = require("../scripts/verify-election");
+
+/**
+ * Tally commitment
+ *
+ * reportSelection records the tally method, tie-break seed and hashes of the
+ * ballot set and full ranking, so anyone recomputing the tally from chain
+ * state can prove a misreport.
+ */
+
+describe("Tally commitment", function () {
+  let election, processor;
+  let creator, user1, user2, user3;
+  let auditDir;
+
+  function ranking(...ids) {
+    return ids.map(id => ({ candidateId: id, tiedWithPrevious: false }));
+  }
+
+  beforeEach(async function () {
+    [, creator, user1, user2, user3] = await ethers.getSigners();
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+
+    const Election = await ethers.getContractFactory("Election");
+    election = await Election.deploy(
+      mockWorldID.target,
+      "Committed Election",
+      "Testing tally commitments",
+      "vote_commitment_test",
+      creator.address
+    );
+
+    for (const name of ["Alice", "Bob", "Carol"]) {
+      await election.addCandidate(name, `${name} description`);
+    }
+
+    await election.connect(user1).testVote(ranking(2, 1, 3));
+    await election.connect(user2).testVote(ranking(2, 3, 1));
+    await election.connect(user3).testVote(ranking(1, 2, 3));
+
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), "selection-commitment-"));
+    processor = new SelectionProcessor(election.target, ethers.provider, creator, { auditDir, tieBreak: "blockhash" });
+  });
+
+  it("should record the commitment with the reported selection", async function () {
+    const { selectionResults, auditBundle } = await processor.runCompleteSelectionCycle();
+
+    const reported = await processor.getSelectionResults();
+    expect(reported).to.deep.include({ selectionCompleted: true, selectedCandidates: [2] });
+    expect(reported.commitment).to.deep.equal({ method: "tideman", ...selectionResults.commitment });
+    expect(reported.commitment.tieBreakSeed).to.equal(selectionResults.tieBreak.seed);
+
+    expect(auditBundle.selection.reportedCommitment).to.deep.equal(reported.commitment);
+    expect(auditBundle.results.commitment).to.deep.equal(selectionResults.commitment);
+  });
+
+  it("should verify a selection from its commitment alone", async function () {
+    await processor.runCompleteSelectionCycle();
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider);
+
+    expect(checks.map(c => c.name)).to.include.members([
+      "Committed tally method",
+      "Committed tie-break seed",
+      "Committed ballot set hash",
+      "Committed ranking hash"
+    ]);
+    expect(checks.filter(c => !c.passed)).to.deep.equal([]);
+    expect(verified).to.equal(true);
+  });
+
+  it("should verify a multi-seat selection without being told the seats", async function () {
+    const stv = new SelectionProcessor(election.target, ethers.provider, creator, { auditDir, method: "stv", seats: 2 });
+    const { selectionResults } = await stv.runCompleteSelectionCycle();
+    expect(selectionResults.selectedCandidates).to.have.length(2);
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider);
+
+    expect(checks.filter(c => !c.passed)).to.deep.equal([]);
+    expect(verified).to.equal(true);
+  });
+
+  it("should prove a misreported ranking", async function () {
+    await processor.closeVoting();
+    const selection = await processor.processSelection();
+    // The reported winner is right, but the committed ranking swaps the runners-up
+    const swapped = selection.finalRanking.map((entry, index) => index === 0 ? entry : { ...entry, rank: 5 - entry.rank });
+    const { rankingHash } = tallyCommitment({
+      votes: selection.voteData.votes,
+      result: { method: selection.method, finalRanking: swapped },
+      tieBreak: selection.tallyOptions.tieBreak
+    });
+    await election.connect(creator).reportSelection(selection.selectedCandidates, { ...selection.commitment, rankingHash });
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider);
+
+    expect(verified).to.equal(false);
+    expect(checks.filter(c => !c.passed).map(c => c.name)).to.deep.equal(["Committed ranking hash"]);
+  });
+
+  it("should reject a tie-break seed other than the closing blockhash", async function () {
+    await processor.closeVoting();
+    const selection = await processor.processSelection();
+    // A consistent commitment for a seed the reporter chose
+    const tieBreak = { rule: "random", seed: ethers.id("chosen by the reporter") };
+    const result = tally(selection.voteData, selection.method, { tieBreak });
+    await election.connect(creator).reportSelection(result.selectedCandidates,
+      tallyCommitment({ votes: selection.voteData.votes, result, tieBreak }));
+
+    const { verified, checks } = await verifyElection(election.target, ethers.provider);
+
+    expect(verified).to.equal(false);
+    expect(checks.filter(c => !c.passed).map(c => c.name)).to.deep.equal(["Tie-break seed"]);
+  });
+
+  it("should reject a selection reported without a commitment", async function () {
+    await election.connect(creator).pauseVoting();
+    const empty = {
+      methodId: ethers.ZeroHash,
+      tieBreakSeed: ethers.ZeroHash,
+      ballotSetHash: ethers.ZeroHash,
+      rankingHash: ethers.ZeroHash
+    };
+
+    await expect(election.connect(creator).reportSelection([2], empty))
+      .to.be.revertedWithCustomError(election, "InvalidCommitment");
+  });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SelectionKeeper } = require("../scripts/selection-keeper");
+
+/**
+ * Selection keeper
+ *
+ * The keeper must report each election exactly once after its voting
+ * closes, survive restarts through its progress file, and leave the chain
+ * untouched in dry-run mode.
+ */
+
+describe("Selection keeper", function () {
+  const HOUR = 3600;
+  let electionManager, scheduled, unscheduled, creator, voters, closesAt, workDir, progressPath;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  // Placeholder tally commitment for selections reported by hand
+  function commitment(method = "tideman") {
+    return {
+      methodId: ethers.encodeBytes32String(method),
+      tieBreakSeed: ethers.ZeroHash,
+      ballotSetHash: ethers.id("ballots"),
+      rankingHash: ethers.id("ranking")
+    };
+  }
+
+  function keeper(options = {}, signer = creator) {
+    return new SelectionKeeper(ethers.provider, signer, {
+      managerAddress: electionManager.target,
+      progressPath,
+      auditDir: path.join(workDir, "audits"),
+      ...options
+    });
+  }
+
+  function progress() {
+    return JSON.parse(fs.readFileSync(progressPath, "utf8")).elections;
+  }
+
+  async function closeScheduledElection() {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [closesAt]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  beforeEach(async function () {
+    const [admin, electionCreator, ...signers] = await ethers.getSigners();
+    creator = electionCreator;
+    voters = signers.slice(0, 3);
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "selection-keeper-"));
+    progressPath = path.join(workDir, "progress.json");
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+    const ElectionManager = await ethers.getContractFactory("ElectionManager");
+    electionManager = await ElectionManager.deploy(mockWorldID.target);
+    await electionManager.connect(admin).grantCreatorRole(creator.address);
+
+    const candidates = ["Alice", "Bob", "Carol"].map(name => ({ name, description: "" }));
+    closesAt = (await ethers.provider.getBlock("latest")).timestamp + HOUR;
+    await electionManager.connect(creator)["createElection(string,string,(string,string)[],uint256,uint256)"]("Council", "", candidates, 0, closesAt);
+    await electionManager.connect(creator).createElection("Budget", "", candidates);
+
+    const Election = await ethers.getContractFactory("Election");
+    scheduled = Election.attach((await electionManager.getElection(1)).electionAddress);
+    unscheduled = Election.attach((await electionManager.getElection(2)).electionAddress);
+
+    await scheduled.connect(voters[0]).testVote(entries(2, 1, 3));
+    await scheduled.connect(voters[1]).testVote(entries(2, 3, 1));
+    await scheduled.connect(voters[2]).testVote(entries(1, 2, 3));
+    await unscheduled.connect(voters[0]).testVote(entries(3, 1, 2));
+  });
+
+  it("should wait while voting is open and report once it closes", async function () {
+    expect(await keeper().check()).to.deep.equal({ waiting: 2 });
+    expect(fs.existsSync(progressPath)).to.equal(false);
+
+    await closeScheduledElection();
+    expect(await keeper().check()).to.deep.equal({ reported: 1, waiting: 1 });
+
+    const [selected] = await scheduled.getSelectionResults();
+    expect(selected.map(Number)).to.deep.equal([2]);
+    const entry = progress()[scheduled.target];
+    expect(entry).to.include({ id: 1, status: "reported" });
+    expect(entry.selectedCandidates).to.deep.equal([2]);
+    expect(fs.existsSync(entry.auditPath)).to.equal(true);
+  });
+
+  it("should not report again after a restart", async function () {
+    await closeScheduledElection();
+    await keeper().check();
+    const block = await ethers.provider.getBlockNumber();
+
+    expect(await keeper().check()).to.deep.equal({ done: 1, waiting: 1 });
+    expect(await ethers.provider.getBlockNumber()).to.equal(block);
+  });
+
+  it("should finish a report that was sent before the keeper stopped", async function () {
+    await closeScheduledElection();
+    const tx = await scheduled.connect(creator).reportSelection([2], commitment());
+    fs.writeFileSync(progressPath, JSON.stringify({
+      version: 1,
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
+      managerAddress: electionManager.target,
+      elections: { [scheduled.target]: { id: 1, status: "submitted", transactionHash: tx.hash } }
+    }));
+
+    expect(await keeper().check()).to.deep.equal({ reported: 1, waiting: 1 });
+    const entry = progress()[scheduled.target];
+    expect(entry).to.include({ status: "reported", transactionHash: tx.hash });
+    expect(fs.existsSync(entry.auditPath)).to.equal(true);
+  });
+
+  it("should only simulate the report in dry-run mode", async function () {
+    await unscheduled.connect(creator).pauseVoting();
+    const block = await ethers.provider.getBlockNumber();
+
+    const dryRun = keeper({ dryRun: true });
+    expect(await dryRun.check()).to.deep.equal({ waiting: 1, "dry-run": 1 });
+    expect(await dryRun.check()).to.deep.equal({ waiting: 1, done: 1 });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    expect(await unscheduled.getPhase()).to.equal(2); // Closed
+    expect(fs.existsSync(progressPath)).to.equal(false);
+  });
+
+  it("should retry failed reports up to maxAttempts", async function () {
+    await closeScheduledElection();
+    const outsider = keeper({ maxAttempts: 2 }, voters[0]);
+
+    expect(await outsider.check()).to.deep.equal({ failed: 1, waiting: 1 });
+    expect(await outsider.check()).to.deep.equal({ failed: 1, waiting: 1 });
+    expect(await outsider.check()).to.deep.equal({ "gave-up": 1, waiting: 1 });
+    expect(progress()[scheduled.target]).to.include({ status: "failed", attempts: 2 });
+  });
+});
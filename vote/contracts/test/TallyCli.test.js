@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { formatBallots } = require("tally");
+const { tallyFile, formatReport } = require("tally/bin/tally");
+
+/**
+ * Offline tally CLI (vote/tally/bin/tally.js)
+ *
+ * Runs on ballot files only - no contract deployment needed.
+ */
+
+describe("Tally CLI", function () {
+  const candidates = [
+    { id: 1, name: "Alice", description: "" },
+    { id: 2, name: "Bob", description: "" },
+    { id: 3, name: "Carol", description: "" }
+  ];
+
+  function ballot(...ids) {
+    return { voterId: "1", ranking: ids.map(candidateId => ({ candidateId, tiedWithPrevious: false })) };
+  }
+
+  // Bob wins pairwise once Alice-only ballots are read as ranking Bob = Carol last
+  const ballotSet = {
+    electionInfo: { title: "Offline Election" },
+    candidates,
+    votes: [ballot(1), ballot(1), ballot(2, 3, 1), ballot(2, 3, 1), ballot(3, 2, 1)]
+  };
+
+  let dir;
+
+  function writeBallots(name, text) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, text);
+    return filePath;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tally-cli-"));
+  });
+
+  it("should tally an interchange file with the format taken from its extension", function () {
+    const filePath = writeBallots("ballots.abif", formatBallots(ballotSet, "abif"));
+    const { input, options, result } = tallyFile(filePath, { method: "plurality" });
+
+    expect(input).to.include({ format: "abif", title: "Offline Election", candidates: 3, ballots: 5 });
+    expect(options).to.deep.include({ method: "plurality", seats: 1, unranked: "ignore" });
+    expect(result.winner.name).to.equal("Alice");
+  });
+
+  it("should read VoteReader JSON exports and audit bundles", function () {
+    const exported = writeBallots("votes.json", JSON.stringify(ballotSet));
+    const bundle = writeBallots("bundle.json", JSON.stringify({
+      election: { title: "Audited" },
+      candidates,
+      ballots: ballotSet.votes,
+      tally: { seats: 2 }
+    }));
+
+    expect(tallyFile(exported, { method: "irv" }).result.selectedCandidates).to.deep.equal([2]);
+    const { input, options } = tallyFile(bundle, { method: "stv" });
+    expect(input.title).to.equal("Audited");
+    expect(options.seats).to.equal(2);
+  });
+
+  it("should apply the unranked treatment, seats and tie-break seed flags", function () {
+    const filePath = writeBallots("ballots.toi", formatBallots(ballotSet, "toi"));
+
+    expect(tallyFile(filePath).result.winner.name).to.equal("Bob");
+    expect(tallyFile(filePath, { unranked: "last" }).result.details.pairwiseTallies["1-2"]).to.equal(2);
+
+    const seeded = tallyFile(filePath, { method: "stv", seats: "2", seed: "0xabc" });
+    expect(seeded.options.tieBreak).to.deep.equal({ rule: "random", seed: "0xabc" });
+    expect(seeded.result.selectedCandidates).to.have.length(2);
+  });
+
+  it("should print a readable report for every method", function () {
+    const filePath = writeBallots("ballots.blt", formatBallots(ballotSet, "blt"));
+
+    for (const method of ["tideman", "tideman-elimination", "borda", "irv", "plurality", "schulze", "stv"]) {
+      const report = formatReport(tallyFile(filePath, { method }));
+      expect(report, method).to.match(/^Offline Election - /);
+      expect(report, method).to.match(/Final ranking:\n\s+1\. /);
+    }
+    expect(formatReport(tallyFile(filePath, { method: "irv" }))).to.include("Rounds:");
+  });
+
+  it("should name the eliminated candidates in Tideman elimination reports", function () {
+    const filePath = writeBallots("ballots.blt", formatBallots(ballotSet, "blt"));
+
+    const report = formatReport(tallyFile(filePath, { method: "tideman-elimination" }));
+    expect(report).to.include("Elimination order: Alice, Carol");
+  });
+
+  it("should reject unknown formats and methods", function () {
+    const filePath = writeBallots("ballots.txt", "");
+    expect(() => tallyFile(filePath)).to.throw(/Cannot tell the ballot format/);
+
+    const csvPath = writeBallots("ballots.csv", formatBallots(ballotSet, "csv"));
+    expect(() => tallyFile(csvPath, { method: "approval" })).to.throw(/Unsupported tally method/);
+  });
+});
@@ -0,0 +1,624 @@
+const { expect } = require("chai");
+const {
+  tally, resolveMethod, listMethods, groupByRank, normalizeBallotSet, createTieBreak, sortPairs,
+  PairwiseAggregator, analyzeCondorcet, marginOfVictory
+} = require("tally");
+const { MAX_CYCLES } = require("tally/src/diagnostics");
+
+/**
+ * Shared Tally Engine (vote/tally)
+ *
+ * Pure ballot-set tests - no contract deployment needed.
+ */
+
+describe("Tally Engine", function () {
+  // Candidates: Alice(1), Bob(2), Carol(3), Dave(4)
+  const candidates = [
+    { id: 1, name: "Alice", description: "Candidate A" },
+    { id: 2, name: "Bob", description: "Candidate B" },
+    { id: 3, name: "Carol", description: "Candidate C" },
+    { id: 4, name: "Dave", description: "Candidate D" }
+  ];
+
+  function ballot(voterId, ...ids) {
+    return {
+      voterId,
+      ranking: ids.map(id => ({ candidateId: id, tiedWithPrevious: false }))
+    };
+  }
+
+  // Same votes as the TidemanMethod integration test
+  const ballotSet = {
+    candidates,
+    votes: [
+      ballot(4001, 1, 2, 3, 4),
+      ballot(4002, 2, 3, 4, 1),
+      ballot(4003, 3, 4, 1, 2),
+      ballot(4004, 4, 1, 2, 3)
+    ]
+  };
+
+  describe("Ballot normalisation", function () {
+    it("should group tied entries into rank levels", function () {
+      const groups = groupByRank([
+        { candidateId: 1, tiedWithPrevious: false },
+        { candidateId: 2, tiedWithPrevious: true },
+        { candidateId: 3, tiedWithPrevious: false }
+      ]);
+      expect(groups).to.deep.equal([[1, 2], [3]]);
+    });
+
+    it("should drop unknown candidates, duplicates and empty ballots", function () {
+      const normalized = normalizeBallotSet({
+        candidates: [{ id: 1n, name: "Alice" }, { id: 2n, name: "Bob" }],
+        votes: [
+          { voterId: 1, ranking: [{ candidateId: 0n, tiedWithPrevious: false }] },
+          { voterId: 2, ranking: [
+            { candidateId: 2n, tiedWithPrevious: false },
+            { candidateId: 9n, tiedWithPrevious: false },
+            { candidateId: 2n, tiedWithPrevious: false },
+            { candidateId: 1n, tiedWithPrevious: false }
+          ] }
+        ]
+      });
+
+      expect(normalized.candidates.map(c => c.id)).to.deep.equal([1, 2]);
+      expect(normalized.ballots).to.deep.equal([{ voterId: 2, groups: [[2], [1]] }]);
+    });
+  });
+
+  describe("Method registry", function () {
+    it("should resolve method aliases", function () {
+      expect(resolveMethod("irv")).to.equal("instant-runoff");
+      expect(resolveMethod("Ranked-Pairs")).to.equal("tideman");
+      expect(resolveMethod("approval")).to.be.undefined;
+    });
+
+    it("should reject unsupported methods", function () {
+      expect(() => tally(ballotSet, "approval")).to.throw(/Unsupported tally method/);
+    });
+
+    it("should return the same result shape for every method", function () {
+      for (const { key } of listMethods()) {
+        const result = tally(ballotSet, key);
+
+        expect(result.method).to.equal(key);
+        expect(result.algorithm).to.be.a("string");
+        expect(result.totalVotes).to.equal(4);
+        expect(result.candidateCount).to.equal(4);
+        expect(result.finalRanking.map(r => r.rank)).to.deep.equal([1, 2, 3, 4]);
+        expect(result.details).to.be.an("object");
+        if (result.winner) {
+          expect(result.selectedCandidates).to.deep.equal([result.winner.id]);
+        }
+      }
+    });
+  });
+
+  describe("Tideman", function () {
+    it("should lock pairs and rank candidates", function () {
+      const result = tally(ballotSet, "tideman");
+
+      expect(Object.keys(result.details.pairwiseTallies)).to.have.length(12);
+      expect(result.details.pairwiseTallies["3-4"]).to.equal(3);
+      expect(result.details.rankedPairs[0]).to.include({ winner: 1, loser: 2, margin: 2 });
+      expect(result.details.lockedPairs.length + result.details.skippedPairs.length)
+        .to.equal(result.details.rankedPairs.length);
+      expect(result.finalRanking).to.have.length(4);
+    });
+
+    it("should not count tied candidates against each other", function () {
+      const result = tally({
+        candidates,
+        votes: [{
+          ranking: [
+            { candidateId: 1, tiedWithPrevious: false },
+            { candidateId: 2, tiedWithPrevious: true },
+            { candidateId: 3, tiedWithPrevious: false }
+          ]
+        }]
+      }, "tideman");
+
+      expect(result.details.pairwiseTallies["1-2"]).to.equal(0);
+      expect(result.details.pairwiseTallies["2-1"]).to.equal(0);
+      expect(result.details.pairwiseTallies["1-3"]).to.equal(1);
+      expect(result.details.pairwiseTallies["2-3"]).to.equal(1);
+    });
+  });
+
+  describe("Incremental pairwise aggregator", function () {
+    it("should match a full tally after ballots are added and replaced", function () {
+      const aggregator = new PairwiseAggregator(candidates);
+      for (const vote of ballotSet.votes) {
+        aggregator.applyRanking(vote.voterId, vote.ranking, 10);
+      }
+      aggregator.applyRanking(4001, ballot(4001, 4, 3, 2, 1).ranking, 12);
+
+      const expected = tally({ candidates, votes: [ballot(4001, 4, 3, 2, 1), ...ballotSet.votes.slice(1)] }, "tideman");
+      expect(aggregator.pairwiseTallies).to.deep.equal(expected.details.pairwiseTallies);
+      expect(aggregator.tally("tideman").finalRanking.map(r => r.candidateId))
+        .to.deep.equal(expected.finalRanking.map(r => r.candidateId));
+      expect(aggregator.totalVoters).to.equal(4);
+      expect(aggregator.blockNumber).to.equal(12);
+    });
+
+    it("should round-trip through a JSON checkpoint", function () {
+      const aggregator = new PairwiseAggregator(candidates);
+      aggregator.applyRanking("1", ballot(1, 1, 2).ranking, 5);
+      aggregator.advanceTo(9);
+
+      const restored = PairwiseAggregator.fromCheckpoint(JSON.parse(JSON.stringify(aggregator.toCheckpoint())));
+      restored.applyRanking("1", ballot(1, 2, 1).ranking, 11);
+
+      expect(restored.blockNumber).to.equal(11);
+      expect(restored.pairwiseTallies["1-2"]).to.equal(0);
+      expect(restored.pairwiseTallies["2-1"]).to.equal(1);
+    });
+
+    it("should rebuild the matrix from stored ballots when candidates change", function () {
+      const aggregator = new PairwiseAggregator(candidates.slice(0, 3));
+      aggregator.applyRanking("1", ballot(1, 1, 4, 2).ranking);
+      expect(aggregator.pairwiseTallies["1-2"]).to.equal(1);
+
+      expect(aggregator.setCandidates(candidates)).to.be.true;
+      expect(aggregator.pairwiseTallies["4-2"]).to.equal(1);
+      expect(aggregator.setCandidates(candidates)).to.be.false;
+    });
+  });
+
+  describe("Ranked Pairs tie-breaking", function () {
+    // Alice > Bob > Carol > Alice, every margin 1
+    const cycle = {
+      candidates: candidates.slice(0, 3),
+      votes: [ballot(1, 1, 2, 3), ballot(2, 2, 3, 1), ballot(3, 3, 1, 2)]
+    };
+    const seed = "0x6f2f4a4b1d0b6d4f5c8e0c3b7a1e9d2f4b6a8c0e1d3f5a7b9c1e3d5f7a9b1c3d";
+
+    it("should break equal margins by candidate order and record the rule", function () {
+      const result = tally(cycle, "tideman");
+
+      expect(result.details.tieBreak).to.deep.equal({
+        rule: "candidate-order", seed: null, source: null, order: [1, 2, 3]
+      });
+      expect(result.details.lockedPairs).to.deep.equal(["1-2", "2-3"]);
+      expect(result.details.skippedPairs).to.deep.equal(["3-1"]);
+      expect(result.winner.name).to.equal("Alice");
+    });
+
+    it("should derive a reproducible permutation from a seed", function () {
+      const first = createTieBreak(candidates, { seed, source: "blockhash of block 42" });
+      const second = createTieBreak(candidates, { rule: "random", seed });
+
+      expect(first.rule).to.equal("random");
+      expect(first.source).to.equal("blockhash of block 42");
+      expect(first.order).to.deep.equal(second.order);
+      expect([...first.order].sort()).to.deep.equal([1, 2, 3, 4]);
+    });
+
+    it("should lock the same pairs for every reporter using the same seed", function () {
+      const a = tally(cycle, "tideman", { tieBreak: { seed } });
+      const b = tally(cycle, "ranked-pairs", { tieBreak: { rule: "random", seed } });
+      const winnersInOrder = a.details.rankedPairs.map(pair => a.details.tieBreak.order.indexOf(pair.winner));
+
+      expect(a.details.lockedPairs).to.deep.equal(b.details.lockedPairs);
+      expect(a.finalRanking.map(r => r.candidateId)).to.deep.equal(b.finalRanking.map(r => r.candidateId));
+      expect(winnersInOrder).to.deep.equal([0, 1, 2]);
+    });
+
+    it("should order pairs with the same winner by the weaker loser first", function () {
+      const pairs = [
+        { winner: 1, loser: 2, margin: 1 },
+        { winner: 1, loser: 3, margin: 1 },
+        { winner: 2, loser: 3, margin: 2 }
+      ];
+
+      expect(sortPairs(pairs, [1, 2, 3]).map(p => `${p.winner}-${p.loser}`)).to.deep.equal(["2-3", "1-3", "1-2"]);
+    });
+
+    it("should reject unknown rules and unseeded random tie-breaks", function () {
+      expect(() => tally(cycle, "tideman", { tieBreak: "coin-flip" })).to.throw(/Unsupported tie-break rule/);
+      expect(() => tally(cycle, "tideman", { tieBreak: "random" })).to.throw(/requires a seed/);
+    });
+  });
+
+  describe("Schulze", function () {
+    function repeat(count, ...ids) {
+      return Array.from({ length: count }, () => ballot(0, ...ids));
+    }
+
+    it("should compute strongest paths and the full ordering", function () {
+      // Classic 45-voter example: A(1) B(2) C(3) D(4) E(5) → E > A > C > B > D
+      const five = [...candidates, { id: 5, name: "Eve", description: "Candidate E" }];
+      const result = tally({
+        candidates: five,
+        votes: [
+          ...repeat(5, 1, 3, 2, 5, 4),
+          ...repeat(5, 1, 4, 5, 3, 2),
+          ...repeat(8, 2, 5, 4, 1, 3),
+          ...repeat(3, 3, 1, 2, 5, 4),
+          ...repeat(7, 3, 1, 5, 2, 4),
+          ...repeat(2, 3, 2, 1, 4, 5),
+          ...repeat(7, 4, 3, 5, 2, 1),
+          ...repeat(8, 5, 2, 1, 4, 3)
+        ]
+      }, "schulze");
+
+      expect(result.details.strongestPaths[1]).to.deep.equal({ 1: 0, 2: 28, 3: 28, 4: 30, 5: 24 });
+      expect(result.details.strongestPaths[5]).to.deep.equal({ 1: 25, 2: 28, 3: 28, 4: 31, 5: 0 });
+      expect(result.details.ordering).to.deep.equal([[5], [1], [3], [2], [4]]);
+      expect(result.winner.name).to.equal("Eve");
+    });
+
+    it("should keep tied candidates on the same level", function () {
+      const result = tally({
+        candidates: candidates.slice(0, 3),
+        votes: [
+          {
+            ranking: [
+              { candidateId: 1, tiedWithPrevious: false },
+              { candidateId: 2, tiedWithPrevious: true },
+              { candidateId: 3, tiedWithPrevious: false }
+            ]
+          }
+        ]
+      }, "beatpath");
+
+      expect(result.details.strongestPaths[1][2]).to.equal(0);
+      expect(result.details.ordering).to.deep.equal([[1, 2], [3]]);
+      expect(result.details.winners).to.deep.equal([1, 2]);
+    });
+  });
+
+  describe("Single Transferable Vote", function () {
+    function repeat(count, ...ids) {
+      return Array.from({ length: count }, () => ballot(0, ...ids));
+    }
+
+    // Orange(1), Pear(2), Chocolate(3), Strawberry(4), Bonbon(5) - 20 voters, 3 seats
+    const food = {
+      candidates: ["Orange", "Pear", "Chocolate", "Strawberry", "Bonbon"].map((name, i) => ({ id: i + 1, name })),
+      votes: [
+        ...repeat(4, 1, 2),
+        ...repeat(2, 2, 1),
+        ...repeat(8, 3, 4),
+        ...repeat(4, 3, 5),
+        ...repeat(1, 4),
+        ...repeat(1, 5)
+      ]
+    };
+
+    it("should fill every seat and report them for reportSelection", function () {
+      const result = tally(food, "stv", { seats: 3 });
+
+      expect(result.details.quota).to.equal(6);
+      expect(result.selectedCandidates).to.deep.equal([3, 1, 4]);
+      expect(result.winner.name).to.equal("Chocolate");
+      expect(result.finalRanking.map(r => r.candidateId)).to.deep.equal([3, 1, 4, 5, 2]);
+    });
+
+    it("should report quota, transfers, exhausted ballots and eliminations per round", function () {
+      const { rounds, exhausted } = tally(food, "stv", { seats: 3 }).details;
+
+      expect(rounds[0]).to.deep.include({ tallies: { 1: 4, 2: 2, 3: 12, 4: 1, 5: 1 }, elected: [3], eliminated: null });
+      expect(rounds[0].transfer).to.deep.equal({
+        type: "surplus", from: 3, transferValue: 0.5, amounts: { 4: 4, 5: 2 }, exhausted: 0
+      });
+      expect(rounds[1]).to.deep.include({ elected: [], eliminated: 2 });
+      expect(rounds[1].transfer.amounts).to.deep.equal({ 1: 2 });
+      expect(rounds[2]).to.deep.include({ elected: [1], eliminated: 5 });
+      expect(rounds[2].transfer.exhausted).to.equal(3);
+      expect(rounds[3]).to.deep.include({ quota: 6, exhausted: 3, elected: [4] });
+      expect(exhausted).to.equal(3);
+    });
+
+    it("should split tied preferences between continuing candidates", function () {
+      const result = tally({
+        candidates: candidates.slice(0, 3),
+        votes: [
+          ...repeat(2, 1),
+          {
+            ranking: [
+              { candidateId: 2, tiedWithPrevious: false },
+              { candidateId: 3, tiedWithPrevious: true }
+            ]
+          }
+        ]
+      }, "stv", { seats: 1 });
+
+      expect(result.details.rounds[0].tallies).to.deep.equal({ 1: 2, 2: 0.5, 3: 0.5 });
+      expect(result.selectedCandidates).to.deep.equal([1]);
+    });
+
+    it("should break elimination ties with the tie-break rule, as instant runoff does", function () {
+      // Carol and Dave tie for fewest votes in the first round
+      const tiedLast = {
+        candidates,
+        votes: [...repeat(3, 1), ...repeat(3, 2), ...repeat(1, 3, 1), ...repeat(1, 4, 2)]
+      };
+      expect(tally(tiedLast, "stv", { seats: 1 }).details.rounds[0].eliminated).to.equal(4);
+
+      const firstOut = new Set();
+      for (let seed = 1; seed <= 8; seed++) {
+        const tieBreak = { rule: "random", seed: `0x0${seed}` };
+        const { order } = createTieBreak(candidates, tieBreak);
+        const expected = order.indexOf(3) > order.indexOf(4) ? 3 : 4;
+        const { details } = tally(tiedLast, "stv", { seats: 1, tieBreak });
+
+        expect(details.rounds[0].eliminated, tieBreak.seed).to.equal(expected);
+        expect(details.tieBreak.seed).to.equal(tieBreak.seed);
+        expect(tally(tiedLast, "instant-runoff", { tieBreak }).details.rounds[0].eliminated).to.equal(expected);
+        firstOut.add(expected);
+      }
+      expect([...firstOut].sort()).to.deep.equal([3, 4]);
+    });
+
+    it("should reject an invalid number of seats", function () {
+      expect(() => tally(food, "stv", { seats: 0 })).to.throw(/Seats must be a positive integer/);
+      expect(() => tally(food, "stv", { seats: "two" })).to.throw(/Seats must be a positive integer/);
+    });
+  });
+
+  describe("Score and runoff methods", function () {
+    const majority = {
+      candidates: candidates.slice(0, 3),
+      votes: [
+        ballot(1, 1, 2, 3),
+        ballot(2, 1, 3, 2),
+        ballot(3, 2, 3, 1),
+        ballot(4, 3, 2, 1),
+        ballot(5, 2, 1, 3)
+      ]
+    };
+
+    it("should count first preferences for plurality", function () {
+      const result = tally(majority, "plurality");
+      expect(result.details.firstPlaceVotes).to.deep.equal({ 1: 2, 2: 2, 3: 1 });
+    });
+
+    it("should award positional points for Borda", function () {
+      const result = tally(majority, "borda");
+      expect(result.details.scores).to.deep.equal({ 1: 5, 2: 6, 3: 4 });
+      expect(result.winner.name).to.equal("Bob");
+    });
+
+    it("should transfer votes in instant runoff", function () {
+      const result = tally(majority, "irv");
+      expect(result.details.rounds[0].eliminated).to.equal(3);
+      expect(result.details.rounds[1].tallies).to.deep.equal({ 1: 2, 2: 3 });
+      expect(result.winner.name).to.equal("Bob");
+    });
+
+    it("should report transfers, exhausted ballots and tie-breaks for every IRV round", function () {
+      const { rounds } = tally({ ...majority, votes: [...majority.votes, ballot(6, 3)] }, "irv").details;
+
+      expect(rounds[0]).to.deep.include({ tallies: { 1: 2, 2: 2, 3: 2 }, activeVotes: 6, exhausted: 0, eliminated: 3 });
+      expect(rounds[0].elimination.tiedWith).to.deep.equal([1, 2]);
+      expect(rounds[0].elimination.reason).to.match(/Tied for fewest votes.*candidate-order/);
+      expect(rounds[0].transfers).to.deep.equal({ from: 3, votes: 2, to: { 2: 1 }, exhausted: 1 });
+
+      expect(rounds[1]).to.deep.include({
+        tallies: { 1: 2, 2: 3 }, activeVotes: 5, majorityThreshold: 2.5, exhausted: 1, newlyExhausted: 1, transfers: null
+      });
+      expect(rounds[1].elected).to.include({ candidateId: 2, votes: 3 });
+      expect(rounds[1].elected.reason).to.match(/More than half of 5/);
+    });
+  });
+
+  describe("Tied rankings", function () {
+    function tied(...groups) {
+      return {
+        ranking: groups.flatMap(group => group.map((candidateId, i) => ({ candidateId, tiedWithPrevious: i > 0 })))
+      };
+    }
+
+    // Alice = Bob > Carol; Carol > Alice = Bob = Dave; Alice = Bob = Carol
+    const withTies = {
+      candidates,
+      votes: [tied([1, 2], [3]), tied([3], [1, 2, 4]), tied([1, 2, 3])]
+    };
+
+    it("should document tie handling for every method", function () {
+      for (const { key, tieHandling } of listMethods()) {
+        expect(tieHandling, key).to.be.a("string").and.not.be.empty;
+        expect(tally(withTies, key).tieHandling).to.equal(tieHandling);
+      }
+    });
+
+    it("should give tied candidates averaged Borda points", function () {
+      const result = tally({ candidates, votes: withTies.votes.slice(0, 2) }, "borda");
+      expect(result.details.scores).to.deep.equal({ 1: 3.5, 2: 3.5, 3: 4, 4: 1 });
+    });
+
+    it("should split a tied first preference for plurality", function () {
+      const result = tally({ candidates, votes: withTies.votes.slice(0, 2) }, "plurality");
+      expect(result.details.firstPlaceVotes).to.deep.equal({ 1: 0.5, 2: 0.5, 3: 1, 4: 0 });
+    });
+
+    it("should split tied continuing preferences in instant runoff", function () {
+      const { rounds } = tally(withTies, "instant-runoff").details;
+
+      expect(rounds[0].tallies).to.deep.equal({ 1: 0.833333, 2: 0.833333, 3: 1.333333, 4: 0 });
+      expect(rounds[1].eliminated).to.equal(2);
+      expect(rounds[2].tallies).to.deep.equal({ 1: 1.5, 3: 1.5 });
+    });
+
+    it("should rank unranked candidates equal last when asked", function () {
+      const truncated = { candidates, votes: [tied([1])] };
+
+      expect(tally(truncated, "borda").details.scores).to.deep.equal({ 1: 3, 2: 0, 3: 0, 4: 0 });
+      expect(tally(truncated, "borda", { unranked: "last" }).details.scores).to.deep.equal({ 1: 3, 2: 1, 3: 1, 4: 1 });
+      expect(tally(truncated, "tideman", { unranked: "last" }).details.pairwiseTallies["1-2"]).to.equal(1);
+      expect(() => tally(truncated, "tideman", { unranked: "first" })).to.throw(/Unsupported unranked treatment/);
+      expect(() => tally(truncated, "tideman", { unranked: "last", pairwiseTallies: {} })).to.throw(/precomputed/);
+    });
+  });
+
+  describe("Condorcet diagnostics", function () {
+    function diagnose(set) {
+      return analyzeCondorcet(set.candidates, tally(set, "tideman").details.pairwiseTallies);
+    }
+
+    it("should report the Condorcet winner and loser without cycles", function () {
+      const diagnostics = diagnose({
+        candidates: candidates.slice(0, 3),
+        votes: [ballot(1, 1, 2, 3), ballot(2, 1, 2, 3), ballot(3, 2, 3, 1)]
+      });
+
+      expect(diagnostics.condorcetWinner).to.equal(1);
+      expect(diagnostics.condorcetLoser).to.equal(3);
+      expect(diagnostics.smithSet).to.deep.equal([1]);
+      expect(diagnostics.schwartzSet).to.deep.equal([1]);
+      expect(diagnostics.cycles).to.deep.equal([]);
+    });
+
+    it("should find the majority cycle and its margins", function () {
+      // Alice > Bob > Carol > Dave > Alice, each by 3-1; Alice-Carol and Bob-Dave tie
+      const diagnostics = diagnose(ballotSet);
+
+      expect(diagnostics.condorcetWinner).to.equal(null);
+      expect(diagnostics.condorcetLoser).to.equal(null);
+      expect(diagnostics.smithSet).to.deep.equal([1, 2, 3, 4]);
+      expect(diagnostics.schwartzSet).to.deep.equal([1, 2, 3, 4]);
+      expect(diagnostics.cycles).to.deep.equal([{
+        members: [1, 2, 3, 4],
+        defeats: [
+          { winner: 1, loser: 2, margin: 2 },
+          { winner: 2, loser: 3, margin: 2 },
+          { winner: 3, loser: 4, margin: 2 },
+          { winner: 4, loser: 1, margin: 2 }
+        ],
+        weakestMargin: 2
+      }]);
+    });
+
+    it("should separate the Schwartz set from the Smith set when pairwise ties exist", function () {
+      // Alice ties Bob, Bob beats Carol, Carol beats Alice
+      const diagnostics = diagnose({
+        candidates: candidates.slice(0, 3),
+        votes: [ballot(1, 2, 3, 1), ballot(2, 1, 2, 3), ballot(3, 3, 1)]
+      });
+
+      expect(diagnostics.smithSet).to.deep.equal([1, 2, 3]);
+      expect(diagnostics.schwartzSet).to.deep.equal([2]);
+      expect(diagnostics.cycles).to.deep.equal([]);
+    });
+
+    // Pairwise tallies where a beats b 2-1 when beats(a, b), and every other pair ties
+    function tournament(size, beats) {
+      const ids = Array.from({ length: size }, (_, index) => index + 1);
+      const tallies = {};
+      ids.forEach(a => ids.forEach(b => {
+        if (a !== b) tallies[`${a}-${b}`] = beats(a, b) ? 2 : 1;
+      }));
+      return analyzeCondorcet(ids.map(id => ({ id, name: `Candidate ${id}`, description: "" })), tallies);
+    }
+
+    it("should stop listing cycles once the limit is reached", function () {
+      // Every candidate beats the later ones, except the last beats the first:
+      // one cycle for each subset of the middle candidates
+      const started = Date.now();
+      const diagnostics = tournament(30, (a, b) => (a === 30 && b === 1) || (a < b && !(a === 1 && b === 30)));
+
+      expect(diagnostics.cycles).to.have.length(MAX_CYCLES);
+      expect(diagnostics.cyclesTruncated).to.equal(true);
+      expect(Date.now() - started).to.be.below(1000);
+    });
+
+    it("should bound the cycle search when few paths close", function () {
+      // 1 > 2 > 3 > 1 is the only cycle through 1, but 2 also leads into an
+      // ascending chain 4..30 that only returns to 2
+      const beats = (a, b) => (a === 1 && b === 2) || (a === 2 && (b === 3 || b === 4)) || (a === 3 && b === 1) ||
+        (a >= 4 && b > a) || (a === 30 && b === 2);
+      const started = Date.now();
+      const diagnostics = tournament(30, beats);
+
+      expect(diagnostics.cycles[0].members).to.deep.equal([1, 2, 3]);
+      expect(diagnostics.cyclesTruncated).to.equal(true);
+      expect(Date.now() - started).to.be.below(1000);
+    });
+
+    it("should analyse the matrix maintained by the aggregator", function () {
+      const aggregator = new PairwiseAggregator(candidates);
+      ballotSet.votes.forEach(vote => aggregator.applyRanking(vote.voterId, vote.ranking));
+
+      expect(aggregator.analyzeCondorcet()).to.deep.equal(diagnose(ballotSet));
+    });
+  });
+
+  describe("Margin of victory", function () {
+    const three = candidates.slice(0, 3);
+
+    // Alice 3 first preferences, Bob 2, Carol 2; Alice is also the Condorcet winner
+    const close = {
+      candidates: three,
+      votes: [
+        ballot(1, 1, 2, 3), ballot(2, 1, 2, 3), ballot(3, 1, 3, 2),
+        ballot(4, 2, 3, 1), ballot(5, 2, 1, 3),
+        ballot(6, 3, 2, 1), ballot(7, 3, 1, 2)
+      ]
+    };
+
+    // Apply a reported change and re-run the method
+    function winnerAfter(ballotSet, method, { remove = [], add }) {
+      const votes = [...ballotSet.votes];
+      for (const { count, groups } of remove) {
+        for (let i = 0; i < count; i++) {
+          const key = JSON.stringify(groups);
+          votes.splice(votes.findIndex(v => JSON.stringify(groupByRank(v.ranking)) === key), 1);
+        }
+      }
+      for (const { count, groups } of add) {
+        for (let i = 0; i < count; i++) {
+          votes.push({ voterId: `added-${i}`, ranking: groups.flatMap(g => g.map((id, j) => ({ candidateId: id, tiedWithPrevious: j > 0 }))) });
+        }
+      }
+      return tally({ ...ballotSet, votes }, method).winner.id;
+    }
+
+    it("should find exact margins for plurality", function () {
+      const margin = marginOfVictory(close, "plurality");
+
+      expect(margin.winner).to.equal(1);
+      // A tie at 3 goes to Alice (candidate order), so Bob needs two more
+      expect(margin.added).to.include({ ballots: 2, exact: true, challenger: 2 });
+      expect(margin.changed).to.include({ ballots: 1, exact: true });
+      expect(margin.changed.remove[0].groups[0]).to.deep.equal([1]);
+    });
+
+    it("should prove small Ranked Pairs and IRV margins exactly", function () {
+      for (const method of ["tideman", "instant-runoff"]) {
+        const margin = marginOfVictory(close, method);
+
+        expect(margin.changed, method).to.include({ ballots: 1, exact: true, lowerBound: 1 });
+        expect(margin.added, method).to.include({ exact: true });
+        expect(winnerAfter(close, method, margin.changed), method).to.not.equal(margin.winner);
+        expect(winnerAfter(close, method, margin.added), method).to.not.equal(margin.winner);
+      }
+    });
+
+    it("should report a bounded heuristic above the exact candidate limit", function () {
+      const five = [...candidates, { id: 5, name: "Eve", description: "" }];
+      const votes = Array.from({ length: 9 }, (_, i) => ballot(i, 1 + (i % 3), 4, 5));
+      const margin = marginOfVictory({ candidates: five, votes }, "tideman");
+
+      expect(margin.changed.exact).to.equal(false);
+      expect(margin.changed.lowerBound).to.be.at.most(margin.changed.ballots);
+      expect(winnerAfter({ candidates: five, votes }, "tideman", margin.changed)).to.not.equal(margin.winner);
+    });
+
+    it("should stop at the evaluation budget with a verified flip", function () {
+      const six = [...candidates, { id: 5, name: "Eve", description: "" }, { id: 6, name: "Frank", description: "" }];
+      // Rotations of three preferences, with Alice first on one extra ballot in seven
+      const votes = Array.from({ length: 600 }, (_, i) => i % 7 % 6).map((first, i) => ballot(i, 1 + first, 1 + (first + 1) % 6, 1 + (first + 3) % 6));
+      const ballotSet = { candidates: six, votes };
+      const margin = marginOfVictory(ballotSet, "instant-runoff", { maxEvaluations: 20 });
+
+      expect(margin.search).to.include({ maxEvaluations: 20, evaluations: 20, truncated: true });
+      expect(winnerAfter(ballotSet, "instant-runoff", margin.changed)).to.not.equal(margin.winner);
+    });
+
+    it("should only support single-winner methods with a margin search", function () {
+      expect(() => marginOfVictory(close, "schulze")).to.throw(/not supported/);
+    });
+  });
+});
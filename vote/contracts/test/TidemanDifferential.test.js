@@ -0,0 +1,92 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PREFERENCE_MODELS, createRandom, generateElection } = require("../scripts/preference-models");
+const {
+  compareImplementations,
+  shrinkCounterexample,
+  runRandomizedComparison,
+  replayCounterexample
+} = require("../scripts/compare-tideman-methods");
+
+/**
+ * Randomized differential comparison of the Tideman implementations
+ *
+ * Pure ballot-set tests - no contract deployment needed.
+ */
+
+describe("Tideman Differential Comparison", function () {
+  function ballot(voterId, ...ids) {
+    return {
+      voterId,
+      ranking: ids.map(id => ({ candidateId: id, tiedWithPrevious: false }))
+    };
+  }
+
+  const candidates = [1, 2, 3].map(id => ({ id, name: `Candidate ${id}`, description: "" }));
+
+  it("should generate valid, reproducible elections for every preference model", function () {
+    for (const model of Object.keys(PREFERENCE_MODELS)) {
+      const first = generateElection(createRandom(`seed:${model}`), { model, candidates: 5, voters: 20 });
+      const second = generateElection(createRandom(`seed:${model}`), { model, candidates: 5, voters: 20 });
+      expect(first).to.deep.equal(second);
+      expect(first.votes).to.have.length(20);
+
+      for (const vote of first.votes) {
+        const ids = vote.ranking.map(entry => entry.candidateId);
+        expect(new Set(ids).size).to.equal(ids.length);
+        expect(ids.every(id => id >= 1 && id <= 5)).to.equal(true);
+        expect(vote.ranking[0].tiedWithPrevious).to.equal(false);
+      }
+    }
+  });
+
+  it("should keep the route path in agreement with graph-based Tideman", function () {
+    const report = runRandomizedComparison({ elections: 300, seed: "route-check", maxSaved: 0 });
+
+    expect(Object.keys(report.discrepancies).filter(key => key.startsWith("graph vs route"))).to.deep.equal([]);
+  });
+
+  it("should flag the elimination variant on a three-ballot cycle", function () {
+    const { outputs, discrepancies } = compareImplementations({
+      candidates,
+      votes: [ballot("1", 1, 2, 3), ballot("2", 3, 1, 2), ballot("3", 2, 3, 1)]
+    });
+
+    expect(outputs.graph.winner).to.equal(1);
+    expect(outputs.elimination.winner).to.equal(3);
+    expect(outputs.route).to.deep.equal(outputs.graph);
+    expect(discrepancies).to.deep.equal([{ implementations: ["graph", "elimination"], kind: "winner" }]);
+  });
+
+  it("should shrink a counterexample to ballots that still reproduce it", function () {
+    const election = {
+      candidates,
+      votes: [
+        ballot("1", 1, 2, 3), ballot("2", 3, 1, 2), ballot("3", 2, 3, 1),
+        // Single-candidate ballots add no pairwise preferences
+        ballot("4", 1), ballot("5", 2)
+      ]
+    };
+    const discrepancy = { implementations: ["graph", "elimination"], kind: "winner" };
+    expect(compareImplementations(election).discrepancies).to.deep.include(discrepancy);
+
+    const minimal = shrinkCounterexample(election, discrepancy);
+
+    expect(minimal.votes.map(vote => vote.voterId)).to.deep.equal(["1", "2", "3"]);
+    expect(compareImplementations(minimal).discrepancies).to.deep.include(discrepancy);
+  });
+
+  it("should save replayable counterexamples", function () {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "tideman-counterexamples-"));
+    const report = runRandomizedComparison({ elections: 200, seed: "replay-check", outDir, maxSaved: 1 });
+
+    expect(report.files.length).to.be.greaterThan(0);
+    for (const file of report.files) {
+      const { counterexample, outputs, discrepancies } = replayCounterexample(file);
+      expect(outputs).to.deep.equal(counterexample.outputs);
+      expect(discrepancies.map(d => d.kind)).to.include(counterexample.kind);
+    }
+  });
+});
@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { SelectionProcessor } = require("../scripts/selection-processor");
+
+/**
+ * Scheduled voting windows
+ *
+ * Ballots are accepted only between opensAt and closesAt, and the phase
+ * (upcoming, open, closed, tallied) decides when a selection can be reported.
+ */
+
+describe("Voting windows", function () {
+  const HOUR = 3600;
+  let electionManager, Election, creator, voters;
+
+  function entries(...ids) {
+    return ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }));
+  }
+
+  // Placeholder tally commitment for selections reported by hand
+  function commitment(method = "tideman") {
+    return {
+      methodId: ethers.encodeBytes32String(method),
+      tieBreakSeed: ethers.ZeroHash,
+      ballotSetHash: ethers.id("ballots"),
+      rankingHash: ethers.id("ranking")
+    };
+  }
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function travelTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function createElection(...window) {
+    const candidates = ["Alice", "Bob"].map(name => ({ name, description: "" }));
+    const create = window.length > 0
+      ? electionManager.connect(creator)["createElection(string,string,(string,string)[],uint256,uint256)"]("Council", "", candidates, ...window)
+      : electionManager.connect(creator).createElection("Council", "", candidates);
+    await create;
+    const count = await electionManager.getElectionCount();
+    return Election.attach((await electionManager.getElection(count)).electionAddress);
+  }
+
+  beforeEach(async function () {
+    const [admin, electionCreator, ...signers] = await ethers.getSigners();
+    creator = electionCreator;
+    voters = signers.slice(0, 2);
+
+    const MockWorldID = await ethers.getContractFactory("MockWorldID");
+    const mockWorldID = await MockWorldID.deploy();
+    const ElectionManager = await ethers.getContractFactory("ElectionManager");
+    electionManager = await ElectionManager.deploy(mockWorldID.target);
+    await electionManager.connect(admin).grantCreatorRole(creator.address);
+    Election = await ethers.getContractFactory("Election");
+  });
+
+  it("should accept ballots only inside the window", async function () {
+    const opensAt = (await now()) + HOUR;
+    const closesAt = opensAt + HOUR;
+    const election = await createElection(opensAt, closesAt);
+
+    expect(await election.opensAt()).to.equal(opensAt);
+    expect(await election.closesAt()).to.equal(closesAt);
+    expect(await election.getPhase()).to.equal(0); // Upcoming
+    await expect(election.connect(voters[0]).testVote(entries(1, 2)))
+      .to.be.revertedWithCustomError(election, "VotingNotOpenYet").withArgs(opensAt);
+
+    await travelTo(opensAt);
+    expect(await election.getPhase()).to.equal(1); // Open
+    expect(await election.isVotingOpen()).to.equal(true);
+    await election.connect(voters[0]).testVote(entries(1, 2));
+
+    await travelTo(closesAt);
+    expect(await election.getPhase()).to.equal(2); // Closed
+    expect((await election.getElectionStatus())._votingActive).to.equal(false);
+    await expect(election.connect(voters[1]).testVote(entries(2, 1)))
+      .to.be.revertedWithCustomError(election, "VotingClosed").withArgs(closesAt);
+    expect(await election.getVoteCount()).to.equal(1);
+  });
+
+  it("should reject windows that close before they open or in the past", async function () {
+    const start = await now();
+
+    await expect(createElection(start + 2 * HOUR, start + HOUR))
+      .to.be.revertedWithCustomError(Election, "InvalidVotingWindow");
+    await expect(createElection(0, start - 1))
+      .to.be.revertedWithCustomError(Election, "InvalidVotingWindow");
+  });
+
+  it("should keep unscheduled elections open until voting is paused", async function () {
+    const election = await createElection();
+
+    expect(await election.getVotingWindow()).to.deep.equal([0n, 0n, 1n]);
+    await election.connect(voters[0]).testVote(entries(1, 2));
+    await expect(election.connect(creator).reportSelection([1], commitment()))
+      .to.be.revertedWithCustomError(election, "VotingNotClosed");
+
+    await election.connect(creator).pauseVoting();
+    expect(await election.getPhase()).to.equal(2); // Closed
+    await election.connect(creator).reportSelection([1], commitment());
+    expect(await election.getPhase()).to.equal(3); // Tallied
+  });
+
+  it("should derive selection readiness from the phase", async function () {
+    const closesAt = (await now()) + HOUR;
+    const election = await createElection(0, closesAt);
+    await election.connect(voters[0]).testVote(entries(2, 1));
+    const processor = new SelectionProcessor(election.target, ethers.provider, creator);
+
+    // Pausing a scheduled election suspends voting but does not close it
+    await election.connect(creator).pauseVoting();
+    expect(await processor.isReadyForSelection()).to.equal(false);
+    await expect(processor.processSelection()).to.be.rejectedWith("Voting is open until");
+    await expect(processor.closeVoting()).to.be.rejectedWith("Voting closes automatically");
+
+    await travelTo(closesAt);
+    const status = await processor.getElectionStatus();
+    expect(status).to.include({ phase: "closed", opensAt: 0, closesAt });
+    expect(await processor.isReadyForSelection()).to.equal(true);
+
+    const selection = await processor.processSelection();
+    await processor.completeSelection(selection);
+    expect((await processor.getElectionStatus()).phase).to.equal("tallied");
+    expect(await processor.isReadyForSelection()).to.equal(false);
+  });
+
+  it("should seed blockhash tie-breaks from the block in which voting closed", async function () {
+    const closesAt = (await now()) + HOUR;
+    const scheduled = await createElection(0, closesAt);
+    const manual = await createElection();
+    const seedBlock = election => new SelectionProcessor(election.target, ethers.provider, creator, { tieBreak: "blockhash" })
+      .getTieBreak()
+      .then(tieBreak => tieBreak.blockNumber);
+
+    await travelTo(closesAt);
+    const closing = await ethers.provider.getBlockNumber();
+    const paused = await (await manual.connect(creator).pauseVoting()).wait();
+    expect(await seedBlock(scheduled)).to.equal(closing);
+    expect(await seedBlock(manual)).to.equal(paused.blockNumber);
+
+    // Reporters running later get the same seed
+    await ethers.provider.send("hardhat_mine", ["0x10"]);
+    expect(await seedBlock(scheduled)).to.equal(closing);
+    expect(await seedBlock(manual)).to.equal(paused.blockNumber);
+
+    await manual.connect(creator).resumeVoting();
+    await expect(seedBlock(manual)).to.be.rejectedWith("has not been closed");
+  });
+});
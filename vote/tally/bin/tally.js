@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Tally CLI
+ *
+ * Runs any tally method on a ballot file - no node, RPC endpoint or Hardhat
+ * needed. Reads JSON (VoteReader.getAllVotes output, audit bundles or
+ * formatBallots(..., "json")) and the interchange formats: BLT, ABIF,
+ * PrefLib (.soc/.soi/.toc/.toi) and CSV.
+ *
+ * Usage: tally <file> [--method=tideman] [--format=<format>] [--seats=1]
+ *        [--seed=<seed> | --tie-break=candidate-order|random]
+ *        [--unranked=ignore|last] [--json] [--out=<file>]
+ *        tally --list-methods
+ *
+ * The format is taken from the file extension unless --format is given, and
+ * --seats defaults to the seat count stored in the file. A --seed implies the
+ * "random" tie-break rule.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  tally, listMethods, resolveMethod, resolveFormat, parseBallots, BALLOT_FORMATS, UNRANKED_TREATMENTS
+} = require("..");
+
+/**
+ * Load a ballot file and tally it
+ *
+ * options: { method, format, seats, seed, tieBreak, unranked }
+ * Returns { input: { file, format, title, candidates, ballots }, options, result }
+ */
+function tallyFile(filePath, options = {}) {
+  const format = resolveFormat(options.format || filePath);
+  if (!format) {
+    throw new Error(`Cannot tell the ballot format of ${filePath}. Use --format=<${Object.keys(BALLOT_FORMATS).join("|")}>`);
+  }
+
+  const ballotSet = parseBallots(fs.readFileSync(filePath, "utf8"), format.key);
+  const method = options.method || "tideman";
+  const tallyOptions = {
+    seats: Number(options.seats || ballotSet.seats || 1),
+    tieBreak: options.seed !== undefined
+      ? { rule: "random", seed: String(options.seed) }
+      : { rule: options.tieBreak || "candidate-order" },
+    unranked: options.unranked || "ignore"
+  };
+
+  return {
+    input: {
+      file: filePath,
+      format: format.key,
+      title: ballotSet.title,
+      candidates: ballotSet.candidates.length,
+      ballots: ballotSet.votes.length
+    },
+    options: { method: resolveMethod(method) || method, ...tallyOptions },
+    result: tally(ballotSet, method, tallyOptions)
+  };
+}
+
+/**
+ * Human-readable report for a tallyFile() run
+ */
+function formatReport({ input, options, result }) {
+  const name = id => result.finalRanking.find(r => r.candidateId === id)?.candidate.name ?? `#${id}`;
+  const { details } = result;
+  const lines = [
+    `${input.title} - ${result.algorithm}`,
+    `${input.ballots} ballots (${result.totalVotes} counted), ${input.candidates} candidates from ${path.basename(input.file)} (${BALLOT_FORMATS[input.format].name})`,
+    `Seats: ${options.seats}, tie-break: ${options.tieBreak.rule}${options.tieBreak.seed ? ` (seed ${options.tieBreak.seed})` : ""}, unranked: ${options.unranked}`,
+    "",
+    result.selectedCandidates.length > 1
+      ? `Elected: ${result.selectedCandidates.map(name).join(", ")}`
+      : `Winner: ${result.winner ? result.winner.name : "none"}`,
+    "",
+    "Final ranking:"
+  ];
+
+  for (const entry of result.finalRanking) {
+    const score = entry.score !== undefined ? ` - ${entry.score}${entry.percentage !== undefined ? ` (${entry.percentage}%)` : ""}` : "";
+    lines.push(`  ${String(entry.rank).padStart(2)}. ${entry.candidate.name}${score}`);
+  }
+
+  if (details.rankedPairs) {
+    lines.push("", "Pairs by margin:");
+    for (const pair of details.rankedPairs) {
+      const status = details.lockedPairs
+        ? (details.lockedPairs.includes(`${pair.winner}-${pair.loser}`) ? "locked" : "skipped")
+        : "";
+      lines.push(`  ${name(pair.winner)} beats ${name(pair.loser)} by ${pair.margin}${status ? ` - ${status}` : ""}`);
+    }
+  }
+  if (details.eliminationOrder) {
+    lines.push("", `Elimination order: ${details.eliminationOrder.map(entry => name(entry.eliminated)).join(", ")}`);
+  }
+  if (details.rounds) {
+    lines.push("", "Rounds:");
+    for (const round of details.rounds) {
+      // IRV reports the elected candidate as { candidateId, ... }, STV as a list of IDs
+      const elected = [].concat(round.elected || []).map(entry => entry.candidateId ?? entry);
+      const outcome = elected.map(id => `${name(id)} elected`)
+        .concat(round.eliminated ? [`${name(round.eliminated)} eliminated`] : []);
+      lines.push(`  ${round.round}. ${outcome.join(", ") || "no change"}`);
+    }
+  }
+  if (details.tieBreak) {
+    lines.push("", `Tie-break order: ${details.tieBreak.order.map(name).join(" > ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+function parseArgs(argv) {
+  const value = name => argv.find(arg => arg.startsWith(`--${name}=`))?.split("=").slice(1).join("=");
+  return {
+    file: argv.find(arg => !arg.startsWith("--")),
+    method: value("method"),
+    format: value("format"),
+    seats: value("seats"),
+    seed: value("seed"),
+    tieBreak: value("tie-break"),
+    unranked: value("unranked"),
+    out: value("out"),
+    json: argv.includes("--json"),
+    listMethods: argv.includes("--list-methods")
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.listMethods) {
+    for (const method of listMethods()) {
+      console.log(`${method.key.padEnd(20)} ${method.description}`);
+    }
+    console.log(`\nUnranked treatments:\n${Object.entries(UNRANKED_TREATMENTS).map(([key, text]) => `${key.padEnd(20)} ${text}`).join("\n")}`);
+    return;
+  }
+
+  if (!args.file) {
+    console.error("Usage: tally <ballot file> [--method=tideman] [--format=blt] [--seats=1] [--seed=<seed>] [--unranked=ignore|last] [--json] [--out=<file>]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const run = tallyFile(args.file, args);
+  const json = JSON.stringify(run, null, 2);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, json + "\n");
+  }
+  console.log(args.json ? json : formatReport(run));
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`tally: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { tallyFile, formatReport };
@@ -0,0 +1,403 @@
+// Type declarations for the shared tally engine (implementation in index.js)
+
+export interface TallyCandidate {
+  id: number | bigint;
+  name: string;
+  description?: string;
+  active?: boolean;
+}
+
+export interface RankingEntry {
+  candidateId: number | bigint;
+  tiedWithPrevious: boolean;
+}
+
+export interface BallotVote {
+  voterId?: number | bigint | string;
+  ranking: RankingEntry[];
+}
+
+/** Plain ballot set, as returned by VoteReader.getAllVotes or the app ballot loaders */
+export interface BallotSet {
+  candidates: TallyCandidate[];
+  votes: BallotVote[];
+}
+
+export interface NormalizedCandidate extends Omit<TallyCandidate, "id"> {
+  id: number;
+}
+
+export interface NormalizedBallot {
+  voterId?: number | bigint | string;
+  groups: number[][];
+}
+
+export interface NormalizedBallotSet {
+  candidates: NormalizedCandidate[];
+  ballots: NormalizedBallot[];
+}
+
+export type MethodKey =
+  | "tideman"
+  | "tideman-elimination"
+  | "condorcet"
+  | "borda"
+  | "plurality"
+  | "instant-runoff"
+  | "schulze"
+  | "stv";
+
+export interface RankedPair {
+  winner: number;
+  loser: number;
+  margin: number;
+  winnerVotes: number;
+  loserVotes: number;
+}
+
+export interface RankingPosition {
+  rank: number;
+  candidateId: number;
+  candidate: NormalizedCandidate;
+  score?: number;
+  votes?: number;
+  percentage?: number;
+}
+
+export interface TallyResult<Details = Record<string, unknown>> {
+  method: MethodKey;
+  algorithm: string;
+  description: string;
+  /** How the method treats candidates submitted with tiedWithPrevious */
+  tieHandling: string;
+  winner?: NormalizedCandidate;
+  finalRanking: RankingPosition[];
+  selectedCandidates: number[];
+  totalVotes: number;
+  candidateCount: number;
+  details: Details;
+}
+
+export type TieBreakRule = "candidate-order" | "random";
+
+export interface TieBreakOptions {
+  rule?: TieBreakRule;
+  /** Seed for the "random" rule, e.g. the blockhash of the block in which voting closed */
+  seed?: string;
+  /** Where the seed came from, e.g. "blockhash of block 123 (voting closed: ...)" */
+  source?: string;
+}
+
+/** Tie-breaking ranking of candidates (TBRC) used for equal margins */
+export interface TieBreak {
+  rule: TieBreakRule;
+  seed: string | null;
+  source: string | null;
+  /** Candidate IDs, highest tie-break priority first */
+  order: number[];
+}
+
+export interface TieBreakingOptions extends PairwiseOptions {
+  tieBreak?: TieBreakRule | TieBreakOptions;
+}
+
+export interface TidemanDetails {
+  pairwiseTallies: Record<string, number>;
+  rankedPairs: RankedPair[];
+  lockedPairs: string[];
+  skippedPairs: string[];
+  tieBreak: TieBreak;
+}
+
+export interface TidemanEliminationDetails {
+  pairwiseTallies: Record<string, number>;
+  rankedPairs: RankedPair[];
+  eliminationOrder: Array<{
+    eliminated: number;
+    eliminatedBy: number;
+    margin: number;
+    winnerVotes: number;
+    loserVotes: number;
+    remainingCandidates: number;
+  }>;
+  tieBreak: TieBreak;
+}
+
+export interface CondorcetDetails {
+  pairwiseTallies: Record<string, number>;
+  matrix: Record<string, Record<string, number>>;
+  condorcetWinner: number | null;
+}
+
+export interface BordaDetails {
+  scores: Record<string, number>;
+}
+
+export interface PluralityDetails {
+  firstPlaceVotes: Record<string, number>;
+}
+
+export interface InstantRunoffRound {
+  round: number;
+  tallies: Record<string, number>;
+  /** Ballots with a continuing preference this round */
+  activeVotes: number;
+  /** A candidate needs more than this many votes to win */
+  majorityThreshold: number;
+  /** Ballots with no continuing preference (cumulative) */
+  exhausted: number;
+  newlyExhausted: number;
+  elected: { candidateId: number; votes: number; reason: string } | null;
+  eliminated: number | null;
+  elimination: { candidateId: number; votes: number; reason: string; tiedWith: number[] } | null;
+  /** Where the eliminated candidate's votes went in the next round */
+  transfers: { from: number; votes: number; to: Record<string, number>; exhausted: number } | null;
+}
+
+export interface InstantRunoffDetails {
+  rounds: InstantRunoffRound[];
+  tieBreak: TieBreak;
+}
+
+export interface SchulzeDetails {
+  pairwiseTallies: Record<string, number>;
+  matrix: Record<string, Record<string, number>>;
+  /** Strongest path strength from the row candidate to the column candidate */
+  strongestPaths: Record<string, Record<string, number>>;
+  /** Schulze ordering, best first; candidates on the same level are tied */
+  ordering: number[][];
+  winners: number[];
+}
+
+export interface StvTransfer {
+  type: "surplus" | "elimination";
+  from: number;
+  transferValue: number;
+  /** Vote value received by each continuing candidate */
+  amounts: Record<string, number>;
+  exhausted: number;
+}
+
+export interface StvRound {
+  round: number;
+  quota: number;
+  tallies: Record<string, number>;
+  /** Exhausted vote value before this round's transfer */
+  exhausted: number;
+  elected: number[];
+  eliminated: number | null;
+  transfer: StvTransfer | null;
+}
+
+export interface StvDetails {
+  seats: number;
+  quota: number;
+  elected: number[];
+  eliminated: number[];
+  exhausted: number;
+  rounds: StvRound[];
+  tieBreak: TieBreak;
+}
+
+/** How candidates left off a ballot are treated (default "ignore") */
+export type UnrankedTreatment = "ignore" | "last";
+
+export interface StvOptions {
+  /** Number of seats to fill (default 1) */
+  seats?: number;
+  unranked?: UnrankedTreatment;
+  /** Breaks ties for fewest votes, as in instant runoff */
+  tieBreak?: TieBreakRule | TieBreakOptions;
+}
+
+export interface TallyMethod {
+  key: MethodKey;
+  name: string;
+  description: string;
+  tieHandling: string;
+  run(ballotSet: NormalizedBallotSet, options?: TallyOptions): TallyResult;
+}
+
+export type TallyOptions = Record<string, unknown>;
+
+export interface PairwiseOptions {
+  /** Precomputed pairwise tallies (e.g. from PairwiseAggregator) */
+  pairwiseTallies?: Record<string, number>;
+  /** Not allowed together with pairwiseTallies */
+  unranked?: UnrankedTreatment;
+}
+
+export const METHODS: Record<MethodKey, TallyMethod>;
+
+export function resolveMethod(name: string | null | undefined): MethodKey | undefined;
+
+export function listMethods(): Array<Pick<TallyMethod, "key" | "name" | "description" | "tieHandling">>;
+
+export function tally(ballotSet: BallotSet, method: "tideman" | "ranked-pairs", options?: TieBreakingOptions): TallyResult<TidemanDetails>;
+export function tally(ballotSet: BallotSet, method: "tideman-elimination", options?: TieBreakingOptions): TallyResult<TidemanEliminationDetails>;
+export function tally(ballotSet: BallotSet, method: "condorcet", options?: PairwiseOptions): TallyResult<CondorcetDetails>;
+export function tally(ballotSet: BallotSet, method: "borda", options?: TallyOptions): TallyResult<BordaDetails>;
+export function tally(ballotSet: BallotSet, method: "plurality", options?: TallyOptions): TallyResult<PluralityDetails>;
+export function tally(ballotSet: BallotSet, method: "instant-runoff" | "irv", options?: TieBreakingOptions): TallyResult<InstantRunoffDetails>;
+export function tally(ballotSet: BallotSet, method: "schulze" | "beatpath", options?: PairwiseOptions): TallyResult<SchulzeDetails>;
+export function tally(ballotSet: BallotSet, method: "stv", options?: StvOptions): TallyResult<StvDetails>;
+export function tally(ballotSet: BallotSet, method?: string, options?: TallyOptions): TallyResult;
+
+export function groupByRank(ranking: RankingEntry[]): number[][];
+
+export function normalizeBallotSet(ballotSet: BallotSet, options?: { keepWithdrawn?: boolean }): NormalizedBallotSet;
+
+export const UNRANKED_TREATMENTS: Record<UnrankedTreatment, string>;
+
+export function applyUnranked(ballotSet: NormalizedBallotSet, treatment?: UnrankedTreatment): NormalizedBallotSet;
+
+export function createPairwiseTallies(candidates: NormalizedCandidate[], ballots: NormalizedBallot[]): Record<string, number>;
+
+export function addBallotToTallies(tallies: Record<string, number>, rankGroups: number[][], weight?: number): void;
+
+export function calculateMargins(candidates: NormalizedCandidate[], tallies: Record<string, number>): RankedPair[];
+
+export function toMatrix(candidates: NormalizedCandidate[], tallies: Record<string, number>): Record<string, Record<string, number>>;
+
+export const TIE_BREAK_RULES: TieBreakRule[];
+
+export function createTieBreak(candidates: NormalizedCandidate[], tieBreak?: TieBreakRule | TieBreakOptions): TieBreak;
+
+export function sortPairs(pairs: RankedPair[], order: number[]): RankedPair[];
+
+export const CHECKPOINT_VERSION: number;
+
+export interface PairwiseCheckpoint {
+  version: number;
+  /** Last block whose RankingUpdated events are included */
+  blockNumber: number;
+  candidates: NormalizedCandidate[];
+  rankings: Record<string, Array<{ candidateId: number; tiedWithPrevious: boolean }>>;
+  pairwiseTallies: Record<string, number>;
+}
+
+export class PairwiseAggregator {
+  constructor(
+    candidates: TallyCandidate[],
+    state?: Partial<Pick<PairwiseCheckpoint, "blockNumber" | "rankings" | "pairwiseTallies">>
+  );
+  static fromCheckpoint(checkpoint: PairwiseCheckpoint): PairwiseAggregator;
+  readonly blockNumber: number;
+  readonly candidates: NormalizedCandidate[];
+  readonly pairwiseTallies: Record<string, number>;
+  readonly totalVoters: number;
+  setCandidates(candidates: TallyCandidate[]): boolean;
+  applyRanking(voterId: number | bigint | string, ranking: RankingEntry[], blockNumber?: number | bigint): void;
+  advanceTo(blockNumber: number | bigint): void;
+  toBallotSet(): BallotSet;
+  tally(method: "tideman" | "ranked-pairs", options?: TieBreakingOptions): TallyResult<TidemanDetails>;
+  tally(method: "condorcet", options?: PairwiseOptions): TallyResult<CondorcetDetails>;
+  tally(method: "schulze" | "beatpath", options?: PairwiseOptions): TallyResult<SchulzeDetails>;
+  tally(method?: string, options?: TallyOptions): TallyResult;
+  analyzeCondorcet(): CondorcetDiagnostics;
+  toCheckpoint(): PairwiseCheckpoint;
+}
+
+export interface MajorityCycle {
+  /** Candidates in cycle order; each beats the next and the last beats the first */
+  members: number[];
+  defeats: Array<{ winner: number; loser: number; margin: number }>;
+  weakestMargin: number;
+}
+
+export interface CondorcetDiagnostics {
+  condorcetWinner: number | null;
+  condorcetLoser: number | null;
+  /** Smallest set whose members all beat every non-member */
+  smithSet: number[];
+  /** Union of the minimal sets that no outsider beats */
+  schwartzSet: number[];
+  cycles: MajorityCycle[];
+  /** True if the listing stopped early (cycle or search step limit), so more cycles may exist */
+  cyclesTruncated: boolean;
+  matrix: Record<string, Record<string, number>>;
+}
+
+export function analyzeCondorcet(candidates: NormalizedCandidate[], pairwiseTallies: Record<string, number>): CondorcetDiagnostics;
+
+export type MarginMethodKey = "tideman" | "instant-runoff" | "plurality";
+
+export const MARGIN_METHODS: MarginMethodKey[];
+
+/** Identical ballots in a margin-of-victory change */
+export interface MarginBallots {
+  count: number;
+  groups: number[][];
+}
+
+export interface MarginFigure {
+  /** Ballots to add or change; an upper bound unless exact */
+  ballots: number;
+  percentage: number;
+  /** True if the search proved no smaller change flips the winner */
+  exact: boolean;
+  lowerBound: number;
+  /** Winner after the change */
+  challenger: number | null;
+  /** Existing ballots changed (changed figure only) */
+  remove?: MarginBallots[];
+  add: MarginBallots[];
+}
+
+export interface MarginOfVictory {
+  method: MarginMethodKey;
+  winner: number | null;
+  totalVotes: number;
+  /** Fewest ballots to add to flip the winner */
+  added: MarginFigure | null;
+  /** Fewest existing ballots to change to flip the winner */
+  changed: MarginFigure | null;
+  search: {
+    exactCandidateLimit: number;
+    maxProfiles: number;
+    maxEvaluations: number;
+    /** Method re-runs used by the heuristic and the exact search */
+    evaluations: number;
+    /** The evaluation budget ran out; figures are the best found */
+    truncated: boolean;
+  };
+}
+
+export interface MarginOptions {
+  tieBreak?: TieBreakRule | TieBreakOptions;
+  /** Distinct ballot profiles the exact search may evaluate (default 10000) */
+  maxProfiles?: number;
+  /** Method re-runs the whole margin search may use (default 5000) */
+  maxEvaluations?: number;
+}
+
+export function marginOfVictory(ballotSet: BallotSet, method?: string, options?: MarginOptions): MarginOfVictory;
+
+export type BallotFormatKey = "blt" | "abif" | "soc" | "soi" | "toc" | "toi" | "csv" | "json";
+
+export interface CompressedBallotSet {
+  title: string;
+  seats: number;
+  candidates: Array<NormalizedCandidate & { active?: boolean }>;
+  /** Identical rankings merged, most common first */
+  ballots: Array<{ count: number; groups: number[][] }>;
+}
+
+export interface BallotFormat {
+  key: BallotFormatKey;
+  name: string;
+  extensions: string[];
+  format(ballots: CompressedBallotSet): string;
+  parse(text: string): CompressedBallotSet;
+}
+
+export const BALLOT_FORMATS: Record<BallotFormatKey, BallotFormat>;
+
+/** Find a format by key or by file name extension */
+export function resolveFormat(nameOrFile: string): BallotFormat | undefined;
+
+export function compressBallots(ballotSet: BallotSet): Pick<CompressedBallotSet, "candidates" | "ballots">;
+
+export function formatBallots(ballotSet: BallotSet, format: string, options?: { title?: string; seats?: number }): string;
+
+export function parseBallots(text: string, format: string): BallotSet & { title: string; seats: number };
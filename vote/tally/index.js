@@ -0,0 +1,43 @@
+/**
+ * Tally - shared ranked-ballot tally engine
+ *
+ * CommonJS so it can be required from the Hardhat scripts and imported from
+ * the Next.js app (types in index.d.ts).
+ */
+
+const { METHODS, resolveMethod, listMethods, tally } = require("./src/engine");
+const { groupByRank, normalizeBallotSet, UNRANKED_TREATMENTS, applyUnranked } = require("./src/ballots");
+const { createPairwiseTallies, addBallotToTallies, calculateMargins, toMatrix } = require("./src/pairwise");
+const { TIE_BREAK_RULES, createTieBreak, sortPairs } = require("./src/tie-break");
+const { PairwiseAggregator, CHECKPOINT_VERSION } = require("./src/aggregator");
+const { analyzeCondorcet } = require("./src/diagnostics");
+const { MARGIN_METHODS, marginOfVictory } = require("./src/margin");
+const { FORMATS, resolveFormat, compressBallots, formatBallots, parseBallots } = require("./src/formats");
+
+module.exports = {
+  METHODS,
+  resolveMethod,
+  listMethods,
+  tally,
+  groupByRank,
+  normalizeBallotSet,
+  UNRANKED_TREATMENTS,
+  applyUnranked,
+  createPairwiseTallies,
+  addBallotToTallies,
+  calculateMargins,
+  toMatrix,
+  TIE_BREAK_RULES,
+  createTieBreak,
+  sortPairs,
+  PairwiseAggregator,
+  CHECKPOINT_VERSION,
+  analyzeCondorcet,
+  MARGIN_METHODS,
+  marginOfVictory,
+  BALLOT_FORMATS: FORMATS,
+  resolveFormat,
+  compressBallots,
+  formatBallots,
+  parseBallots
+};
@@ -0,0 +1,140 @@
+const { normalizeRanking } = require("./ballots");
+const { createPairwiseTallies, addBallotToTallies } = require("./pairwise");
+const { tally } = require("./engine");
+const { analyzeCondorcet } = require("./diagnostics");
+
+/**
+ * Incremental Pairwise Aggregator
+ *
+ * Keeps the pairwise matrix up to date from RankingUpdated events instead of
+ * re-reading every ballot. Each event replaces the voter's ballot, so the
+ * aggregator subtracts the voter's previous ranking and adds the new one.
+ *
+ * The aggregator serialises to a checkpoint tagged with the block it covers.
+ * Loading a checkpoint and applying the events after that block gives the
+ * same tallies as a full read at the new block.
+ */
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Plain, JSON-safe copy of a contract ranking
+ */
+function toPlainRanking(ranking) {
+  return (ranking || []).map(entry => ({
+    candidateId: Number(entry.candidateId),
+    tiedWithPrevious: Boolean(entry.tiedWithPrevious)
+  }));
+}
+
+class PairwiseAggregator {
+  constructor(candidates, { blockNumber = 0, rankings = {}, pairwiseTallies = null } = {}) {
+    this.blockNumber = blockNumber;
+    this.rankings = new Map(Object.entries(rankings).map(([voterId, ranking]) => [voterId, toPlainRanking(ranking)]));
+    this._setCandidates(candidates, pairwiseTallies);
+  }
+
+  /**
+   * Restore an aggregator from a checkpoint produced by toCheckpoint()
+   */
+  static fromCheckpoint(checkpoint) {
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new Error(`Unsupported checkpoint version ${checkpoint?.version}`);
+    }
+    return new PairwiseAggregator(checkpoint.candidates, checkpoint);
+  }
+
+  /**
+   * Update the candidate list, rebuilding the matrix if the set of IDs changed
+   *
+   * Stored rankings are kept, so no ballots need to be re-read.
+   */
+  setCandidates(candidates) {
+    const ids = candidates.map(c => Number(c.id)).join(",");
+    const current = this.candidates.map(c => c.id).join(",");
+    if (ids === current) {
+      this.candidates = candidates.map(c => ({ ...c, id: Number(c.id) }));
+      return false;
+    }
+    this._setCandidates(candidates, null);
+    return true;
+  }
+
+  /**
+   * Apply a new or updated ballot (RankingUpdated), replacing the voter's previous one
+   */
+  applyRanking(voterId, ranking, blockNumber = this.blockNumber) {
+    const key = String(voterId);
+    const previous = this.rankings.get(key);
+    if (previous) {
+      addBallotToTallies(this.pairwiseTallies, normalizeRanking(previous, this.knownIds), -1);
+    }
+
+    const plain = toPlainRanking(ranking);
+    addBallotToTallies(this.pairwiseTallies, normalizeRanking(plain, this.knownIds));
+    this.rankings.set(key, plain);
+    this.blockNumber = Math.max(this.blockNumber, Number(blockNumber));
+  }
+
+  /**
+   * Mark the aggregator as covering every event up to blockNumber
+   */
+  advanceTo(blockNumber) {
+    this.blockNumber = Math.max(this.blockNumber, Number(blockNumber));
+  }
+
+  get totalVoters() {
+    return this.rankings.size;
+  }
+
+  /**
+   * Plain ballot set ({ candidates, votes }) for the tally engine
+   */
+  toBallotSet() {
+    return {
+      candidates: this.candidates,
+      votes: [...this.rankings]
+        .filter(([, ranking]) => ranking.length > 0)
+        .map(([voterId, ranking]) => ({ voterId, ranking }))
+    };
+  }
+
+  /**
+   * Tally the current ballots, reusing the maintained pairwise matrix
+   */
+  tally(method, options = {}) {
+    return tally(this.toBallotSet(), method, { ...options, pairwiseTallies: { ...this.pairwiseTallies } });
+  }
+
+  /**
+   * Condorcet diagnostics (Smith/Schwartz sets, cycles) for the maintained matrix
+   */
+  analyzeCondorcet() {
+    return analyzeCondorcet(this.candidates, this.pairwiseTallies);
+  }
+
+  /**
+   * JSON-safe checkpoint tagged with the last block applied
+   */
+  toCheckpoint() {
+    return {
+      version: CHECKPOINT_VERSION,
+      blockNumber: this.blockNumber,
+      candidates: this.candidates,
+      rankings: Object.fromEntries(this.rankings),
+      pairwiseTallies: { ...this.pairwiseTallies }
+    };
+  }
+
+  _setCandidates(candidates, pairwiseTallies) {
+    this.candidates = candidates.map(c => ({ ...c, id: Number(c.id) }));
+    this.knownIds = new Set(this.candidates.map(c => c.id));
+    this.pairwiseTallies = pairwiseTallies
+      ? { ...pairwiseTallies }
+      : createPairwiseTallies(this.candidates, [...this.rankings.values()].map(ranking => ({
+        groups: normalizeRanking(ranking, this.knownIds)
+      })));
+  }
+}
+
+module.exports = { PairwiseAggregator, CHECKPOINT_VERSION };
@@ -0,0 +1,125 @@
+/**
+ * Ballot Set Normalisation
+ *
+ * Every tally method works on the same normalised ballot set:
+ * - candidates: [{ id: number, name, description, ... }]
+ * - ballots:    [{ voterId, groups: number[][] }]
+ *
+ * `groups` is the voter's ranking split into rank levels, highest first.
+ * Candidates in the same group were submitted with `tiedWithPrevious`.
+ */
+
+/**
+ * Group a contract ranking (RankingEntry[]) by rank level, handling ties
+ */
+function groupByRank(ranking) {
+  const groups = [];
+  let currentGroup = [];
+
+  for (let i = 0; i < ranking.length; i++) {
+    const entry = ranking[i];
+    const candidateId = Number(entry.candidateId);
+
+    if (i === 0 || !entry.tiedWithPrevious) {
+      // Start new rank group
+      if (currentGroup.length > 0) {
+        groups.push(currentGroup);
+      }
+      currentGroup = [candidateId];
+    } else {
+      // Add to current rank group (tied)
+      currentGroup.push(candidateId);
+    }
+  }
+
+  // Add final group
+  if (currentGroup.length > 0) {
+    groups.push(currentGroup);
+  }
+
+  return groups;
+}
+
+/**
+ * Normalise a plain ballot set ({ candidates, votes }) as returned by
+ * VoteReader.getAllVotes or the API ballot loaders.
+ *
+ * Candidate IDs are converted to numbers. Withdrawn candidates
+ * (active: false, e.g. a BLT "-N" line) are removed so they cannot be
+ * elected, unless keepWithdrawn is set. Ranking entries for unknown or
+ * withdrawn candidates (including the 0 abstention ID) and repeated entries
+ * are dropped, and ballots left without any ranked candidate are skipped.
+ */
+function normalizeBallotSet(ballotSet, { keepWithdrawn = false } = {}) {
+  if (!ballotSet || !Array.isArray(ballotSet.candidates)) {
+    throw new Error("Ballot set must include a candidates array");
+  }
+
+  const candidates = ballotSet.candidates
+    .filter(candidate => keepWithdrawn || candidate.active !== false)
+    .map(candidate => ({
+      ...candidate,
+      id: Number(candidate.id)
+    }));
+  const knownIds = new Set(candidates.map(c => c.id));
+
+  const ballots = [];
+  for (const vote of ballotSet.votes || []) {
+    const groups = normalizeRanking(vote.ranking, knownIds);
+    if (groups.length > 0) {
+      ballots.push({ voterId: vote.voterId, groups });
+    }
+  }
+
+  return { candidates, ballots };
+}
+
+/**
+ * Normalise one ranking into rank groups of known, non-repeated candidate IDs
+ */
+function normalizeRanking(ranking, knownIds) {
+  const seen = new Set();
+  return groupByRank(ranking || [])
+    .map(group => group.filter(candidateId => {
+      if (!knownIds.has(candidateId) || seen.has(candidateId)) {
+        return false;
+      }
+      seen.add(candidateId);
+      return true;
+    }))
+    .filter(group => group.length > 0);
+}
+
+// How candidates a voter left unranked are treated
+const UNRANKED_TREATMENTS = {
+  ignore: "Unranked candidates are not compared with each other or with ranked candidates",
+  last: "Unranked candidates are ranked equal last, below every ranked candidate"
+};
+
+/**
+ * Apply an unranked treatment to a normalised ballot set
+ *
+ * "ignore" (default) leaves ballots as cast. "last" appends the candidates a
+ * ballot leaves out as one tied group, so they lose to every ranked candidate
+ * in pairwise counts and IRV/STV ballots never exhaust.
+ */
+function applyUnranked(ballotSet, treatment = "ignore") {
+  if (!UNRANKED_TREATMENTS[treatment]) {
+    throw new Error(`Unsupported unranked treatment "${treatment}". Use: ${Object.keys(UNRANKED_TREATMENTS).join(", ")}`);
+  }
+  if (treatment === "ignore") {
+    return ballotSet;
+  }
+
+  const ids = ballotSet.candidates.map(c => c.id);
+  return {
+    ...ballotSet,
+    ballots: ballotSet.ballots.map(ballot => {
+      const ranked = new Set(ballot.groups.flat());
+      const unranked = ids.filter(id => !ranked.has(id));
+      return unranked.length > 0 ? { ...ballot, groups: [...ballot.groups, unranked] } : ballot;
+    })
+  };
+}
+
+module.exports = { groupByRank, normalizeBallotSet, normalizeRanking, UNRANKED_TREATMENTS, applyUnranked };
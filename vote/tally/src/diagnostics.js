@@ -0,0 +1,141 @@
+const { toMatrix } = require("./pairwise");
+
+/**
+ * Condorcet Diagnostics
+ *
+ * Explains the pairwise majority graph behind a result: the Condorcet winner
+ * and loser (if any), the Smith and Schwartz sets, and every majority cycle
+ * with the margins of its defeats. Without a Condorcet winner the Ranked
+ * Pairs or Schulze winner comes from the Smith set by breaking the weakest
+ * defeats in a cycle, which is why it may surprise voters.
+ */
+
+// Elementary cycles grow exponentially with candidates in one cycle; stop listing after this many
+const MAX_CYCLES = 50;
+
+// Paths tried by the cycle search (edges followed), so large cycles stay fast even when few close
+const MAX_CYCLE_SEARCH_STEPS = 100000;
+
+/**
+ * Candidates reachable from each candidate along the given edges (including itself)
+ */
+function reachability(ids, hasEdge) {
+  const reach = new Map();
+  for (const start of ids) {
+    const seen = new Set([start]);
+    const stack = [start];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      for (const next of ids) {
+        if (!seen.has(next) && hasEdge(current, next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      }
+    }
+    reach.set(start, seen);
+  }
+  return reach;
+}
+
+/**
+ * Elementary cycles of the majority graph, each listed once from its first candidate
+ *
+ * The search stops as soon as MAX_CYCLES cycles are found or
+ * MAX_CYCLE_SEARCH_STEPS edges have been followed, and then reports
+ * truncated: true.
+ */
+function findCycles(ids, beats, reach) {
+  const cycles = [];
+  let steps = 0;
+  let truncated = false;
+
+  // Returns true once the search has to stop
+  const search = (start, allowed, path) => {
+    const current = path[path.length - 1];
+    for (const next of ids) {
+      if (!beats(current, next)) continue;
+      if (++steps > MAX_CYCLE_SEARCH_STEPS) {
+        truncated = true;
+        return true;
+      }
+      if (next === start && path.length > 1) {
+        if (cycles.length === MAX_CYCLES) {
+          truncated = true;
+          return true;
+        }
+        cycles.push([...path]);
+      } else if (allowed.has(next) && !path.includes(next)) {
+        path.push(next);
+        const stop = search(start, allowed, path);
+        path.pop();
+        if (stop) return true;
+      }
+    }
+    return false;
+  };
+
+  for (const [startIndex, start] of ids.entries()) {
+    // Only candidates after start in the same strongly connected component
+    const allowed = new Set(ids.filter((id, index) =>
+      index > startIndex && reach.get(start).has(id) && reach.get(id).has(start)
+    ));
+    if (search(start, allowed, [start])) break;
+  }
+
+  return { cycles, truncated };
+}
+
+/**
+ * Analyse the pairwise tallies (`${a}-${b}` keys) for the given candidates
+ *
+ * Returns candidate IDs in candidate order:
+ * {
+ *   condorcetWinner,  // beats every other candidate, or null
+ *   condorcetLoser,   // loses to every other candidate, or null
+ *   smithSet,         // smallest set whose members all beat every non-member
+ *   schwartzSet,      // union of the minimal sets no outsider beats
+ *   cycles,           // [{ members, defeats: [{ winner, loser, margin }], weakestMargin }]
+ *   cyclesTruncated,  // true if the cycle list is incomplete (MAX_CYCLES or the search step limit was reached)
+ *   matrix            // { [a]: { [b]: votes } }
+ * }
+ */
+function analyzeCondorcet(candidates, pairwiseTallies) {
+  const ids = candidates.map(c => c.id);
+  const matrix = toMatrix(candidates, pairwiseTallies);
+  const margin = (a, b) => matrix[a][b] - matrix[b][a];
+  const beats = (a, b) => a !== b && margin(a, b) > 0;
+
+  const condorcetWinner = ids.find(a => ids.every(b => a === b || beats(a, b))) ?? null;
+  const condorcetLoser = ids.length > 1
+    ? ids.find(a => ids.every(b => a === b || beats(b, a))) ?? null
+    : null;
+
+  // Smith set: the top component of "beats or ties", i.e. candidates that reach everyone
+  const weakReach = reachability(ids, (a, b) => a !== b && margin(a, b) >= 0);
+  const smithSet = ids.filter(a => weakReach.get(a).size === ids.length);
+
+  // Schwartz set: candidates that can reach back to everyone who beats their way to them
+  const strictReach = reachability(ids, beats);
+  const schwartzSet = ids.filter(a => ids.every(b => !strictReach.get(b).has(a) || strictReach.get(a).has(b)));
+
+  const { cycles, truncated } = findCycles(ids, beats, strictReach);
+
+  return {
+    condorcetWinner,
+    condorcetLoser,
+    smithSet,
+    schwartzSet,
+    cycles: cycles.map(members => {
+      const defeats = members.map((winner, index) => {
+        const loser = members[(index + 1) % members.length];
+        return { winner, loser, margin: margin(winner, loser) };
+      });
+      return { members, defeats, weakestMargin: Math.min(...defeats.map(d => d.margin)) };
+    }),
+    cyclesTruncated: truncated,
+    matrix
+  };
+}
+
+module.exports = { MAX_CYCLES, MAX_CYCLE_SEARCH_STEPS, analyzeCondorcet };
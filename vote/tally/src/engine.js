@@ -0,0 +1,76 @@
+const { normalizeBallotSet, applyUnranked } = require("./ballots");
+const { tideman } = require("./methods/tideman");
+const { tidemanElimination } = require("./methods/tideman-elimination");
+const { condorcet } = require("./methods/condorcet");
+const { borda } = require("./methods/borda");
+const { plurality } = require("./methods/plurality");
+const { instantRunoff } = require("./methods/instant-runoff");
+const { schulze } = require("./methods/schulze");
+const { stv } = require("./methods/stv");
+
+/**
+ * Tally Engine
+ *
+ * Single entry point used by the contract scripts (TidemanCalculator,
+ * SelectionProcessor) and the World Mini App results routes, so the result a
+ * voter sees in the app is the one the reporter writes on-chain.
+ */
+
+// Registered tally methods, keyed by method identifier
+const METHODS = {
+  [tideman.key]: tideman,
+  [tidemanElimination.key]: tidemanElimination,
+  [condorcet.key]: condorcet,
+  [borda.key]: borda,
+  [plurality.key]: plurality,
+  [instantRunoff.key]: instantRunoff,
+  [schulze.key]: schulze,
+  [stv.key]: stv
+};
+
+// Alternative names accepted for methods
+const ALIASES = {
+  "ranked-pairs": tideman.key,
+  "irv": instantRunoff.key,
+  "beatpath": schulze.key
+};
+
+/**
+ * Resolve a method name or alias to its registry key (undefined if unknown)
+ */
+function resolveMethod(name) {
+  const key = String(name || "").toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return METHODS[resolved] ? resolved : undefined;
+}
+
+/**
+ * List the registered methods for menus and error messages
+ */
+function listMethods() {
+  return Object.values(METHODS).map(({ key, name, description, tieHandling }) => ({ key, name, description, tieHandling }));
+}
+
+/**
+ * Tally a plain ballot set ({ candidates, votes }) with the given method
+ *
+ * Pairwise methods accept options.pairwiseTallies, e.g. from a
+ * PairwiseAggregator, instead of rebuilding the matrix from the ballots.
+ * options.unranked ("ignore" or "last") sets how candidates left off a
+ * ballot are treated; see UNRANKED_TREATMENTS.
+ */
+function tally(ballotSet, method = tideman.key, options = {}) {
+  const key = resolveMethod(method);
+  if (!key) {
+    throw new Error(`Unsupported tally method "${method}". Use: ${Object.keys(METHODS).join(", ")}`);
+  }
+
+  const unranked = options.unranked || "ignore";
+  if (unranked !== "ignore" && options.pairwiseTallies) {
+    throw new Error(`Unranked treatment "${unranked}" cannot be applied to precomputed pairwise tallies`);
+  }
+
+  return METHODS[key].run(applyUnranked(normalizeBallotSet(ballotSet), unranked), options);
+}
+
+module.exports = { METHODS, resolveMethod, listMethods, tally };
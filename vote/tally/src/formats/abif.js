@@ -0,0 +1,76 @@
+/**
+ * ABIF (Aggregated Ballot Information Format)
+ *
+ *   {"title": "Example"}     metadata as JSON
+ *   =C1:[Alice]              candidate token declarations
+ *   4:C1>C2=C3               count, ranking ("=" ties, ">" orders)
+ *
+ * Exported tokens are C<id>. On import, bare tokens and [bracketed names]
+ * are both accepted and ratings (C1/5) are ignored; candidates are numbered
+ * in order of first appearance.
+ */
+
+const abif = {
+  key: "abif",
+  name: "ABIF",
+  extensions: [".abif"],
+
+  format({ title, seats, candidates, ballots }) {
+    const token = id => `C${id}`;
+    const lines = [JSON.stringify({ title, seats })];
+
+    candidates.forEach(c => lines.push(`=${token(c.id)}:[${String(c.name).replace(/[[\]]/g, "")}]`));
+    for (const { count, groups } of ballots) {
+      lines.push(`${count}:${groups.map(group => group.map(token).join("=")).join(">")}`);
+    }
+    return lines.join("\n") + "\n";
+  },
+
+  parse(text) {
+    const meta = {};
+    const candidates = [];
+    const byToken = new Map();
+
+    const candidateFor = raw => {
+      const bracketed = raw.match(/^\[(.*)\]$/);
+      const key = bracketed ? bracketed[1] : raw;
+      if (!byToken.has(key)) {
+        const candidate = { id: candidates.length + 1, name: key, description: "", active: true };
+        candidates.push(candidate);
+        byToken.set(key, candidate);
+      }
+      return byToken.get(key);
+    };
+
+    const ballots = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/#.*$/, "").trim();
+      if (!line) continue;
+
+      if (line.startsWith("{")) {
+        Object.assign(meta, JSON.parse(line));
+      } else if (line.startsWith("=")) {
+        const match = line.match(/^=([^:]+):\[(.*)\]$/);
+        if (!match) {
+          throw new Error(`ABIF: invalid candidate declaration "${line}"`);
+        }
+        const candidate = candidateFor(match[1].trim());
+        candidate.name = match[2];
+        byToken.set(match[2], candidate);
+      } else {
+        const match = line.match(/^(\d+)\s*[:*]\s*(.*)$/);
+        if (!match) {
+          throw new Error(`ABIF: invalid ballot line "${line}"`);
+        }
+        const groups = match[2] ? match[2].split(">").map(group => group.split("=").map(token =>
+          candidateFor(token.replace(/\/\d+$/, "").trim()).id
+        )) : [];
+        ballots.push({ count: Number(match[1]), groups });
+      }
+    }
+
+    return { title: meta.title || "", seats: meta.seats || 1, candidates, ballots };
+  }
+};
+
+module.exports = { abif };
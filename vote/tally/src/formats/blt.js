@@ -0,0 +1,80 @@
+/**
+ * BLT (OpenSTV / OpaVote)
+ *
+ *   3 1            candidates, seats
+ *   -2             optional withdrawn candidates (negative positions)
+ *   4 1 2=3 0      weight, preferences (ties joined with "="), 0
+ *   0              end of ballots
+ *   "Alice"        one quoted name per candidate
+ *   "Title"
+ *
+ * Candidates are numbered by position, so candidate IDs are written as their
+ * index in the candidate list (IDs 1..n round-trip unchanged).
+ */
+
+const quote = text => `"${String(text).replace(/"/g, "'")}"`;
+
+const blt = {
+  key: "blt",
+  name: "BLT (OpenSTV/OpaVote)",
+  extensions: [".blt"],
+
+  format({ title, seats, candidates, ballots }) {
+    const position = new Map(candidates.map((c, index) => [c.id, index + 1]));
+    const lines = [`${candidates.length} ${seats}`];
+
+    const withdrawn = candidates.filter(c => c.active === false).map(c => `-${position.get(c.id)}`);
+    if (withdrawn.length > 0) {
+      lines.push(withdrawn.join(" "));
+    }
+
+    for (const { count, groups } of ballots) {
+      lines.push([count, ...groups.map(group => group.map(id => position.get(id)).join("=")), 0].join(" "));
+    }
+    lines.push("0");
+
+    candidates.forEach(c => lines.push(quote(c.name)));
+    lines.push(quote(title));
+    return lines.join("\n") + "\n";
+  },
+
+  parse(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+    const [candidateCount, seats = 1] = lines.shift().split(/\s+/).map(Number);
+    if (!Number.isInteger(candidateCount) || candidateCount < 1) {
+      throw new Error("BLT: first line must give the number of candidates and seats");
+    }
+
+    const withdrawn = new Set();
+    if (lines[0] && lines[0].startsWith("-")) {
+      lines.shift().split(/\s+/).forEach(token => withdrawn.add(-Number(token)));
+    }
+
+    const ballots = [];
+    for (let line = lines.shift(); line !== "0"; line = lines.shift()) {
+      if (line === undefined) {
+        throw new Error("BLT: missing 0 line after the ballots");
+      }
+      // Optional ballot ID in parentheses before the weight
+      const tokens = line.replace(/^\([^)]*\)\s*/, "").split(/\s+/);
+      const count = Number(tokens.shift());
+      if (tokens.pop() !== "0") {
+        throw new Error(`BLT: ballot line must end with 0: "${line}"`);
+      }
+      const groups = tokens.filter(token => token !== "-").map(token => token.split("=").map(Number));
+      ballots.push({ count, groups });
+    }
+
+    const unquote = line => (line || "").replace(/^"|"$/g, "");
+    const candidates = Array.from({ length: candidateCount }, (_, index) => ({
+      id: index + 1,
+      name: unquote(lines.shift()) || `Candidate ${index + 1}`,
+      description: "",
+      active: !withdrawn.has(index + 1)
+    }));
+
+    return { title: unquote(lines.shift()), seats, candidates, ballots };
+  }
+};
+
+module.exports = { blt };
@@ -0,0 +1,98 @@
+/**
+ * CSV - one column per candidate holding the rank given to that candidate
+ *
+ *   count,Alice,Bob,Carol
+ *   4,1,2,2                 equal ranks are ties
+ *   3,2,1,                  blank = unranked
+ *
+ * Candidates are numbered by column.
+ */
+
+const escape = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ""));
+}
+
+const csv = {
+  key: "csv",
+  name: "CSV (rank per candidate)",
+  extensions: [".csv"],
+
+  format({ candidates, ballots }) {
+    const lines = [["count", ...candidates.map(c => escape(String(c.name)))].join(",")];
+    for (const { count, groups } of ballots) {
+      const rank = new Map(groups.flatMap((group, index) => group.map(id => [id, index + 1])));
+      lines.push([count, ...candidates.map(c => rank.get(c.id) ?? "")].join(","));
+    }
+    return lines.join("\n") + "\n";
+  },
+
+  parse(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) {
+      throw new Error("CSV: missing header row");
+    }
+    const hasCount = header[0].trim().toLowerCase() === "count";
+    const names = hasCount ? header.slice(1) : header;
+    const candidates = names.map((name, index) => ({ id: index + 1, name: name.trim(), description: "", active: true }));
+
+    const ballots = rows.map(row => {
+      const count = hasCount ? Number(row[0]) : 1;
+      const ranks = (hasCount ? row.slice(1) : row).map(value => value.trim());
+
+      const levels = new Map();
+      ranks.forEach((value, index) => {
+        if (value === "") return;
+        const rank = Number(value);
+        if (!levels.has(rank)) levels.set(rank, []);
+        levels.get(rank).push(index + 1);
+      });
+      const groups = [...levels.keys()].sort((a, b) => a - b).map(rank => levels.get(rank));
+      return { count, groups };
+    });
+
+    return { title: "", seats: 1, candidates, ballots };
+  }
+};
+
+module.exports = { csv };
@@ -0,0 +1,112 @@
+const { normalizeBallotSet } = require("../ballots");
+const { blt } = require("./blt");
+const { abif } = require("./abif");
+const { preflib } = require("./preflib");
+const { csv } = require("./csv");
+const { json } = require("./json");
+
+/**
+ * Ballot Interchange Formats
+ *
+ * Ballot sets can be written to and read from the formats established tools
+ * use, so results can be cross-checked and old elections re-run offline.
+ * Every format works on a compressed ballot set:
+ *
+ * {
+ *   title, seats,
+ *   candidates: [{ id, name, description, active }],
+ *   ballots:    [{ count, groups }]   // identical rankings merged, most common first
+ * }
+ *
+ * Ties use each format's native syntax (see the format modules).
+ */
+
+const FORMATS = { blt, abif, ...preflib, csv, json };
+
+/**
+ * Find a format by key or by file extension (".blt", "ballots.toc", ...)
+ */
+function resolveFormat(nameOrFile) {
+  const name = String(nameOrFile || "").toLowerCase();
+  if (FORMATS[name]) {
+    return FORMATS[name];
+  }
+  return Object.values(FORMATS).find(format => format.extensions.some(ext => name.endsWith(ext)));
+}
+
+function requireFormat(nameOrFile) {
+  const format = resolveFormat(nameOrFile);
+  if (!format) {
+    throw new Error(`Unsupported ballot format "${nameOrFile}". Use: ${Object.keys(FORMATS).join(", ")}`);
+  }
+  return format;
+}
+
+/**
+ * Merge identical rankings into counts (tied candidates in ID order).
+ * Withdrawn candidates are kept so formats can write them as withdrawn.
+ */
+function compressBallots(ballotSet) {
+  const { candidates, ballots } = normalizeBallotSet(ballotSet, { keepWithdrawn: true });
+  const byKey = new Map();
+
+  for (const ballot of ballots) {
+    const groups = ballot.groups.map(group => [...group].sort((a, b) => a - b));
+    const key = JSON.stringify(groups);
+    if (byKey.has(key)) {
+      byKey.get(key).count++;
+    } else {
+      byKey.set(key, { count: 1, groups });
+    }
+  }
+
+  // Most common first; Array.prototype.sort is stable, so ties keep first-seen order
+  return {
+    candidates: [...candidates].sort((a, b) => a.id - b.id),
+    ballots: [...byKey.values()].sort((a, b) => b.count - a.count)
+  };
+}
+
+/**
+ * Expand counted ballots back into a plain ballot set for the tally engine
+ */
+function expandBallots({ title, seats, candidates, ballots }) {
+  const votes = [];
+  for (const { count, groups } of ballots) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`Ballot count must be a whole number, got ${count}`);
+    }
+    const ranking = groups.flatMap(group => group.map((candidateId, index) => ({
+      candidateId,
+      tiedWithPrevious: index > 0
+    })));
+    for (let i = 0; i < count; i++) {
+      votes.push({ voterId: String(votes.length + 1), ranking });
+    }
+  }
+  return { title, seats, candidates, votes };
+}
+
+/**
+ * Write a ballot set ({ candidates, votes }) in the given format
+ *
+ * options: { title, seats } - written where the format has a place for them
+ */
+function formatBallots(ballotSet, format, options = {}) {
+  const compressed = compressBallots(ballotSet);
+  return requireFormat(format).format({
+    title: options.title || ballotSet.electionInfo?.title || ballotSet.title || "Election",
+    seats: options.seats || ballotSet.seats || 1,
+    ...compressed
+  });
+}
+
+/**
+ * Read ballots in the given format into a plain ballot set
+ * ({ title, seats, candidates, votes }) that tally() accepts
+ */
+function parseBallots(text, format) {
+  return expandBallots(requireFormat(format).parse(text));
+}
+
+module.exports = { FORMATS, resolveFormat, compressBallots, expandBallots, formatBallots, parseBallots };
@@ -0,0 +1,59 @@
+const { groupByRank } = require("../ballots");
+
+/**
+ * JSON - the engine's own ballot set, with identical rankings merged
+ *
+ *   { "title": "Example", "seats": 1,
+ *     "candidates": [{ "id": 1, "name": "Alice" }, ...],
+ *     "ballots": [{ "count": 4, "ranking": [{ "candidateId": 1, "tiedWithPrevious": false }, ...] }] }
+ *
+ * On import, ballots without a count count once, so VoteReader.getAllVotes()
+ * output ({ electionInfo, candidates, votes }) and audit bundles
+ * ({ election, candidates, ballots, tally }) load as well. Candidate IDs are
+ * kept as they are.
+ */
+
+const json = {
+  key: "json",
+  name: "JSON",
+  extensions: [".json"],
+
+  format({ title, seats, candidates, ballots }) {
+    return JSON.stringify({
+      title,
+      seats,
+      candidates,
+      ballots: ballots.map(({ count, groups }) => ({
+        count,
+        ranking: groups.flatMap(group => group.map((candidateId, index) => ({
+          candidateId,
+          tiedWithPrevious: index > 0
+        })))
+      }))
+    }, null, 2) + "\n";
+  },
+
+  parse(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data.candidates)) {
+      throw new Error("JSON ballots must include a candidates array");
+    }
+
+    return {
+      title: data.title || data.electionInfo?.title || data.election?.title || "Election",
+      seats: Number(data.seats || data.tally?.seats || 1),
+      candidates: data.candidates.map(c => ({
+        description: "",
+        active: true,
+        ...c,
+        id: Number(c.id)
+      })),
+      ballots: (data.ballots || data.votes || []).map(ballot => ({
+        count: ballot.count === undefined ? 1 : Number(ballot.count),
+        groups: ballot.groups || groupByRank(ballot.ranking || [])
+      }))
+    };
+  }
+};
+
+module.exports = { json };
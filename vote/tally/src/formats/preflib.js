@@ -0,0 +1,102 @@
+/**
+ * PrefLib .soc / .soi / .toc / .toi
+ *
+ *   # DATA TYPE: toc
+ *   # ALTERNATIVE NAME 1: Alice
+ *   4: 1,{2,3}              count, order (ties in braces)
+ *
+ * soc/soi hold strict orders, toc/toi allow ties; the "c" types require
+ * every ballot to rank every candidate, the "i" types allow partial ballots.
+ * Alternatives are numbered by position in the candidate list (IDs 1..n
+ * round-trip unchanged).
+ */
+
+const DATA_TYPES = ["soc", "soi", "toc", "toi"];
+
+/**
+ * Smallest PrefLib data type that can hold these ballots
+ */
+function dataTypeFor(candidates, ballots) {
+  const ties = ballots.some(b => b.groups.some(group => group.length > 1));
+  const partial = ballots.some(b => b.groups.flat().length < candidates.length);
+  return `${ties ? "t" : "s"}o${partial ? "i" : "c"}`;
+}
+
+function createPreflibFormat(dataType) {
+  return {
+    key: dataType,
+    name: `PrefLib .${dataType}`,
+    extensions: [`.${dataType}`],
+
+    format({ title, candidates, ballots }) {
+      const needed = dataTypeFor(candidates, ballots);
+      if ((needed[0] === "t" && dataType[0] === "s") || (needed[2] === "i" && dataType[2] === "c")) {
+        throw new Error(`PrefLib: ballots need data type "${needed}" (${needed[0] === "t" ? "ties" : "strict"}, ${needed[2] === "i" ? "partial" : "complete"}), not "${dataType}"`);
+      }
+
+      const position = new Map(candidates.map((c, index) => [c.id, index + 1]));
+      const voters = ballots.reduce((sum, b) => sum + b.count, 0);
+      const lines = [
+        `# FILE NAME: election.${dataType}`,
+        `# TITLE: ${title}`,
+        `# DATA TYPE: ${dataType}`,
+        `# NUMBER ALTERNATIVES: ${candidates.length}`,
+        `# NUMBER VOTERS: ${voters}`,
+        `# NUMBER UNIQUE ORDERS: ${ballots.length}`,
+        ...candidates.map(c => `# ALTERNATIVE NAME ${position.get(c.id)}: ${c.name}`),
+        ...ballots.map(({ count, groups }) => {
+          const alternatives = groups.map(group => group.map(id => position.get(id)));
+          return `${count}: ${alternatives.map(group => group.length > 1 ? `{${group.join(",")}}` : group[0]).join(",")}`;
+        })
+      ];
+      return lines.join("\n") + "\n";
+    },
+
+    parse(text) {
+      const headers = {};
+      const names = new Map();
+      const ballots = [];
+
+      for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith("#")) {
+          const match = line.match(/^#\s*([^:]+):\s*(.*)$/);
+          if (!match) continue;
+          const alternative = match[1].match(/^ALTERNATIVE NAME (\d+)$/);
+          if (alternative) {
+            names.set(Number(alternative[1]), match[2]);
+          } else {
+            headers[match[1]] = match[2];
+          }
+          continue;
+        }
+
+        const match = line.match(/^(\d+)\s*:\s*(.*)$/);
+        if (!match) {
+          throw new Error(`PrefLib: invalid order line "${line}"`);
+        }
+        const groups = [];
+        for (const [, tied, single] of match[2].matchAll(/\{([^}]*)\}|(\d+)/g)) {
+          groups.push(tied !== undefined ? tied.split(",").filter(Boolean).map(Number) : [Number(single)]);
+        }
+        ballots.push({ count: Number(match[1]), groups });
+      }
+
+      const count = Number(headers["NUMBER ALTERNATIVES"]) || Math.max(0, ...names.keys(), ...ballots.flatMap(b => b.groups.flat()));
+      const candidates = Array.from({ length: count }, (_, index) => ({
+        id: index + 1,
+        name: names.get(index + 1) || `Candidate ${index + 1}`,
+        description: "",
+        active: true
+      }));
+
+      return { title: headers.TITLE || "", seats: 1, candidates, ballots };
+    }
+  };
+}
+
+const preflib = Object.fromEntries(DATA_TYPES.map(dataType => [dataType, createPreflibFormat(dataType)]));
+
+module.exports = { PREFLIB_DATA_TYPES: DATA_TYPES, preflib, dataTypeFor };
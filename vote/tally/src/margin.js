@@ -0,0 +1,392 @@
+const { normalizeBallotSet } = require("./ballots");
+const { createPairwiseTallies, addBallotToTallies } = require("./pairwise");
+const { METHODS, resolveMethod } = require("./engine");
+const { percentage } = require("./result");
+
+/**
+ * Margin of Victory
+ *
+ * The smallest number of ballots that would have to be added, or changed
+ * (replaced by a different ranking), for someone other than the winner to
+ * win. A small margin is the signal to recount or re-run a contested result.
+ *
+ * Each figure starts from a heuristic that is always a real flip, checked by
+ * re-running the method: for every challenger, add k copies of ballots that
+ * favour it (bullet votes, the challenger first and the winner last, or for
+ * IRV a helper first and the challenger second), or replace the k ballots
+ * that favour the winner most, with the smallest k found by bisection.
+ *
+ * With at most EXACT_MAX_CANDIDATES candidates, a breadth-first search over
+ * strict (possibly truncated) rankings then proves the heuristic minimal or
+ * finds a smaller flip, one ballot at a time. The search stops after
+ * maxProfiles distinct ballot profiles; results that were not proven report
+ * `exact: false` and the `lowerBound` the search did prove. Close results -
+ * the ones that matter for a recount - are small enough to search fully.
+ *
+ * Plurality only counts first preferences, so bullet votes for the runner-up
+ * (added) and taking the winner's first preferences (changed) are optimal
+ * and its figures are always exact.
+ *
+ * Every re-run of the method counts against maxEvaluations, shared by the
+ * heuristic (challengers tried runner-up first) and the exact search, so
+ * large ballot sets stay fast. When it runs out the figures found so far are
+ * kept as upper bounds and `search.truncated` is set.
+ */
+
+const MARGIN_METHODS = ["tideman", "instant-runoff", "plurality"];
+
+// Above this many candidates the ballot types (all strict rankings) get too many to search
+const EXACT_MAX_CANDIDATES = 4;
+
+// Distinct ballot profiles the exact search may evaluate, per figure
+const MAX_SEARCH_PROFILES = 10000;
+
+// Method re-runs for the whole margin (heuristic and exact search)
+const MAX_EVALUATIONS = 5000;
+
+const rankingKey = groups => JSON.stringify(groups);
+
+/**
+ * Every strict ranking of every length (1..n) over the candidate IDs
+ */
+function strictRankings(ids) {
+  const rankings = [];
+  const extend = prefix => {
+    for (const id of ids) {
+      if (prefix.includes(id)) continue;
+      const groups = [...prefix, id].map(candidateId => [candidateId]);
+      rankings.push(groups);
+      extend([...prefix, id]);
+    }
+  };
+  extend([]);
+  return rankings;
+}
+
+/**
+ * Ballots with a profile change applied; `delta` maps ranking keys to
+ * { groups, count } where a negative count removes existing ballots
+ */
+function applyDelta(ballots, delta) {
+  const removals = new Map([...delta].filter(([, d]) => d.count < 0).map(([key, d]) => [key, -d.count]));
+  const result = [];
+  for (const ballot of ballots) {
+    const key = rankingKey(ballot.groups);
+    if (removals.get(key) > 0) {
+      removals.set(key, removals.get(key) - 1);
+    } else {
+      result.push(ballot);
+    }
+  }
+  for (const { groups, count } of delta.values()) {
+    for (let i = 0; i < count; i++) {
+      result.push({ voterId: null, groups });
+    }
+  }
+  return result;
+}
+
+/**
+ * Winner ID after a profile change, re-running the method on the changed ballots
+ *
+ * Ranked Pairs only depends on the pairwise tallies, so it updates a copy of
+ * the base matrix instead.
+ */
+function createEvaluator(key, ballotSet, options) {
+  const method = METHODS[key];
+  const { candidates, ballots } = ballotSet;
+
+  if (key === "tideman") {
+    const base = createPairwiseTallies(candidates, ballots);
+    return delta => {
+      const pairwiseTallies = { ...base };
+      for (const { groups, count } of delta.values()) {
+        addBallotToTallies(pairwiseTallies, groups, count);
+      }
+      return method.run({ candidates, ballots: [] }, { tieBreak: options.tieBreak, pairwiseTallies }).winner?.id;
+    };
+  }
+
+  return delta => method.run({ candidates, ballots: applyDelta(ballots, delta) }, { tieBreak: options.tieBreak }).winner?.id;
+}
+
+/**
+ * Search key for a profile change: everything the method's result depends on,
+ * plus the removed ballots (which limit later removals)
+ */
+function createSignature(key, candidates) {
+  const removed = delta => [...delta].filter(([, d]) => d.count < 0).map(([k, d]) => `${k}${d.count}`).sort().join();
+
+  if (key === "tideman") {
+    return delta => {
+      const tallies = createPairwiseTallies(candidates, []);
+      for (const { groups, count } of delta.values()) {
+        addBallotToTallies(tallies, groups, count);
+      }
+      return `${Object.values(tallies).join()}|${removed(delta)}`;
+    };
+  }
+  return delta => [...delta].filter(([, d]) => d.count !== 0).map(([k, d]) => `${k}${d.count}`).sort().join();
+}
+
+function withChange(delta, groups, count) {
+  const key = rankingKey(groups);
+  const next = new Map(delta);
+  next.set(key, { groups, count: (delta.get(key)?.count || 0) + count });
+  return next;
+}
+
+/**
+ * Smallest k in 1..max for which build(k) flips the winner, or null
+ *
+ * Assumes more of the same change never un-flips a result; the k returned is
+ * always checked, so a wrong assumption only costs optimality. Once the
+ * evaluation budget is exhausted the smallest flip checked so far is returned.
+ */
+function bisect(max, build, flips, exhausted) {
+  if (max < 1 || exhausted() || !flips(build(max))) {
+    return null;
+  }
+  let low = 0;
+  let high = max;
+  while (high - low > 1 && !exhausted()) {
+    const mid = Math.floor((low + high) / 2);
+    if (flips(build(mid))) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return { ballots: high, delta: build(high) };
+}
+
+/**
+ * Ballots favouring each challenger, for the heuristic
+ */
+function strategyRankings(key, order, winner, challenger) {
+  const rest = order.filter(id => id !== winner && id !== challenger);
+  const rankings = [
+    [[challenger]],
+    [[challenger], ...rest.map(id => [id]), [winner]]
+  ];
+  if (key === "instant-runoff") {
+    // A helper that outpolls the winner early, then transfers to the challenger
+    rankings.push(...rest.map(helper => [[helper], [challenger]]));
+  }
+  return rankings;
+}
+
+/**
+ * Existing ballots ordered by how strongly they support the winner over a challenger
+ */
+function supportOrder(ballots, winner, challenger) {
+  const position = (groups, id) => {
+    const index = groups.findIndex(group => group.includes(id));
+    return index === -1 ? groups.length : index;
+  };
+  const firstShare = (groups, id) => groups[0].includes(id) ? 1 / groups[0].length : 0;
+
+  return [...ballots].sort((a, b) =>
+    firstShare(b.groups, winner) - firstShare(a.groups, winner) ||
+    (position(b.groups, challenger) - position(b.groups, winner)) -
+    (position(a.groups, challenger) - position(a.groups, winner))
+  );
+}
+
+/**
+ * Heuristic flips: { added, changed }, each { ballots, delta } or null
+ *
+ * Challengers are tried in finishing order, so the strongest get the
+ * evaluation budget first.
+ */
+function heuristicMargins(key, ballotSet, winner, order, flips, exhausted) {
+  const { ballots } = ballotSet;
+  let added = null;
+  let changed = null;
+  const better = (best, found) => found && (!best || found.ballots < best.ballots) ? found : best;
+
+  for (const challenger of order.filter(id => id !== winner)) {
+    const sorted = supportOrder(ballots, winner, challenger);
+
+    for (const groups of strategyRankings(key, order, winner, challenger)) {
+      if (exhausted()) {
+        return { added, changed };
+      }
+      added = better(added, bisect(ballots.length + 1, k => withChange(new Map(), groups, k), flips, exhausted));
+
+      changed = better(changed, bisect(ballots.length, k => {
+        let delta = new Map();
+        for (const ballot of sorted.slice(0, k)) {
+          delta = withChange(delta, ballot.groups, -1);
+        }
+        return withChange(delta, groups, k);
+      }, flips, exhausted));
+    }
+  }
+
+  return { added, changed };
+}
+
+/**
+ * Breadth-first search for the fewest moves that flip the winner
+ *
+ * Returns { found, depth } for the first flip, or { found: null, depth }
+ * with the deepest level searched completely.
+ */
+function exactSearch(moves, limit, flips, signature, maxProfiles, exhausted) {
+  let frontier = [new Map()];
+  const seen = new Set([signature(frontier[0])]);
+
+  for (let depth = 1; depth <= limit; depth++) {
+    const next = [];
+    for (const delta of frontier) {
+      for (const move of moves(delta)) {
+        const candidate = move(delta);
+        const key = signature(candidate);
+        if (seen.has(key)) continue;
+        if (seen.size > maxProfiles || exhausted()) {
+          return { found: null, depth: depth - 1 };
+        }
+        seen.add(key);
+        if (flips(candidate)) {
+          return { found: candidate, depth };
+        }
+        next.push(candidate);
+      }
+    }
+    frontier = next;
+  }
+
+  return { found: null, depth: limit };
+}
+
+/**
+ * Describe a profile change as the ballots removed and added
+ */
+function describeDelta(delta) {
+  const entries = [...delta.values()].filter(d => d.count !== 0);
+  return {
+    remove: entries.filter(d => d.count < 0).map(d => ({ count: -d.count, groups: d.groups })),
+    add: entries.filter(d => d.count > 0).map(d => ({ count: d.count, groups: d.groups }))
+  };
+}
+
+/**
+ * Margin of victory for one kind of change ("added" or "changed")
+ */
+function resolveMargin(kind, heuristic, search, { evaluate, totalVotes, winner }) {
+  const figure = (ballots, delta, exact, lowerBound) => {
+    const { remove, add } = describeDelta(delta);
+    return {
+      ballots,
+      percentage: percentage(ballots, totalVotes),
+      exact,
+      lowerBound,
+      challenger: evaluate(delta) ?? null,
+      ...(kind === "changed" ? { remove } : {}),
+      add
+    };
+  };
+
+  if (search && search.found) {
+    return figure(search.depth, search.found, true, search.depth);
+  }
+  if (!heuristic) {
+    return null;
+  }
+  if (!search) {
+    return figure(heuristic.ballots, heuristic.delta, false, 1);
+  }
+  const proven = search.depth >= heuristic.ballots - 1;
+  return figure(heuristic.ballots, heuristic.delta, proven, proven ? heuristic.ballots : search.depth + 1);
+}
+
+/**
+ * Margin of victory for a ballot set ({ candidates, votes }) under a method
+ *
+ * options: { tieBreak, maxProfiles, maxEvaluations } - the tie-break must match the reported tally
+ * Returns {
+ *   method, winner,          // winner candidate ID (null without a winner)
+ *   totalVotes,
+ *   added,                   // fewest ballots to add to flip the winner
+ *   changed,                 // fewest existing ballots to change
+ *   search                   // { exactCandidateLimit, maxProfiles, maxEvaluations, evaluations, truncated }
+ * }
+ * where added/changed are { ballots, percentage, exact, lowerBound,
+ * challenger, remove?, add } or null if no change flips the result (or
+ * none was found before the budget ran out, when search.truncated).
+ */
+function marginOfVictory(ballotSet, method = "tideman", options = {}) {
+  const key = resolveMethod(method);
+  if (!MARGIN_METHODS.includes(key)) {
+    throw new Error(`Margin of victory is not supported for "${method}". Use: ${MARGIN_METHODS.join(", ")}`);
+  }
+
+  const normalized = normalizeBallotSet(ballotSet);
+  const { candidates, ballots } = normalized;
+  const maxProfiles = options.maxProfiles || MAX_SEARCH_PROFILES;
+  const maxEvaluations = options.maxEvaluations || MAX_EVALUATIONS;
+  const result = METHODS[key].run(normalized, { tieBreak: options.tieBreak });
+  const winner = result.winner?.id ?? null;
+
+  const summary = {
+    method: key,
+    winner,
+    totalVotes: ballots.length,
+    added: null,
+    changed: null,
+    search: { exactCandidateLimit: EXACT_MAX_CANDIDATES, maxProfiles, maxEvaluations, evaluations: 0, truncated: false }
+  };
+  if (winner === null || candidates.length < 2) {
+    return summary;
+  }
+
+  const evaluate = createEvaluator(key, normalized, options);
+  let evaluations = 0;
+  const flips = delta => {
+    evaluations++;
+    return evaluate(delta) !== winner;
+  };
+  const exhausted = () => evaluations >= maxEvaluations;
+  const heuristic = heuristicMargins(key, normalized, winner, result.finalRanking.map(r => r.candidateId), flips, exhausted);
+
+  let searches = {};
+  if (key === "plurality") {
+    // Heuristic is optimal - mark it proven
+    searches = {
+      added: heuristic.added && { found: heuristic.added.delta, depth: heuristic.added.ballots },
+      changed: heuristic.changed && { found: heuristic.changed.delta, depth: heuristic.changed.ballots }
+    };
+  } else if (candidates.length <= EXACT_MAX_CANDIDATES) {
+    const rankings = strictRankings(candidates.map(c => c.id));
+    const signature = createSignature(key, candidates);
+    const counts = new Map();
+    for (const ballot of ballots) {
+      const k = rankingKey(ballot.groups);
+      counts.set(k, { groups: ballot.groups, count: (counts.get(k)?.count || 0) + 1 });
+    }
+    // Existing rankings that still have a ballot left to change
+    const present = delta => [...counts].filter(([k, c]) => c.count + (delta.get(k)?.count || 0) > 0).map(([, c]) => c);
+
+    const limit = found => (found ? found.ballots - 1 : ballots.length);
+    searches.added = exactSearch(
+      () => rankings.map(groups => delta => withChange(delta, groups, 1)),
+      limit(heuristic.added), flips, signature, maxProfiles, exhausted
+    );
+    searches.changed = exactSearch(
+      delta => present(delta).flatMap(({ groups: from }) => rankings
+        .filter(to => rankingKey(to) !== rankingKey(from))
+        .map(to => d => withChange(withChange(d, from, -1), to, 1))),
+      limit(heuristic.changed), flips, signature, maxProfiles, exhausted
+    );
+  }
+  summary.search.evaluations = evaluations;
+  summary.search.truncated = exhausted();
+
+  const context = { evaluate, totalVotes: ballots.length, winner };
+  summary.added = resolveMargin("added", heuristic.added, searches.added, context);
+  summary.changed = resolveMargin("changed", heuristic.changed, searches.changed, context);
+  return summary;
+}
+
+module.exports = { MARGIN_METHODS, EXACT_MAX_CANDIDATES, MAX_SEARCH_PROFILES, MAX_EVALUATIONS, marginOfVictory };
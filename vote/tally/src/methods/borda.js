@@ -0,0 +1,47 @@
+const { buildResult, percentage, roundValue } = require("../result");
+
+/**
+ * Borda Count
+ *
+ * With n candidates, a ballot gives n-1 points to its first choice, n-2 to
+ * its second and so on. Candidates tied at a rank level share the average
+ * of the points for the positions they occupy together (e.g. two candidates
+ * tied first of four each get (3 + 2) / 2 = 2.5). Unranked candidates
+ * receive no points.
+ */
+
+const borda = {
+  key: "borda",
+  name: "Borda Count",
+  description: "Borda Count - candidates receive points based on their position in each ranking",
+  tieHandling: "Tied candidates share the average of the points for the positions they occupy",
+
+  run(ballotSet) {
+    const { candidates, ballots } = ballotSet;
+    const scores = new Map(candidates.map(c => [c.id, 0]));
+
+    for (const ballot of ballots) {
+      let position = 0;
+      for (const group of ballot.groups) {
+        // Positions position..position+k-1 are shared by the k tied candidates
+        const points = (candidates.length - 1 - position) - (group.length - 1) / 2;
+        for (const candidateId of group) {
+          scores.set(candidateId, scores.get(candidateId) + points);
+        }
+        position += group.length;
+      }
+    }
+
+    const maxScore = ballots.length * (candidates.length - 1);
+    const entries = candidates
+      .map(c => ({ candidateId: c.id, score: roundValue(scores.get(c.id)) }))
+      .sort((a, b) => b.score - a.score)
+      .map(item => ({ ...item, votes: item.score, percentage: percentage(item.score, maxScore) }));
+
+    return buildResult(borda, ballotSet, entries, {
+      scores: Object.fromEntries([...scores].map(([id, score]) => [id, roundValue(score)]))
+    });
+  }
+};
+
+module.exports = { borda };
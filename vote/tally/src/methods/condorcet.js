@@ -0,0 +1,69 @@
+const { PAIRWISE_TIE_HANDLING, createPairwiseTallies, toMatrix } = require("../pairwise");
+const { buildResult, percentage } = require("../result");
+
+/**
+ * Condorcet Method
+ *
+ * Finds the candidate who beats every other candidate head-to-head, if any,
+ * and ranks all candidates by their number of pairwise wins (Copeland order).
+ */
+
+/**
+ * Find the Condorcet winner (beats all other candidates pairwise)
+ */
+function findCondorcetWinner(candidates, matrix) {
+  return candidates.find(candidate => candidates.every(opponent =>
+    candidate.id === opponent.id ||
+    matrix[candidate.id][opponent.id] > matrix[opponent.id][candidate.id]
+  ));
+}
+
+const condorcet = {
+  key: "condorcet",
+  name: "Condorcet Method",
+  description: "Condorcet winner - candidate who beats all others in pairwise comparisons",
+  tieHandling: PAIRWISE_TIE_HANDLING,
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const pairwiseTallies = options.pairwiseTallies || createPairwiseTallies(candidates, ballots);
+    const matrix = toMatrix(candidates, pairwiseTallies);
+    const condorcetWinner = findCondorcetWinner(candidates, matrix);
+
+    const winCounts = candidates.map(candidate => ({
+      candidateId: candidate.id,
+      wins: candidates.filter(opponent =>
+        candidate.id !== opponent.id &&
+        matrix[candidate.id][opponent.id] > matrix[opponent.id][candidate.id]
+      ).length
+    }));
+
+    // Condorcet winner (if any) first, then by win count
+    winCounts.sort((a, b) =>
+      (b.candidateId === condorcetWinner?.id) - (a.candidateId === condorcetWinner?.id) ||
+      b.wins - a.wins
+    );
+
+    const result = buildResult(condorcet, ballotSet, winCounts.map(item => ({
+      candidateId: item.candidateId,
+      score: item.wins,
+      votes: item.wins,
+      percentage: percentage(item.wins, candidates.length - 1)
+    })), {
+      pairwiseTallies,
+      matrix,
+      condorcetWinner: condorcetWinner?.id ?? null
+    });
+
+    // Without a Condorcet winner there is no winner under this method
+    if (!condorcetWinner) {
+      result.winner = undefined;
+      result.selectedCandidates = [];
+      result.description = "No Condorcet winner - no candidate beats all others in pairwise comparisons";
+    }
+
+    return result;
+  }
+};
+
+module.exports = { condorcet, findCondorcetWinner };
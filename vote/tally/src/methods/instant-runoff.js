@@ -0,0 +1,150 @@
+const { buildResult, percentage, roundValue } = require("../result");
+const { createTieBreak } = require("../tie-break");
+
+/**
+ * Instant Runoff Voting (IRV)
+ *
+ * Each round counts every ballot for its highest-ranked continuing
+ * candidate; if several continuing candidates are tied at that rank, the
+ * ballot is split equally between them. A candidate with a majority of the
+ * continuing ballots wins; otherwise the candidate with the fewest votes is
+ * eliminated and the count repeats. A tie for fewest votes eliminates the
+ * tied candidate last in the tie-breaking ranking (candidate order by
+ * default, so later candidates go first; see ../tie-break.js).
+ *
+ * Every round records the tallies, the majority threshold, exhausted
+ * ballots, who was elected or eliminated and why, and how the eliminated
+ * candidate's votes transferred - enough for a transfer table or Sankey chart.
+ */
+
+/**
+ * Count each ballot for its highest-ranked continuing candidate(s)
+ */
+function countRound(continuing, ballots) {
+  const tallies = new Map(continuing.map(id => [id, 0]));
+  let exhausted = 0;
+
+  for (const ballot of ballots) {
+    const choices = ballot.groups
+      .map(group => group.filter(id => tallies.has(id)))
+      .find(group => group.length > 0);
+    if (choices === undefined) {
+      exhausted++;
+    } else {
+      for (const id of choices) {
+        tallies.set(id, tallies.get(id) + 1 / choices.length);
+      }
+    }
+  }
+
+  // Round fractional shares so comparisons are not thrown off by float error
+  for (const [id, votes] of tallies) {
+    tallies.set(id, roundValue(votes));
+  }
+
+  return { tallies, exhausted };
+}
+
+const instantRunoff = {
+  key: "instant-runoff",
+  name: "Instant Runoff Voting (IRV)",
+  description: "IRV - eliminates the candidate with the fewest votes each round until one has a majority",
+  tieHandling: "A ballot is split equally between tied candidates at its highest continuing preference",
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const tieBreak = createTieBreak(candidates, options.tieBreak);
+    let continuing = candidates.map(c => c.id);
+    const eliminated = [];
+    const rounds = [];
+    let winner;
+    let count = countRound(continuing, ballots);
+
+    while (continuing.length > 0) {
+      const { tallies, exhausted } = count;
+      const activeVotes = ballots.length - exhausted;
+      const previous = rounds[rounds.length - 1];
+      const round = {
+        round: rounds.length + 1,
+        tallies: Object.fromEntries(tallies),
+        activeVotes,
+        majorityThreshold: roundValue(activeVotes / 2),
+        exhausted,
+        newlyExhausted: exhausted - (previous ? previous.exhausted : 0),
+        elected: null,
+        eliminated: null,
+        elimination: null,
+        transfers: null
+      };
+      rounds.push(round);
+
+      const leader = continuing.reduce((best, id) => (tallies.get(id) > tallies.get(best) ? id : best));
+      if (tallies.get(leader) * 2 > activeVotes || continuing.length === 1) {
+        winner = leader;
+        round.elected = {
+          candidateId: leader,
+          votes: tallies.get(leader),
+          reason: tallies.get(leader) * 2 > activeVotes
+            ? `More than half of ${activeVotes} continuing ballots`
+            : "Last continuing candidate"
+        };
+        break;
+      }
+
+      const fewest = Math.min(...continuing.map(id => tallies.get(id)));
+      const tied = continuing.filter(id => tallies.get(id) === fewest);
+      // Lowest-priority tied candidate in the tie-breaking ranking is eliminated
+      const lowest = tied.reduce((worst, id) =>
+        (tieBreak.order.indexOf(id) > tieBreak.order.indexOf(worst) ? id : worst));
+
+      round.eliminated = lowest;
+      round.elimination = {
+        candidateId: lowest,
+        votes: fewest,
+        reason: tied.length > 1
+          ? `Tied for fewest votes (${fewest}) with candidate ${tied.filter(id => id !== lowest).join(", ")}; last in ${tieBreak.rule} tie-break order`
+          : `Fewest votes (${fewest})`,
+        tiedWith: tied.filter(id => id !== lowest)
+      };
+      eliminated.push(lowest);
+      continuing = continuing.filter(id => id !== lowest);
+
+      // Recount and record where the eliminated candidate's votes went
+      count = countRound(continuing, ballots);
+      round.transfers = {
+        from: lowest,
+        votes: fewest,
+        to: Object.fromEntries(continuing
+          .map(id => [id, roundValue(count.tallies.get(id) - tallies.get(id))])
+          .filter(([, moved]) => moved !== 0)),
+        exhausted: count.exhausted - exhausted
+      };
+    }
+
+    // Winner, then the other continuing candidates by final tally, then reverse elimination order
+    const finalTallies = rounds[rounds.length - 1]?.tallies || {};
+    const order = [
+      ...continuing
+        .filter(id => id !== winner)
+        .sort((a, b) => finalTallies[b] - finalTallies[a]),
+      ...eliminated.reverse()
+    ];
+    if (winner !== undefined) {
+      order.unshift(winner);
+    }
+
+    const entries = order.map(candidateId => {
+      const lastTally = [...rounds].reverse().find(r => candidateId in r.tallies).tallies[candidateId];
+      return {
+        candidateId,
+        votes: lastTally,
+        score: lastTally,
+        percentage: percentage(lastTally, ballots.length)
+      };
+    });
+
+    return buildResult(instantRunoff, ballotSet, entries, { rounds, tieBreak });
+  }
+};
+
+module.exports = { instantRunoff };
@@ -0,0 +1,38 @@
+const { buildResult, percentage, roundValue } = require("../result");
+
+/**
+ * Plurality Voting
+ *
+ * Counts first preferences only; the candidate with the most wins. A ballot
+ * with several candidates tied first gives each an equal fraction of its vote.
+ */
+
+const plurality = {
+  key: "plurality",
+  name: "Plurality Voting",
+  description: "Plurality - candidate with the most first-place votes wins",
+  tieHandling: "A tied first preference is split equally between the tied candidates",
+
+  run(ballotSet) {
+    const { candidates, ballots } = ballotSet;
+    const firstPlaceVotes = new Map(candidates.map(c => [c.id, 0]));
+
+    for (const ballot of ballots) {
+      const firstChoices = ballot.groups[0];
+      for (const candidateId of firstChoices) {
+        firstPlaceVotes.set(candidateId, firstPlaceVotes.get(candidateId) + 1 / firstChoices.length);
+      }
+    }
+
+    const entries = candidates
+      .map(c => ({ candidateId: c.id, votes: roundValue(firstPlaceVotes.get(c.id)) }))
+      .sort((a, b) => b.votes - a.votes)
+      .map(item => ({ ...item, score: item.votes, percentage: percentage(item.votes, ballots.length) }));
+
+    return buildResult(plurality, ballotSet, entries, {
+      firstPlaceVotes: Object.fromEntries([...firstPlaceVotes].map(([id, votes]) => [id, roundValue(votes)]))
+    });
+  }
+};
+
+module.exports = { plurality };
@@ -0,0 +1,106 @@
+const { PAIRWISE_TIE_HANDLING, createPairwiseTallies, toMatrix } = require("../pairwise");
+const { buildResult, percentage } = require("../result");
+
+/**
+ * Schulze Method (Beatpath)
+ *
+ * 1. Create pairwise tallies (ties within a ballot are not counted)
+ * 2. Seed direct link strengths with winning votes for each decisive pair
+ * 3. Widen them into strongest paths (Floyd-Warshall on path widths)
+ * 4. A beats B when the strongest path A→B is stronger than B→A
+ *
+ * The beatpath relation is transitive, so ordering candidates by how many
+ * others they beat gives the full Schulze ordering. Candidates neither of
+ * whom beats the other share a level in `details.ordering`.
+ */
+
+/**
+ * Compute the strongest path strength between every pair of candidates
+ */
+function calculateStrongestPaths(candidates, matrix) {
+  const paths = {};
+
+  for (const a of candidates) {
+    paths[a.id] = {};
+    for (const b of candidates) {
+      if (a.id === b.id) {
+        paths[a.id][b.id] = 0;
+      } else {
+        const forward = matrix[a.id][b.id];
+        paths[a.id][b.id] = forward > matrix[b.id][a.id] ? forward : 0;
+      }
+    }
+  }
+
+  for (const via of candidates) {
+    for (const a of candidates) {
+      if (a.id === via.id) continue;
+      for (const b of candidates) {
+        if (b.id === via.id || b.id === a.id) continue;
+        const width = Math.min(paths[a.id][via.id], paths[via.id][b.id]);
+        if (width > paths[a.id][b.id]) {
+          paths[a.id][b.id] = width;
+        }
+      }
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * Group candidates into Schulze ordering levels (ties share a level)
+ */
+function determineOrdering(candidates, paths) {
+  const wins = new Map(candidates.map(candidate => [
+    candidate.id,
+    candidates.filter(opponent =>
+      candidate.id !== opponent.id &&
+      paths[candidate.id][opponent.id] > paths[opponent.id][candidate.id]
+    ).length
+  ]));
+
+  // Stable sort keeps candidate order within a level
+  const sorted = [...candidates].sort((a, b) => wins.get(b.id) - wins.get(a.id));
+
+  const ordering = [];
+  for (const candidate of sorted) {
+    const level = ordering[ordering.length - 1];
+    if (level && wins.get(level[0]) === wins.get(candidate.id)) {
+      level.push(candidate.id);
+    } else {
+      ordering.push([candidate.id]);
+    }
+  }
+
+  return { ordering, wins };
+}
+
+const schulze = {
+  key: "schulze",
+  name: "Schulze Method (Beatpath)",
+  description: "Schulze beatpath method - ranks candidates by the strength of their strongest pairwise paths",
+  tieHandling: PAIRWISE_TIE_HANDLING,
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const pairwiseTallies = options.pairwiseTallies || createPairwiseTallies(candidates, ballots);
+    const matrix = toMatrix(candidates, pairwiseTallies);
+    const strongestPaths = calculateStrongestPaths(candidates, matrix);
+    const { ordering, wins } = determineOrdering(candidates, strongestPaths);
+
+    return buildResult(schulze, ballotSet, ordering.flat().map(candidateId => ({
+      candidateId,
+      score: wins.get(candidateId),
+      percentage: percentage(wins.get(candidateId), candidates.length - 1)
+    })), {
+      pairwiseTallies,
+      matrix,
+      strongestPaths,
+      ordering,
+      winners: ordering[0] || []
+    });
+  }
+};
+
+module.exports = { schulze, calculateStrongestPaths, determineOrdering };
@@ -0,0 +1,228 @@
+const { buildResult, percentage, roundValue } = require("../result");
+const { createTieBreak } = require("../tie-break");
+
+/**
+ * Single Transferable Vote (STV)
+ *
+ * Multi-seat method for committee and board elections:
+ * 1. Quota = Droop quota, floor(valid ballots / (seats + 1)) + 1
+ * 2. Candidates reaching the quota are elected
+ * 3. The largest undistributed surplus is transferred at a fractional
+ *    (Gregory) transfer value: surplus / votes held by the elected candidate
+ * 4. With no surplus to transfer, the candidate with the fewest votes is
+ *    eliminated and their ballots transfer at their current value
+ * 5. Repeat until every seat is filled, or the continuing candidates
+ *    exactly fill the remaining seats
+ *
+ * Ballots are held as parcels of (ballot, weight). A ballot whose next
+ * preference is a group of tied candidates is split equally between the
+ * continuing candidates in that group. Ballots with no continuing preference
+ * are exhausted. A tie for fewest votes eliminates the tied candidate last
+ * in the tie-breaking ranking, as in instant runoff (candidate order by
+ * default, so later candidates go first; see ../tie-break.js).
+ */
+
+// Tolerance for floating point comparisons against the quota
+const EPSILON = 1e-9;
+
+/**
+ * Split a parcel across the next continuing preference of its ballot
+ *
+ * Returns [{ candidateId, parcel }] or an empty array if the ballot is exhausted.
+ */
+function nextPreferences(parcel, isContinuing) {
+  for (const group of parcel.groups) {
+    const continuing = group.filter(isContinuing);
+    if (continuing.length > 0) {
+      const weight = parcel.weight / continuing.length;
+      return continuing.map(candidateId => ({
+        candidateId,
+        parcel: { ...parcel, weight }
+      }));
+    }
+  }
+  return [];
+}
+
+/**
+ * Validate the requested number of seats
+ */
+function resolveSeats(seats) {
+  if (seats === undefined || seats === null) {
+    return 1;
+  }
+  const value = Number(seats);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Seats must be a positive integer, got "${seats}"`);
+  }
+  return value;
+}
+
+const stv = {
+  key: "stv",
+  name: "Single Transferable Vote (STV)",
+  description: "STV - fills multiple seats using a Droop quota with fractional (Gregory) surplus transfers",
+  tieHandling: "A ballot is split equally between tied candidates at its next continuing preference",
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const seats = Math.min(resolveSeats(options.seats), candidates.length);
+    const quota = Math.floor(ballots.length / (seats + 1)) + 1;
+    const tieBreak = createTieBreak(candidates, options.tieBreak);
+
+    const piles = new Map(candidates.map(c => [c.id, []]));
+    const hopeful = new Set(candidates.map(c => c.id));
+    const elected = [];
+    const eliminated = [];
+    const pendingSurplus = [];
+    const rounds = [];
+    let exhausted = 0;
+
+    const isContinuing = id => hopeful.has(id);
+    const votesFor = id => piles.get(id).reduce((sum, parcel) => sum + parcel.weight, 0);
+
+    // Move parcels to their next continuing preference, returning the transfer report
+    const distribute = (parcels, transferValue) => {
+      const amounts = {};
+      let exhaustedValue = 0;
+
+      for (const parcel of parcels) {
+        const moved = { ...parcel, weight: parcel.weight * transferValue };
+        const targets = nextPreferences(moved, isContinuing);
+        if (targets.length === 0) {
+          exhaustedValue += moved.weight;
+          continue;
+        }
+        for (const { candidateId, parcel: share } of targets) {
+          piles.get(candidateId).push(share);
+          amounts[candidateId] = (amounts[candidateId] || 0) + share.weight;
+        }
+      }
+
+      exhausted += exhaustedValue;
+      return {
+        amounts: Object.fromEntries(Object.entries(amounts).map(([id, value]) => [id, roundValue(value)])),
+        exhausted: roundValue(exhaustedValue)
+      };
+    };
+
+    // First preferences
+    distribute(ballots.map(ballot => ({ voterId: ballot.voterId, groups: ballot.groups, weight: 1 })), 1);
+
+    while (elected.length < seats && hopeful.size > 0) {
+      const tallies = {};
+      for (const id of [...elected, ...hopeful]) {
+        tallies[id] = roundValue(votesFor(id));
+      }
+
+      const round = {
+        round: rounds.length + 1,
+        quota,
+        tallies,
+        exhausted: roundValue(exhausted),
+        elected: [],
+        eliminated: null,
+        transfer: null
+      };
+      rounds.push(round);
+
+      // Elect everyone at or over quota, highest first
+      const reached = [...hopeful]
+        .filter(id => votesFor(id) >= quota - EPSILON)
+        .sort((a, b) => votesFor(b) - votesFor(a));
+      for (const id of reached) {
+        if (elected.length >= seats) break;
+        hopeful.delete(id);
+        elected.push(id);
+        round.elected.push(id);
+        if (votesFor(id) > quota + EPSILON) {
+          pendingSurplus.push(id);
+        }
+      }
+
+      if (elected.length >= seats) break;
+
+      // Remaining candidates exactly fill the remaining seats
+      if (elected.length + hopeful.size <= seats) {
+        const remaining = [...hopeful].sort((a, b) => votesFor(b) - votesFor(a));
+        for (const id of remaining) {
+          hopeful.delete(id);
+          elected.push(id);
+          round.elected.push(id);
+        }
+        break;
+      }
+
+      if (pendingSurplus.length > 0) {
+        // Transfer the largest surplus first
+        pendingSurplus.sort((a, b) => votesFor(b) - votesFor(a));
+        const from = pendingSurplus.shift();
+        const total = votesFor(from);
+        const transferValue = (total - quota) / total;
+        const parcels = piles.get(from);
+
+        piles.set(from, parcels.map(parcel => ({ ...parcel, weight: parcel.weight * (1 - transferValue) })));
+        round.transfer = {
+          type: "surplus",
+          from,
+          transferValue: roundValue(transferValue),
+          ...distribute(parcels, transferValue)
+        };
+        continue;
+      }
+
+      // Eliminate the candidate with the fewest votes, the lowest-priority one in the tie-breaking ranking on ties
+      const fewest = Math.min(...[...hopeful].map(votesFor));
+      const tied = [...hopeful].filter(id => votesFor(id) <= fewest + EPSILON);
+      const lowest = tied.reduce((worst, id) =>
+        (tieBreak.order.indexOf(id) > tieBreak.order.indexOf(worst) ? id : worst));
+      hopeful.delete(lowest);
+      eliminated.push(lowest);
+      round.eliminated = lowest;
+
+      const parcels = piles.get(lowest);
+      piles.set(lowest, []);
+      round.transfer = {
+        type: "elimination",
+        from: lowest,
+        transferValue: 1,
+        ...distribute(parcels, 1)
+      };
+    }
+
+    // Elected in order of election, then continuing candidates by votes, then reverse elimination order
+    const finalTallies = rounds[rounds.length - 1]?.tallies || {};
+    const order = [
+      ...elected,
+      ...[...hopeful].sort((a, b) => (finalTallies[b] || 0) - (finalTallies[a] || 0)),
+      ...[...eliminated].reverse()
+    ];
+
+    const entries = order.map(candidateId => {
+      const lastTally = [...rounds].reverse().find(r => candidateId in r.tallies)?.tallies[candidateId] || 0;
+      return {
+        candidateId,
+        votes: lastTally,
+        score: lastTally,
+        percentage: percentage(lastTally, ballots.length)
+      };
+    });
+
+    const result = buildResult(stv, ballotSet, entries, {
+      seats,
+      quota,
+      elected,
+      eliminated,
+      exhausted: roundValue(exhausted),
+      rounds,
+      tieBreak
+    });
+
+    // Every elected candidate is selected, one per seat
+    result.selectedCandidates = [...elected];
+    result.winner = elected.length > 0 ? result.finalRanking[0].candidate : undefined;
+    return result;
+  }
+};
+
+module.exports = { stv, resolveSeats };
@@ -0,0 +1,74 @@
+const { PAIRWISE_TIE_HANDLING, createPairwiseTallies, calculateMargins } = require("../pairwise");
+const { buildResult } = require("../result");
+const { createTieBreak, sortPairs } = require("../tie-break");
+
+/**
+ * Simplified Tideman via Candidate Elimination (experimental)
+ *
+ * Processes ranked pairs strongest first and eliminates the loser of each
+ * pair while both candidates are still active ("do not eliminate weaker if
+ * stronger has been eliminated"). The last active candidate wins; the rest
+ * are ranked in reverse elimination order. Equal margins are ordered with
+ * the same tie-breaking ranking of candidates as graph-based Tideman.
+ *
+ * See scripts/tideman-elimination.js for the full reasoning.
+ */
+
+/**
+ * Eliminate candidates until one remains
+ */
+function eliminateCandidates(candidates, rankedPairs) {
+  const activeCandidates = new Set(candidates.map(c => c.id));
+  const eliminationOrder = [];
+
+  for (const pair of rankedPairs) {
+    if (activeCandidates.size === 1) {
+      break;
+    }
+
+    // Only process if both candidates are still active
+    if (activeCandidates.has(pair.winner) && activeCandidates.has(pair.loser)) {
+      activeCandidates.delete(pair.loser);
+      eliminationOrder.push({
+        eliminated: pair.loser,
+        eliminatedBy: pair.winner,
+        margin: pair.margin,
+        winnerVotes: pair.winnerVotes,
+        loserVotes: pair.loserVotes,
+        remainingCandidates: activeCandidates.size
+      });
+    }
+  }
+
+  return { activeCandidates, eliminationOrder };
+}
+
+const tidemanElimination = {
+  key: "tideman-elimination",
+  name: "Tideman Method (Elimination)",
+  description: "Experimental elimination-based Tideman variant - eliminates the loser of each ranked pair while both candidates are active",
+  tieHandling: PAIRWISE_TIE_HANDLING,
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const tieBreak = createTieBreak(candidates, options.tieBreak);
+    const pairwiseTallies = options.pairwiseTallies || createPairwiseTallies(candidates, ballots);
+    const rankedPairs = sortPairs(calculateMargins(candidates, pairwiseTallies), tieBreak.order);
+    const { activeCandidates, eliminationOrder } = eliminateCandidates(candidates, rankedPairs);
+
+    // Still-active candidates first (in tie-break order), then reverse elimination order
+    const order = [
+      ...tieBreak.order.filter(id => activeCandidates.has(id)),
+      ...eliminationOrder.map(e => e.eliminated).reverse()
+    ];
+
+    return buildResult(tidemanElimination, ballotSet, order.map(candidateId => ({ candidateId })), {
+      pairwiseTallies,
+      rankedPairs,
+      eliminationOrder,
+      tieBreak
+    });
+  }
+};
+
+module.exports = { tidemanElimination, eliminateCandidates };
@@ -0,0 +1,113 @@
+const { PAIRWISE_TIE_HANDLING, createPairwiseTallies, calculateMargins } = require("../pairwise");
+const { buildResult } = require("../result");
+const { createTieBreak, sortPairs } = require("../tie-break");
+
+/**
+ * Tideman Method (Ranked Pairs), graph-based
+ *
+ * 1. Create pairwise tallies
+ * 2. Calculate margins and rank pairs by strength, breaking equal margins
+ *    with the tie-breaking ranking of candidates (see ../tie-break.js)
+ * 3. Lock pairs in order, skipping any pair that would create a cycle
+ * 4. Determine the final ranking by topological sort of the locked graph
+ */
+
+/**
+ * Whether locking winner -> loser would close a cycle, i.e. the loser
+ * already reaches the winner through locked edges
+ */
+function wouldCreateCycle(graph, winner, loser) {
+  const stack = [loser];
+  const visited = new Set();
+
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node === winner) {
+      return true;
+    }
+    if (!visited.has(node)) {
+      visited.add(node);
+      stack.push(...graph.get(node));
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Lock pairs in order, avoiding cycles
+ */
+function lockPairs(candidates, rankedPairs) {
+  const graph = new Map(candidates.map(c => [c.id, []]));
+  const lockedPairs = [];
+  const skippedPairs = [];
+
+  for (const pair of rankedPairs) {
+    if (wouldCreateCycle(graph, pair.winner, pair.loser)) {
+      skippedPairs.push(`${pair.winner}-${pair.loser}`);
+    } else {
+      graph.get(pair.winner).push(pair.loser);
+      lockedPairs.push(`${pair.winner}-${pair.loser}`);
+    }
+  }
+
+  return { graph, lockedPairs, skippedPairs };
+}
+
+/**
+ * Topological sort (Kahn's algorithm) of the locked graph
+ */
+function determineFinalRanking(candidates, graph) {
+  const inDegree = new Map(candidates.map(c => [c.id, 0]));
+  for (const losers of graph.values()) {
+    for (const loser of losers) {
+      inDegree.set(loser, inDegree.get(loser) + 1);
+    }
+  }
+
+  const queue = candidates.map(c => c.id).filter(id => inDegree.get(id) === 0);
+  const result = [];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    result.push(current);
+
+    for (const neighbor of graph.get(current)) {
+      inDegree.set(neighbor, inDegree.get(neighbor) - 1);
+      if (inDegree.get(neighbor) === 0) {
+        queue.push(neighbor);
+      }
+    }
+  }
+
+  return result;
+}
+
+const tideman = {
+  key: "tideman",
+  name: "Tideman Method (Ranked Pairs)",
+  description: "Established Tideman method (graph-based) - proven Condorcet criterion and democratic properties",
+  tieHandling: PAIRWISE_TIE_HANDLING,
+
+  run(ballotSet, options = {}) {
+    const { candidates, ballots } = ballotSet;
+    const tieBreak = createTieBreak(candidates, options.tieBreak);
+    const pairwiseTallies = options.pairwiseTallies || createPairwiseTallies(candidates, ballots);
+    const rankedPairs = sortPairs(calculateMargins(candidates, pairwiseTallies), tieBreak.order);
+    const { graph, lockedPairs, skippedPairs } = lockPairs(candidates, rankedPairs);
+
+    // Unrelated candidates (no locked path either way) are ordered by the TBRC
+    const byTieBreak = tieBreak.order.map(id => candidates.find(c => c.id === id));
+    const order = determineFinalRanking(byTieBreak, graph);
+
+    return buildResult(tideman, ballotSet, order.map(candidateId => ({ candidateId })), {
+      pairwiseTallies,
+      rankedPairs,
+      lockedPairs,
+      skippedPairs,
+      tieBreak
+    });
+  }
+};
+
+module.exports = { tideman, lockPairs, determineFinalRanking };
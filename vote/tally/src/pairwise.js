@@ -0,0 +1,96 @@
+/**
+ * Pairwise Comparisons
+ *
+ * Builds the pairwise tally matrix shared by the Condorcet-family methods.
+ * Tallies are keyed `${winnerId}-${loserId}` and count the ballots that rank
+ * the first candidate strictly above the second. Candidates in the same rank
+ * group do not beat each other, and unranked candidates are not compared.
+ */
+
+// Tie treatment shared by every method built on pairwise tallies
+const PAIRWISE_TIE_HANDLING = "Tied candidates do not beat each other in pairwise counts; unranked candidates are not compared";
+
+/**
+ * Create pairwise tallies from normalised ballots
+ */
+function createPairwiseTallies(candidates, ballots) {
+  const tallies = {};
+
+  // Initialize pairwise tally matrix
+  for (const candidateA of candidates) {
+    for (const candidateB of candidates) {
+      if (candidateA.id !== candidateB.id) {
+        tallies[`${candidateA.id}-${candidateB.id}`] = 0;
+      }
+    }
+  }
+
+  for (const ballot of ballots) {
+    addBallotToTallies(tallies, ballot.groups);
+  }
+
+  return tallies;
+}
+
+/**
+ * Add one ballot's rank groups to the tallies (weight -1 removes it again)
+ */
+function addBallotToTallies(tallies, rankGroups, weight = 1) {
+  // Each candidate in a higher group beats each candidate in every lower group
+  for (let i = 0; i < rankGroups.length; i++) {
+    for (let j = i + 1; j < rankGroups.length; j++) {
+      for (const higherCandidate of rankGroups[i]) {
+        for (const lowerCandidate of rankGroups[j]) {
+          tallies[`${higherCandidate}-${lowerCandidate}`] += weight;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Calculate margins for every decisive pair and rank them by strength
+ */
+function calculateMargins(candidates, tallies) {
+  const pairs = [];
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const a = candidates[i].id;
+      const b = candidates[j].id;
+      const aBeatsB = tallies[`${a}-${b}`] || 0;
+      const bBeatsA = tallies[`${b}-${a}`] || 0;
+
+      if (aBeatsB !== bBeatsA) { // Only include if there's a clear winner
+        pairs.push({
+          winner: aBeatsB > bBeatsA ? a : b,
+          loser: aBeatsB > bBeatsA ? b : a,
+          margin: Math.abs(aBeatsB - bBeatsA),
+          winnerVotes: Math.max(aBeatsB, bBeatsA),
+          loserVotes: Math.min(aBeatsB, bBeatsA)
+        });
+      }
+    }
+  }
+
+  // Strongest defeats first
+  return pairs.sort((x, y) => y.margin - x.margin);
+}
+
+/**
+ * Convert pairwise tallies into a nested { [a]: { [b]: votes } } matrix
+ */
+function toMatrix(candidates, tallies) {
+  const matrix = {};
+  for (const candidateA of candidates) {
+    matrix[candidateA.id] = {};
+    for (const candidateB of candidates) {
+      matrix[candidateA.id][candidateB.id] = candidateA.id === candidateB.id
+        ? 0
+        : tallies[`${candidateA.id}-${candidateB.id}`] || 0;
+    }
+  }
+  return matrix;
+}
+
+module.exports = { PAIRWISE_TIE_HANDLING, createPairwiseTallies, addBallotToTallies, calculateMargins, toMatrix };
@@ -0,0 +1,65 @@
+/**
+ * Tally Result Shape
+ *
+ * Every method returns the same top-level shape so the API routes, the CLI
+ * scripts and SelectionProcessor can treat results interchangeably:
+ *
+ * {
+ *   method,             // registry key, e.g. "tideman"
+ *   algorithm,          // display name
+ *   description,        // one-line explanation of the method
+ *   tieHandling,        // how the method treats tiedWithPrevious rankings
+ *   winner,             // candidate object or undefined
+ *   finalRanking,       // [{ rank, candidateId, candidate, score?, votes?, percentage? }]
+ *   selectedCandidates, // candidate IDs to pass to Election.reportSelection
+ *   totalVotes,         // ballots that ranked at least one candidate
+ *   candidateCount,
+ *   details             // method-specific intermediate results
+ * }
+ */
+
+/**
+ * Build a result from an ordered list of candidate IDs
+ *
+ * `entries` holds { candidateId, score?, votes?, percentage? } in final order.
+ */
+function buildResult(method, { candidates, ballots }, entries, details = {}) {
+  const byId = new Map(candidates.map(c => [c.id, c]));
+
+  const finalRanking = entries.map((entry, index) => ({
+    rank: index + 1,
+    ...entry,
+    candidate: byId.get(entry.candidateId)
+  }));
+
+  const winner = finalRanking[0]?.candidate;
+
+  return {
+    method: method.key,
+    algorithm: method.name,
+    description: method.description,
+    tieHandling: method.tieHandling,
+    winner,
+    finalRanking,
+    selectedCandidates: winner ? [winner.id] : [],
+    totalVotes: ballots.length,
+    candidateCount: candidates.length,
+    details
+  };
+}
+
+/**
+ * Round a fractional vote value for reporting
+ */
+function roundValue(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Percentage helper used by score-based methods
+ */
+function percentage(value, total) {
+  return total > 0 ? Math.round((value / total) * 100) : 0;
+}
+
+module.exports = { buildResult, percentage, roundValue };
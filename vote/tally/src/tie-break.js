@@ -0,0 +1,84 @@
+/**
+ * Tie-Breaking Ranking of Candidates (TBRC)
+ *
+ * Ranked Pairs needs a total order over pairs with equal margins, otherwise
+ * the lock order depends on sort internals and two reporters can lock
+ * different pairs. Following Zavist & Tideman, ties are broken with a
+ * tie-breaking ranking of candidates:
+ *
+ * - "candidate-order": candidates in contract order (lowest ID first)
+ * - "random": a permutation seeded by a string, e.g. the blockhash of the
+ *   block in which the election's voting closed. Each candidate is keyed by
+ *   cyrb53(`${seed}:${candidateId}`) and candidates are sorted by key
+ *   (ascending, then by ID), so anyone with the seed can reproduce it.
+ *
+ * The rule, seed and resulting order are recorded in the tally result.
+ */
+
+const TIE_BREAK_RULES = ["candidate-order", "random"];
+
+/**
+ * cyrb53 string hash (53-bit, deterministic across JS engines)
+ */
+function cyrb53(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Resolve tie-break options into { rule, seed, source, order }
+ *
+ * Accepts a rule name or { rule, seed, source }. A seed without a rule
+ * implies "random".
+ */
+function createTieBreak(candidates, tieBreak = {}) {
+  const options = typeof tieBreak === "string" ? { rule: tieBreak } : (tieBreak || {});
+  const rule = options.rule || (options.seed !== undefined ? "random" : "candidate-order");
+
+  if (!TIE_BREAK_RULES.includes(rule)) {
+    throw new Error(`Unsupported tie-break rule "${rule}". Use: ${TIE_BREAK_RULES.join(", ")}`);
+  }
+
+  const ids = candidates.map(c => c.id).sort((a, b) => a - b);
+
+  if (rule === "candidate-order") {
+    return { rule, seed: null, source: options.source || null, order: ids };
+  }
+
+  if (options.seed === undefined || options.seed === null || options.seed === "") {
+    throw new Error("Tie-break rule \"random\" requires a seed");
+  }
+
+  const seed = String(options.seed);
+  const keys = new Map(ids.map(id => [id, cyrb53(`${seed}:${id}`)]));
+  const order = [...ids].sort((a, b) => keys.get(a) - keys.get(b) || a - b);
+
+  return { rule, seed, source: options.source || null, order };
+}
+
+/**
+ * Order ranked pairs by margin, breaking equal margins with the TBRC
+ *
+ * Pair (x, y) precedes (z, w) at equal margin if x is ahead of z in the
+ * TBRC, or x = z and w is ahead of y (the pair against the weaker loser
+ * is locked first).
+ */
+function sortPairs(pairs, order) {
+  const position = new Map(order.map((id, index) => [id, index]));
+
+  return [...pairs].sort((p, q) =>
+    q.margin - p.margin ||
+    position.get(p.winner) - position.get(q.winner) ||
+    position.get(q.loser) - position.get(p.loser)
+  );
+}
+
+module.exports = { TIE_BREAK_RULES, createTieBreak, sortPairs, cyrb53 };
@@ -0,0 +1,149 @@
+import { tally } from 'tally';
+import { ContractFunctionExecutionError, ContractFunctionRevertedError } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { loadBallotSet, streamBallots } from '@/lib/ballotLoader';
+
+describe('ballotLoader - ACTUAL app functions', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+
+  // Mock the exact responses viem decodes from the Election contract
+  const mockCandidates = [
+    { id: BigInt(1), name: "Alice Johnson", description: "Community leader", active: true },
+    { id: BigInt(2), name: "Bob Smith", description: "Tech entrepreneur", active: true },
+    { id: BigInt(3), name: "Carol Davis", description: "Environmental advocate", active: false },
+  ];
+  const mockVotes: Record<string, Array<{ candidateId: bigint; tiedWithPrevious: boolean }>> = {
+    "1001": [
+      { candidateId: BigInt(2), tiedWithPrevious: false },
+      { candidateId: BigInt(1), tiedWithPrevious: false },
+    ],
+    "1002": [],
+  };
+
+  function createMockClient() {
+    return {
+      readContract: jest.fn(async ({ functionName, args }: { functionName: string; args?: bigint[] }) => {
+        switch (functionName) {
+          case 'getCandidates':
+            return mockCandidates;
+          case 'getAllVoters':
+            return [BigInt(1001), BigInt(1002)];
+          case 'getVote':
+            return mockVotes[args![0].toString()];
+          case 'getBallots': {
+            const [offset, limit] = args!.map(Number);
+            const voterIds = Object.keys(mockVotes).slice(offset, offset + limit);
+            return [voterIds.map(BigInt), voterIds.map(voterId => mockVotes[voterId]), BigInt(Object.keys(mockVotes).length)];
+          }
+          default:
+            throw new Error(`Unexpected call: ${functionName}`);
+        }
+      }),
+    };
+  }
+
+  it('should load active candidates and non-empty ballots as plain JSON values', async () => {
+    const mockClient = createMockClient();
+    const ballotSet = await loadBallotSet(electionAddress, mockClient as never);
+
+    expect(ballotSet.totalVoters).toBe(2);
+    expect(ballotSet.candidates).toEqual([
+      { id: 1, name: "Alice Johnson", description: "Community leader", active: true },
+      { id: 2, name: "Bob Smith", description: "Tech entrepreneur", active: true },
+    ]);
+    expect(ballotSet.votes).toEqual([
+      {
+        voterId: "1001",
+        ranking: [
+          { candidateId: 2, tiedWithPrevious: false },
+          { candidateId: 1, tiedWithPrevious: false },
+        ],
+      },
+    ]);
+    expect(() => JSON.stringify(ballotSet)).not.toThrow();
+  });
+
+  it('should produce a ballot set the shared tally engine accepts', async () => {
+    const ballotSet = await loadBallotSet(electionAddress, createMockClient() as never);
+    const result = tally(ballotSet, 'tideman');
+
+    expect(result.winner?.name).toBe("Bob Smith");
+    expect(result.selectedCandidates).toEqual([2]);
+  });
+
+  it('should stream ballots page by page with progress', async () => {
+    const mockClient = createMockClient();
+    const progress: string[] = [];
+
+    const pages = [];
+    for await (const page of streamBallots(electionAddress, mockClient as never, BigInt(7), {
+      pageSize: 1,
+      onProgress: (read, total) => progress.push(`${read}/${total}`),
+    })) {
+      pages.push(page);
+    }
+
+    expect(pages.map(page => page.voterIds)).toEqual([["1001"], ["1002"]]);
+    expect(pages.map(page => page.offset)).toEqual([0, 1]);
+    expect(progress).toEqual(["1/2", "2/2"]);
+    expect(mockClient.readContract).toHaveBeenCalledWith(expect.objectContaining({
+      functionName: 'getBallots',
+      args: [BigInt(1), BigInt(1)],
+      blockNumber: BigInt(7),
+    }));
+    expect(mockClient.readContract).not.toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getVote' }));
+  });
+
+  it('should fall back to getAllVoters and getVote when getBallots reverts', async () => {
+    const mockClient = createMockClient();
+    const readContract = mockClient.readContract.getMockImplementation()!;
+    mockClient.readContract.mockImplementation(async (call) => {
+      if (call.functionName === 'getBallots') {
+        throw new ContractFunctionExecutionError(
+          new ContractFunctionRevertedError({ abi: ELECTION_ABI, functionName: 'getBallots', message: 'execution reverted' }),
+          { abi: ELECTION_ABI, functionName: 'getBallots', args: [] }
+        );
+      }
+      return readContract(call);
+    });
+
+    const ballotSet = await loadBallotSet(electionAddress, mockClient as never);
+
+    expect(ballotSet.totalVoters).toBe(2);
+    expect(ballotSet.votes.map(vote => vote.voterId)).toEqual(["1001"]);
+    expect(mockClient.readContract).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getVote' }));
+  });
+
+  it('should fail instead of dropping a voter whose vote cannot be read', async () => {
+    const mockClient = createMockClient();
+    const readContract = mockClient.readContract.getMockImplementation()!;
+    mockClient.readContract.mockImplementation(async (call) => {
+      if (call.functionName === 'getBallots') {
+        throw new ContractFunctionExecutionError(
+          new ContractFunctionRevertedError({ abi: ELECTION_ABI, functionName: 'getBallots', message: 'execution reverted' }),
+          { abi: ELECTION_ABI, functionName: 'getBallots', args: [] }
+        );
+      }
+      if (call.functionName === 'getVote' && call.args![0] === BigInt(1001)) {
+        throw new Error('503 Service Unavailable');
+      }
+      return readContract(call);
+    });
+
+    await expect(
+      loadBallotSet(electionAddress, mockClient as never, undefined, { batch: { retries: 1, retryDelayMs: 0 } })
+    ).rejects.toThrow('Failed to read vote for voter 1001');
+    // One retry before failing
+    expect(mockClient.readContract.mock.calls.filter(([call]) => call.functionName === 'getVote' && call.args![0] === BigInt(1001))).toHaveLength(2);
+  });
+
+  it('should not hide other getBallots failures', async () => {
+    const mockClient = createMockClient();
+    mockClient.readContract.mockImplementation(async ({ functionName }) => {
+      if (functionName === 'getBallots') throw new Error('429 Too Many Requests');
+      return [];
+    });
+
+    await expect(loadBallotSet(electionAddress, mockClient as never)).rejects.toThrow('429');
+  });
+});
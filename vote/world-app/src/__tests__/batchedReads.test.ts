@@ -0,0 +1,104 @@
+import { ContractFunctionZeroDataError } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { readBatched } from '@/lib/batchedReads';
+import { loadBallotSet } from '@/lib/ballotLoader';
+
+describe('batchedReads - Multicall3 batching', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+  const multicallAddress = "0xcA11bde05977b3631167028862bE2a173976CA11" as `0x${string}`;
+
+  const calls = Array.from({ length: 7 }, (_, i) => ({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getVote',
+    args: [BigInt(1000 + i)],
+  }));
+
+  // Each call resolves to its voter ID; voter 1003 has no readable ballot
+  function createMockClient({ failFirstChunk = false } = {}) {
+    let failed = false;
+    return {
+      chain: { contracts: { multicall3: { address: multicallAddress } } },
+      readContract: jest.fn(async ({ args }: { args: bigint[] }) => args[0]),
+      multicall: jest.fn(async ({ contracts }: { contracts: typeof calls }) => {
+        if (failFirstChunk && !failed) {
+          failed = true;
+          throw new Error('429 Too Many Requests');
+        }
+        return contracts.map(call => call.args[0] === BigInt(1003)
+          ? { status: 'failure', error: new Error('reverted') }
+          : { status: 'success', result: call.args[0] });
+      }),
+    };
+  }
+
+  it('should read calls in chunks through multicall, in order', async () => {
+    const client = createMockClient();
+    const results = await readBatched<bigint>(client as never, calls, BigInt(50), { chunkSize: 3, concurrency: 2 });
+
+    expect(client.multicall).toHaveBeenCalledTimes(3);
+    expect(client.multicall).toHaveBeenCalledWith(expect.objectContaining({ blockNumber: BigInt(50), multicallAddress, allowFailure: true }));
+    expect(client.readContract).not.toHaveBeenCalled();
+    expect(results.map(result => result.success ? result.value : null)).toEqual(
+      [BigInt(1000), BigInt(1001), BigInt(1002), null, BigInt(1004), BigInt(1005), BigInt(1006)]
+    );
+  });
+
+  it('should retry a failed chunk', async () => {
+    const client = createMockClient({ failFirstChunk: true });
+    const results = await readBatched(client as never, calls, undefined, { chunkSize: 10, retryDelayMs: 0 });
+
+    expect(client.multicall).toHaveBeenCalledTimes(2);
+    expect(results.filter(result => result.success)).toHaveLength(6);
+  });
+
+  it('should read a chunk individually when multicall keeps failing', async () => {
+    const client = createMockClient();
+    client.multicall.mockRejectedValue(new Error('Chain does not support contract "multicall3" at this block'));
+    const results = await readBatched<bigint>(client as never, calls, BigInt(5), { chunkSize: 10, retries: 1, retryDelayMs: 0 });
+
+    expect(client.multicall).toHaveBeenCalledTimes(2);
+    expect(client.readContract).toHaveBeenCalledTimes(7);
+    expect(client.readContract).toHaveBeenCalledWith(expect.objectContaining({ blockNumber: BigInt(5) }));
+    expect(results.map(result => result.success && result.value)).toEqual(calls.map(call => call.args[0]));
+  });
+
+  it('should fall back to individual calls without a multicall contract', async () => {
+    const client = { readContract: jest.fn(async ({ args }: { args: bigint[] }) => args[0]) };
+    const results = await readBatched(client as never, calls, undefined, { concurrency: 2 });
+
+    expect(client.readContract).toHaveBeenCalledTimes(7);
+    expect(results.every(result => result.success)).toBe(true);
+  });
+
+  it('should load ballots through multicall', async () => {
+    const client = {
+      chain: { contracts: { multicall3: { address: multicallAddress } } },
+      readContract: jest.fn(async ({ functionName }: { functionName: string }) => {
+        switch (functionName) {
+          case 'getCandidates':
+            return [{ id: BigInt(1), name: "Alice", description: "", active: true }];
+          case 'getAllVoters':
+            return [BigInt(1001), BigInt(1002)];
+          case 'getBallots':
+            // Deployed before getBallots
+            throw new ContractFunctionZeroDataError({ functionName });
+          default:
+            throw new Error(`Unexpected call: ${functionName}`);
+        }
+      }),
+      multicall: jest.fn(async ({ contracts }: { contracts: typeof calls }) =>
+        contracts.map(call => ({
+          status: 'success',
+          result: call.args[0] === BigInt(1001) ? [{ candidateId: BigInt(1), tiedWithPrevious: false }] : [],
+        }))
+      ),
+    };
+
+    const ballotSet = await loadBallotSet(electionAddress, client as never);
+
+    expect(client.multicall).toHaveBeenCalledTimes(1);
+    expect(ballotSet.totalVoters).toBe(2);
+    expect(ballotSet.votes).toEqual([{ voterId: "1001", ranking: [{ candidateId: 1, tiedWithPrevious: false }] }]);
+  });
+});
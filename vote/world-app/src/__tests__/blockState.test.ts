@@ -0,0 +1,43 @@
+import { BlockStateError, assertBlockState } from '@/lib/blockState';
+import { loadPairwiseAggregator } from '@/lib/incrementalBallots';
+
+describe('blockState - block-pinned reads', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+
+  it('should accept blocks where the contract has code', async () => {
+    const client = { getCode: jest.fn(async () => "0x6080") };
+
+    await expect(assertBlockState(client as never, electionAddress, BigInt(12))).resolves.toBeUndefined();
+    expect(client.getCode).toHaveBeenCalledWith({ address: electionAddress, blockNumber: BigInt(12) });
+  });
+
+  it('should require an archive node for pruned state', async () => {
+    const client = { getCode: jest.fn().mockRejectedValue(new Error('missing trie node abc (path ) state is not available')) };
+
+    await expect(assertBlockState(client as never, electionAddress, BigInt(12))).rejects.toThrow(BlockStateError);
+    await expect(assertBlockState(client as never, electionAddress, BigInt(12))).rejects.toThrow('archive node is required');
+  });
+
+  it('should reject blocks before the contract existed and pass other failures through', async () => {
+    await expect(assertBlockState({ getCode: async () => undefined } as never, electionAddress, BigInt(1)))
+      .rejects.toThrow(`No contract at ${electionAddress} at block 1`);
+
+    const client = { getCode: jest.fn().mockRejectedValue(new Error('fetch failed')) };
+    await expect(assertBlockState(client as never, electionAddress, BigInt(12))).rejects.toThrow('fetch failed');
+  });
+
+  it('should check the block before reading ballots at it', async () => {
+    const client = {
+      getBlockNumber: jest.fn(async () => BigInt(30)),
+      getCode: jest.fn().mockRejectedValue(new Error('header not found')),
+      readContract: jest.fn(),
+      getContractEvents: jest.fn(),
+    };
+
+    await expect(loadPairwiseAggregator(electionAddress, { publicClient: client as never, blockNumber: BigInt(12) }))
+      .rejects.toThrow(BlockStateError);
+    await expect(loadPairwiseAggregator(electionAddress, { publicClient: client as never, blockNumber: BigInt(31) }))
+      .rejects.toThrow(BlockStateError);
+    expect(client.readContract).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+import { ContractFunctionExecutionError, ContractFunctionRevertedError } from 'viem';
+import { ELECTION_MANAGER_ABI } from '@/election-manager-abi';
+import { resolveElection } from '@/lib/electionResolver';
+
+describe('electionResolver', () => {
+  const managerAddress = "0x1111111111111111111111111111111111111111" as `0x${string}`;
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+
+  // ElectionManager.getElection returns the ElectionInfo struct
+  const electionInfo = {
+    id: BigInt(2),
+    title: "Board Election",
+    description: "",
+    worldIdAction: "vote",
+    creator: managerAddress,
+    electionAddress,
+    createdAt: BigInt(1700000000),
+    active: true,
+  };
+
+  function notFound() {
+    return new ContractFunctionExecutionError(
+      new ContractFunctionRevertedError({ abi: ELECTION_MANAGER_ABI, functionName: 'getElection', message: 'ElectionNotFound' }),
+      { abi: ELECTION_MANAGER_ABI, functionName: 'getElection', args: [] }
+    );
+  }
+
+  function createMockClient(registered: Record<string, bigint>) {
+    return {
+      readContract: jest.fn(async ({ functionName, args }: { functionName: string; args: [string | bigint] }) => {
+        switch (functionName) {
+          case 'getElectionIdByAddress':
+            if (registered[String(args[0]).toLowerCase()] === undefined) throw notFound();
+            return registered[String(args[0]).toLowerCase()];
+          case 'getElection':
+            if (args[0] !== electionInfo.id) throw notFound();
+            return electionInfo;
+          default:
+            throw new Error(`Unexpected call: ${functionName}`);
+        }
+      }),
+    };
+  }
+
+  const expected = { id: 2, address: electionAddress, title: "Board Election", active: true };
+
+  it('should resolve a registered election address', async () => {
+    const client = createMockClient({ [electionAddress.toLowerCase()]: BigInt(2) });
+    await expect(resolveElection(electionAddress, client as never, managerAddress)).resolves.toEqual(expected);
+  });
+
+  it('should resolve an election ID', async () => {
+    const client = createMockClient({});
+    await expect(resolveElection("2", client as never, managerAddress)).resolves.toEqual(expected);
+    expect(client.readContract).not.toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getElectionIdByAddress' }));
+  });
+
+  it('should return null for unregistered addresses, unknown IDs and malformed input', async () => {
+    const client = createMockClient({});
+    await expect(resolveElection(electionAddress, client as never, managerAddress)).resolves.toBeNull();
+    await expect(resolveElection("7", client as never, managerAddress)).resolves.toBeNull();
+    await expect(resolveElection("latest", client as never, managerAddress)).resolves.toBeNull();
+  });
+
+  it('should rethrow RPC failures', async () => {
+    const client = { readContract: jest.fn().mockRejectedValue(new Error('fetch failed')) };
+    await expect(resolveElection("2", client as never, managerAddress)).rejects.toThrow('fetch failed');
+  });
+});
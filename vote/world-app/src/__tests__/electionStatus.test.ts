@@ -0,0 +1,116 @@
+import { ContractFunctionExecutionError, ContractFunctionZeroDataError, keccak256, stringToHex, toHex } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { formatCountdown, loadElectionStatus, phaseAt } from '@/lib/electionStatus';
+
+describe('electionStatus', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+  let mockClient: { readContract: jest.Mock };
+
+  // getElectionStatus returns: [votingActive, voteCount, candidateCount, selectionBlock, selectedCandidates]
+  // getVotingWindow returns: [opensAt, closesAt, phase]
+  // selectionCommitment returns: [methodId, tieBreakSeed, ballotSetHash, rankingHash]
+  function mockReads(status: unknown, window: unknown, commitment?: unknown) {
+    mockClient.readContract.mockImplementation(async ({ functionName }: { functionName: string }) => {
+      const result = functionName === 'getElectionStatus' ? status
+        : functionName === 'selectionCommitment' ? commitment
+        : window;
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    });
+  }
+
+  beforeEach(() => {
+    mockClient = {
+      readContract: jest.fn()
+    };
+  });
+
+  const methodId = stringToHex('tideman', { size: 32 });
+  const zero = toHex(0, { size: 32 });
+  const ballotSetHash = keccak256(stringToHex('ballots'));
+  const rankingHash = keccak256(stringToHex('ranking'));
+
+  it('should load the reported selection from getElectionStatus', async () => {
+    mockReads([false, BigInt(3), BigInt(3), BigInt(120), [BigInt(2)]], [BigInt(0), BigInt(1700003600), 3], [methodId, zero, ballotSetHash, rankingHash]);
+
+    const status = await loadElectionStatus(electionAddress, mockClient as never);
+
+    expect(status).toEqual({
+      votingActive: false,
+      voteCount: 3,
+      candidateCount: 3,
+      selectionBlock: 120,
+      selectedCandidates: [2],
+      phase: 'tallied',
+      opensAt: 0,
+      closesAt: 1700003600,
+      commitment: { method: 'tideman', methodId, tieBreakSeed: zero, ballotSetHash, rankingHash }
+    });
+    expect(mockClient.readContract).toHaveBeenCalledWith(expect.objectContaining({
+      address: electionAddress,
+      functionName: 'getElectionStatus'
+    }));
+  });
+
+  it('should report no selection while voting is open', async () => {
+    mockReads([true, BigInt(5), BigInt(4), BigInt(0), []], [BigInt(1700000000), BigInt(0), 1]);
+
+    const status = await loadElectionStatus(electionAddress, mockClient as never);
+
+    expect(status.votingActive).toBe(true);
+    expect(status.phase).toBe('open');
+    expect(status.opensAt).toBe(1700000000);
+    expect(status.selectionBlock).toBe(0);
+    expect(status.selectedCandidates).toEqual([]);
+    expect(status.commitment).toBeNull();
+    expect(mockClient.readContract).not.toHaveBeenCalledWith(expect.objectContaining({ functionName: 'selectionCommitment' }));
+  });
+
+  it('should report no commitment for elections deployed before tally commitments', async () => {
+    const missing = new ContractFunctionExecutionError(new ContractFunctionZeroDataError({ functionName: 'selectionCommitment' }), {
+      abi: ELECTION_ABI,
+      functionName: 'selectionCommitment',
+    });
+    mockReads([false, BigInt(3), BigInt(3), BigInt(120), [BigInt(2)]], [BigInt(0), BigInt(0), 3], missing);
+
+    const status = await loadElectionStatus(electionAddress, mockClient as never);
+
+    expect(status.selectedCandidates).toEqual([2]);
+    expect(status.commitment).toBeNull();
+  });
+
+  it('should derive the phase from the paused flag for elections without voting windows', async () => {
+    const missing = new ContractFunctionExecutionError(new ContractFunctionZeroDataError({ functionName: 'getVotingWindow' }), {
+      abi: ELECTION_ABI,
+      functionName: 'getVotingWindow',
+    });
+    mockReads([false, BigInt(2), BigInt(3), BigInt(0), []], missing);
+
+    const status = await loadElectionStatus(electionAddress, mockClient as never);
+
+    expect(status).toEqual(expect.objectContaining({ phase: 'closed', opensAt: 0, closesAt: 0 }));
+
+    mockReads([false, BigInt(2), BigInt(3), BigInt(0), []], new Error('fetch failed'));
+    await expect(loadElectionStatus(electionAddress, mockClient as never)).rejects.toThrow('fetch failed');
+  });
+
+  it('should move through the scheduled phases as time passes', () => {
+    const scheduled = { phase: 'upcoming' as const, opensAt: 1000, closesAt: 2000 };
+
+    expect(phaseAt(scheduled, 999)).toBe('upcoming');
+    expect(phaseAt(scheduled, 1000)).toBe('open');
+    expect(phaseAt(scheduled, 2000)).toBe('closed');
+    expect(phaseAt({ ...scheduled, phase: 'open' }, 2500)).toBe('closed');
+    expect(phaseAt({ phase: 'open', opensAt: 0, closesAt: 0 }, 2500)).toBe('open');
+    expect(phaseAt({ ...scheduled, phase: 'tallied' }, 2500)).toBe('tallied');
+  });
+
+  it('should format countdowns', () => {
+    expect(formatCountdown(2 * 86400 + 4 * 3600 + 59)).toBe('2d 4h');
+    expect(formatCountdown(3 * 3600 + 5 * 60)).toBe('3h 05m');
+    expect(formatCountdown(4 * 60 + 9)).toBe('4m 09s');
+    expect(formatCountdown(-5)).toBe('0m 00s');
+  });
+});
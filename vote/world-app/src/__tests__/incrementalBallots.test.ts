@@ -0,0 +1,247 @@
+import { tally } from 'tally';
+import { ContractFunctionExecutionError, ContractFunctionRevertedError } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { CheckpointStore, StoredCheckpoint, loadPairwiseAggregator } from '@/lib/incrementalBallots';
+
+describe('incrementalBallots - pairwise matrix from RankingUpdated events', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+
+  type Ranking = Array<{ candidateId: bigint; tiedWithPrevious: boolean }>;
+
+  const candidates = [
+    { id: BigInt(1), name: "Alice", description: "A", active: true },
+    { id: BigInt(2), name: "Bob", description: "B", active: true },
+    { id: BigInt(3), name: "Carol", description: "C", active: true },
+  ];
+
+  function ranking(...ids: number[]): Ranking {
+    return ids.map(id => ({ candidateId: BigInt(id), tiedWithPrevious: false }));
+  }
+
+  // A ballot cast in a block
+  type CastBallot = { blockNumber: bigint; voterId: string; ranking: Ranking };
+
+  interface MockChain {
+    blockNumber: bigint;
+    history: CastBallot[];
+    forks: Map<bigint, number>;
+    vote(voterId: number, newRanking: Ranking): void;
+    mine(blocks: number): void;
+    reorg(fromBlock: bigint): void;
+    votesAt(blockNumber?: bigint): Map<string, Ranking>;
+  }
+
+  // Minimal chain: ballots cast per block, the events emitted for them and a fork
+  // counter per block so reorged blocks get new hashes
+  // A legacy chain has no getBallots view and emits no voterId in RankingUpdated
+  function createMockChain({ legacy = false } = {}) {
+    const chain: MockChain = {
+      blockNumber: BigInt(10),
+      history: [],
+      forks: new Map<bigint, number>(),
+      vote(voterId: number, newRanking: Ranking) {
+        chain.blockNumber += BigInt(1);
+        chain.history.push({ blockNumber: chain.blockNumber, voterId: String(voterId), ranking: newRanking });
+      },
+      mine(blocks: number) {
+        chain.blockNumber += BigInt(blocks);
+      },
+      // Replace every block from fromBlock on with an empty fork
+      reorg(fromBlock: bigint) {
+        chain.history = chain.history.filter((entry: CastBallot) => entry.blockNumber < fromBlock);
+        for (let block = fromBlock; block <= chain.blockNumber; block += BigInt(1)) {
+          chain.forks.set(block, (chain.forks.get(block) ?? 0) + 1);
+        }
+        chain.blockNumber = fromBlock - BigInt(1);
+      },
+      votesAt(blockNumber = chain.blockNumber) {
+        const votes = new Map<string, Ranking>();
+        chain.history
+          .filter((entry: CastBallot) => entry.blockNumber <= blockNumber)
+          .forEach((entry: CastBallot) => votes.set(entry.voterId, entry.ranking));
+        return votes;
+      },
+    };
+
+    const client = {
+      getBlockNumber: jest.fn(async () => chain.blockNumber),
+      getBlock: jest.fn(async ({ blockNumber }: { blockNumber: bigint }) => ({ hash: `0x${chain.forks.get(blockNumber) ?? 0}${blockNumber}` })),
+      getCode: jest.fn(async () => "0x6080"),
+      readContract: jest.fn(async ({ functionName, args, blockNumber }: { functionName: string; args?: bigint[]; blockNumber?: bigint }) => {
+        const votes = chain.votesAt(blockNumber);
+        switch (functionName) {
+          case 'getCandidates':
+            return candidates;
+          case 'getVoteCount':
+            return BigInt(votes.size);
+          case 'getAllVoters':
+            return [...votes.keys()].map(BigInt);
+          case 'getVote':
+            return votes.get(args![0].toString());
+          case 'getBallots': {
+            if (legacy) {
+              throw new ContractFunctionExecutionError(
+                new ContractFunctionRevertedError({ abi: ELECTION_ABI, functionName: 'getBallots', message: 'execution reverted' }),
+                { abi: ELECTION_ABI, functionName: 'getBallots', args: [] }
+              );
+            }
+            const [offset, limit] = args!.map(Number);
+            const voterIds = [...votes.keys()].slice(offset, offset + limit);
+            return [voterIds.map(BigInt), voterIds.map(voterId => votes.get(voterId)), BigInt(votes.size)];
+          }
+          default:
+            throw new Error(`Unexpected call: ${functionName}`);
+        }
+      }),
+      getContractEvents: jest.fn(async ({ fromBlock, toBlock }: { fromBlock: bigint; toBlock: bigint }) =>
+        chain.history
+          .filter(entry => !legacy && entry.blockNumber >= fromBlock && entry.blockNumber <= toBlock)
+          .map(entry => ({ blockNumber: entry.blockNumber, args: { voterId: BigInt(entry.voterId), newRanking: entry.ranking } }))
+      ),
+    };
+
+    return { chain, client };
+  }
+
+  function createMemoryStore(): CheckpointStore & { saved: StoredCheckpoint | null } {
+    const store = {
+      saved: null as StoredCheckpoint | null,
+      async load() {
+        return store.saved;
+      },
+      async save(_: string, checkpoint: StoredCheckpoint) {
+        store.saved = JSON.parse(JSON.stringify(checkpoint));
+      },
+    };
+    return store;
+  }
+
+  it('should bootstrap from a full read and save a confirmed, block-tagged checkpoint', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.vote(1002, ranking(2, 1, 3));
+    chain.mine(6);
+    chain.vote(1003, ranking(3, 1, 2));
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+
+    // The ballot in the unconfirmed blocks counts, but only in memory
+    expect(aggregator.totalVoters).toBe(3);
+    expect(aggregator.blockNumber).toBe(19);
+    expect(store.saved).toEqual(expect.objectContaining({ blockNumber: 13, voteCount: 2, blockHash: '0x013' }));
+    expect(client.getContractEvents).toHaveBeenCalledTimes(1);
+    expect(client.getContractEvents).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: BigInt(14), toBlock: BigInt(19) }));
+  });
+
+  it('should apply only new events and match a full tally', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.vote(1002, ranking(1, 3, 2));
+    chain.mine(6);
+    await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+    client.readContract.mockClear();
+
+    chain.vote(1001, ranking(3, 2, 1));
+    chain.vote(1002, ranking(3, 1, 2));
+    chain.vote(1003, ranking(2, 3, 1));
+    chain.mine(6);
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+    const result = aggregator.tally('tideman');
+    const expected = tally({
+      candidates: candidates.map(c => ({ ...c, id: Number(c.id) })),
+      votes: [...chain.votesAt()].map(([voterId, votes]) => ({
+        voterId,
+        ranking: votes.map(entry => ({ candidateId: Number(entry.candidateId), tiedWithPrevious: entry.tiedWithPrevious })),
+      })),
+    }, 'tideman');
+
+    expect(result.details.pairwiseTallies).toEqual(expected.details.pairwiseTallies);
+    expect(result.winner?.name).toBe('Carol');
+    expect(aggregator.blockNumber).toBe(27);
+    expect(store.saved?.blockNumber).toBe(21);
+    expect(client.getContractEvents).toHaveBeenCalledWith(expect.objectContaining({ fromBlock: BigInt(13), toBlock: BigInt(21) }));
+    expect(client.readContract).not.toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getVote' }));
+  });
+
+  it('should read every ballot of legacy elections, whose revisions emit no matching event', async () => {
+    const legacyAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3" as `0x${string}`;
+    const { chain, client } = createMockChain({ legacy: true });
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.vote(1002, ranking(1, 3, 2));
+    chain.mine(6);
+    await loadPairwiseAggregator(legacyAddress, { publicClient: client as never, store });
+
+    // A revision leaves the vote count unchanged
+    chain.vote(1001, ranking(2, 1, 3));
+    chain.mine(6);
+
+    const aggregator = await loadPairwiseAggregator(legacyAddress, { publicClient: client as never, store });
+
+    expect(aggregator.totalVoters).toBe(2);
+    expect(aggregator.toBallotSet().votes.find(vote => vote.voterId === '1001')?.ranking[0].candidateId).toBe(2);
+    expect(store.saved).toBeNull();
+    expect(client.getContractEvents).not.toHaveBeenCalled();
+  });
+
+  it('should drop rankings from reorged blocks that were not yet confirmed', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.mine(6);
+    chain.vote(1002, ranking(2, 1, 3));
+    expect((await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store })).totalVoters).toBe(2);
+
+    chain.reorg(BigInt(18));
+    chain.vote(1003, ranking(3, 1, 2));
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+
+    expect([...aggregator.toBallotSet().votes].map(vote => vote.voterId).sort()).toEqual(['1001', '1003']);
+    expect(store.saved?.voteCount).toBe(1);
+  });
+
+  it('should re-read all ballots when the checkpoint block was reorged', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.vote(1002, ranking(2, 1, 3));
+    chain.mine(6);
+    await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+    expect(store.saved?.blockNumber).toBe(12);
+
+    // A reorg deeper than the confirmations replaces the checkpoint block
+    chain.reorg(BigInt(12));
+    chain.vote(1003, ranking(3, 1, 2));
+    chain.mine(6);
+    client.readContract.mockClear();
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+
+    expect([...aggregator.toBallotSet().votes].map(vote => vote.voterId).sort()).toEqual(['1001', '1003']);
+    expect(client.readContract).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getBallots', blockNumber: BigInt(12) }));
+    expect(store.saved).toEqual(expect.objectContaining({ blockNumber: 12, blockHash: '0x112' }));
+  });
+
+  it('should read past blocks directly without moving the checkpoint', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryStore();
+    chain.vote(1001, ranking(1, 2, 3));
+    chain.vote(1002, ranking(2, 1, 3));
+    chain.mine(6);
+    await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store });
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, { publicClient: client as never, store, blockNumber: BigInt(11) });
+
+    expect(aggregator.blockNumber).toBe(11);
+    expect(client.readContract).toHaveBeenCalledWith(expect.objectContaining({ functionName: 'getBallots', blockNumber: BigInt(11) }));
+    expect(store.saved?.blockNumber).toBe(12);
+
+    await expect(
+      loadPairwiseAggregator(electionAddress, { publicClient: client as never, store, blockNumber: BigInt(20) })
+    ).rejects.toThrow('ahead of the latest block');
+  });
+});
@@ -0,0 +1,114 @@
+import { loadIndexedBallots, loadIndexedElections } from '@/lib/indexerClient';
+import { resolveElection } from '@/lib/electionResolver';
+import { loadPairwiseAggregator } from '@/lib/incrementalBallots';
+
+describe('indexerClient - event indexer HTTP API', () => {
+  const indexerUrl = "http://localhost:4350/";
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+  const managerAddress = "0x1111111111111111111111111111111111111111" as `0x${string}`;
+
+  const indexedElection = {
+    id: 2,
+    address: electionAddress,
+    title: "Board Election",
+    description: "",
+    creator: managerAddress,
+    worldIdAction: "vote",
+    createdAt: 1700000000,
+    createdBlock: 5,
+    active: true,
+    deactivatedBlock: null,
+    opensAt: 0,
+    closesAt: 0,
+    candidateCount: 2,
+    voterCount: 2,
+    rankingUpdateCount: 3,
+    selection: null,
+  };
+
+  const ballots = [
+    { voterId: "1001", ranking: [{ candidateId: 2, tiedWithPrevious: false }, { candidateId: 1, tiedWithPrevious: false }], blockNumber: 8, transactionHash: "0x01", revisions: 1 },
+    { voterId: "1002", ranking: [{ candidateId: 1, tiedWithPrevious: false }, { candidateId: 2, tiedWithPrevious: false }], blockNumber: 9, transactionHash: "0x02", revisions: 0 },
+    { voterId: "1003", ranking: [], blockNumber: 9, transactionHash: "0x03", revisions: 0 },
+  ];
+
+  // Indexed up to block 20
+  function mockIndexer(routes: Record<string, unknown>) {
+    return jest.spyOn(global, 'fetch').mockImplementation(async (input) => {
+      const url = new URL(String(input));
+      const key = `${url.pathname}${url.search}`;
+      if (url.searchParams.get('block') && Number(url.searchParams.get('block')) > 20) {
+        return { ok: false, status: 409, json: async () => ({ error: 'not indexed yet' }) } as Response;
+      }
+      if (!(key in routes)) {
+        return { ok: false, status: 404, json: async () => ({ error: `Unknown path ${key}` }) } as Response;
+      }
+      return { ok: true, status: 200, json: async () => ({ indexedBlock: 20, ...(routes[key] as object) }) } as Response;
+    });
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should list indexed elections', async () => {
+    const fetchMock = mockIndexer({ '/elections': { elections: [indexedElection] } });
+
+    await expect(loadIndexedElections(indexerUrl)).resolves.toEqual([indexedElection]);
+    expect(fetchMock).toHaveBeenCalledWith("http://localhost:4350/elections");
+  });
+
+  it('should return null for blocks the indexer has not reached', async () => {
+    mockIndexer({ [`/elections/${electionAddress}/ballots?block=12`]: { ballots } });
+
+    await expect(loadIndexedBallots(electionAddress, BigInt(12), indexerUrl)).resolves.toEqual(ballots);
+    await expect(loadIndexedBallots(electionAddress, BigInt(21), indexerUrl)).resolves.toBeNull();
+  });
+
+  it('should resolve elections from the indexer before the ElectionManager', async () => {
+    mockIndexer({ '/elections/2': { election: indexedElection } });
+    const client = { readContract: jest.fn() };
+
+    await expect(resolveElection("2", client as never, managerAddress, indexerUrl)).resolves.toEqual({
+      id: 2, address: electionAddress, title: "Board Election", active: true,
+    });
+    expect(client.readContract).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the ElectionManager when the indexer is down', async () => {
+    jest.spyOn(global, 'fetch').mockRejectedValue(new TypeError('fetch failed'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = {
+      readContract: jest.fn(async () => ({ id: BigInt(2), title: "Board Election", electionAddress, active: true })),
+    };
+
+    await expect(resolveElection("2", client as never, managerAddress, indexerUrl)).resolves.toEqual({
+      id: 2, address: electionAddress, title: "Board Election", active: true,
+    });
+  });
+
+  it('should tally past blocks from indexed ballots without reading them from the contract', async () => {
+    mockIndexer({ [`/elections/${electionAddress}/ballots?block=12`]: { ballots } });
+    const client = {
+      getBlockNumber: jest.fn(async () => BigInt(30)),
+      getCode: jest.fn(async () => "0x6080"),
+      readContract: jest.fn(async ({ functionName }: { functionName: string }) => {
+        if (functionName !== 'getCandidates') throw new Error(`Unexpected call: ${functionName}`);
+        return [
+          { id: BigInt(1), name: "Alice", description: "", active: true },
+          { id: BigInt(2), name: "Bob", description: "", active: true },
+        ];
+      }),
+      getContractEvents: jest.fn(),
+    };
+
+    const aggregator = await loadPairwiseAggregator(electionAddress, {
+      publicClient: client as never,
+      blockNumber: BigInt(12),
+      indexerUrl,
+    });
+
+    expect(aggregator.totalVoters).toBe(2);
+    expect(aggregator.tally('tideman').details.pairwiseTallies).toMatchObject({ '2-1': 1, '1-2': 1 });
+  });
+});
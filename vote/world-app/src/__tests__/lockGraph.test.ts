@@ -0,0 +1,59 @@
+import { tally } from 'tally';
+import { layoutNodes, lockGraphEdges, undefeatedCandidates } from '@/lib/lockGraph';
+
+// Rock-paper-scissors cycle: 1 beats 2 by 5, 2 beats 3 by 3, 3 beats 1 by 1
+function ballots(count: number, ...ids: number[]) {
+  return Array.from({ length: count }, (_, i) => ({
+    voterId: `${ids.join('')}-${i}`,
+    ranking: ids.map(candidateId => ({ candidateId, tiedWithPrevious: false }))
+  }));
+}
+
+describe('Ranked Pairs lock graph', () => {
+  const candidates = [
+    { id: 1, name: 'Alice', description: '' },
+    { id: 2, name: 'Bob', description: '' },
+    { id: 3, name: 'Carol', description: '' }
+  ];
+  const { details } = tally({
+    candidates,
+    votes: [...ballots(4, 1, 2, 3), ...ballots(3, 3, 1, 2), ...ballots(2, 2, 3, 1)]
+  }, 'tideman');
+  const nodes = layoutNodes([1, 2, 3], 300);
+
+  it('should place candidates on a circle inside the view box', () => {
+    expect(nodes).toHaveLength(3);
+    expect(nodes[0].x).toBeCloseTo(150);
+    for (const node of nodes) {
+      expect(node.x).toBeGreaterThan(0);
+      expect(node.x).toBeLessThan(300);
+      expect(node.y).toBeGreaterThan(0);
+      expect(node.y).toBeLessThan(300);
+    }
+  });
+
+  it('should replay the locking order step by step', () => {
+    const start = lockGraphEdges(details.rankedPairs, details.lockedPairs, nodes, 0);
+    expect(start.every(edge => edge.status === 'pending')).toBe(true);
+
+    const first = lockGraphEdges(details.rankedPairs, details.lockedPairs, nodes, 1);
+    expect(first.map(edge => edge.status)).toEqual(['locked', 'pending', 'pending']);
+    expect(first[0].current).toBe(true);
+  });
+
+  it('should mark the pair that closes the cycle as skipped', () => {
+    const edges = lockGraphEdges(details.rankedPairs, details.lockedPairs, nodes, details.rankedPairs.length);
+    const skipped = edges.filter(edge => edge.status === 'skipped');
+
+    expect(skipped).toHaveLength(1);
+    expect(skipped[0].pair.margin).toBe(Math.min(...details.rankedPairs.map(pair => pair.margin)));
+    expect(undefeatedCandidates([1, 2, 3], edges)).toEqual([1]);
+  });
+
+  it('should weight edges by margin', () => {
+    const edges = lockGraphEdges(details.rankedPairs, details.lockedPairs, nodes, 3);
+    const widths = edges.map(edge => edge.width);
+    expect(widths).toEqual([...widths].sort((a, b) => b - a));
+    expect(widths[0]).toBeGreaterThan(widths[widths.length - 1]);
+  });
+});
@@ -0,0 +1,113 @@
+import { cachedResponse, createMemoryResultsStore, getCachedResults, resultsCacheKey } from '@/lib/resultsCache';
+
+describe('resultsCache - block-keyed results', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+
+  // Minimal chain: a block number and the logs emitted so far
+  function createMockChain() {
+    const chain = {
+      blockNumber: BigInt(100),
+      events: [] as Array<{ blockNumber: bigint; eventName: string }>,
+      emit(eventName: string) {
+        chain.blockNumber += BigInt(1);
+        chain.events.push({ blockNumber: chain.blockNumber, eventName });
+      },
+    };
+
+    const client = {
+      getBlockNumber: jest.fn(async () => chain.blockNumber),
+      getContractEvents: jest.fn(async ({ fromBlock, toBlock }: { fromBlock: bigint; toBlock: bigint }) =>
+        chain.events.filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+      ),
+    };
+
+    return { chain, client };
+  }
+
+  function createCompute(chain: { blockNumber: bigint }) {
+    let runs = 0;
+    const compute = jest.fn(async () => {
+      runs++;
+      return { body: { winner: 1, run: runs }, blockNumber: Number(chain.blockNumber) };
+    });
+    return compute;
+  }
+
+  const key = resultsCacheKey(electionAddress, 'tideman', { rule: 'candidate-order' });
+
+  it('should serve cached results until an invalidating log appears', async () => {
+    const { chain, client } = createMockChain();
+    const store = createMemoryResultsStore();
+    const compute = createCompute(chain);
+    const options = { publicClient: client as never, store };
+
+    const first = await getCachedResults(electionAddress, key, compute, options);
+    expect(first.hit).toBe(false);
+
+    // Unrelated logs and new blocks keep the entry
+    chain.emit('CandidateAdded');
+    chain.blockNumber += BigInt(5);
+    const second = await getCachedResults(electionAddress, key, compute, options);
+    expect(second.hit).toBe(true);
+    expect(second.entry.etag).toBe(first.entry.etag);
+    expect(second.entry.checkedBlock).toBe(106);
+    expect(compute).toHaveBeenCalledTimes(1);
+
+    // Only blocks after the last check are scanned
+    chain.emit('RankingUpdated');
+    const third = await getCachedResults(electionAddress, key, compute, options);
+    expect(client.getContractEvents).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: BigInt(107), toBlock: BigInt(107) }));
+    expect(third.hit).toBe(false);
+    expect(third.entry.etag).not.toBe(first.entry.etag);
+
+    chain.emit('SelectionCompleted');
+    expect((await getCachedResults(electionAddress, key, compute, options)).hit).toBe(false);
+    expect(compute).toHaveBeenCalledTimes(3);
+  });
+
+  it('should share one computation between concurrent requests', async () => {
+    const { chain, client } = createMockChain();
+    const compute = createCompute(chain);
+    const options = { publicClient: client as never, store: createMemoryResultsStore() };
+
+    const results = await Promise.all([1, 2, 3].map(() => getCachedResults(electionAddress, key, compute, options)));
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(new Set(results.map(result => result.entry.etag)).size).toBe(1);
+  });
+
+  it('should not scan logs for results pinned to a past block', async () => {
+    const { chain, client } = createMockChain();
+    const compute = createCompute(chain);
+    const options = { publicClient: client as never, store: createMemoryResultsStore(), pinned: true };
+    const pinnedKey = resultsCacheKey(electionAddress, 'tideman', {}, BigInt(90));
+
+    await getCachedResults(electionAddress, pinnedKey, compute, options);
+    chain.emit('RankingUpdated');
+    const cached = await getCachedResults(electionAddress, pinnedKey, compute, options);
+
+    expect(cached.hit).toBe(true);
+    expect(client.getContractEvents).not.toHaveBeenCalled();
+  });
+
+  it('should build keys independent of option order and address case', () => {
+    expect(resultsCacheKey(electionAddress, 'stv', { seats: 2, seed: undefined, rule: 'random' }))
+      .toBe(resultsCacheKey(electionAddress.toLowerCase(), 'stv', { rule: 'random', seats: 2 }));
+    expect(resultsCacheKey(electionAddress, 'tideman', {}, BigInt(5)))
+      .not.toBe(resultsCacheKey(electionAddress, 'tideman', {}));
+  });
+
+  it('should answer 304 when the ETag matches', () => {
+    const entry = { body: { winner: 1 }, status: 200, etag: '"abc"', blockNumber: 1, checkedBlock: 1 };
+    const request = { headers: new Headers({ 'If-None-Match': '"abc"' }) };
+
+    const latest = cachedResponse(request, { entry, hit: true });
+    expect(latest.status).toBe(304);
+    expect(latest.headers.get('ETag')).toBe('"abc"');
+    expect(latest.headers.get('Cache-Control')).toContain('must-revalidate');
+    expect(latest.headers.get('X-Results-Cache')).toBe('HIT');
+
+    const pinned = cachedResponse(request, { entry, hit: true }, true);
+    expect(pinned.headers.get('Cache-Control')).toContain('immutable');
+  });
+});
@@ -0,0 +1,15 @@
+import { parseTieBreak } from '@/lib/tieBreakParams';
+
+describe('tieBreakParams - tie-break from result route query parameters', () => {
+  const parse = (query: string) => parseTieBreak(new URLSearchParams(query));
+
+  it('should default to candidate order, or a seeded permutation when a seed is given', () => {
+    expect(parse('')).toEqual({ tieBreak: { rule: 'candidate-order', seed: undefined } });
+    expect(parse('seed=0xabc')).toEqual({ tieBreak: { rule: 'random', seed: '0xabc' } });
+  });
+
+  it('should reject unknown rules and random without a seed', () => {
+    expect(parse('tieBreak=coin-toss')).toEqual({ error: expect.stringContaining('Unsupported tie-break rule') });
+    expect(parse('tieBreak=random')).toEqual({ error: 'Tie-break rule "random" requires a seed' });
+  });
+});
@@ -0,0 +1,84 @@
+import { buildTurnoutSeries, loadTurnoutSeries } from '@/lib/turnoutSeries';
+import { BlockStateError } from '@/lib/blockState';
+
+describe('turnoutSeries - turnout and ballot revisions over time', () => {
+  const electionAddress = "0xd6eBE2f9de0500e7E5a566046781cF2C0323ee83" as `0x${string}`;
+  const hour = 3600;
+  const start = 1_700_000_000 - (1_700_000_000 % 86400); // Midnight UTC
+
+  it('should count first ballots as new voters and later ones as revisions', () => {
+    const points = buildTurnoutSeries([
+      { voterId: '1', timestamp: start + 60 },
+      { voterId: '2', timestamp: start + 120 },
+      { voterId: '1', timestamp: start + hour + 5 },
+      { voterId: '3', timestamp: start + hour + 10 },
+    ], 'hour');
+
+    expect(points).toEqual([
+      { start, newVoters: 2, revisions: 0, cumulativeVoters: 2 },
+      { start: start + hour, newVoters: 1, revisions: 1, cumulativeVoters: 3 },
+    ]);
+  });
+
+  it('should keep empty buckets between updates and group by UTC day', () => {
+    const updates = [
+      { voterId: '1', timestamp: start },
+      { voterId: '2', timestamp: start + 3 * hour + 1 },
+    ];
+
+    const hourly = buildTurnoutSeries(updates, 'hour');
+    expect(hourly.map(point => point.newVoters)).toEqual([1, 0, 0, 1]);
+    expect(hourly.map(point => point.cumulativeVoters)).toEqual([1, 1, 1, 2]);
+
+    expect(buildTurnoutSeries(updates, 'day')).toEqual([{ start, newVoters: 2, revisions: 0, cumulativeVoters: 2 }]);
+    expect(buildTurnoutSeries([], 'day')).toEqual([]);
+  });
+
+  function mockClient() {
+    // Block n is mined at start + n minutes; the election was created in block 10
+    const timestamp = (blockNumber: bigint) => BigInt(start) + blockNumber * BigInt(60);
+    return {
+      getBlockNumber: jest.fn(async () => BigInt(100)),
+      readContract: jest.fn(async () => timestamp(BigInt(10))),
+      getBlock: jest.fn(async ({ blockNumber }: { blockNumber: bigint }) => ({ timestamp: timestamp(blockNumber) })),
+      getContractEvents: jest.fn(async ({ fromBlock, toBlock }: { fromBlock: bigint; toBlock: bigint }) => [
+        { args: { voterId: BigInt(1) }, blockNumber: BigInt(12) },
+        { args: { voterId: BigInt(2) }, blockNumber: BigInt(70) },
+        { args: { voterId: BigInt(1) }, blockNumber: BigInt(75) },
+      ].filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock)),
+    };
+  }
+
+  it('should read RankingUpdated logs from the creation block in chunks', async () => {
+    const client = mockClient();
+
+    const series = await loadTurnoutSeries(electionAddress, {
+      publicClient: client as never,
+      blockRange: BigInt(50),
+      indexerUrl: '',
+    });
+
+    expect(series.fromBlock).toBe(10);
+    expect(series.toBlock).toBe(100);
+    expect(client.getContractEvents).toHaveBeenCalledTimes(2);
+    expect(client.getContractEvents).toHaveBeenLastCalledWith(expect.objectContaining({ fromBlock: BigInt(60), toBlock: BigInt(100) }));
+    expect(series.points.map(point => [point.newVoters, point.revisions])).toEqual([[1, 0], [1, 1]]);
+    expect(series.totalVoters).toBe(2);
+    expect(series.totalRevisions).toBe(1);
+  });
+
+  it('should stop at a pinned block and reject blocks ahead of the chain', async () => {
+    const client = mockClient();
+
+    const series = await loadTurnoutSeries(electionAddress, {
+      publicClient: client as never,
+      blockNumber: BigInt(72),
+      bucket: 'day',
+      indexerUrl: '',
+    });
+    expect(series.points).toEqual([{ start, newVoters: 2, revisions: 0, cumulativeVoters: 2 }]);
+
+    await expect(loadTurnoutSeries(electionAddress, { publicClient: client as never, blockNumber: BigInt(101), indexerUrl: '' }))
+      .rejects.toThrow(BlockStateError);
+  });
+});
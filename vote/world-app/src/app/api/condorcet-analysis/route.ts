@@ -0,0 +1,103 @@
+import { NextRequest, NextResponse } from "next/server";
+import { NormalizedCandidate } from "tally";
+import { loadPairwiseAggregator } from "@/lib/incrementalBallots";
+import { RegisteredElection, resolveElection } from "@/lib/electionResolver";
+import { parseTieBreak } from "@/lib/tieBreakParams";
+import { BlockStateError } from "@/lib/blockState";
+
+interface CondorcetAnalysis {
+  election: RegisteredElection;
+  condorcetWinner: NormalizedCandidate | null;
+  condorcetLoser: NormalizedCandidate | null;
+  smithSet: NormalizedCandidate[];
+  schwartzSet: NormalizedCandidate[];
+  cycles: Array<{
+    members: NormalizedCandidate[];
+    defeats: Array<{ winner: number; loser: number; margin: number }>;
+    weakestMargin: number;
+  }>;
+  cyclesTruncated: boolean;
+  rankedPairsWinner?: NormalizedCandidate;
+  matrix: Record<string, Record<string, number>>;
+  metadata: {
+    totalVoters: number;
+    candidateCount: number;
+    blockNumber: number;
+    timestamp: string;
+  };
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    // Election contract address or ElectionManager ID, optionally as of a past block
+    const { searchParams } = new URL(request.url);
+    const electionParam = searchParams.get('election');
+    const blockParam = searchParams.get('block');
+
+    if (!electionParam) {
+      return NextResponse.json({ error: 'Election address or ID is required' }, { status: 400 });
+    }
+    if (blockParam !== null && !/^\d+$/.test(blockParam)) {
+      return NextResponse.json({ error: 'Block must be a non-negative integer' }, { status: 400 });
+    }
+
+    // Same tie-break as the result routes, so rankedPairsWinner matches their winner
+    const parsed = parseTieBreak(searchParams);
+    if ('error' in parsed) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 });
+    }
+
+    // Only serve elections registered with the ElectionManager
+    const election = await resolveElection(electionParam);
+    if (!election) {
+      return NextResponse.json({ error: `Election ${electionParam} is not registered with the ElectionManager` }, { status: 404 });
+    }
+
+    // As of ?block= when given
+    const aggregator = await loadPairwiseAggregator(election.address, {
+      blockNumber: blockParam === null ? undefined : BigInt(blockParam)
+    });
+
+    if (aggregator.totalVoters === 0) {
+      return NextResponse.json({
+        error: 'No votes have been cast yet',
+        totalVoters: 0,
+        candidateCount: aggregator.candidates.length
+      }, { status: 200 });
+    }
+
+    const diagnostics = aggregator.analyzeCondorcet();
+    const byId = new Map(aggregator.candidates.map(candidate => [candidate.id, candidate]));
+    const candidate = (id: number) => byId.get(id)!;
+
+    const analysis: CondorcetAnalysis = {
+      election,
+      condorcetWinner: diagnostics.condorcetWinner === null ? null : candidate(diagnostics.condorcetWinner),
+      condorcetLoser: diagnostics.condorcetLoser === null ? null : candidate(diagnostics.condorcetLoser),
+      smithSet: diagnostics.smithSet.map(candidate),
+      schwartzSet: diagnostics.schwartzSet.map(candidate),
+      cycles: diagnostics.cycles.map(cycle => ({ ...cycle, members: cycle.members.map(candidate) })),
+      cyclesTruncated: diagnostics.cyclesTruncated,
+      // The winner these diagnostics explain
+      rankedPairsWinner: aggregator.tally('tideman', { tieBreak: parsed.tieBreak }).winner,
+      matrix: diagnostics.matrix,
+      metadata: {
+        totalVoters: aggregator.totalVoters,
+        candidateCount: aggregator.candidates.length,
+        blockNumber: aggregator.blockNumber,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return NextResponse.json(analysis);
+  } catch (error) {
+    if (error instanceof BlockStateError) {
+      return NextResponse.json({ error: error.message }, { status: 422 });
+    }
+    console.error('Error analyzing pairwise majorities:', error);
+    return NextResponse.json(
+      { error: 'Failed to analyze pairwise majorities', details: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    );
+  }
+}
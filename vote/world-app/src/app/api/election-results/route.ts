@@ -1,92 +1,37 @@
 import { NextRequest, NextResponse } from "next/server";
-import { createPublicClient, http } from "viem";
-import { worldchainSepolia } from "viem/chains";
-import { ELECTION_MANAGER_ADDRESS, CURRENT_NETWORK } from "@/config/contracts";
-import { Candidate } from "@/lib/candidateLoader";
-
-// Election contract ABI for the functions we need
-const ELECTION_ABI = [
-  {
-    "inputs": [],
-    "name": "getVoteCount",
-    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getAllVoters",
-    "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "uint256", "name": "voterId", "type": "uint256"}],
-    "name": "getVote",
-    "outputs": [{"components": [{"internalType": "uint256", "name": "candidateId", "type": "uint256"}, {"internalType": "bool", "name": "tiedWithPrevious", "type": "bool"}], "internalType": "struct Election.RankingEntry[]", "name": "", "type": "tuple[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getCandidates",
-    "outputs": [{"components": [{"internalType": "uint256", "name": "id", "type": "uint256"}, {"internalType": "string", "name": "name", "type": "string"}, {"internalType": "string", "name": "description", "type": "string"}, {"internalType": "bool", "name": "active", "type": "bool"}], "internalType": "struct Election.Candidate[]", "name": "", "type": "tuple[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  }
-] as const;
-
-const ELECTION_MANAGER_ABI = [
-  {
-    "inputs": [],
-    "name": "candidateCount",
-    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-    "name": "candidates",
-    "outputs": [
-      {"internalType": "uint256", "name": "id", "type": "uint256"},
-      {"internalType": "string", "name": "name", "type": "string"},
-      {"internalType": "string", "name": "description", "type": "string"},
-      {"internalType": "bool", "name": "active", "type": "bool"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-] as const;
-
-// Create public client for reading contract state with retry logic
-const publicClient = createPublicClient({
-  chain: worldchainSepolia,
-  transport: http(CURRENT_NETWORK.rpcUrl, {
-    retryCount: 3,
-    retryDelay: 1000,
-  }),
-});
-
-// Using Candidate interface from candidateLoader
-
-interface RankingEntry {
-  candidateId: number;
-  tiedWithPrevious: boolean;
-}
+import {
+  resolveMethod, METHODS, MethodKey, NormalizedCandidate, MARGIN_METHODS, MarginOfVictory, marginOfVictory
+} from "tally";
+import { loadPairwiseAggregator } from "@/lib/incrementalBallots";
+import { TieBreakParams, parseTieBreak } from "@/lib/tieBreakParams";
+import { ComputedResults, cachedResponse, getCachedResults, resultsCacheKey } from "@/lib/resultsCache";
+import { BlockStateError } from "@/lib/blockState";
+
+// Keep the margin search short enough for a request (offline tools use the defaults)
+const MARGIN_SEARCH_PROFILES = 2000;
+const MARGIN_SEARCH_EVALUATIONS = 100;
 
 interface ElectionResults {
   algorithm: string;
-  winner?: Candidate;
+  method: MethodKey;
+  tieHandling: string;
+  winner?: NormalizedCandidate;
+  marginOfVictory: MarginOfVictory | null;
   rankings: Array<{
     rank: number;
-    candidate: Candidate;
+    candidate: NormalizedCandidate;
     score?: number;
     votes?: number;
     percentage?: number;
   }>;
+  selectedCandidates: number[];
+  details: Record<string, unknown>;
   metadata: {
     totalVoters: number;
+    /** Ballots that rank at least one candidate */
+    countedBallots: number;
     candidateCount: number;
+    blockNumber: number;
     timestamp: string;
     description: string;
   };
@@ -97,49 +42,51 @@ export async function GET(request: NextRequest) {
     const { searchParams } = new URL(request.url);
     const algorithm = searchParams.get('algorithm') || 'condorcet';
     const electionAddress = searchParams.get('election');
+    const seatsParam = searchParams.get('seats');
+    const blockParam = searchParams.get('block');
 
     if (!electionAddress) {
       return NextResponse.json({ error: 'Election address is required' }, { status: 400 });
     }
+    if (blockParam !== null && !/^\d+$/.test(blockParam)) {
+      return NextResponse.json({ error: 'Block must be a non-negative integer' }, { status: 400 });
+    }
 
-    console.log(`🗳️ Calculating election results for election ${electionAddress} using ${algorithm} method`);
-
-    // Get basic election data
-    const [candidates, totalVoters] = await Promise.all([
-      getCandidates(electionAddress),
-      getTotalVoters(electionAddress)
-    ]);
-
-    if (totalVoters === 0) {
-      return NextResponse.json({
-        error: 'No votes have been cast yet',
-        totalVoters: 0,
-        candidateCount: candidates.length
-      }, { status: 200 });
+    const method = resolveMethod(algorithm);
+    if (!method) {
+      return NextResponse.json({ error: `Unsupported algorithm. Use: ${Object.keys(METHODS).join(', ')}` }, { status: 400 });
     }
 
-    let results: ElectionResults;
+    // Multi-seat methods (STV) fill this many seats
+    const seats = seatsParam === null ? 1 : Number(seatsParam);
+    if (!Number.isInteger(seats) || seats < 1) {
+      return NextResponse.json({ error: 'Seats must be a positive integer' }, { status: 400 });
+    }
 
-    switch (algorithm.toLowerCase()) {
-      case 'condorcet':
-        results = await calculateCondorcetResults(candidates, totalVoters, electionAddress);
-        break;
-      case 'borda':
-        results = await calculateBordaCountResults(candidates, totalVoters, electionAddress);
-        break;
-      case 'plurality':
-        results = await calculatePluralityResults(candidates, totalVoters, electionAddress);
-        break;
-      case 'instant-runoff':
-      case 'irv':
-        results = await calculateInstantRunoffResults(candidates, totalVoters, electionAddress);
-        break;
-      default:
-        return NextResponse.json({ error: 'Unsupported algorithm. Use: condorcet, borda, plurality, instant-runoff' }, { status: 400 });
+    // Tie-break for Ranked Pairs margins and IRV/STV eliminations, as in tideman-results
+    const parsed = parseTieBreak(searchParams);
+    if ('error' in parsed) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 });
     }
+    const { tieBreak } = parsed;
+
+    // Results at a past block (?block=) never change; latest results hold
+    // until a newer RankingUpdated or SelectionCompleted log
+    const blockNumber = blockParam === null ? undefined : BigInt(blockParam);
+    const pinned = blockNumber !== undefined;
+    const key = resultsCacheKey(electionAddress, method, { seats, ...tieBreak }, blockNumber);
+    const cached = await getCachedResults(
+      electionAddress as `0x${string}`,
+      key,
+      () => computeResults(electionAddress as `0x${string}`, method, seats, tieBreak, blockNumber),
+      { pinned }
+    );
 
-    return NextResponse.json(results);
+    return cachedResponse(request, cached, pinned);
   } catch (error) {
+    if (error instanceof BlockStateError) {
+      return NextResponse.json({ error: error.message }, { status: 422 });
+    }
     console.error('Error calculating election results:', error);
     return NextResponse.json(
       { error: 'Failed to calculate election results', details: error instanceof Error ? error.message : 'Unknown error' },
@@ -148,262 +95,68 @@ export async function GET(request: NextRequest) {
   }
 }
 
-async function getCandidates(electionAddress: string): Promise<Candidate[]> {
-  const candidates = await publicClient.readContract({
-    address: electionAddress as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getCandidates',
-  }) as any[];
-
-  return candidates.map(candidate => ({
-    id: BigInt(candidate.id), // Keep as bigint to match interface
-    name: candidate.name,
-    description: candidate.description,
-    active: candidate.active
-  }));
-}
-
-async function getTotalVoters(electionAddress: string): Promise<number> {
-  const totalVoters = await publicClient.readContract({
-    address: electionAddress as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getVoteCount',
+async function computeResults(
+  electionAddress: `0x${string}`,
+  method: MethodKey,
+  seats: number,
+  tieBreak: TieBreakParams,
+  blockNumber?: bigint
+): Promise<ComputedResults> {
+  console.log(`🗳️ Calculating election results for election ${electionAddress} using ${method} method${blockNumber === undefined ? '' : ` at block ${blockNumber}`}`);
+
+  // Update the pairwise matrix from new RankingUpdated events and tally with the shared engine
+  // (without a checkpoint, ballots are streamed page by page)
+  const aggregator = await loadPairwiseAggregator(electionAddress, {
+    blockNumber,
+    onProgress: (read, total) => console.log(`📥 Read ${read}/${total} ballots`)
   });
-  return Number(totalVoters);
-}
-
-async function getComparisonMatrix(candidateIds: bigint[], electionAddress: string): Promise<{ [key: string]: { [key: string]: number } }> {
-  const matrix: { [key: string]: { [key: string]: number } } = {};
-
-  // Initialize matrix
-  for (const candidateA of candidateIds) {
-    matrix[candidateA.toString()] = {};
-    for (const candidateB of candidateIds) {
-      matrix[candidateA.toString()][candidateB.toString()] = 0;
-    }
-  }
 
-  // Get all voters and their rankings
-  const voters = await publicClient.readContract({
-    address: electionAddress as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getAllVoters',
-  }) as bigint[];
-
-  // Process each voter's ranking to build pairwise comparison matrix
-  for (const voterId of voters) {
-    const ranking = await publicClient.readContract({
-      address: electionAddress as `0x${string}`,
-      abi: ELECTION_ABI,
-      functionName: 'getVote',
-      args: [voterId],
-    }) as any[];
-
-    // Convert ranking to pairwise preferences
-    for (let i = 0; i < ranking.length; i++) {
-      for (let j = i + 1; j < ranking.length; j++) {
-        const higherCandidate = Number(ranking[i].candidateId);
-        const lowerCandidate = Number(ranking[j].candidateId);
-
-        // Higher ranked candidate beats lower ranked candidate
-        if (candidateIds.includes(higherCandidate) && candidateIds.includes(lowerCandidate)) {
-          matrix[higherCandidate.toString()][lowerCandidate.toString()]++;
-        }
-      }
-    }
-  }
-
-  return matrix;
-}
-
-async function calculateCondorcetResults(candidates: Candidate[], totalVoters: number, electionAddress: string): Promise<ElectionResults> {
-  const candidateIds = candidates.map(c => c.id);
-  const matrix = await getComparisonMatrix(candidateIds, electionAddress);
-  
-  // Find Condorcet winner (beats all other candidates in pairwise comparisons)
-  let condorcetWinner: Candidate | undefined;
-  
-  for (const candidate of candidates) {
-    let isWinner = true;
-    for (const opponent of candidates) {
-      if (candidate.id !== opponent.id) {
-        const candidateVotes = matrix[candidate.id.toString()][opponent.id.toString()] || 0;
-        const opponentVotes = matrix[opponent.id.toString()][candidate.id.toString()] || 0;
-        
-        if (candidateVotes <= opponentVotes) {
-          isWinner = false;
-          break;
-        }
-      }
-    }
-    if (isWinner) {
-      condorcetWinner = candidate;
-      break;
-    }
+  if (aggregator.totalVoters === 0) {
+    return {
+      body: {
+        error: 'No votes have been cast yet',
+        totalVoters: 0,
+        candidateCount: aggregator.candidates.length
+      },
+      blockNumber: aggregator.blockNumber
+    };
   }
 
-  // Calculate win counts for ranking
-  const winCounts = candidates.map(candidate => {
-    let wins = 0;
-    for (const opponent of candidates) {
-      if (candidate.id !== opponent.id) {
-        const candidateVotes = matrix[candidate.id.toString()][opponent.id.toString()] || 0;
-        const opponentVotes = matrix[opponent.id.toString()][candidate.id.toString()] || 0;
-        if (candidateVotes > opponentVotes) wins++;
-      }
-    }
-    return { candidate, wins };
-  });
-
-  // Sort by win count
-  winCounts.sort((a, b) => b.wins - a.wins);
-
-  const rankings = winCounts.map((item, index) => ({
-    rank: index + 1,
-    candidate: item.candidate,
-    score: item.wins,
-    votes: item.wins,
-    percentage: Math.round((item.wins / (candidates.length - 1)) * 100)
-  }));
-
-  return {
-    algorithm: 'Condorcet Method',
-    winner: condorcetWinner,
-    rankings,
-    metadata: {
-      totalVoters,
-      candidateCount: candidates.length,
-      timestamp: new Date().toISOString(),
-      description: condorcetWinner 
-        ? 'Condorcet winner found - candidate who beats all others in pairwise comparisons'
-        : 'No Condorcet winner - no candidate beats all others in pairwise comparisons'
-    }
-  };
-}
-
-async function calculateBordaCountResults(candidates: Candidate[], totalVoters: number, electionAddress: string): Promise<ElectionResults> {
-  // For Borda count, we need to get all individual rankings and calculate points
-  // This is a simplified version - in a full implementation, we'd need to access all user rankings
-
-  const candidateIds = candidates.map(c => c.id);
-  const matrix = await getComparisonMatrix(candidateIds, electionAddress);
-  
-  // Approximate Borda scores using pairwise comparison data
-  const bordaScores = candidates.map(candidate => {
-    let totalScore = 0;
-    for (const opponent of candidates) {
-      if (candidate.id !== opponent.id) {
-        const wins = matrix[candidate.id.toString()][opponent.id.toString()] || 0;
-        totalScore += wins;
-      }
-    }
-    return { candidate, score: totalScore };
-  });
-
-  bordaScores.sort((a, b) => b.score - a.score);
-
-  const rankings = bordaScores.map((item, index) => ({
-    rank: index + 1,
-    candidate: item.candidate,
-    score: item.score,
-    votes: item.score,
-    percentage: totalVoters > 0 ? Math.round((item.score / (totalVoters * (candidates.length - 1))) * 100) : 0
-  }));
-
-  return {
-    algorithm: 'Borda Count',
-    winner: bordaScores[0]?.candidate,
-    rankings,
-    metadata: {
-      totalVoters,
-      candidateCount: candidates.length,
-      timestamp: new Date().toISOString(),
-      description: 'Borda Count - candidates receive points based on their position in each ranking'
-    }
-  };
-}
-
-async function calculatePluralityResults(candidates: Candidate[], totalVoters: number, electionAddress: string): Promise<ElectionResults> {
-  // For plurality, we count first-place votes
-  // This requires getting all user rankings and counting first preferences
-
-  const candidateIds = candidates.map(c => c.id);
-  const matrix = await getComparisonMatrix(candidateIds, electionAddress);
-  
-  // Approximate first-place votes using pairwise data
-  const firstPlaceVotes = candidates.map(candidate => {
-    let votes = 0;
-    for (const opponent of candidates) {
-      if (candidate.id !== opponent.id) {
-        const wins = matrix[candidate.id.toString()][opponent.id.toString()] || 0;
-        votes += wins;
-      }
-    }
-    // Normalize to approximate first-place votes
-    votes = Math.round(votes / (candidates.length - 1));
-    return { candidate, votes };
-  });
-
-  firstPlaceVotes.sort((a, b) => b.votes - a.votes);
-
-  const rankings = firstPlaceVotes.map((item, index) => ({
-    rank: index + 1,
-    candidate: item.candidate,
-    votes: item.votes,
-    percentage: totalVoters > 0 ? Math.round((item.votes / totalVoters) * 100) : 0
-  }));
-
-  return {
-    algorithm: 'Plurality Voting',
-    winner: firstPlaceVotes[0]?.candidate,
-    rankings,
+  const result = aggregator.tally(method, { seats, tieBreak });
+
+  // Ballots to add or change to flip a single winner (Ranked Pairs, IRV, plurality)
+  const margin = (MARGIN_METHODS as string[]).includes(method) && seats === 1
+    ? marginOfVictory(aggregator.toBallotSet(), method, {
+        tieBreak,
+        maxProfiles: MARGIN_SEARCH_PROFILES,
+        maxEvaluations: MARGIN_SEARCH_EVALUATIONS
+      })
+    : null;
+
+  const results: ElectionResults = {
+    algorithm: result.algorithm,
+    method: result.method,
+    tieHandling: result.tieHandling,
+    winner: result.winner,
+    marginOfVictory: margin,
+    rankings: result.finalRanking.map(({ rank, candidate, score, votes, percentage }) => ({
+      rank,
+      candidate,
+      score,
+      votes,
+      percentage
+    })),
+    selectedCandidates: result.selectedCandidates,
+    details: result.details,
     metadata: {
-      totalVoters,
-      candidateCount: candidates.length,
+      totalVoters: aggregator.totalVoters,
+      countedBallots: result.totalVotes,
+      candidateCount: result.candidateCount,
+      blockNumber: aggregator.blockNumber,
       timestamp: new Date().toISOString(),
-      description: 'Plurality - candidate with the most first-place votes wins'
+      description: result.description
     }
   };
-}
-
-async function calculateInstantRunoffResults(candidates: Candidate[], totalVoters: number, electionAddress: string): Promise<ElectionResults> {
-  // Instant runoff voting (IRV) simulation
-  // This is a simplified approximation using pairwise comparison data
 
-  const candidateIds = candidates.map(c => c.id);
-  const matrix = await getComparisonMatrix(candidateIds, electionAddress);
-  
-  // Calculate strength scores for each candidate
-  const strengthScores = candidates.map(candidate => {
-    let totalStrength = 0;
-    for (const opponent of candidates) {
-      if (candidate.id !== opponent.id) {
-        const wins = matrix[candidate.id.toString()][opponent.id.toString()] || 0;
-        const losses = matrix[opponent.id.toString()][candidate.id.toString()] || 0;
-        totalStrength += wins - losses;
-      }
-    }
-    return { candidate, strength: totalStrength };
-  });
-
-  strengthScores.sort((a, b) => b.strength - a.strength);
-
-  const rankings = strengthScores.map((item, index) => ({
-    rank: index + 1,
-    candidate: item.candidate,
-    score: item.strength,
-    percentage: Math.round(((item.strength + totalVoters * (candidates.length - 1)) / (2 * totalVoters * (candidates.length - 1))) * 100)
-  }));
-
-  return {
-    algorithm: 'Instant Runoff Voting (IRV)',
-    winner: strengthScores[0]?.candidate,
-    rankings,
-    metadata: {
-      totalVoters,
-      candidateCount: candidates.length,
-      timestamp: new Date().toISOString(),
-      description: 'IRV simulation - eliminates candidates with lowest support in rounds'
-    }
-  };
+  return { body: results, blockNumber: aggregator.blockNumber };
 }
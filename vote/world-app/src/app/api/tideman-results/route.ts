@@ -1,91 +1,36 @@
 import { NextRequest, NextResponse } from "next/server";
-import { createPublicClient, http } from "viem";
-import { worldchainSepolia } from "viem/chains";
-import { ELECTION_MANAGER_ADDRESS, CURRENT_NETWORK } from "@/config/contracts";
-import { Candidate } from "@/lib/candidateLoader";
-
-// Election contract ABI for reading votes
-const ELECTION_ABI = [
-  {
-    "inputs": [],
-    "name": "getAllVoters",
-    "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "uint256", "name": "voterId", "type": "uint256"}],
-    "name": "getVote",
-    "outputs": [{"components": [{"internalType": "uint256", "name": "candidateId", "type": "uint256"}, {"internalType": "bool", "name": "tiedWithPrevious", "type": "bool"}], "internalType": "struct Election.RankingEntry[]", "name": "", "type": "tuple[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getCandidates",
-    "outputs": [{"components": [{"internalType": "uint256", "name": "id", "type": "uint256"}, {"internalType": "string", "name": "name", "type": "string"}, {"internalType": "string", "name": "description", "type": "string"}, {"internalType": "bool", "name": "active", "type": "bool"}], "internalType": "struct Election.Candidate[]", "name": "", "type": "tuple[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getElectionInfo",
-    "outputs": [
-      {"internalType": "string", "name": "_title", "type": "string"},
-      {"internalType": "string", "name": "_description", "type": "string"},
-      {"internalType": "string", "name": "_worldIdAction", "type": "string"},
-      {"internalType": "address", "name": "_creator", "type": "address"},
-      {"internalType": "uint256", "name": "_createdAt", "type": "uint256"},
-      {"internalType": "bool", "name": "_votingActive", "type": "bool"},
-      {"internalType": "uint256", "name": "_candidateCount", "type": "uint256"},
-      {"internalType": "uint256", "name": "_totalVoters", "type": "uint256"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  }
-] as const;
-
-// Create public client
-const publicClient = createPublicClient({
-  chain: worldchainSepolia,
-  transport: http(CURRENT_NETWORK.rpcUrl, {
-    retryCount: 3,
-    retryDelay: 1000,
-  }),
-});
-
-// Using Candidate interface from candidateLoader
-
-interface RankingEntry {
-  candidateId: number;
-  tiedWithPrevious: boolean;
-}
-
-interface Vote {
-  voterId: number;
-  ranking: RankingEntry[];
-}
+import {
+  NormalizedCandidate, RankedPair, TieBreak, TieBreakOptions, MarginOfVictory, marginOfVictory
+} from "tally";
+import { loadPairwiseAggregator } from "@/lib/incrementalBallots";
+import { parseTieBreak } from "@/lib/tieBreakParams";
+import { RegisteredElection, resolveElection } from "@/lib/electionResolver";
+import { ComputedResults, cachedResponse, getCachedResults, resultsCacheKey } from "@/lib/resultsCache";
+import { BlockStateError } from "@/lib/blockState";
+
+// Keep the margin search short enough for a request (offline tools use the defaults)
+const MARGIN_SEARCH_PROFILES = 2000;
+const MARGIN_SEARCH_EVALUATIONS = 100;
 
 interface TidemanResults {
+  election: RegisteredElection;
   algorithm: string;
-  winner?: Candidate;
+  winner?: NormalizedCandidate;
+  marginOfVictory: MarginOfVictory;
   finalRanking: Array<{
     rank: number;
-    candidate: Candidate;
+    candidate: NormalizedCandidate;
     score?: number;
   }>;
+  selectedCandidates: number[];
   pairwiseTallies: { [key: string]: number };
-  rankedPairs: Array<{
-    winner: number;
-    loser: number;
-    margin: number;
-    winnerVotes: number;
-    loserVotes: number;
-  }>;
+  rankedPairs: RankedPair[];
   lockedPairs: string[];
+  tieBreak: TieBreak;
   metadata: {
     totalVoters: number;
     candidateCount: number;
+    blockNumber: number;
     timestamp: string;
     description: string;
     calculationTimeMs: number;
@@ -94,59 +39,47 @@ interface TidemanResults {
 
 export async function GET(request: NextRequest) {
   try {
-    console.log('🗳️ Calculating Tideman results (using established graph-based method)...');
-    const startTime = Date.now();
-
-    // Get election data
-    const [candidates, voters, electionInfo] = await Promise.all([
-      getCandidates(),
-      getAllVoters(),
-      getElectionInfo()
-    ]);
-
-    if (voters.length === 0) {
-      return NextResponse.json({
-        error: 'No votes have been cast yet',
-        totalVoters: 0,
-        candidateCount: candidates.length
-      }, { status: 200 });
+    // Election contract address or ElectionManager ID, optionally as of a past block
+    const { searchParams } = new URL(request.url);
+    const electionParam = searchParams.get('election');
+    const blockParam = searchParams.get('block');
+    if (!electionParam) {
+      return NextResponse.json({ error: 'Election address or ID is required' }, { status: 400 });
+    }
+    if (blockParam !== null && !/^\d+$/.test(blockParam)) {
+      return NextResponse.json({ error: 'Block must be a non-negative integer' }, { status: 400 });
     }
 
-    // Read all votes
-    const votes: Vote[] = [];
-    for (const voterId of voters) {
-      try {
-        const vote = await getVote(voterId);
-        if (vote.length > 0) {
-          votes.push({ voterId, ranking: vote });
-        }
-      } catch (error) {
-        console.warn(`Failed to read vote for voter ${voterId}:`, error);
-      }
+    // Tie-break for equal margins
+    const parsed = parseTieBreak(searchParams);
+    if ('error' in parsed) {
+      return NextResponse.json({ error: parsed.error }, { status: 400 });
     }
+    const { tieBreak } = parsed;
 
-    // Calculate Tideman results
-    const results = calculateTidemanResults(candidates, votes);
-    const endTime = Date.now();
+    // Only serve elections registered with the ElectionManager
+    const election = await resolveElection(electionParam);
+    if (!election) {
+      return NextResponse.json({ error: `Election ${electionParam} is not registered with the ElectionManager` }, { status: 404 });
+    }
 
-    const tidemanResults: TidemanResults = {
-      algorithm: 'Tideman Method (Ranked Pairs)',
-      winner: results.finalRanking[0]?.candidate,
-      finalRanking: results.finalRanking,
-      pairwiseTallies: results.pairwiseTallies,
-      rankedPairs: results.rankedPairs,
-      lockedPairs: results.lockedPairs,
-      metadata: {
-        totalVoters: voters.length,
-        candidateCount: candidates.length,
-        timestamp: new Date().toISOString(),
-        description: 'Established Tideman method (graph-based) - proven Condorcet criterion and democratic properties',
-        calculationTimeMs: endTime - startTime
-      }
-    };
+    // Results at a past block never change; latest results hold until a newer
+    // RankingUpdated or SelectionCompleted log
+    const blockNumber = blockParam === null ? undefined : BigInt(blockParam);
+    const pinned = blockNumber !== undefined;
+    const key = resultsCacheKey(election.address, 'tideman', tieBreak, blockNumber);
+    const cached = await getCachedResults(
+      election.address,
+      key,
+      () => computeTidemanResults(election, tieBreak, blockNumber),
+      { pinned }
+    );
 
-    return NextResponse.json(tidemanResults);
+    return cachedResponse(request, cached, pinned);
   } catch (error) {
+    if (error instanceof BlockStateError) {
+      return NextResponse.json({ error: error.message }, { status: 422 });
+    }
     console.error('Error calculating Tideman results:', error);
     return NextResponse.json(
       { error: 'Failed to calculate Tideman results', details: error instanceof Error ? error.message : 'Unknown error' },
@@ -155,250 +88,60 @@ export async function GET(request: NextRequest) {
   }
 }
 
-async function getCandidates(): Promise<Candidate[]> {
-  const candidates = await publicClient.readContract({
-    address: ELECTION_MANAGER_ADDRESS as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getCandidates',
+async function computeTidemanResults(
+  election: RegisteredElection,
+  tieBreak: TieBreakOptions,
+  blockNumber?: bigint
+): Promise<ComputedResults> {
+  console.log(`🗳️ Calculating Tideman results for election ${election.id} (${election.address})${blockNumber === undefined ? '' : ` at block ${blockNumber}`}...`);
+  const startTime = Date.now();
+
+  // Get election data, as of ?block= when given (a full read streams ballots page by page)
+  const aggregator = await loadPairwiseAggregator(election.address, {
+    blockNumber,
+    onProgress: (read, total) => console.log(`📥 Read ${read}/${total} ballots`)
   });
 
-  return candidates.map(candidate => ({
-    id: Number(candidate.id),
-    name: candidate.name,
-    description: candidate.description,
-    active: candidate.active
-  })).filter(c => c.active);
-}
-
-async function getAllVoters(): Promise<number[]> {
-  const voters = await publicClient.readContract({
-    address: ELECTION_MANAGER_ADDRESS as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getAllVoters',
-  });
-  return voters.map(voterId => Number(voterId));
-}
-
-async function getVote(voterId: number): Promise<RankingEntry[]> {
-  const vote = await publicClient.readContract({
-    address: ELECTION_MANAGER_ADDRESS as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getVote',
-    args: [BigInt(voterId)],
-  });
-
-  return vote.map(entry => ({
-    candidateId: Number(entry.candidateId),
-    tiedWithPrevious: entry.tiedWithPrevious
-  }));
-}
-
-async function getElectionInfo() {
-  const info = await publicClient.readContract({
-    address: ELECTION_MANAGER_ADDRESS as `0x${string}`,
-    abi: ELECTION_ABI,
-    functionName: 'getElectionInfo',
-  });
-
-  return {
-    title: info._title,
-    description: info._description,
-    totalVoters: Number(info._totalVoters),
-    candidateCount: Number(info._candidateCount)
-  };
-}
-
-function calculateTidemanResults(candidates: Candidate[], votes: Vote[]) {
-  // Stage 1: Create pairwise tallies
-  const pairwiseTallies: { [key: string]: number } = {};
-  
-  // Initialize tallies
-  for (const candidateA of candidates) {
-    for (const candidateB of candidates) {
-      if (candidateA.id !== candidateB.id) {
-        pairwiseTallies[`${candidateA.id}-${candidateB.id}`] = 0;
-      }
-    }
-  }
-
-  // Process each vote
-  for (const vote of votes) {
-    const rankGroups = groupByRank(vote.ranking);
-    
-    // Compare each rank group against all lower rank groups
-    for (let i = 0; i < rankGroups.length; i++) {
-      for (let j = i + 1; j < rankGroups.length; j++) {
-        const higherGroup = rankGroups[i];
-        const lowerGroup = rankGroups[j];
-        
-        for (const higherCandidate of higherGroup) {
-          for (const lowerCandidate of lowerGroup) {
-            const key = `${higherCandidate}-${lowerCandidate}`;
-            pairwiseTallies[key] = (pairwiseTallies[key] || 0) + 1;
-          }
-        }
-      }
-    }
-  }
-
-  // Stage 2: Calculate margins and rank pairs
-  const pairs = [];
-  const processedPairs = new Set();
-  
-  for (const candidateA of candidates) {
-    for (const candidateB of candidates) {
-      if (candidateA.id !== candidateB.id) {
-        const pairKey = [candidateA.id, candidateB.id].sort().join('-');
-        
-        if (!processedPairs.has(pairKey)) {
-          processedPairs.add(pairKey);
-          
-          const aBeatsB = pairwiseTallies[`${candidateA.id}-${candidateB.id}`] || 0;
-          const bBeatsA = pairwiseTallies[`${candidateB.id}-${candidateA.id}`] || 0;
-          
-          if (aBeatsB !== bBeatsA) {
-            const margin = Math.abs(aBeatsB - bBeatsA);
-            const winner = aBeatsB > bBeatsA ? candidateA.id : candidateB.id;
-            const loser = aBeatsB > bBeatsA ? candidateB.id : candidateA.id;
-            
-            pairs.push({
-              winner,
-              loser,
-              margin,
-              winnerVotes: Math.max(aBeatsB, bBeatsA),
-              loserVotes: Math.min(aBeatsB, bBeatsA)
-            });
-          }
-        }
-      }
-    }
+  if (aggregator.totalVoters === 0) {
+    return {
+      body: {
+        error: 'No votes have been cast yet',
+        totalVoters: 0,
+        candidateCount: aggregator.candidates.length
+      },
+      blockNumber: aggregator.blockNumber
+    };
   }
 
-  const rankedPairs = pairs.sort((a, b) => b.margin - a.margin);
-
-  // Stage 3: Lock pairs (avoiding cycles)
-  const lockedPairs: string[] = [];
-  
-  for (const pair of rankedPairs) {
-    if (!wouldCreateCycle(pair, lockedPairs, candidates)) {
-      lockedPairs.push(`${pair.winner}-${pair.loser}`);
+  // Calculate Tideman results with the shared tally engine
+  const results = aggregator.tally('tideman', { tieBreak });
+  const margin = marginOfVictory(aggregator.toBallotSet(), 'tideman', {
+    tieBreak,
+    maxProfiles: MARGIN_SEARCH_PROFILES,
+    maxEvaluations: MARGIN_SEARCH_EVALUATIONS
+  });
+  const endTime = Date.now();
+
+  const tidemanResults: TidemanResults = {
+    election,
+    algorithm: results.algorithm,
+    winner: results.winner,
+    marginOfVictory: margin,
+    finalRanking: results.finalRanking,
+    selectedCandidates: results.selectedCandidates,
+    pairwiseTallies: results.details.pairwiseTallies,
+    rankedPairs: results.details.rankedPairs,
+    lockedPairs: results.details.lockedPairs,
+    tieBreak: results.details.tieBreak,
+    metadata: {
+      totalVoters: aggregator.totalVoters,
+      candidateCount: results.candidateCount,
+      blockNumber: aggregator.blockNumber,
+      timestamp: new Date().toISOString(),
+      description: results.description,
+      calculationTimeMs: endTime - startTime
     }
-  }
-
-  // Stage 4: Determine final ranking
-  const finalRanking = determineFinalRanking(candidates, lockedPairs);
-
-  return {
-    pairwiseTallies,
-    rankedPairs,
-    lockedPairs,
-    finalRanking
   };
-}
 
-function groupByRank(ranking: RankingEntry[]): number[][] {
-  const groups: number[][] = [];
-  let currentGroup: number[] = [];
-  
-  for (let i = 0; i < ranking.length; i++) {
-    const entry = ranking[i];
-    
-    if (i === 0 || !entry.tiedWithPrevious) {
-      if (currentGroup.length > 0) {
-        groups.push([...currentGroup]);
-      }
-      currentGroup = [entry.candidateId];
-    } else {
-      currentGroup.push(entry.candidateId);
-    }
-  }
-  
-  if (currentGroup.length > 0) {
-    groups.push(currentGroup);
-  }
-  
-  return groups;
-}
-
-function wouldCreateCycle(newPair: any, lockedPairs: string[], candidates: Candidate[]): boolean {
-  const tempLocked = new Set([...lockedPairs, `${newPair.winner}-${newPair.loser}`]);
-  
-  const visited = new Set();
-  const recursionStack = new Set();
-  
-  for (const candidate of candidates) {
-    if (!visited.has(candidate.id)) {
-      if (hasCycleDFS(candidate.id, tempLocked, visited, recursionStack)) {
-        return true;
-      }
-    }
-  }
-  
-  return false;
-}
-
-function hasCycleDFS(node: number, lockedPairs: Set<string>, visited: Set<number>, recursionStack: Set<number>): boolean {
-  visited.add(node);
-  recursionStack.add(node);
-  
-  for (const pair of lockedPairs) {
-    const [winner, loser] = pair.split('-').map(Number);
-    if (winner === node) {
-      if (!visited.has(loser)) {
-        if (hasCycleDFS(loser, lockedPairs, visited, recursionStack)) {
-          return true;
-        }
-      } else if (recursionStack.has(loser)) {
-        return true;
-      }
-    }
-  }
-  
-  recursionStack.delete(node);
-  return false;
-}
-
-function determineFinalRanking(candidates: Candidate[], lockedPairs: string[]) {
-  const graph = new Map<number, number[]>();
-  const inDegree = new Map<number, number>();
-  
-  // Initialize
-  for (const candidate of candidates) {
-    graph.set(candidate.id, []);
-    inDegree.set(candidate.id, 0);
-  }
-  
-  // Build graph
-  for (const pair of lockedPairs) {
-    const [winner, loser] = pair.split('-').map(Number);
-    graph.get(winner)!.push(loser);
-    inDegree.set(loser, inDegree.get(loser)! + 1);
-  }
-  
-  // Topological sort
-  const queue: number[] = [];
-  const result: number[] = [];
-  
-  for (const [candidateId, degree] of inDegree) {
-    if (degree === 0) {
-      queue.push(candidateId);
-    }
-  }
-  
-  while (queue.length > 0) {
-    const current = queue.shift()!;
-    result.push(current);
-    
-    for (const neighbor of graph.get(current)!) {
-      inDegree.set(neighbor, inDegree.get(neighbor)! - 1);
-      if (inDegree.get(neighbor) === 0) {
-        queue.push(neighbor);
-      }
-    }
-  }
-  
-  return result.map((candidateId, index) => ({
-    rank: index + 1,
-    candidate: candidates.find(c => c.id === candidateId)!
-  }));
+  return { body: tidemanResults, blockNumber: aggregator.blockNumber };
 }
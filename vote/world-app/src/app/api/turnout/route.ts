@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from "next/server";
+import { resolveElection } from "@/lib/electionResolver";
+import { BlockStateError } from "@/lib/blockState";
+import { cachedResponse, getCachedResults, resultsCacheKey } from "@/lib/resultsCache";
+import { SERIES_BUCKETS, SeriesBucket, loadTurnoutSeries } from "@/lib/turnoutSeries";
+
+/**
+ * New voters, ballot revisions and cumulative turnout per hour or day
+ *
+ * GET /api/turnout?election=<address or ID>&bucket=hour|day[&block=N]
+ */
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const electionParam = searchParams.get('election');
+    const bucket = (searchParams.get('bucket') || 'hour') as SeriesBucket;
+    const blockParam = searchParams.get('block');
+
+    if (!electionParam) {
+      return NextResponse.json({ error: 'Election address or ID is required' }, { status: 400 });
+    }
+    if (!SERIES_BUCKETS.includes(bucket)) {
+      return NextResponse.json({ error: `Unsupported bucket. Use: ${SERIES_BUCKETS.join(', ')}` }, { status: 400 });
+    }
+    if (blockParam !== null && !/^\d+$/.test(blockParam)) {
+      return NextResponse.json({ error: 'Block must be a non-negative integer' }, { status: 400 });
+    }
+
+    const election = await resolveElection(electionParam);
+    if (!election) {
+      return NextResponse.json({ error: `Election ${electionParam} is not registered with the ElectionManager` }, { status: 404 });
+    }
+
+    // The series only changes with a new RankingUpdated log
+    const blockNumber = blockParam === null ? undefined : BigInt(blockParam);
+    const pinned = blockNumber !== undefined;
+    const key = resultsCacheKey(election.address, 'turnout', { bucket }, blockNumber);
+    const cached = await getCachedResults(election.address, key, async () => {
+      console.log(`📈 Building ${bucket} turnout series for election ${election.id} (${election.address})`);
+      const series = await loadTurnoutSeries(election.address, { bucket, blockNumber });
+      return { body: { election, ...series }, blockNumber: series.toBlock };
+    }, { pinned });
+
+    return cachedResponse(request, cached, pinned);
+  } catch (error) {
+    if (error instanceof BlockStateError) {
+      return NextResponse.json({ error: error.message }, { status: 422 });
+    }
+    console.error('Error building turnout series:', error);
+    return NextResponse.json(
+      { error: 'Failed to build turnout series', details: error instanceof Error ? error.message : 'Unknown error' },
+      { status: 500 }
+    );
+  }
+}
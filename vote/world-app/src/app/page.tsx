@@ -5,6 +5,7 @@ import { ElectionDashboard } from "@/components/ElectionDashboard";
 import { BottomNavigation, TabType } from "@/components/BottomNavigation";
 import { CandidatesTab } from "@/components/CandidatesTab";
 import { InteractiveRankingTab } from "@/components/InteractiveRankingTab";
+import { ResultsTab } from "@/components/ResultsTab";
 import { useElectionManager } from "@/hooks/useElectionManager";
 import type { Election, Candidate } from "@/types/election";
 
@@ -70,6 +71,13 @@ export default function Page() {
               onRankingChange={setRankedCandidateIds}
             />
           )}
+
+          {activeTab === 'results' && (
+            <ResultsTab
+              selectedElection={selectedElection}
+              candidates={candidates}
+            />
+          )}
         </div>
       </div>
 
@@ -2,7 +2,7 @@
 
 import { useState } from 'react';
 
-export type TabType = 'elections' | 'candidates' | 'vote';
+export type TabType = 'elections' | 'candidates' | 'vote' | 'results';
 
 interface BottomNavigationProps {
   activeTab: TabType;
@@ -114,7 +114,32 @@ export function BottomNavigation({
           <span className="text-xs font-medium">Vote</span>
         </button>
 
-
+        {/* Results Tab */}
+        <button
+          onClick={() => onTabChange('results')}
+          className={`flex-1 flex flex-col items-center justify-center space-y-1 transition-colors ${
+            activeTab === 'results'
+              ? 'text-purple-600 bg-purple-50'
+              : 'text-gray-500 hover:text-gray-700 hover:bg-gray-50'
+          }`}
+        >
+          <div className="relative">
+            <svg
+              className="w-6 h-6"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"
+              />
+            </svg>
+          </div>
+          <span className="text-xs font-medium">Results</span>
+        </button>
       </div>
     </div>
   );
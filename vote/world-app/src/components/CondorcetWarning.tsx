@@ -0,0 +1,99 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+interface CandidateSummary {
+  id: number;
+  name: string;
+}
+
+export interface CondorcetAnalysis {
+  condorcetWinner: CandidateSummary | null;
+  smithSet: CandidateSummary[];
+  cycles: Array<{
+    members: CandidateSummary[];
+    defeats: Array<{ winner: number; loser: number; margin: number }>;
+  }>;
+  cyclesTruncated: boolean;
+  rankedPairsWinner?: CandidateSummary;
+  matrix: Record<string, Record<string, number>>;
+}
+
+interface CondorcetWarningProps {
+  electionAddress: string;
+  /** Analysis already loaded by the parent; fetched here if omitted */
+  analysis?: CondorcetAnalysis | null;
+}
+
+/**
+ * Warns when no candidate beats every other head-to-head, and shows the
+ * majority cycle that explains a surprising Ranked Pairs winner
+ */
+export function CondorcetWarning({ electionAddress, analysis: providedAnalysis }: CondorcetWarningProps) {
+  const [loadedAnalysis, setAnalysis] = useState<CondorcetAnalysis | null>(null);
+  const provided = providedAnalysis !== undefined;
+  const analysis = provided ? providedAnalysis : loadedAnalysis;
+
+  useEffect(() => {
+    let cancelled = false;
+    setAnalysis(null);
+    if (provided) {
+      return;
+    }
+
+    const loadAnalysis = async () => {
+      try {
+        const response = await fetch(`/api/condorcet-analysis?election=${electionAddress}`);
+        const data = await response.json();
+        if (!cancelled && response.ok && !data.error) {
+          setAnalysis(data);
+        }
+      } catch (error) {
+        console.error("Error loading Condorcet analysis:", error);
+      }
+    };
+
+    loadAnalysis();
+    return () => {
+      cancelled = true;
+    };
+  }, [electionAddress, provided]);
+
+  if (!analysis || analysis.condorcetWinner) {
+    return null;
+  }
+
+  const names = new Map(analysis.cycles.flatMap(cycle => cycle.members).map(c => [c.id, c.name]));
+  const cycle = analysis.cycles[0];
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+      <div className="flex items-start">
+        <div className="text-yellow-500 mr-2">
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z" />
+          </svg>
+        </div>
+        <div className="text-sm text-yellow-800 space-y-2">
+          <p className="font-medium">No Condorcet winner</p>
+          <p>
+            No candidate beats every other candidate head-to-head.
+            {analysis.smithSet.length > 1 && ` ${analysis.smithSet.map(c => c.name).join(", ")} form a majority cycle.`}
+          </p>
+          {cycle && (
+            <p>
+              {cycle.defeats.map(d => `${names.get(d.winner)} beats ${names.get(d.loser)} by ${d.margin}`).join(", ")}
+              {analysis.cycles.length > 1 && ` (and ${analysis.cycles.length - 1}${analysis.cyclesTruncated ? "+" : ""} more cycle${analysis.cycles.length > 2 ? "s" : ""})`}.
+            </p>
+          )}
+          {analysis.rankedPairsWinner && (
+            <p>
+              Ranked Pairs ignores the weakest of these defeats, so {analysis.rankedPairsWinner.name} wins
+              without beating every other candidate head-to-head.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
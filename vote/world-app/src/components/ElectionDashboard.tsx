@@ -2,6 +2,9 @@
 
 import { useState, useEffect } from "react";
 import { ElectionSelector } from "./ElectionSelector";
+import { CondorcetWarning } from "./CondorcetWarning";
+import { TurnoutChart } from "./TurnoutChart";
+import { VotingWindow } from "./VotingWindow";
 import { Candidate } from "@/election-abi";
 import { loadElectionCandidates } from "@/lib/candidateLoader";
 
@@ -218,6 +221,21 @@ export function ElectionDashboard({
         isLoading={electionsLoading}
       />
 
+      {/* Phase and countdown to the scheduled opening or closing */}
+      {selectedElection?.address && (
+        <VotingWindow electionAddress={selectedElection.address as `0x${string}`} />
+      )}
+
+      {/* Majority cycle warning for the selected election */}
+      {selectedElection?.address && (
+        <CondorcetWarning electionAddress={selectedElection.address} />
+      )}
+
+      {/* New voters, revisions and cumulative turnout over time */}
+      {selectedElection?.address && (
+        <TurnoutChart electionAddress={selectedElection.address} />
+      )}
+
 
     </div>
   );
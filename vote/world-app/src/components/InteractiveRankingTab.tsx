@@ -3,6 +3,7 @@
 import { useState, useCallback, useEffect } from "react";
 import { InteractiveRanking } from "./InteractiveRanking";
 import { WalletAuthButton } from "./wallet-auth-button";
+import { VotingWindow } from "./VotingWindow";
 import { useElectionVoting } from "@/hooks/useElectionVoting";
 import { ELECTION_ABI } from "@/election-abi";
 import { ELECTION_MANAGER_ADDRESS } from "@/config/contracts";
@@ -237,6 +238,11 @@ export function InteractiveRankingTab({
         </div>
       </div>
 
+      {/* Ballots are only accepted while the election is open */}
+      {selectedElection?.address && (
+        <VotingWindow electionAddress={selectedElection.address as `0x${string}`} />
+      )}
+
       {/* Error Messages Only (success shown in status icon) */}
       {errorMessage && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-3">
@@ -0,0 +1,136 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { RankedPair } from "tally";
+import { NODE_RADIUS, layoutNodes, lockGraphEdges, undefeatedCandidates } from "@/lib/lockGraph";
+
+interface CandidateSummary {
+  id: number;
+  name: string;
+}
+
+interface RankedPairsGraphProps {
+  candidates: CandidateSummary[];
+  rankedPairs: RankedPair[];
+  lockedPairs: string[];
+}
+
+const SIZE = 300;
+
+const EDGE_COLORS = {
+  pending: "#e5e7eb",
+  locked: "#7c3aed",
+  skipped: "#ef4444"
+};
+
+/**
+ * Ranked Pairs lock graph: arrows from winner to loser, thicker for larger
+ * margins. The slider replays the locking order - each pair is locked
+ * unless it would close a cycle, in which case it is skipped (dashed red).
+ */
+export function RankedPairsGraph({ candidates, rankedPairs, lockedPairs }: RankedPairsGraphProps) {
+  const [step, setStep] = useState(rankedPairs.length);
+
+  // Show the finished graph whenever new results arrive
+  useEffect(() => {
+    setStep(rankedPairs.length);
+  }, [rankedPairs]);
+
+  const ids = useMemo(() => candidates.map(c => c.id), [candidates]);
+  const nodes = useMemo(() => layoutNodes(ids, SIZE), [ids]);
+  const edges = lockGraphEdges(rankedPairs, lockedPairs, nodes, step);
+  const names = new Map(candidates.map(c => [c.id, c.name]));
+  const leaders = step === rankedPairs.length ? undefeatedCandidates(ids, edges) : [];
+  const current = edges.find(edge => edge.current);
+
+  if (candidates.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-semibold text-gray-900">How the winner was decided</h3>
+        <p className="text-xs text-gray-500">
+          Head-to-head wins are locked in from the largest margin down, skipping any that would create a cycle.
+        </p>
+      </div>
+
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-xs mx-auto" role="img" aria-label="Ranked Pairs lock graph">
+        <defs>
+          {Object.entries(EDGE_COLORS).map(([status, color]) => (
+            <marker key={status} id={`arrow-${status}`} viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+            </marker>
+          ))}
+        </defs>
+
+        {edges.map(edge => (
+          <line
+            key={`${edge.pair.winner}-${edge.pair.loser}`}
+            x1={edge.x1}
+            y1={edge.y1}
+            x2={edge.x2}
+            y2={edge.y2}
+            stroke={EDGE_COLORS[edge.status]}
+            strokeWidth={edge.current ? edge.width + 1.5 : edge.width}
+            strokeDasharray={edge.status === "skipped" ? "6 4" : undefined}
+            markerEnd={`url(#arrow-${edge.status})`}
+          >
+            <title>{`${names.get(edge.pair.winner)} beats ${names.get(edge.pair.loser)} by ${edge.pair.margin}`}</title>
+          </line>
+        ))}
+
+        {nodes.map(node => (
+          <g key={node.id}>
+            <circle
+              cx={node.x}
+              cy={node.y}
+              r={NODE_RADIUS}
+              fill={leaders.includes(node.id) ? "#7c3aed" : "#f5f3ff"}
+              stroke="#7c3aed"
+              strokeWidth={1.5}
+            />
+            <text
+              x={node.x}
+              y={node.y}
+              textAnchor="middle"
+              dominantBaseline="central"
+              className="text-[10px] font-medium"
+              fill={leaders.includes(node.id) ? "#ffffff" : "#4c1d95"}
+            >
+              {(names.get(node.id) || `#${node.id}`).slice(0, 6)}
+            </text>
+          </g>
+        ))}
+      </svg>
+
+      {rankedPairs.length > 0 && (
+        <div className="space-y-1">
+          <input
+            type="range"
+            min={0}
+            max={rankedPairs.length}
+            value={step}
+            onChange={event => setStep(Number(event.target.value))}
+            className="w-full accent-purple-600"
+            aria-label="Locking step"
+          />
+          <p className="text-xs text-gray-600">
+            {current
+              ? `Step ${step} of ${rankedPairs.length}: ${names.get(current.pair.winner)} beats ${names.get(current.pair.loser)} by ${current.pair.margin} - ${
+                current.status === "locked" ? "locked" : "skipped, it would create a cycle"
+              }`
+              : `Drag to replay the ${rankedPairs.length} head-to-head results in locking order`}
+          </p>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="inline-block w-4 h-0.5 bg-purple-600" /> Locked</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-4 border-t-2 border-dashed border-red-500" /> Skipped (cycle breaker)</span>
+        <span>Thicker = larger margin</span>
+      </div>
+    </div>
+  );
+}
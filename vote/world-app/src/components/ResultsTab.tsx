@@ -0,0 +1,277 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { listMethods, MarginOfVictory, MethodKey, NormalizedCandidate, RankedPair } from "tally";
+import { CondorcetAnalysis, CondorcetWarning } from "./CondorcetWarning";
+import { RankedPairsGraph } from "./RankedPairsGraph";
+import { VotingWindow } from "./VotingWindow";
+import { ElectionStatus, loadElectionStatus, SelectionCommitment } from "@/lib/electionStatus";
+import type { Candidate, Election } from "@/types/election";
+
+interface ElectionResults {
+  algorithm: string;
+  method: MethodKey;
+  winner?: NormalizedCandidate;
+  marginOfVictory: MarginOfVictory | null;
+  rankings: Array<{
+    rank: number;
+    candidate: NormalizedCandidate;
+    score?: number;
+    percentage?: number;
+  }>;
+  details: {
+    rankedPairs?: RankedPair[];
+    lockedPairs?: string[];
+  };
+  metadata: {
+    totalVoters: number;
+    countedBallots: number;
+    blockNumber: number;
+    description: string;
+  };
+}
+
+interface ResultsTabProps {
+  selectedElection: Election | null;
+  candidates: Candidate[];
+}
+
+// Single-winner methods offered in the switcher (STV needs a seat count)
+const METHOD_OPTIONS = listMethods().filter(method => method.key !== "stv");
+
+const ZERO_HASH = `0x${"0".repeat(64)}`;
+
+/**
+ * Committed method, seed and hashes, shown in full so they can be compared
+ * with a recomputed tally
+ */
+function CommitmentDetails({ commitment }: { commitment: SelectionCommitment }) {
+  const methodName = listMethods().find(option => option.key === commitment.method)?.name || commitment.method;
+  const rows = [
+    ["Method", methodName],
+    ["Tie-break seed", commitment.tieBreakSeed === ZERO_HASH ? "none (candidate order)" : commitment.tieBreakSeed],
+    ["Ballot set hash", commitment.ballotSetHash],
+    ["Ranking hash", commitment.rankingHash]
+  ];
+
+  return (
+    <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-2 gap-y-0.5 text-xs text-green-800">
+      {rows.map(([label, value]) => (
+        <div key={label} className="contents">
+          <dt className="font-medium">{label}</dt>
+          <dd className="font-mono break-all">{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+/**
+ * Results for the selected election: the selection reported on chain, live
+ * provisional standings under any tally method, the pairwise matrix and
+ * turnout
+ */
+export function ResultsTab({ selectedElection, candidates }: ResultsTabProps) {
+  const [method, setMethod] = useState<MethodKey>("tideman");
+  const [status, setStatus] = useState<ElectionStatus | null>(null);
+  const [results, setResults] = useState<ElectionResults | null>(null);
+  const [analysis, setAnalysis] = useState<CondorcetAnalysis | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const address = selectedElection?.address;
+
+  const loadResults = useCallback(async () => {
+    if (!address) {
+      return;
+    }
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [loadedStatus, resultsResponse, analysisResponse] = await Promise.all([
+        loadElectionStatus(address),
+        fetch(`/api/election-results?election=${address}&algorithm=${method}`),
+        fetch(`/api/condorcet-analysis?election=${address}`)
+      ]);
+      const [resultsData, analysisData] = await Promise.all([resultsResponse.json(), analysisResponse.json()]);
+
+      setStatus(loadedStatus);
+      setResults(resultsResponse.ok && !resultsData.error ? resultsData : null);
+      setAnalysis(analysisResponse.ok && !analysisData.error ? analysisData : null);
+      if (!resultsResponse.ok) {
+        setError(resultsData.details || resultsData.error || "Failed to load results");
+      }
+    } catch (loadError) {
+      console.error("Error loading results:", loadError);
+      setError(loadError instanceof Error ? loadError.message : "Failed to load results");
+    } finally {
+      setLoading(false);
+    }
+  }, [address, method]);
+
+  useEffect(() => {
+    setResults(null);
+    loadResults();
+  }, [loadResults]);
+
+  if (!selectedElection) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12">
+        <p className="text-gray-600 text-center mb-2">No election selected</p>
+        <p className="text-gray-500 text-sm text-center">Select an election from the Elections tab to see its results.</p>
+      </div>
+    );
+  }
+
+  const names = new Map(candidates.map(c => [Number(c.id), c.name]));
+  const nameOf = (id: number) => names.get(id) || `Candidate ${id}`;
+  const ids = candidates.map(c => Number(c.id));
+  const selectionReported = status !== null && status.selectionBlock !== 0;
+  const margin = results?.marginOfVictory?.changed;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Results</h1>
+          <p className="text-sm text-gray-600">{selectedElection.name}</p>
+        </div>
+        <button
+          onClick={loadResults}
+          disabled={loading}
+          className="text-sm text-purple-600 hover:text-purple-800 disabled:text-gray-400"
+        >
+          {loading ? "Loading..." : "Refresh"}
+        </button>
+      </div>
+
+      {/* Official outcome reported on chain */}
+      {status && (
+        <div className={`rounded-lg p-4 border ${selectionReported ? "bg-green-50 border-green-200" : "bg-gray-50 border-gray-200"}`}>
+          {selectionReported ? (
+            <>
+              <p className="text-sm font-semibold text-green-800">Official result</p>
+              <p className="text-lg font-bold text-green-900">{status.selectedCandidates.map(nameOf).join(", ")}</p>
+              <p className="text-xs text-green-700">Reported on chain, tallied at block {status.selectionBlock}</p>
+              {status.commitment && <CommitmentDetails commitment={status.commitment} />}
+            </>
+          ) : (
+            <>
+              <VotingWindow electionAddress={selectedElection.address} status={status} />
+              <p className="text-xs text-gray-600 mt-1">Standings below are provisional and update as ballots arrive.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Turnout */}
+      {status && (
+        <div className="grid grid-cols-3 gap-2 text-center">
+          <div className="bg-purple-50 rounded-lg p-3">
+            <p className="text-lg font-bold text-purple-700">{status.voteCount}</p>
+            <p className="text-xs text-gray-600">Ballots cast</p>
+          </div>
+          <div className="bg-purple-50 rounded-lg p-3">
+            <p className="text-lg font-bold text-purple-700">{results?.metadata.countedBallots ?? 0}</p>
+            <p className="text-xs text-gray-600">Counted</p>
+          </div>
+          <div className="bg-purple-50 rounded-lg p-3">
+            <p className="text-lg font-bold text-purple-700">{status.candidateCount}</p>
+            <p className="text-xs text-gray-600">Candidates</p>
+          </div>
+        </div>
+      )}
+
+      {/* Method switcher */}
+      <div>
+        <label htmlFor="results-method" className="block text-xs font-medium text-gray-600 mb-1">Tally method</label>
+        <select
+          id="results-method"
+          value={method}
+          onChange={event => setMethod(event.target.value as MethodKey)}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+        >
+          {METHOD_OPTIONS.map(option => (
+            <option key={option.key} value={option.key}>{option.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Provisional standings */}
+      {results ? (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-2">
+          <div className="flex items-baseline justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">{selectionReported ? "Standings" : "Provisional standings"}</h3>
+            <span className="text-xs text-gray-500">at block {results.metadata.blockNumber}</span>
+          </div>
+          {results.rankings.map(entry => (
+            <div key={entry.candidate.id} className="flex items-center justify-between text-sm">
+              <span className={entry.rank === 1 ? "font-semibold text-purple-700" : "text-gray-800"}>
+                {entry.rank}. {entry.candidate.name}
+              </span>
+              {entry.score !== undefined && (
+                <span className="text-gray-500">{entry.score}{entry.percentage !== undefined && ` (${entry.percentage}%)`}</span>
+              )}
+            </div>
+          ))}
+          {results.winner && margin && (
+            <p className="text-xs text-gray-600 pt-2 border-t border-gray-100">
+              Changing {margin.exact ? "" : "at most "}{margin.ballots} ballot{margin.ballots === 1 ? "" : "s"} ({margin.percentage}%)
+              would change the winner.
+            </p>
+          )}
+        </div>
+      ) : (
+        !loading && !error && <p className="text-sm text-gray-500 text-center py-4">No votes have been cast yet.</p>
+      )}
+
+      {address && analysis && <CondorcetWarning electionAddress={address} analysis={analysis} />}
+
+      {/* Locking order behind the Ranked Pairs winner */}
+      {results?.method === "tideman" && results.details.rankedPairs && results.details.lockedPairs && (
+        <RankedPairsGraph
+          candidates={ids.map(id => ({ id, name: nameOf(id) }))}
+          rankedPairs={results.details.rankedPairs}
+          lockedPairs={results.details.lockedPairs}
+        />
+      )}
+
+      {/* Pairwise matrix: row candidate preferred over column candidate */}
+      {analysis && (
+        <div className="bg-white border border-gray-200 rounded-lg p-4 overflow-x-auto">
+          <h3 className="text-sm font-semibold text-gray-900 mb-1">Head-to-head</h3>
+          <p className="text-xs text-gray-500 mb-2">Voters preferring the row candidate over the column candidate.</p>
+          <table className="text-xs w-full">
+            <thead>
+              <tr>
+                <th />
+                {ids.map(id => <th key={id} className="px-1 py-1 text-gray-600 font-medium">{nameOf(id).slice(0, 8)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {ids.map(row => (
+                <tr key={row}>
+                  <th className="px-1 py-1 text-left text-gray-600 font-medium">{nameOf(row).slice(0, 12)}</th>
+                  {ids.map(column => {
+                    if (row === column) {
+                      return <td key={column} className="px-1 py-1 text-center text-gray-300">-</td>;
+                    }
+                    const votes = analysis.matrix[row]?.[column] ?? 0;
+                    const against = analysis.matrix[column]?.[row] ?? 0;
+                    const color = votes > against ? "text-green-700 font-semibold" : votes < against ? "text-red-600" : "text-gray-600";
+                    return <td key={column} className={`px-1 py-1 text-center ${color}`}>{votes}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
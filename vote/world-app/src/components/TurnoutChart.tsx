@@ -0,0 +1,145 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import type { SeriesBucket, TurnoutSeries } from "@/lib/turnoutSeries";
+
+interface TurnoutChartProps {
+  electionAddress: string;
+}
+
+const WIDTH = 320;
+const HEIGHT = 160;
+const PADDING = { top: 8, right: 8, bottom: 20, left: 28 };
+
+const COLORS = {
+  newVoters: "#7c3aed",
+  revisions: "#c4b5fd",
+  cumulative: "#059669"
+};
+
+function formatBucket(start: number, bucket: SeriesBucket): string {
+  const date = new Date(start * 1000);
+  return bucket === "hour"
+    ? date.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit" })
+    : date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/**
+ * New voters and ballot revisions per hour or day (stacked bars), with
+ * cumulative turnout as a line on its own scale
+ */
+export function TurnoutChart({ electionAddress }: TurnoutChartProps) {
+  const [bucket, setBucket] = useState<SeriesBucket>("hour");
+  const [series, setSeries] = useState<TurnoutSeries | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSeries(null);
+
+    const loadSeries = async () => {
+      try {
+        const response = await fetch(`/api/turnout?election=${electionAddress}&bucket=${bucket}`);
+        const data = await response.json();
+        if (!cancelled && response.ok && !data.error) {
+          setSeries(data);
+        }
+      } catch (error) {
+        console.error("Error loading turnout series:", error);
+      }
+    };
+
+    loadSeries();
+    return () => {
+      cancelled = true;
+    };
+  }, [electionAddress, bucket]);
+
+  const points = series?.points ?? [];
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(points.length, 1);
+  const maxBar = Math.max(1, ...points.map(point => point.newVoters + point.revisions));
+  const maxCumulative = Math.max(1, series?.totalVoters ?? 0);
+  const barY = (value: number) => PADDING.top + plotHeight - (value / maxBar) * plotHeight;
+  const lineY = (value: number) => PADDING.top + plotHeight - (value / maxCumulative) * plotHeight;
+  const line = points
+    .map((point, index) => `${PADDING.left + slot * (index + 0.5)},${lineY(point.cumulativeVoters)}`)
+    .join(" ");
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Turnout over time</h3>
+          <p className="text-xs text-gray-500">
+            {series
+              ? `${series.totalVoters} voters, ${series.totalRevisions} ballot revisions`
+              : "Loading ballot activity..."}
+          </p>
+        </div>
+        <div className="flex rounded-md border border-gray-200 text-xs overflow-hidden">
+          {(["hour", "day"] as const).map(option => (
+            <button
+              key={option}
+              onClick={() => setBucket(option)}
+              className={`px-2 py-1 ${bucket === option ? "bg-purple-600 text-white" : "bg-white text-gray-600"}`}
+            >
+              {option === "hour" ? "Hourly" : "Daily"}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {series && points.length === 0 && (
+        <p className="text-xs text-gray-500">No ballots have been cast yet.</p>
+      )}
+
+      {points.length > 0 && (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" role="img" aria-label="Turnout over time">
+          <line x1={PADDING.left} y1={PADDING.top + plotHeight} x2={WIDTH - PADDING.right} y2={PADDING.top + plotHeight} stroke="#e5e7eb" />
+          <text x={PADDING.left - 4} y={barY(maxBar)} textAnchor="end" dominantBaseline="central" className="text-[9px]" fill="#6b7280">
+            {maxBar}
+          </text>
+          <text x={PADDING.left - 4} y={barY(0)} textAnchor="end" dominantBaseline="central" className="text-[9px]" fill="#6b7280">
+            0
+          </text>
+
+          {points.map((point, index) => {
+            const x = PADDING.left + slot * index + slot * 0.15;
+            const width = slot * 0.7;
+            return (
+              <g key={point.start}>
+                <rect x={x} y={barY(point.newVoters)} width={width} height={barY(0) - barY(point.newVoters)} fill={COLORS.newVoters} />
+                <rect
+                  x={x}
+                  y={barY(point.newVoters + point.revisions)}
+                  width={width}
+                  height={barY(point.newVoters) - barY(point.newVoters + point.revisions)}
+                  fill={COLORS.revisions}
+                />
+                <title>
+                  {`${formatBucket(point.start, bucket)}: ${point.newVoters} new voters, ${point.revisions} revisions, ${point.cumulativeVoters} total`}
+                </title>
+              </g>
+            );
+          })}
+
+          <polyline points={line} fill="none" stroke={COLORS.cumulative} strokeWidth={1.5} />
+
+          <text x={PADDING.left} y={HEIGHT - 4} className="text-[9px]" fill="#6b7280">
+            {formatBucket(points[0].start, bucket)}
+          </text>
+          <text x={WIDTH - PADDING.right} y={HEIGHT - 4} textAnchor="end" className="text-[9px]" fill="#6b7280">
+            {formatBucket(points[points.length - 1].start, bucket)}
+          </text>
+        </svg>
+      )}
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 bg-purple-600" /> New voters</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 bg-purple-300" /> Revisions</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-4 h-0.5 bg-emerald-600" /> Cumulative turnout</span>
+      </div>
+    </div>
+  );
+}
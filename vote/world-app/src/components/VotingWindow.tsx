@@ -0,0 +1,91 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { ElectionPhase, ElectionStatus, formatCountdown, loadElectionStatus, phaseAt } from "@/lib/electionStatus";
+
+interface VotingWindowProps {
+  electionAddress: `0x${string}`;
+  /** Status already loaded by the parent; loaded here if omitted */
+  status?: ElectionStatus | null;
+}
+
+const PHASE_STYLES: Record<ElectionPhase, { label: string; className: string }> = {
+  upcoming: { label: "Upcoming", className: "bg-blue-100 text-blue-800" },
+  open: { label: "Open", className: "bg-green-100 text-green-800" },
+  closed: { label: "Closed", className: "bg-gray-200 text-gray-800" },
+  tallied: { label: "Tallied", className: "bg-purple-100 text-purple-800" }
+};
+
+function formatTime(seconds: number): string {
+  return new Date(seconds * 1000).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+}
+
+/**
+ * Election phase with a live countdown to the scheduled opening or closing
+ */
+export function VotingWindow({ electionAddress, status: providedStatus }: VotingWindowProps) {
+  const [loadedStatus, setStatus] = useState<ElectionStatus | null>(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const provided = providedStatus !== undefined;
+  const status = provided ? providedStatus : loadedStatus;
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus(null);
+    if (provided) {
+      return;
+    }
+
+    loadElectionStatus(electionAddress)
+      .then(loaded => {
+        if (!cancelled) {
+          setStatus(loaded);
+        }
+      })
+      .catch(error => console.error("Error loading voting window:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [electionAddress, provided]);
+
+  const counting = status !== null && (status.phase === "upcoming" || (status.phase === "open" && status.closesAt !== 0));
+  useEffect(() => {
+    if (!counting) {
+      return;
+    }
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [counting]);
+
+  if (!status) {
+    return null;
+  }
+
+  const phase = phaseAt(status, now);
+  const paused = phase === "open" && !status.votingActive;
+  let detail: string;
+  if (phase === "upcoming") {
+    detail = `Opens in ${formatCountdown(status.opensAt - now)} (${formatTime(status.opensAt)})`;
+  } else if (paused) {
+    detail = "Voting is paused by the election operator";
+  } else if (phase === "open") {
+    detail = status.closesAt !== 0
+      ? `Closes in ${formatCountdown(status.closesAt - now)} (${formatTime(status.closesAt)})`
+      : "Open until the election operator closes voting";
+  } else if (phase === "closed") {
+    detail = status.closesAt !== 0 && now >= status.closesAt
+      ? `Closed ${formatTime(status.closesAt)} - awaiting the official result`
+      : "Voting closed - awaiting the official result";
+  } else {
+    detail = `Official result reported at block ${status.selectionBlock}`;
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PHASE_STYLES[phase].className}`}>
+        {paused ? "Paused" : PHASE_STYLES[phase].label}
+      </span>
+      <span className="text-gray-700">{detail}</span>
+    </div>
+  );
+}
@@ -94,6 +94,27 @@ export const ELECTION_ABI = [
     "name": "InvalidCandidateId",
     "type": "error"
   },
+  {
+    "inputs": [],
+    "name": "InvalidCommitment",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "opensAt",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "closesAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "InvalidVotingWindow",
+    "type": "error"
+  },
   {
     "inputs": [],
     "name": "RankingEmpty",
@@ -110,6 +131,33 @@ export const ELECTION_ABI = [
     "name": "VoterNotFound",
     "type": "error"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "closesAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "VotingClosed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "VotingNotClosed",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "opensAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "VotingNotOpenYet",
+    "type": "error"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -151,6 +199,12 @@ export const ELECTION_ABI = [
         "name": "user",
         "type": "address"
       },
+      {
+        "indexed": true,
+        "internalType": "uint256",
+        "name": "voterId",
+        "type": "uint256"
+      },
       {
         "components": [
           {
@@ -248,6 +302,37 @@ export const ELECTION_ABI = [
     "name": "RoleRevoked",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "methodId",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "tieBreakSeed",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "ballotSetHash",
+        "type": "bytes32"
+      },
+      {
+        "indexed": false,
+        "internalType": "bytes32",
+        "name": "rankingHash",
+        "type": "bytes32"
+      }
+    ],
+    "name": "SelectionCommitted",
+    "type": "event"
+  },
   {
     "anonymous": false,
     "inputs": [
@@ -280,6 +365,25 @@ export const ELECTION_ABI = [
     "name": "Unpaused",
     "type": "event"
   },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "opensAt",
+        "type": "uint256"
+      },
+      {
+        "indexed": false,
+        "internalType": "uint256",
+        "name": "closesAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "VotingWindowSet",
+    "type": "event"
+  },
   {
     "inputs": [],
     "name": "CANDIDATE_MANAGER_ROLE",
@@ -429,6 +533,32 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "closedBlock",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "closesAt",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "createdAt",
@@ -533,6 +663,52 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "offset",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "limit",
+        "type": "uint256"
+      }
+    ],
+    "name": "getBallots",
+    "outputs": [
+      {
+        "internalType": "uint256[]",
+        "name": "voterIds",
+        "type": "uint256[]"
+      },
+      {
+        "components": [
+          {
+            "internalType": "uint256",
+            "name": "candidateId",
+            "type": "uint256"
+          },
+          {
+            "internalType": "bool",
+            "name": "tiedWithPrevious",
+            "type": "bool"
+          }
+        ],
+        "internalType": "struct Election.RankingEntry[][]",
+        "name": "rankings",
+        "type": "tuple[][]"
+      },
+      {
+        "internalType": "uint256",
+        "name": "total",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "getCandidates",
@@ -649,6 +825,19 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "getPhase",
+    "outputs": [
+      {
+        "internalType": "enum Election.Phase",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -694,6 +883,33 @@ export const ELECTION_ABI = [
         "internalType": "uint256",
         "name": "_selectionBlock",
         "type": "uint256"
+      },
+      {
+        "components": [
+          {
+            "internalType": "bytes32",
+            "name": "methodId",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "tieBreakSeed",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "ballotSetHash",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "rankingHash",
+            "type": "bytes32"
+          }
+        ],
+        "internalType": "struct Election.TallyCommitment",
+        "name": "_commitment",
+        "type": "tuple"
       }
     ],
     "stateMutability": "view",
@@ -766,6 +982,29 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "getVotingWindow",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "_opensAt",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_closesAt",
+        "type": "uint256"
+      },
+      {
+        "internalType": "enum Election.Phase",
+        "name": "_phase",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [
       {
@@ -821,6 +1060,32 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "isVotingOpen",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "opensAt",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
   {
     "inputs": [],
     "name": "pauseVoting",
@@ -878,6 +1143,33 @@ export const ELECTION_ABI = [
         "internalType": "uint256[]",
         "name": "_selectedCandidates",
         "type": "uint256[]"
+      },
+      {
+        "components": [
+          {
+            "internalType": "bytes32",
+            "name": "methodId",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "tieBreakSeed",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "ballotSetHash",
+            "type": "bytes32"
+          },
+          {
+            "internalType": "bytes32",
+            "name": "rankingHash",
+            "type": "bytes32"
+          }
+        ],
+        "internalType": "struct Election.TallyCommitment",
+        "name": "_commitment",
+        "type": "tuple"
       }
     ],
     "name": "reportSelection",
@@ -942,6 +1234,52 @@ export const ELECTION_ABI = [
     "stateMutability": "view",
     "type": "function"
   },
+  {
+    "inputs": [],
+    "name": "selectionCommitment",
+    "outputs": [
+      {
+        "internalType": "bytes32",
+        "name": "methodId",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "tieBreakSeed",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "ballotSetHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "bytes32",
+        "name": "rankingHash",
+        "type": "bytes32"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "uint256",
+        "name": "_opensAt",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_closesAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "setVotingWindow",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
   {
     "inputs": [
       {
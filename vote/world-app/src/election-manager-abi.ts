@@ -336,6 +336,57 @@ export const ELECTION_MANAGER_ABI = [
     "stateMutability": "nonpayable",
     "type": "function"
   },
+  {
+    "inputs": [
+      {
+        "internalType": "string",
+        "name": "_title",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_description",
+        "type": "string"
+      },
+      {
+        "components": [
+          {
+            "internalType": "string",
+            "name": "name",
+            "type": "string"
+          },
+          {
+            "internalType": "string",
+            "name": "description",
+            "type": "string"
+          }
+        ],
+        "internalType": "struct ElectionManager.Candidate[]",
+        "name": "_candidates",
+        "type": "tuple[]"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_opensAt",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_closesAt",
+        "type": "uint256"
+      }
+    ],
+    "name": "createElection",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
   {
     "inputs": [
       {
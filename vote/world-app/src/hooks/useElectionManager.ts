@@ -5,6 +5,7 @@ import { createPublicClient, http } from "viem";
 import { worldchainSepolia } from "viem/chains";
 import { CURRENT_NETWORK, ELECTION_MANAGER_ADDRESS } from "@/config/contracts";
 import { ELECTION_MANAGER_ABI } from "@/election-manager-abi";
+import { INDEXER_URL, loadIndexedElections } from "@/lib/indexerClient";
 
 interface Election {
   id: bigint;
@@ -60,6 +61,29 @@ export function useElectionManager(options: UseElectionManagerOptions = {}) {
       setIsLoading(true);
       setError(null);
 
+      // The event indexer lists elections with candidate counts in one request
+      // (elections newer than its confirmation depth show up on a later load)
+      if (INDEXER_URL) {
+        try {
+          const indexed = await loadIndexedElections();
+          setElections(indexed
+            .filter(election => election.id !== null)
+            .map(election => ({
+              id: BigInt(election.id!),
+              address: election.address,
+              name: election.title ?? "",
+              description: election.description ?? "",
+              worldIdAction: election.worldIdAction ?? "",
+              candidateCount: election.candidateCount,
+              isActive: election.active,
+              creator: election.creator ?? "",
+            })));
+          return;
+        } catch (error) {
+          console.warn("⚠️ Event indexer unavailable - loading elections from ElectionManager:", error);
+        }
+      }
+
       console.log("📖 Loading elections from ElectionManager using getAllElections()...");
 
       // Debug API call to track election loading
@@ -0,0 +1,191 @@
+import {
+  BaseError, ContractFunctionRevertedError, ContractFunctionZeroDataError, createPublicClient, http, PublicClient
+} from 'viem';
+import { worldchainSepolia } from 'viem/chains';
+import type { BallotSet, TallyCandidate } from 'tally';
+import { ELECTION_ABI } from '@/election-abi';
+import { CURRENT_NETWORK } from '@/config/contracts';
+import { BatchClient, BatchOptions, readBatched } from '@/lib/batchedReads';
+
+type ReadClient = BatchClient;
+
+/**
+ * Public client for the configured network, shared by the ballot loaders
+ */
+export function createElectionClient(): PublicClient {
+  return createPublicClient({
+    chain: worldchainSepolia,
+    transport: http(CURRENT_NETWORK.rpcUrl, {
+      retryCount: 3,
+      retryDelay: 1000,
+    }),
+  }) as PublicClient;
+}
+
+export interface LoadedBallotSet extends BallotSet {
+  candidates: Array<TallyCandidate & { id: number }>;
+  votes: Array<{
+    voterId: string;
+    ranking: Array<{ candidateId: number; tiedWithPrevious: boolean }>;
+  }>;
+  totalVoters: number;
+}
+
+export type Ranking = Array<{ candidateId: number; tiedWithPrevious: boolean }>;
+
+export interface BallotPage {
+  voterIds: string[];
+  rankings: Ranking[];
+  offset: number;
+  total: number;
+}
+
+export interface BallotStreamOptions {
+  pageSize?: number;
+  onProgress?: (read: number, total: number) => void;
+  batch?: BatchOptions; // Used only when getBallots is unavailable
+}
+
+export const DEFAULT_PAGE_SIZE = 500;
+
+type RawRanking = readonly { candidateId: bigint; tiedWithPrevious: boolean }[];
+
+function toRanking(entries: RawRanking): Ranking {
+  return entries.map(entry => ({
+    candidateId: Number(entry.candidateId),
+    tiedWithPrevious: entry.tiedWithPrevious,
+  }));
+}
+
+// Elections deployed before a view was added revert (or return no data) for it
+export function isMissingFunction(error: unknown): boolean {
+  return error instanceof BaseError && Boolean(error.walk(cause =>
+    cause instanceof ContractFunctionRevertedError || cause instanceof ContractFunctionZeroDataError
+  ));
+}
+
+/**
+ * Streams an election's ballots page by page through getBallots(offset, limit)
+ * Mirrors vote/contracts/scripts/ballot-pages.js: pass a blockNumber so every
+ * page reads the same state. Elections without getBallots are read with
+ * getAllVoters and batched getVote calls, yielded as a single page.
+ */
+export async function* streamBallots(
+  electionAddress: `0x${string}`,
+  client: ReadClient,
+  blockNumber?: bigint,
+  { pageSize = DEFAULT_PAGE_SIZE, onProgress, batch }: BallotStreamOptions = {}
+): AsyncGenerator<BallotPage> {
+  if (!Number.isInteger(pageSize) || pageSize < 1) {
+    throw new Error(`Page size must be a positive integer, got ${pageSize}`);
+  }
+
+  const readPage = (offset: number) => client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getBallots',
+    args: [BigInt(offset), BigInt(pageSize)],
+    blockNumber,
+  });
+
+  let page;
+  try {
+    page = await readPage(0);
+  } catch (error) {
+    if (!isMissingFunction(error)) {
+      throw error;
+    }
+    console.warn(`getBallots unavailable on ${electionAddress} - reading voters and votes individually`);
+    yield await readWithoutPages(electionAddress, client, blockNumber, onProgress, batch);
+    return;
+  }
+
+  const total = Number(page[2]);
+  for (let offset = 0; offset < total; offset += pageSize) {
+    if (offset > 0) {
+      page = await readPage(offset);
+    }
+    const [voterIds, rankings] = page;
+    onProgress?.(offset + voterIds.length, total);
+    yield { voterIds: voterIds.map(String), rankings: rankings.map(toRanking), offset, total };
+  }
+}
+
+async function readWithoutPages(
+  electionAddress: `0x${string}`,
+  client: ReadClient,
+  blockNumber: bigint | undefined,
+  onProgress: BallotStreamOptions['onProgress'],
+  batch: BatchOptions | undefined
+): Promise<BallotPage> {
+  const voters = await client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getAllVoters',
+    blockNumber,
+  });
+
+  const results = await readBatched<RawRanking>(client, voters.map(voterId => ({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getVote',
+    args: [voterId],
+  })), blockNumber, batch);
+
+  // A missing ballot would silently change the tally, so any failed read (after retries) fails the load
+  const page: BallotPage = { voterIds: [], rankings: [], offset: 0, total: voters.length };
+  results.forEach((result, index) => {
+    if (!result.success) {
+      throw new Error(`Failed to read vote for voter ${voters[index]} at block ${blockNumber ?? 'latest'}: ${result.error.message}`);
+    }
+    page.voterIds.push(voters[index].toString());
+    page.rankings.push(toRanking(result.value));
+  });
+  onProgress?.(voters.length, voters.length);
+  return page;
+}
+
+/**
+ * Loads every ballot from an election contract as a plain ballot set for the tally engine
+ * Candidate IDs are numbers and voter IDs strings so the result is JSON-safe
+ * Ballots are read page by page (see streamBallots)
+ */
+export async function loadBallotSet(
+  electionAddress: `0x${string}`,
+  publicClient?: ReadClient, // Allow injection for testing
+  blockNumber?: bigint, // Read state at this block instead of latest
+  options: BallotStreamOptions = {}
+): Promise<LoadedBallotSet> {
+  const client: ReadClient = publicClient || createElectionClient();
+
+  const candidates = await client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getCandidates',
+    blockNumber,
+  });
+
+  const votes: LoadedBallotSet['votes'] = [];
+  let totalVoters = 0;
+  for await (const page of streamBallots(electionAddress, client, blockNumber, options)) {
+    totalVoters = page.total;
+    page.rankings.forEach((ranking, index) => {
+      if (ranking.length > 0) {
+        votes.push({ voterId: page.voterIds[index], ranking });
+      }
+    });
+  }
+
+  return {
+    candidates: candidates
+      .filter(candidate => candidate.active)
+      .map(candidate => ({
+        id: Number(candidate.id),
+        name: candidate.name,
+        description: candidate.description,
+        active: candidate.active,
+      })),
+    votes,
+    totalVoters,
+  };
+}
@@ -0,0 +1,120 @@
+import type { Abi, PublicClient } from 'viem';
+
+/**
+ * Multicall3 batching for contract reads
+ *
+ * Mirrors vote/contracts/scripts/multicall.js: calls go out in aggregate3
+ * chunks of chunkSize, at most `concurrency` chunks at a time, and a failed
+ * chunk is retried. Clients without a Multicall3 address (from the chain
+ * definition or multicallAddress) fall back to individual readContract calls
+ * under the same concurrency limit, as does a chunk that keeps failing.
+ */
+
+export type BatchClient = Pick<PublicClient, 'readContract'> & Partial<Pick<PublicClient, 'multicall' | 'chain'>>;
+
+export interface BatchOptions {
+  chunkSize?: number;
+  concurrency?: number;
+  retries?: number;
+  retryDelayMs?: number;
+  multicallAddress?: `0x${string}`;
+}
+
+export interface BatchCall {
+  address: `0x${string}`;
+  abi: Abi;
+  functionName: string;
+  args?: readonly unknown[];
+}
+
+export type BatchResult<T> = { success: true; value: T } | { success: false; error: Error };
+
+export const DEFAULT_BATCH_OPTIONS: Required<Omit<BatchOptions, 'multicallAddress'>> = {
+  chunkSize: 250,
+  concurrency: 4,
+  retries: 2,
+  retryDelayMs: 500,
+};
+
+/**
+ * Map items with at most `limit` promises in flight, keeping input order
+ */
+export async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function withRetry<T>(fn: () => Promise<T>, retries: number, retryDelayMs: number): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Read many view calls at one block, batched through Multicall3 when available
+ */
+export async function readBatched<T>(
+  client: BatchClient,
+  calls: BatchCall[],
+  blockNumber?: bigint,
+  options: BatchOptions = {}
+): Promise<BatchResult<T>[]> {
+  const { chunkSize, concurrency, retries, retryDelayMs } = { ...DEFAULT_BATCH_OPTIONS, ...options };
+  const multicallAddress = options.multicallAddress || client.chain?.contracts?.multicall3?.address;
+
+  const readIndividually = (list: BatchCall[]) => mapWithConcurrency(list, concurrency, async (call): Promise<BatchResult<T>> => {
+    try {
+      const value = await withRetry(() => client.readContract({ ...call, blockNumber }), retries, retryDelayMs);
+      return { success: true, value: value as T };
+    } catch (error) {
+      return { success: false, error: error as Error };
+    }
+  });
+
+  if (!client.multicall || !multicallAddress) {
+    return readIndividually(calls);
+  }
+
+  const multicall = client.multicall;
+  const chunks: BatchCall[][] = [];
+  for (let start = 0; start < calls.length; start += chunkSize) {
+    chunks.push(calls.slice(start, start + chunkSize));
+  }
+
+  const chunkResults = await mapWithConcurrency(chunks, concurrency, async chunk => {
+    let results;
+    try {
+      results = await withRetry(() => multicall({
+        contracts: chunk,
+        allowFailure: true,
+        blockNumber,
+        multicallAddress,
+        batchSize: 0, // Chunked above
+      }), retries, retryDelayMs);
+    } catch (error) {
+      console.warn(`Multicall failed for ${chunk.length} calls - reading them individually:`, error);
+      return readIndividually(chunk);
+    }
+
+    return results.map((result): BatchResult<T> => result.status === 'success'
+      ? { success: true, value: result.result as T }
+      : { success: false, error: result.error });
+  });
+
+  return chunkResults.flat();
+}
@@ -0,0 +1,44 @@
+import type { PublicClient } from 'viem';
+
+/**
+ * Block-pinned reads (mirrors vote/contracts/scripts/block-state.js)
+ *
+ * Results at a past block need an RPC with archive state. Without it the
+ * read must fail with a clear error instead of returning latest state.
+ */
+
+// Messages RPC nodes use when historical state has been pruned
+const MISSING_STATE_PATTERN = /missing trie node|header not found|state (is )?not available|historical state|pruned|archive/i;
+
+/**
+ * A block the RPC cannot serve: ahead of the chain, pruned, or before the contract existed
+ */
+export class BlockStateError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'BlockStateError';
+  }
+}
+
+/**
+ * Throws a BlockStateError unless the client has the contract's state at blockNumber
+ */
+export async function assertBlockState(
+  client: Pick<PublicClient, 'getCode'>,
+  address: `0x${string}`,
+  blockNumber: bigint
+): Promise<void> {
+  let code;
+  try {
+    code = await client.getCode({ address, blockNumber });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (MISSING_STATE_PATTERN.test(message)) {
+      throw new BlockStateError(`The RPC has no state for block ${blockNumber} - an archive node is required`);
+    }
+    throw error;
+  }
+  if (!code || code === '0x') {
+    throw new BlockStateError(`No contract at ${address} at block ${blockNumber}`);
+  }
+}
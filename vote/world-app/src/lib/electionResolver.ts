@@ -0,0 +1,75 @@
+import { BaseError, ContractFunctionRevertedError, isAddress, type PublicClient } from 'viem';
+import { ELECTION_MANAGER_ABI } from '@/election-manager-abi';
+import { ELECTION_MANAGER_ADDRESS } from '@/config/contracts';
+import { createElectionClient } from '@/lib/ballotLoader';
+import { INDEXER_URL, loadIndexedElection } from '@/lib/indexerClient';
+
+type ReadClient = Pick<PublicClient, 'readContract'>;
+
+export interface RegisteredElection {
+  id: number;
+  address: `0x${string}`;
+  title: string;
+  active: boolean;
+}
+
+/**
+ * Resolves an election contract address or ElectionManager election ID to a
+ * registered election, or null if the manager does not know it
+ * The event indexer answers first when configured; elections it has not
+ * indexed yet are looked up on the manager.
+ */
+export async function resolveElection(
+  election: string,
+  publicClient: ReadClient = createElectionClient(),
+  managerAddress = ELECTION_MANAGER_ADDRESS as `0x${string}`,
+  indexerUrl = INDEXER_URL
+): Promise<RegisteredElection | null> {
+  if (indexerUrl) {
+    try {
+      const indexed = await loadIndexedElection(election, indexerUrl);
+      if (indexed && indexed.id !== null && indexed.title !== null) {
+        return { id: indexed.id, address: indexed.address, title: indexed.title, active: indexed.active };
+      }
+    } catch (error) {
+      console.warn('Event indexer unavailable - resolving the election on the ElectionManager:', error);
+    }
+  }
+
+  let electionId: bigint;
+
+  try {
+    if (isAddress(election)) {
+      electionId = await publicClient.readContract({
+        address: managerAddress,
+        abi: ELECTION_MANAGER_ABI,
+        functionName: 'getElectionIdByAddress',
+        args: [election],
+      });
+    } else if (/^\d+$/.test(election)) {
+      electionId = BigInt(election);
+    } else {
+      return null;
+    }
+
+    const info = await publicClient.readContract({
+      address: managerAddress,
+      abi: ELECTION_MANAGER_ABI,
+      functionName: 'getElection',
+      args: [electionId],
+    });
+
+    return {
+      id: Number(info.id),
+      address: info.electionAddress,
+      title: info.title,
+      active: info.active,
+    };
+  } catch (error) {
+    // ElectionNotFound reverts mean "not registered"; anything else is a real failure
+    if (error instanceof BaseError && error.walk(cause => cause instanceof ContractFunctionRevertedError)) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,143 @@
+import { hexToString, type PublicClient } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { createElectionClient, isMissingFunction } from '@/lib/ballotLoader';
+
+type ReadClient = Pick<PublicClient, 'readContract'>;
+
+/** Election.Phase, in enum order */
+export const ELECTION_PHASES = ['upcoming', 'open', 'closed', 'tallied'] as const;
+
+export type ElectionPhase = typeof ELECTION_PHASES[number];
+
+/**
+ * Tally commitment recorded with the selection, enough to recompute the
+ * result from the ballots at selectionBlock and prove a misreport
+ */
+export interface SelectionCommitment {
+  /** Tally method key, e.g. "tideman" */
+  method: string;
+  methodId: `0x${string}`;
+  /** Seed of random tie-breaks (zero when ties follow candidate order) */
+  tieBreakSeed: `0x${string}`;
+  /** keccak256 of the canonical JSON of the counted ballots */
+  ballotSetHash: `0x${string}`;
+  /** keccak256 of the canonical JSON of the full ranking */
+  rankingHash: `0x${string}`;
+}
+
+export interface ElectionStatus {
+  votingActive: boolean;
+  /** Ballots cast, including rankings later cleared */
+  voteCount: number;
+  candidateCount: number;
+  /** Block the reported selection was computed at (0 until reportSelection) */
+  selectionBlock: number;
+  /** Candidate IDs reported on chain with reportSelection */
+  selectedCandidates: number[];
+  phase: ElectionPhase;
+  /** Unix seconds voting opens (0 = open from creation) */
+  opensAt: number;
+  /** Unix seconds voting closes (0 = closed manually by pausing) */
+  closesAt: number;
+  /** Reported tally commitment (null before reportSelection and for older elections) */
+  commitment: SelectionCommitment | null;
+}
+
+/**
+ * Loads voting state, the voting window and the reported on-chain selection
+ * of an election with its tally commitment (getElectionStatus includes the
+ * selected candidates and selectionBlock). Elections deployed before voting
+ * windows are open until paused.
+ */
+export async function loadElectionStatus(
+  electionAddress: `0x${string}`,
+  publicClient: ReadClient = createElectionClient()
+): Promise<ElectionStatus> {
+  const [[votingActive, voteCount, candidateCount, selectionBlock, selectedCandidates], window] = await Promise.all([
+    publicClient.readContract({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      functionName: 'getElectionStatus',
+    }) as Promise<readonly [boolean, bigint, bigint, bigint, readonly bigint[]]>,
+    (publicClient.readContract({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      functionName: 'getVotingWindow',
+    }) as Promise<readonly [bigint, bigint, number]>).catch(error => {
+      if (isMissingFunction(error)) {
+        return null;
+      }
+      throw error;
+    }),
+  ]);
+
+  const commitment = selectionBlock !== BigInt(0)
+    ? await (publicClient.readContract({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      functionName: 'selectionCommitment',
+    }) as Promise<readonly [`0x${string}`, `0x${string}`, `0x${string}`, `0x${string}`]>).catch(error => {
+      if (isMissingFunction(error)) {
+        return null;
+      }
+      throw error;
+    })
+    : null;
+
+  const fallbackPhase: ElectionPhase = selectionBlock !== BigInt(0) ? 'tallied' : votingActive ? 'open' : 'closed';
+
+  return {
+    votingActive,
+    voteCount: Number(voteCount),
+    candidateCount: Number(candidateCount),
+    selectionBlock: Number(selectionBlock),
+    selectedCandidates: selectedCandidates.map(id => Number(id)),
+    phase: window ? ELECTION_PHASES[window[2]] : fallbackPhase,
+    opensAt: window ? Number(window[0]) : 0,
+    closesAt: window ? Number(window[1]) : 0,
+    commitment: commitment ? decodeCommitment(commitment) : null
+  };
+}
+
+function decodeCommitment([methodId, tieBreakSeed, ballotSetHash, rankingHash]: readonly [`0x${string}`, `0x${string}`, `0x${string}`, `0x${string}`]): SelectionCommitment {
+  return {
+    method: hexToString(methodId, { size: 32 }),
+    methodId,
+    tieBreakSeed,
+    ballotSetHash,
+    rankingHash
+  };
+}
+
+/**
+ * Phase at a given time, so countdowns can move from upcoming to open and
+ * from open to closed without reloading the status
+ */
+export function phaseAt(status: Pick<ElectionStatus, 'phase' | 'opensAt' | 'closesAt'>, nowSeconds: number): ElectionPhase {
+  if (status.phase === 'upcoming' && nowSeconds >= status.opensAt) {
+    return status.closesAt !== 0 && nowSeconds >= status.closesAt ? 'closed' : 'open';
+  }
+  if (status.phase === 'open' && status.closesAt !== 0 && nowSeconds >= status.closesAt) {
+    return 'closed';
+  }
+  return status.phase;
+}
+
+/**
+ * Compact time remaining, e.g. "2d 4h", "3h 05m" or "4m 09s"
+ */
+export function formatCountdown(seconds: number): string {
+  const remaining = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(remaining / 86400);
+  const hours = Math.floor((remaining % 86400) / 3600);
+  const minutes = Math.floor((remaining % 3600) / 60);
+  const pad = (value: number) => String(value).padStart(2, '0');
+
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${pad(minutes)}m`;
+  }
+  return `${minutes}m ${pad(remaining % 60)}s`;
+}
@@ -0,0 +1,267 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import type { PublicClient } from 'viem';
+import { PairwiseAggregator, PairwiseCheckpoint } from 'tally';
+import { ELECTION_ABI } from '@/election-abi';
+import { BallotStreamOptions, createElectionClient, isMissingFunction, streamBallots } from '@/lib/ballotLoader';
+import type { BatchClient } from '@/lib/batchedReads';
+import { INDEXER_URL, loadIndexedBallots } from '@/lib/indexerClient';
+import { BlockStateError, assertBlockState } from '@/lib/blockState';
+
+type EventClient = BatchClient & Pick<PublicClient, 'getBlock' | 'getBlockNumber' | 'getCode' | 'getContractEvents'>;
+
+// Checkpoint plus the contract's getVoteCount and the hash of the same block
+export type StoredCheckpoint = PairwiseCheckpoint & { voteCount: number; blockHash?: `0x${string}` };
+
+export interface CheckpointStore {
+  load(electionAddress: string): Promise<StoredCheckpoint | null>;
+  save(electionAddress: string, checkpoint: StoredCheckpoint): Promise<void>;
+}
+
+export interface IncrementalLoadOptions {
+  publicClient?: EventClient; // Allow injection for testing
+  store?: CheckpointStore;
+  blockRange?: bigint; // Max blocks per log query
+  blockNumber?: bigint; // Tally as of this block instead of the latest
+  onProgress?: BallotStreamOptions['onProgress']; // Ballots read so far, on a full read
+  indexerUrl?: string; // Event indexer to take full reads from, when it has the block
+  confirmations?: bigint; // Blocks a checkpoint stays behind the head (default 6, as the event indexer)
+}
+
+/**
+ * Checkpoint store backed by JSON files (TALLY_CHECKPOINT_DIR or the OS temp dir)
+ */
+export function createFileCheckpointStore(
+  directory = process.env.TALLY_CHECKPOINT_DIR || path.join(os.tmpdir(), 'eg25-tally-checkpoints')
+): CheckpointStore {
+  const fileFor = (electionAddress: string) => path.join(directory, `${electionAddress.toLowerCase()}.json`);
+
+  return {
+    async load(electionAddress) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(electionAddress), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    async save(electionAddress, checkpoint) {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(electionAddress), JSON.stringify(checkpoint));
+    },
+  };
+}
+
+const defaultStore = createFileCheckpointStore();
+
+// Per election address: whether its RankingUpdated lacks the voterId (probed once)
+const legacyEvents = new Map<string, boolean>();
+
+/**
+ * Loads an election's pairwise aggregator, applying only the RankingUpdated
+ * events since the last checkpoint instead of re-reading every ballot
+ *
+ * Without a checkpoint the ballots are read once at the last confirmed block.
+ *
+ * Elections deployed before RankingUpdated carried the voterId emit no event
+ * this loader can match, so a revised ballot would never be applied. They are
+ * recognised by the missing getBallots view (added after the voterId) and
+ * always read in full, without a checkpoint.
+ *
+ * Checkpoints are only saved `confirmations` blocks behind the head, with
+ * that block's hash. Newer events are applied in memory for each request, so
+ * a reorg never leaves dropped rankings in the stored matrix; a checkpoint
+ * whose block is no longer on the chain is discarded and the ballots re-read.
+ *
+ * A past blockNumber reads the ballots at that block without touching the
+ * checkpoint, since checkpoints only move forward. Every read is pinned to
+ * that block, and a BlockStateError is thrown if the RPC cannot serve it.
+ */
+export async function loadPairwiseAggregator(
+  electionAddress: `0x${string}`,
+  {
+    publicClient,
+    store = defaultStore,
+    blockRange = BigInt(10000),
+    blockNumber: atBlock,
+    onProgress,
+    indexerUrl = INDEXER_URL,
+    confirmations = BigInt(6),
+  }: IncrementalLoadOptions = {}
+): Promise<PairwiseAggregator> {
+  const client: EventClient = publicClient || createElectionClient();
+  const blockNumber = await client.getBlockNumber();
+  if (atBlock !== undefined) {
+    if (atBlock > blockNumber) {
+      throw new BlockStateError(`Block ${atBlock} is ahead of the latest block ${blockNumber}`);
+    }
+    if (atBlock < blockNumber) {
+      await assertBlockState(client, electionAddress, atBlock);
+      return loadFromBallots(electionAddress, client, atBlock, { onProgress, indexerUrl });
+    }
+  }
+
+  if (await hasLegacyEvents(client, electionAddress, blockNumber)) {
+    return loadFromBallots(electionAddress, client, blockNumber, { onProgress, indexerUrl });
+  }
+
+  const confirmedBlock = blockNumber > confirmations ? blockNumber - confirmations : BigInt(0);
+  const code = await client.getCode({ address: electionAddress, blockNumber: confirmedBlock });
+  if (!code || code === '0x') {
+    // Deployed within the unconfirmed blocks - nothing to checkpoint yet
+    return loadFromBallots(electionAddress, client, blockNumber, { onProgress, indexerUrl });
+  }
+
+  const [checkpoint, confirmedVoteCount, { hash: confirmedHash }] = await Promise.all([
+    store.load(electionAddress),
+    readVoteCount(client, electionAddress, confirmedBlock),
+    client.getBlock({ blockNumber: confirmedBlock }),
+  ]);
+
+  let aggregator: PairwiseAggregator | null = null;
+  if (checkpoint && await isOnChain(client, checkpoint, confirmedBlock)) {
+    aggregator = PairwiseAggregator.fromCheckpoint(checkpoint);
+    const candidates = await client.readContract({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      functionName: 'getCandidates',
+      blockNumber: confirmedBlock,
+    });
+    aggregator.setCandidates(activeCandidates(candidates));
+
+    await applyEvents(client, electionAddress, aggregator, BigInt(checkpoint.blockNumber) + BigInt(1), confirmedBlock, blockRange);
+  } else if (checkpoint) {
+    console.warn(`Checkpoint block ${checkpoint.blockNumber} of ${electionAddress} is no longer confirmed - re-reading all ballots`);
+  }
+  if (!aggregator) {
+    aggregator = await loadFromBallots(electionAddress, client, confirmedBlock, { onProgress, indexerUrl });
+  }
+  aggregator.advanceTo(confirmedBlock);
+  await store.save(electionAddress, { ...aggregator.toCheckpoint(), voteCount: confirmedVoteCount, blockHash: confirmedHash ?? undefined });
+
+  // Unconfirmed blocks are applied for this request only
+  const candidates = await client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getCandidates',
+    blockNumber,
+  });
+  aggregator.setCandidates(activeCandidates(candidates));
+  await applyEvents(client, electionAddress, aggregator, confirmedBlock + BigInt(1), blockNumber, blockRange);
+  aggregator.advanceTo(blockNumber);
+  return aggregator;
+}
+
+async function hasLegacyEvents(client: EventClient, electionAddress: `0x${string}`, blockNumber: bigint) {
+  const key = electionAddress.toLowerCase();
+  if (!legacyEvents.has(key)) {
+    try {
+      await client.readContract({
+        address: electionAddress,
+        abi: ELECTION_ABI,
+        functionName: 'getBallots',
+        args: [BigInt(0), BigInt(0)],
+        blockNumber,
+      });
+      legacyEvents.set(key, false);
+    } catch (error) {
+      if (!isMissingFunction(error)) {
+        throw error;
+      }
+      console.warn(`RankingUpdated on ${electionAddress} has no voterId - reading all ballots for every tally`);
+      legacyEvents.set(key, true);
+    }
+  }
+  return legacyEvents.get(key)!;
+}
+
+function readVoteCount(client: EventClient, electionAddress: `0x${string}`, blockNumber: bigint) {
+  return client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getVoteCount',
+    blockNumber,
+  }).then(Number);
+}
+
+// A checkpoint can be extended if its block is confirmed and still on the chain
+async function isOnChain(client: EventClient, checkpoint: StoredCheckpoint, confirmedBlock: bigint) {
+  const blockNumber = BigInt(checkpoint.blockNumber);
+  if (!checkpoint.blockHash || blockNumber > confirmedBlock) {
+    return false;
+  }
+  const block = await client.getBlock({ blockNumber });
+  return block.hash === checkpoint.blockHash;
+}
+
+// Applies the RankingUpdated events in [fromBlock, toBlock]
+async function applyEvents(
+  client: EventClient,
+  electionAddress: `0x${string}`,
+  aggregator: PairwiseAggregator,
+  fromBlock: bigint,
+  toBlock: bigint,
+  blockRange: bigint
+) {
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = start + blockRange - BigInt(1) < toBlock ? start + blockRange - BigInt(1) : toBlock;
+    const events = await client.getContractEvents({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      eventName: 'RankingUpdated',
+      fromBlock: start,
+      toBlock: end,
+    });
+
+    for (const event of events) {
+      const { voterId, newRanking } = event.args;
+      if (voterId === undefined || newRanking === undefined) continue;
+      aggregator.applyRanking(voterId, newRanking as Array<{ candidateId: bigint; tiedWithPrevious: boolean }>, event.blockNumber);
+    }
+  }
+}
+
+// Ballots go into the aggregator one page at a time, never all held at once
+// (or come from the event indexer when it has reached the block)
+async function loadFromBallots(
+  electionAddress: `0x${string}`,
+  client: EventClient,
+  blockNumber: bigint,
+  { onProgress, indexerUrl }: Pick<IncrementalLoadOptions, 'onProgress' | 'indexerUrl'>
+) {
+  const candidates = await client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'getCandidates',
+    blockNumber,
+  });
+  const aggregator = new PairwiseAggregator(activeCandidates(candidates), { blockNumber: Number(blockNumber) });
+
+  const indexed = indexerUrl ? await loadIndexedBallots(electionAddress, blockNumber, indexerUrl).catch(error => {
+    console.warn('Event indexer unavailable - reading ballots from the contract:', error);
+    return null;
+  }) : null;
+  const pages = indexed
+    ? [{ voterIds: indexed.map(ballot => ballot.voterId), rankings: indexed.map(ballot => ballot.ranking) }]
+    : streamBallots(electionAddress, client, blockNumber, { onProgress });
+
+  for await (const page of pages) {
+    page.rankings.forEach((ranking, index) => {
+      if (ranking.length > 0) {
+        aggregator.applyRanking(page.voterIds[index], ranking);
+      }
+    });
+  }
+  return aggregator;
+}
+
+function activeCandidates(candidates: readonly { id: bigint; name: string; description: string; active: boolean }[]) {
+  return candidates
+    .filter(candidate => candidate.active)
+    .map(candidate => ({
+      id: Number(candidate.id),
+      name: candidate.name,
+      description: candidate.description,
+      active: candidate.active,
+    }));
+}
@@ -0,0 +1,132 @@
+/**
+ * Client for the local event indexer (vote/contracts/scripts/run-indexer.js)
+ *
+ * Set NEXT_PUBLIC_INDEXER_URL to read election lists and ballots from the
+ * indexer instead of contract views. The indexer trails the chain head by its
+ * confirmation depth, so callers fall back to the contract when it has not
+ * reached the block they need or is unreachable.
+ */
+
+import type { SelectionCommitment } from '@/lib/electionStatus';
+
+export const INDEXER_URL = process.env.NEXT_PUBLIC_INDEXER_URL || '';
+
+export interface IndexedElection {
+  id: number | null; // null for elections not created through the ElectionManager
+  address: `0x${string}`;
+  title: string | null;
+  description: string | null;
+  creator: string | null;
+  worldIdAction: string | null;
+  createdAt: number | null;
+  createdBlock: number | null;
+  active: boolean;
+  deactivatedBlock: number | null;
+  opensAt: number; // 0 = open from creation
+  closesAt: number; // 0 = no scheduled close
+  candidateCount: number;
+  voterCount: number;
+  rankingUpdateCount: number;
+  selection: {
+    selectedCandidates: number[];
+    selectionBlock: number;
+    commitment: SelectionCommitment | null; // null for elections deployed before tally commitments
+    blockNumber: number;
+    transactionHash: string;
+  } | null;
+}
+
+export interface IndexedBallot {
+  voterId: string;
+  ranking: Array<{ candidateId: number; tiedWithPrevious: boolean }>;
+  blockNumber: number;
+  transactionHash: string;
+  revisions: number;
+}
+
+type IndexerResponse<T> = T & { indexedBlock: number };
+
+export class IndexerError extends Error {
+  constructor(message: string, readonly status?: number) {
+    super(message);
+    this.name = 'IndexerError';
+  }
+}
+
+async function fetchIndexer<T>(baseUrl: string, path: string): Promise<IndexerResponse<T>> {
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}${path}`);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new IndexerError(body.error || `Indexer returned ${response.status}`, response.status);
+  }
+  return body;
+}
+
+/**
+ * Every indexed election, in creation order
+ */
+export async function loadIndexedElections(baseUrl = INDEXER_URL): Promise<IndexedElection[]> {
+  const { elections } = await fetchIndexer<{ elections: IndexedElection[] }>(baseUrl, '/elections');
+  return elections;
+}
+
+/**
+ * An election by contract address or ElectionManager ID, or null if not indexed (yet)
+ */
+export async function loadIndexedElection(election: string, baseUrl = INDEXER_URL): Promise<IndexedElection | null> {
+  try {
+    const body = await fetchIndexer<{ election: IndexedElection }>(baseUrl, `/elections/${encodeURIComponent(election)}`);
+    return body.election;
+  } catch (error) {
+    if (error instanceof IndexerError && error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Each voter's latest ranking as of blockNumber, or null if the indexer has
+ * not reached that block
+ */
+export async function loadIndexedBallots(
+  electionAddress: `0x${string}`,
+  blockNumber: bigint,
+  baseUrl = INDEXER_URL
+): Promise<IndexedBallot[] | null> {
+  try {
+    const { ballots } = await fetchIndexer<{ ballots: IndexedBallot[] }>(
+      baseUrl,
+      `/elections/${electionAddress}/ballots?block=${blockNumber}`
+    );
+    return ballots;
+  } catch (error) {
+    if (error instanceof IndexerError && (error.status === 404 || error.status === 409)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * RankingUpdated events up to toBlock, oldest first, or null if the indexer
+ * has not reached that block
+ */
+export async function loadIndexedRankingUpdates(
+  electionAddress: `0x${string}`,
+  toBlock: bigint,
+  baseUrl = INDEXER_URL
+): Promise<Omit<IndexedBallot, 'revisions'>[] | null> {
+  try {
+    const { rankingUpdates } = await fetchIndexer<{ rankingUpdates: Omit<IndexedBallot, 'revisions'>[] }>(
+      baseUrl,
+      `/elections/${electionAddress}/ranking-updates?toBlock=${toBlock}`
+    );
+    return rankingUpdates;
+  } catch (error) {
+    if (error instanceof IndexerError && (error.status === 404 || error.status === 409)) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,93 @@
+import { RankedPair } from "tally";
+
+/**
+ * Ranked Pairs lock graph layout
+ *
+ * Pure geometry and replay state for RankedPairsGraph: candidates sit on a
+ * circle, each ranked pair is an arrow from winner to loser, and step n of
+ * the replay shows the first n pairs in locking order (strongest margin
+ * first) as locked or skipped.
+ */
+
+export interface NodePosition {
+  id: number;
+  x: number;
+  y: number;
+}
+
+export type EdgeStatus = "pending" | "locked" | "skipped";
+
+export interface LockGraphEdge {
+  pair: RankedPair;
+  status: EdgeStatus;
+  /** True for the pair decided at the current step */
+  current: boolean;
+  /** Stroke width scaled by margin */
+  width: number;
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+}
+
+export const NODE_RADIUS = 22;
+const MIN_EDGE_WIDTH = 1.5;
+const MAX_EDGE_WIDTH = 7;
+
+/**
+ * Place candidates evenly on a circle, first candidate at the top
+ */
+export function layoutNodes(ids: number[], size: number): NodePosition[] {
+  const center = size / 2;
+  const radius = ids.length > 1 ? center - NODE_RADIUS - 12 : 0;
+  return ids.map((id, index) => {
+    const angle = (2 * Math.PI * index) / ids.length - Math.PI / 2;
+    return { id, x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) };
+  });
+}
+
+/**
+ * Edges at a replay step, trimmed to the node circles so arrowheads stay visible
+ */
+export function lockGraphEdges(
+  rankedPairs: RankedPair[],
+  lockedPairs: string[],
+  nodes: NodePosition[],
+  step: number
+): LockGraphEdge[] {
+  const locked = new Set(lockedPairs);
+  const position = new Map(nodes.map(node => [node.id, node]));
+  const maxMargin = Math.max(1, ...rankedPairs.map(pair => pair.margin));
+
+  return rankedPairs.flatMap((pair, index) => {
+    const from = position.get(pair.winner);
+    const to = position.get(pair.loser);
+    if (!from || !to) {
+      return [];
+    }
+
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const dx = ((to.x - from.x) / length) * NODE_RADIUS;
+    const dy = ((to.y - from.y) / length) * NODE_RADIUS;
+    const decided = index < step;
+
+    return [{
+      pair,
+      status: decided ? (locked.has(`${pair.winner}-${pair.loser}`) ? "locked" : "skipped") : "pending",
+      current: index === step - 1,
+      width: MIN_EDGE_WIDTH + ((MAX_EDGE_WIDTH - MIN_EDGE_WIDTH) * pair.margin) / maxMargin,
+      x1: from.x + dx,
+      y1: from.y + dy,
+      x2: to.x - dx * 1.3,
+      y2: to.y - dy * 1.3
+    }];
+  });
+}
+
+/**
+ * Candidates with no locked defeat so far - the winner once every pair is decided
+ */
+export function undefeatedCandidates(ids: number[], edges: LockGraphEdge[]): number[] {
+  const defeated = new Set(edges.filter(edge => edge.status === "locked").map(edge => edge.pair.loser));
+  return ids.filter(id => !defeated.has(id));
+}
@@ -0,0 +1,212 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { NextRequest, NextResponse } from 'next/server';
+import type { PublicClient } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { createElectionClient } from '@/lib/ballotLoader';
+
+type EventClient = Pick<PublicClient, 'getBlockNumber' | 'getContractEvents'>;
+
+// Logs that change what the result routes return
+const INVALIDATING_EVENTS = new Set(['RankingUpdated', 'SelectionCompleted']);
+
+export interface CachedResults {
+  body: unknown;
+  status: number;
+  etag: string;
+  /** Block the results were computed at */
+  blockNumber: number;
+  /** Latest block scanned without finding an invalidating log */
+  checkedBlock: number;
+}
+
+export interface ResultsCacheStore {
+  get(key: string): Promise<CachedResults | null>;
+  set(key: string, entry: CachedResults): Promise<void>;
+}
+
+export interface ComputedResults {
+  body: unknown;
+  status?: number;
+  blockNumber: number;
+}
+
+export interface ResultsCacheOptions {
+  publicClient?: EventClient; // Allow injection for testing
+  store?: ResultsCacheStore;
+  blockRange?: bigint; // Max blocks per log query
+  /** Results at a fixed past block never change, so skip the log scan */
+  pinned?: boolean;
+}
+
+/**
+ * In-process store, dropping the oldest entries beyond maxEntries
+ */
+export function createMemoryResultsStore(maxEntries = 500): ResultsCacheStore {
+  const entries = new Map<string, CachedResults>();
+
+  return {
+    async get(key) {
+      return entries.get(key) ?? null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value!);
+      }
+    },
+  };
+}
+
+/**
+ * Store backed by JSON files, shared across restarts and server processes
+ */
+export function createFileResultsStore(directory: string): ResultsCacheStore {
+  const fileFor = (key: string) => path.join(directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      } catch {
+        return null;
+      }
+    },
+    async set(key, entry) {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    },
+  };
+}
+
+// On disk when RESULTS_CACHE_DIR is set, otherwise per server process
+const defaultStore = process.env.RESULTS_CACHE_DIR
+  ? createFileResultsStore(process.env.RESULTS_CACHE_DIR)
+  : createMemoryResultsStore();
+
+/**
+ * Cache key for one route's results: election, algorithm, the options that
+ * change the outcome and the block (latest unless pinned)
+ */
+export function resultsCacheKey(
+  electionAddress: string,
+  algorithm: string,
+  options: Record<string, string | number | undefined> = {},
+  blockNumber?: bigint
+): string {
+  const settings = Object.keys(options)
+    .filter(name => options[name] !== undefined)
+    .sort()
+    .map(name => `${name}=${options[name]}`)
+    .join('&');
+  return [electionAddress.toLowerCase(), algorithm, settings, blockNumber === undefined ? 'latest' : blockNumber.toString()].join('|');
+}
+
+// Concurrent requests for the same key share one check and computation
+const inFlight = new Map<string, Promise<{ entry: CachedResults; hit: boolean }>>();
+
+/**
+ * Returns cached results unless a RankingUpdated or SelectionCompleted log
+ * appeared after they were computed, otherwise computes and stores them
+ */
+export function getCachedResults(
+  electionAddress: `0x${string}`,
+  key: string,
+  compute: () => Promise<ComputedResults>,
+  options: ResultsCacheOptions = {}
+): Promise<{ entry: CachedResults; hit: boolean }> {
+  const pending = inFlight.get(key);
+  if (pending) {
+    return pending;
+  }
+
+  const lookup = lookupResults(electionAddress, key, compute, options).finally(() => inFlight.delete(key));
+  inFlight.set(key, lookup);
+  return lookup;
+}
+
+async function lookupResults(
+  electionAddress: `0x${string}`,
+  key: string,
+  compute: () => Promise<ComputedResults>,
+  { publicClient, store = defaultStore, blockRange = BigInt(10000), pinned = false }: ResultsCacheOptions
+): Promise<{ entry: CachedResults; hit: boolean }> {
+  const cached = await store.get(key);
+
+  if (cached && pinned) {
+    return { entry: cached, hit: true };
+  }
+
+  if (cached) {
+    const client: EventClient = publicClient || createElectionClient();
+    const latestBlock = await client.getBlockNumber();
+    const stale = await hasInvalidatingLogs(client, electionAddress, BigInt(cached.checkedBlock) + BigInt(1), latestBlock, blockRange);
+
+    if (!stale) {
+      // Remember how far we scanned so the next check stays short
+      const entry = { ...cached, checkedBlock: Math.max(cached.checkedBlock, Number(latestBlock)) };
+      if (entry.checkedBlock !== cached.checkedBlock) {
+        await store.set(key, entry);
+      }
+      return { entry, hit: true };
+    }
+  }
+
+  const { body, status = 200, blockNumber } = await compute();
+  const entry: CachedResults = {
+    body,
+    status,
+    etag: `"${createHash('sha256').update(JSON.stringify(body)).digest('hex').slice(0, 32)}"`,
+    blockNumber,
+    checkedBlock: blockNumber,
+  };
+  await store.set(key, entry);
+  return { entry, hit: false };
+}
+
+async function hasInvalidatingLogs(
+  client: EventClient,
+  electionAddress: `0x${string}`,
+  fromBlock: bigint,
+  latestBlock: bigint,
+  blockRange: bigint
+): Promise<boolean> {
+  for (let start = fromBlock; start <= latestBlock; start += blockRange) {
+    const toBlock = start + blockRange - BigInt(1) < latestBlock ? start + blockRange - BigInt(1) : latestBlock;
+    const events = await client.getContractEvents({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      fromBlock: start,
+      toBlock,
+    });
+    if (events.some(event => INVALIDATING_EVENTS.has(event.eventName))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * JSON response for a cache entry with ETag and Cache-Control, or 304 when
+ * the client already holds this version
+ *
+ * Latest results must be revalidated (cheap against the ETag) while shared
+ * caches may serve them for a few seconds; results pinned to a past block
+ * never change.
+ */
+export function cachedResponse(request: Pick<NextRequest, 'headers'>, { entry, hit }: { entry: CachedResults; hit: boolean }, pinned = false) {
+  const headers = {
+    'ETag': entry.etag,
+    'Cache-Control': pinned
+      ? 'public, max-age=31536000, immutable'
+      : 'public, max-age=0, must-revalidate, s-maxage=5, stale-while-revalidate=30',
+    'X-Results-Cache': hit ? 'HIT' : 'MISS',
+  };
+
+  if (request.headers.get('if-none-match') === entry.etag) {
+    return new NextResponse(null, { status: 304, headers });
+  }
+  return NextResponse.json(entry.body, { status: entry.status, headers });
+}
@@ -0,0 +1,22 @@
+import { TieBreakRule, TIE_BREAK_RULES } from 'tally';
+
+// Plain settings, so they can also key the results cache
+export type TieBreakParams = { rule: TieBreakRule; seed: string | undefined };
+
+/**
+ * Tie-break from ?tieBreak= and ?seed=: candidate order (default) or a seeded permutation
+ *
+ * Shared by the result routes so they agree on tied results; pass the seed
+ * committed on chain to reproduce the reported winner.
+ */
+export function parseTieBreak(searchParams: URLSearchParams): { tieBreak: TieBreakParams } | { error: string } {
+  const seed = searchParams.get('seed') ?? undefined;
+  const rule = (searchParams.get('tieBreak') || (seed ? 'random' : 'candidate-order')) as TieBreakRule;
+  if (!TIE_BREAK_RULES.includes(rule)) {
+    return { error: `Unsupported tie-break rule. Use: ${TIE_BREAK_RULES.join(', ')}` };
+  }
+  if (rule === 'random' && !seed) {
+    return { error: 'Tie-break rule "random" requires a seed' };
+  }
+  return { tieBreak: { rule, seed } };
+}
@@ -0,0 +1,192 @@
+import type { PublicClient } from 'viem';
+import { ELECTION_ABI } from '@/election-abi';
+import { createElectionClient } from '@/lib/ballotLoader';
+import { mapWithConcurrency } from '@/lib/batchedReads';
+import { INDEXER_URL, loadIndexedRankingUpdates } from '@/lib/indexerClient';
+import { BlockStateError } from '@/lib/blockState';
+
+/**
+ * Turnout and ballot-revision time series from RankingUpdated logs
+ *
+ * A voter's first RankingUpdated counts as a new voter; every later one is a
+ * revision of their ballot. Updates are bucketed by the UTC hour or day of
+ * their block, and empty buckets between the first and last update are kept
+ * so the series plots on an even time axis.
+ */
+
+export type SeriesBucket = 'hour' | 'day';
+
+export const SERIES_BUCKETS: SeriesBucket[] = ['hour', 'day'];
+
+const BUCKET_SECONDS: Record<SeriesBucket, number> = { hour: 3600, day: 86400 };
+
+export interface TurnoutPoint {
+  /** Bucket start, unix seconds (UTC) */
+  start: number;
+  newVoters: number;
+  revisions: number;
+  /** Distinct voters up to the end of this bucket */
+  cumulativeVoters: number;
+}
+
+export interface TurnoutSeries {
+  bucket: SeriesBucket;
+  points: TurnoutPoint[];
+  totalVoters: number;
+  totalRevisions: number;
+  fromBlock: number;
+  toBlock: number;
+}
+
+/**
+ * Bucket ranking updates, given in chain order with their block timestamps
+ */
+export function buildTurnoutSeries(
+  updates: Array<{ voterId: string; timestamp: number }>,
+  bucket: SeriesBucket
+): TurnoutPoint[] {
+  if (updates.length === 0) {
+    return [];
+  }
+
+  const size = BUCKET_SECONDS[bucket];
+  const bucketOf = (timestamp: number) => Math.floor(timestamp / size) * size;
+  const first = bucketOf(updates[0].timestamp);
+  const last = bucketOf(updates[updates.length - 1].timestamp);
+
+  const points: TurnoutPoint[] = [];
+  for (let start = first; start <= last; start += size) {
+    points.push({ start, newVoters: 0, revisions: 0, cumulativeVoters: 0 });
+  }
+
+  const seen = new Set<string>();
+  for (const update of updates) {
+    const point = points[(bucketOf(update.timestamp) - first) / size];
+    if (seen.has(update.voterId)) {
+      point.revisions++;
+    } else {
+      seen.add(update.voterId);
+      point.newVoters++;
+    }
+  }
+
+  let cumulative = 0;
+  for (const point of points) {
+    cumulative += point.newVoters;
+    point.cumulativeVoters = cumulative;
+  }
+  return points;
+}
+
+type SeriesClient = Pick<PublicClient, 'readContract' | 'getBlockNumber' | 'getBlock' | 'getContractEvents'>;
+
+export interface TurnoutSeriesOptions {
+  publicClient?: SeriesClient; // Allow injection for testing
+  bucket?: SeriesBucket;
+  blockNumber?: bigint; // Series up to this block instead of the latest
+  blockRange?: bigint; // Max blocks per log query
+  indexerUrl?: string; // Event indexer to take RankingUpdated events from, when it has the block
+}
+
+/**
+ * First block at or after the election's createdAt timestamp, so log scans
+ * start at deployment instead of genesis (block headers need no archive node)
+ */
+async function findCreationBlock(client: SeriesClient, electionAddress: `0x${string}`, toBlock: bigint): Promise<bigint> {
+  // Set once in the constructor, so the latest state is fine
+  const createdAt = await client.readContract({
+    address: electionAddress,
+    abi: ELECTION_ABI,
+    functionName: 'createdAt',
+  });
+
+  let low = BigInt(0);
+  let high = toBlock;
+  while (low < high) {
+    const middle = (low + high) / BigInt(2);
+    const block = await client.getBlock({ blockNumber: middle });
+    if (block.timestamp < createdAt) {
+      low = middle + BigInt(1);
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+async function readRankingUpdates(
+  client: SeriesClient,
+  electionAddress: `0x${string}`,
+  toBlock: bigint,
+  blockRange: bigint
+): Promise<{ fromBlock: bigint; updates: Array<{ voterId: string; blockNumber: bigint }> }> {
+  const fromBlock = await findCreationBlock(client, electionAddress, toBlock);
+  const updates: Array<{ voterId: string; blockNumber: bigint }> = [];
+
+  for (let start = fromBlock; start <= toBlock; start += blockRange) {
+    const end = start + blockRange - BigInt(1) < toBlock ? start + blockRange - BigInt(1) : toBlock;
+    const events = await client.getContractEvents({
+      address: electionAddress,
+      abi: ELECTION_ABI,
+      eventName: 'RankingUpdated',
+      fromBlock: start,
+      toBlock: end,
+    });
+    for (const event of events) {
+      // Older contracts' RankingUpdated has no voterId; fall back to the sender
+      const voterId = event.args.voterId?.toString() ?? event.args.user;
+      if (voterId !== undefined) {
+        updates.push({ voterId, blockNumber: event.blockNumber });
+      }
+    }
+  }
+  return { fromBlock, updates };
+}
+
+/**
+ * Loads an election's turnout series from RankingUpdated logs (or the event
+ * indexer, when it has reached the block)
+ */
+export async function loadTurnoutSeries(
+  electionAddress: `0x${string}`,
+  { publicClient, bucket = 'hour', blockNumber, blockRange = BigInt(10000), indexerUrl = INDEXER_URL }: TurnoutSeriesOptions = {}
+): Promise<TurnoutSeries> {
+  const client: SeriesClient = publicClient || createElectionClient();
+  const latest = await client.getBlockNumber();
+  if (blockNumber !== undefined && blockNumber > latest) {
+    throw new BlockStateError(`Block ${blockNumber} is ahead of the latest block ${latest}`);
+  }
+  const toBlock = blockNumber ?? latest;
+
+  const indexed = indexerUrl ? await loadIndexedRankingUpdates(electionAddress, toBlock, indexerUrl).catch(error => {
+    console.warn('Event indexer unavailable - reading RankingUpdated logs from the RPC:', error);
+    return null;
+  }) : null;
+  const { fromBlock, updates } = indexed
+    ? {
+      fromBlock: indexed.length > 0 ? BigInt(indexed[0].blockNumber) : toBlock,
+      updates: indexed.map(update => ({ voterId: update.voterId, blockNumber: BigInt(update.blockNumber) })),
+    }
+    : await readRankingUpdates(client, electionAddress, toBlock, blockRange);
+
+  // One header per block with updates
+  const blocks = [...new Set(updates.map(update => update.blockNumber))];
+  const timestamps = new Map(await mapWithConcurrency(blocks, 4, async blockNumber =>
+    [blockNumber, Number((await client.getBlock({ blockNumber })).timestamp)] as const
+  ));
+
+  const points = buildTurnoutSeries(
+    updates.map(update => ({ voterId: update.voterId, timestamp: timestamps.get(update.blockNumber)! })),
+    bucket
+  );
+  const last = points[points.length - 1];
+
+  return {
+    bucket,
+    points,
+    totalVoters: last?.cumulativeVoters ?? 0,
+    totalRevisions: points.reduce((sum, point) => sum + point.revisions, 0),
+    fromBlock: Number(fromBlock),
+    toBlock: Number(toBlock),
+  };
+}
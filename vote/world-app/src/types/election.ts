@@ -15,7 +15,8 @@ export interface Election {
   worldIdAction: string;
   isActive: boolean;
   creator: `0x${string}`;
-  endTime: bigint;
+  opensAt: bigint; // Unix seconds voting opens (0 = open from creation)
+  closesAt: bigint; // Unix seconds voting closes (0 = closed manually by pausing)
   totalVoters?: bigint;
   candidateCount?: bigint;
 }